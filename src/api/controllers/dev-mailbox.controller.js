@@ -0,0 +1,118 @@
+const captureProvider = require('../../core/email/providers/capture.provider');
+const { successResponse, errorResponse, notFoundResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Contrôleur de la boîte mail de développement
+ * Consultation des emails capturés par l'adapter capture (EMAIL_DEV_MAILBOX=true)
+ */
+class DevMailboxController {
+
+  async listMessages(req, res) {
+    try {
+      const { page = 1, limit = 50, q, to, template } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const result = captureProvider.list({
+        q,
+        to,
+        template,
+        limit: parseInt(limit),
+        offset
+      });
+
+      return res.status(200).json(successResponse('Emails capturés', {
+        enabled: captureProvider.isReady(),
+        messages: result.messages,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.pagination.total,
+          totalPages: Math.ceil(result.pagination.total / parseInt(limit)),
+          hasMore: result.pagination.hasMore
+        }
+      }));
+    } catch (error) {
+      logger.error('Failed to list captured emails', { error: error.message });
+      return res.status(500).json(errorResponse('Échec récupération des emails capturés', null, 'DEV_MAILBOX_LIST_FAILED'));
+    }
+  }
+
+  async getMessage(req, res) {
+    const message = captureProvider.get(req.params.id);
+    if (!message) {
+      return res.status(404).json(notFoundResponse('Email capturé', req.params.id));
+    }
+
+    const { raw, attachments, ...details } = message;
+    return res.status(200).json(successResponse('Email capturé', {
+      ...details,
+      attachments: attachments.map(({ content, ...attachment }) => attachment)
+    }));
+  }
+
+  /**
+   * Aperçu HTML tel que le client mail le recevrait
+   */
+  async getMessageHtml(req, res) {
+    const message = captureProvider.get(req.params.id);
+    if (!message) {
+      return res.status(404).json(notFoundResponse('Email capturé', req.params.id));
+    }
+
+    if (!message.html) {
+      return res.type('text/plain; charset=utf-8').send(message.text || '');
+    }
+    return res.type('text/html; charset=utf-8').send(message.html);
+  }
+
+  /**
+   * Message MIME complet (.eml), ouvrable dans un client mail
+   */
+  async getMessageRaw(req, res) {
+    const message = captureProvider.get(req.params.id);
+    if (!message) {
+      return res.status(404).json(notFoundResponse('Email capturé', req.params.id));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${message.id}.eml"`);
+    return res.type('message/rfc822').send(message.raw);
+  }
+
+  async getAttachment(req, res) {
+    const message = captureProvider.get(req.params.id);
+    const attachment = message?.attachments[parseInt(req.params.index)];
+    if (!attachment) {
+      return res.status(404).json(notFoundResponse('Pièce jointe', req.params.index));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${attachment.filename.replace(/"/g, '')}"`);
+    return res.type(attachment.contentType).send(attachment.content);
+  }
+
+  async deleteMessage(req, res) {
+    try {
+      const message = await captureProvider.remove(req.params.id);
+      if (!message) {
+        return res.status(404).json(notFoundResponse('Email capturé', req.params.id));
+      }
+
+      return res.status(200).json(successResponse('Email capturé supprimé', { id: message.id }));
+    } catch (error) {
+      logger.error('Failed to delete captured email', { error: error.message, id: req.params.id });
+      return res.status(500).json(errorResponse('Échec suppression de l\'email capturé', null, 'DEV_MAILBOX_DELETE_FAILED'));
+    }
+  }
+
+  async clearMailbox(req, res) {
+    try {
+      const deleted = await captureProvider.clear();
+      return res.status(200).json(successResponse('Boîte mail de développement vidée', { deleted }));
+    } catch (error) {
+      logger.error('Failed to clear development mailbox', { error: error.message });
+      return res.status(500).json(errorResponse('Échec vidage de la boîte mail de développement', null, 'DEV_MAILBOX_CLEAR_FAILED'));
+    }
+  }
+}
+
+module.exports = new DevMailboxController();
@@ -5,8 +5,16 @@ const pushService = require('../../core/push/push.service');
 const inAppService = require('../../core/in-app/in-app.service');
 const preferencesService = require('../../core/preferences/preferences.service');
 const templatesService = require('../../core/templates/templates.service');
+const suppressionService = require('../../core/suppressions/suppression.service');
 const notificationRepository = require('../../core/database/notification.repository');
+const smsCostRepository = require('../../core/database/sms-cost.repository');
+const smsBudget = require('../../core/sms/sms-budget');
+const { getCostCurrency } = require('../../core/sms/sms-costs');
 const { buildDeliveryMatrix } = require('../../health/provider-readiness');
+const { validateAttachments, restoreAttachments } = require('../../core/email/email-attachments');
+const { resolveSenderIdentity } = require('../../core/email/sender-identities');
+const { resolveEnvelope } = require('../../core/email/email-envelope');
+const { checkAddress, assertDeliverableAddress } = require('../../core/email/address-quality');
 const {
   successResponse,
   createdResponse,
@@ -53,6 +61,16 @@ class NotificationsController {
           }));
       }
 
+      if ([
+        'INVALID_EMAIL_ADDRESS',
+        'INVALID_ATTACHMENT',
+        'INVALID_SENDER_IDENTITY',
+        'INVALID_EMAIL_ENVELOPE',
+        'TEMPLATE_VARIABLE_MISSING'
+      ].includes(result.details?.code)) {
+        return res.status(422).json(errorResponse(result.error, result.details, result.details.code));
+      }
+
       if (!result.success) {
         return res.status(503).json(errorResponse(
           'Aucun provider email reel n est configure ou l envoi a echoue',
@@ -67,7 +85,7 @@ class NotificationsController {
 
       return res
         .status(result.skipped === true ? 202 : 201)
-        .json(notificationResultResponse(result));
+        .json(notificationResultResponse(result, result.addressWarnings ? { addressWarnings: result.addressWarnings } : {}));
     } catch (error) {
       logger.error('Failed to send email', { error: error.message, to: req.body.to });
       return res.status(500).json(errorResponse('Échec de l\'envoi de l\'email', null, 'EMAIL_SEND_FAILED'));
@@ -78,6 +96,12 @@ class NotificationsController {
     try {
       const { to, template, data, options = {} } = req.body;
 
+      // Refuser tout de suite une adresse, une pièce jointe, une identité ou une enveloppe invalide plutôt qu'au traitement du job
+      const addressCheck = assertDeliverableAddress(to);
+      validateAttachments(options.attachments);
+      resolveSenderIdentity(template, options);
+      resolveEnvelope(to, options);
+
       const result = await queueService.addEmailJob({
         type: 'transactional',
         to,
@@ -86,8 +110,15 @@ class NotificationsController {
         options: { ...options, ip: req.ip }
       });
 
-      return res.status(202).json(queuedResponse('Email mis en file d\'attente', result));
+      return res.status(202).json(queuedResponse(
+        'Email mis en file d\'attente',
+        result,
+        addressCheck.verdict === 'warn' ? { addressWarnings: addressCheck.issues } : {}
+      ));
     } catch (error) {
+      if (['INVALID_EMAIL_ADDRESS', 'INVALID_ATTACHMENT', 'INVALID_SENDER_IDENTITY', 'INVALID_EMAIL_ENVELOPE'].includes(error.code)) {
+        return res.status(422).json(errorResponse(error.message, error.details, error.code));
+      }
       logger.error('Failed to queue email', { error: error.message });
       return res.status(500).json(errorResponse('Échec de la mise en file d\'attente', null, 'EMAIL_QUEUE_FAILED'));
     }
@@ -97,18 +128,63 @@ class NotificationsController {
     try {
       const { recipients, template, data, options = {} } = req.body;
 
+      resolveSenderIdentity(template, options);
+      // Les copies sont envoyées avec chaque email du lot : seule la liste des copies est validée ici
+      resolveEnvelope([], options);
+
       const result = await emailService.queueBulkEmail(recipients, template, data, {
         ...options,
         ip: req.ip
       });
 
-      return res.status(202).json(queuedResponse('Emails en lot mis en file d\'attente', result));
+      // Tous les destinataires refusés par la politique de qualité : rien n'est mis en file
+      if (result.queued === 0 && result.rejected?.length === recipients.length) {
+        return res.status(422).json(errorResponse(
+          'Aucune adresse de destinataire acceptée',
+          { rejected: result.rejected },
+          'INVALID_EMAIL_ADDRESS'
+        ));
+      }
+
+      return res.status(202).json(queuedResponse('Emails en lot mis en file d\'attente', result, {
+        queued: result.queued,
+        suppressed: result.suppressed,
+        rejected: result.rejected || [],
+        addressWarnings: result.addressWarnings || []
+      }));
     } catch (error) {
+      if (error.code === 'INVALID_SENDER_IDENTITY' || error.code === 'INVALID_EMAIL_ENVELOPE') {
+        return res.status(422).json(errorResponse(error.message, error.details, error.code));
+      }
       logger.error('Failed to send bulk emails', { error: error.message });
       return res.status(500).json(errorResponse('Échec de l\'envoi en lot', null, 'BULK_EMAIL_FAILED'));
     }
   }
 
+  /**
+   * Vérifie la qualité d'une ou plusieurs adresses (inscription côté event-planner-core)
+   * Syntaxe, domaine jetable et faute de frappe, avec le verdict de la politique courante
+   */
+  async validateEmailAddresses(req, res) {
+    try {
+      const { email, emails } = req.body;
+      const results = (emails || [email]).map(address => checkAddress(address));
+
+      return res.status(200).json(successResponse('Adresses vérifiées', {
+        results,
+        summary: {
+          total: results.length,
+          accepted: results.filter(result => result.verdict === 'accept').length,
+          warned: results.filter(result => result.verdict === 'warn').length,
+          rejected: results.filter(result => result.verdict === 'reject').length
+        }
+      }));
+    } catch (error) {
+      logger.error('Failed to validate email addresses', { error: error.message });
+      return res.status(500).json(errorResponse('Échec de la vérification des adresses', null, 'EMAIL_VALIDATION_FAILED'));
+    }
+  }
+
   // ========================================
   // SMS
   // ========================================
@@ -122,6 +198,14 @@ class NotificationsController {
         userId: userId || data?.userId || null,
         ip: req.ip
       });
+      // Segments facturés, route et coût SMS, absents si l'envoi a été ignoré avant rendu
+      const segmentsMeta = {
+        ...(result.segments && { segments: result.segments, encoding: result.encoding }),
+        ...(result.route && { route: result.route.name }),
+        ...(result.cost && {
+          cost: { estimated: result.cost.estimated, actual: result.cost.actual, currency: result.cost.currency }
+        })
+      };
 
       if (result.simulated === true || result.provider === 'mock') {
         return res
@@ -129,7 +213,21 @@ class NotificationsController {
           .json(notificationResultResponse({
             ...result,
             success: true
-          }));
+          }, segmentsMeta));
+      }
+
+      if ([
+        'TEMPLATE_VARIABLE_MISSING',
+        'SMS_SEGMENT_BUDGET_EXCEEDED',
+        'PHONE_NUMBER_INVALID',
+        'PHONE_NUMBER_NOT_MOBILE',
+        'SMS_SENDER_UNAVAILABLE'
+      ].includes(result.details?.code)) {
+        return res.status(422).json(errorResponse(result.error, result.details, result.details.code));
+      }
+
+      if (result.details?.code === 'SMS_BUDGET_EXCEEDED') {
+        return res.status(429).json(errorResponse(result.error, result.details, result.details.code));
       }
 
       if (!result.success) {
@@ -142,7 +240,7 @@ class NotificationsController {
 
       return res
         .status(result.skipped === true ? 202 : 201)
-        .json(notificationResultResponse(result));
+        .json(notificationResultResponse(result, segmentsMeta));
     } catch (error) {
       logger.error('Failed to send SMS', { error: error.message });
       return res.status(500).json(errorResponse('Echec de l\'envoi du SMS', null, 'SMS_SEND_FAILED'));
@@ -391,8 +489,8 @@ class NotificationsController {
 
   async unsubscribeUser(req, res) {
     try {
-      const { userId } = req.body;
-      const preferences = await preferencesService.unsubscribeUser(userId);
+      const { userId, channel, category } = req.body;
+      const preferences = await preferencesService.unsubscribeUser(userId, { channel, category });
       return res.status(200).json(successResponse('Utilisateur désabonné', preferences));
     } catch (error) {
       logger.error('Failed to unsubscribe user', { error: error.message });
@@ -428,6 +526,72 @@ class NotificationsController {
     }
   }
 
+  // ========================================
+  // SUPPRESSIONS
+  // ========================================
+
+  async listSuppressions(req, res) {
+    try {
+      const { page = 1, limit = 50, reason, search } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const result = await suppressionService.listSuppressions({
+        limit: parseInt(limit),
+        offset,
+        reason,
+        search
+      });
+
+      return res.status(200).json(successResponse('Liste de suppression', {
+        suppressions: result.suppressions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.pagination.total,
+          totalPages: Math.ceil(result.pagination.total / parseInt(limit)),
+          hasMore: result.pagination.hasMore
+        }
+      }));
+    } catch (error) {
+      logger.error('Failed to list suppressions', { error: error.message });
+      return res.status(500).json(errorResponse('Échec récupération liste de suppression', null, 'SUPPRESSIONS_LIST_FAILED'));
+    }
+  }
+
+  async addSuppression(req, res) {
+    try {
+      const { email, reason = 'manual', details } = req.body;
+
+      const entry = await suppressionService.addSuppression({
+        email,
+        reason,
+        source: 'admin',
+        details: details || null
+      });
+
+      return res.status(201).json(createdResponse('Adresse ajoutée à la liste de suppression', entry));
+    } catch (error) {
+      logger.error('Failed to add suppression', { error: error.message });
+      return res.status(500).json(errorResponse('Échec ajout à la liste de suppression', null, 'SUPPRESSION_ADD_FAILED'));
+    }
+  }
+
+  async removeSuppression(req, res) {
+    try {
+      const { email } = req.params;
+
+      const entry = await suppressionService.removeSuppression(email);
+      if (!entry) {
+        return res.status(404).json(notFoundResponse('Adresse absente de la liste de suppression', 'SUPPRESSION_NOT_FOUND'));
+      }
+
+      return res.status(200).json(successResponse('Adresse retirée de la liste de suppression', entry));
+    } catch (error) {
+      logger.error('Failed to remove suppression', { error: error.message });
+      return res.status(500).json(errorResponse('Échec retrait de la liste de suppression', null, 'SUPPRESSION_REMOVE_FAILED'));
+    }
+  }
+
   // ========================================
   // TEMPLATES
   // ========================================
@@ -516,25 +680,49 @@ class NotificationsController {
   async previewTemplate(req, res) {
     try {
       const { name } = req.params;
-      const { data, channel } = req.body;
+      const { data, channel, strict = false } = req.body;
 
       const template = await templatesService.getTemplateByName(name, channel);
       if (!template) {
         return res.status(404).json(notFoundResponse('Template non trouvé', 'TEMPLATE_NOT_FOUND'));
       }
 
-      const rendered = await templatesService.renderTemplate(template, data);
+      const rendered = await templatesService.renderTemplate(template, data, { strict });
       return res.status(200).json(successResponse('Aperçu du template', {
         template: { name: template.name, channel: template.channel },
         rendered,
         previewData: data
       }));
     } catch (error) {
+      if (error.code === 'TEMPLATE_VARIABLE_MISSING') {
+        return res.status(422).json(errorResponse(error.message, error.details, error.code));
+      }
       logger.error('Failed to preview template', { error: error.message });
       return res.status(500).json(errorResponse('Échec aperçu template', null, 'TEMPLATE_PREVIEW_FAILED'));
     }
   }
 
+  async lintTemplates(req, res) {
+    try {
+      const { source = 'all', name } = req.query;
+      const result = await templatesService.lintTemplates({ source, name });
+      return res.status(200).json(successResponse('Analyse des templates', result));
+    } catch (error) {
+      logger.error('Failed to lint templates', { error: error.message });
+      return res.status(500).json(errorResponse('Échec analyse templates', null, 'TEMPLATE_LINT_FAILED'));
+    }
+  }
+
+  async lintTemplateDraft(req, res) {
+    try {
+      const result = templatesService.lintDraft(req.body);
+      return res.status(200).json(successResponse('Analyse du template', result));
+    } catch (error) {
+      logger.error('Failed to lint template draft', { error: error.message });
+      return res.status(500).json(errorResponse('Échec analyse template', null, 'TEMPLATE_LINT_FAILED'));
+    }
+  }
+
   async importTemplates(req, res) {
     try {
       const { templatesDir } = req.body;
@@ -688,10 +876,19 @@ class NotificationsController {
       if (startDate) filters.startDate = startDate;
       if (endDate) filters.endDate = endDate;
 
-      const stats = await notificationRepository.getNotificationStatistics(filters);
+      const [stats, smsCosts, smsBudgetStatus] = await Promise.all([
+        notificationRepository.getNotificationStatistics(filters),
+        smsCostRepository.getCostBreakdown(filters),
+        smsBudget.isEnabled() ? smsBudget.getStatus() : null
+      ]);
 
       return res.status(200).json(successResponse('Statistiques', {
         ...stats,
+        smsCosts: {
+          currency: getCostCurrency(),
+          ...smsCosts,
+          budget: smsBudgetStatus
+        },
         generatedAt: new Date().toISOString()
       }));
     } catch (error) {
@@ -713,36 +910,49 @@ class NotificationsController {
         return res.status(400).json(errorResponse('Seules les notifications échouées peuvent être relancées', null, 'NOTIFICATION_NOT_FAILED'));
       }
 
+      if (!notification.recipient) {
+        return res.status(409).json(errorResponse(
+          'Destinataire non persisté, la notification ne peut pas être rejouée',
+          null,
+          'NOTIFICATION_NOT_REPLAYABLE'
+        ));
+      }
+
+      // Rejouer le message d'origine ; le service met à jour la notification existante
+      const templateName = notification.template_name || notification.type;
+      const templateData = notification.template_data || {};
+      const retryOptions = {
+        // Enveloppe et options d'origine (emails) : identité, invitation, preheader, suivi
+        ...(notification.email_envelope || {}),
+        userId: notification.user_id,
+        notificationId: notification.id,
+        ip: req.ip
+      };
+
       let result;
       switch (notification.channel) {
         case 'email':
-          result = await emailService.sendTransactionalEmail(notification.content, notification.type, {});
+          // Artefacts retéléchargés ; contenus base64 refournis dans le corps (seule leur empreinte est conservée)
+          if (notification.attachments) {
+            retryOptions.attachments = restoreAttachments(notification.attachments, req.body?.attachments);
+          }
+          result = await emailService.sendTransactionalEmail(notification.recipient, templateName, templateData, retryOptions);
           break;
         case 'sms':
-          result = await smsService.sendTransactionalSMS(notification.content, notification.type, {});
+          result = await smsService.sendTransactionalSMS(notification.recipient, templateName, templateData, retryOptions);
           break;
         case 'push':
-          result = await pushService.sendTransactionalPush(notification.content, notification.type, {});
+          result = await pushService.sendTransactionalPush(notification.recipient, templateName, templateData, retryOptions);
           break;
         default:
           return res.status(400).json(errorResponse('Type non supporté pour retry', null, 'UNSUPPORTED_TYPE'));
       }
 
-      if (result.success) {
-        await notificationRepository.updateNotificationStatus(notificationId, 'sent', {
-          sentAt: new Date().toISOString()
-        });
-      }
-
-      await notificationRepository.createNotificationLog({
-        notificationId: parseInt(notificationId),
-        provider: result.provider || 'retry',
-        response: result,
-        errorMessage: result.success ? null : (result.error || 'Retry failed')
-      });
-
       return res.status(200).json(successResponse('Notification relancée', { notificationId, result }));
     } catch (error) {
+      if (error.code === 'ATTACHMENT_CONTENT_REQUIRED') {
+        return res.status(409).json(errorResponse(error.message, error.details, error.code));
+      }
       logger.error('Failed to retry notification', { error: error.message });
       return res.status(500).json(errorResponse('Échec du retry', null, 'RETRY_FAILED'));
     }
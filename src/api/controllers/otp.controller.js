@@ -0,0 +1,46 @@
+const otpService = require('../../core/otp/otp.service');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Contrôleur des codes à usage unique
+ * Les erreurs OTP_* portent leur statut HTTP (cooldown, verrouillage, code invalide...)
+ */
+class OtpController {
+
+  async requestOtp(req, res) {
+    try {
+      const { phoneNumber, email, purpose, userId } = req.body;
+      const result = await otpService.requestOtp({ phoneNumber, email, purpose, userId });
+
+      return res.status(201).json(successResponse('Code envoyé', result));
+    } catch (error) {
+      return OtpController.handleError(res, error, 'Failed to request OTP', 'Échec de l\'envoi du code');
+    }
+  }
+
+  async verifyOtp(req, res) {
+    try {
+      const { phoneNumber, email, purpose, code } = req.body;
+      const result = await otpService.verifyOtp({ phoneNumber, email, purpose, code });
+
+      return res.status(200).json(successResponse('Code vérifié', result));
+    } catch (error) {
+      return OtpController.handleError(res, error, 'Failed to verify OTP', 'Échec de la vérification du code');
+    }
+  }
+
+  static handleError(res, error, logMessage, fallbackMessage) {
+    if (error.code && error.code.startsWith('OTP_') && error.statusCode) {
+      if (error.details?.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json(errorResponse(error.message, error.details, error.code));
+    }
+
+    logger.error(logMessage, { error: error.message });
+    return res.status(500).json(errorResponse(fallbackMessage, null, 'OTP_FAILED'));
+  }
+}
+
+module.exports = new OtpController();
@@ -0,0 +1,55 @@
+const emailTrackingService = require('../../core/tracking/email-tracking.service');
+const { errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+// GIF transparent 1x1
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Contrôleur du suivi des emails (pixel d'ouverture et redirection des clics)
+ * Routes publiques appelées par les clients mail des destinataires
+ */
+class TrackingController {
+
+  async handleOpen(req, res) {
+    const payload = emailTrackingService.verifyToken(req.params.token, 'open');
+
+    if (payload) {
+      try {
+        await emailTrackingService.recordEngagement(payload, 'open', { userAgent: req.get('User-Agent') });
+      } catch (error) {
+        // Le pixel est toujours servi : un échec d'enregistrement ne doit pas casser l'affichage de l'email
+        logger.error('Failed to record email open', { error: error.message, notificationId: payload.n });
+      }
+    }
+
+    res.set({
+      'Content-Type': 'image/gif',
+      'Content-Length': TRACKING_PIXEL.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      Pragma: 'no-cache',
+      Expires: '0'
+    });
+    return res.status(200).send(TRACKING_PIXEL);
+  }
+
+  async handleClick(req, res) {
+    const payload = emailTrackingService.verifyToken(req.params.token, 'click');
+
+    if (!payload) {
+      return res.status(404).json(errorResponse('Lien de suivi invalide', null, 'INVALID_TRACKING_LINK'));
+    }
+
+    try {
+      await emailTrackingService.recordEngagement(payload, 'click', { userAgent: req.get('User-Agent') });
+    } catch (error) {
+      // La redirection prime : le destinataire doit toujours atteindre le lien
+      logger.error('Failed to record email click', { error: error.message, notificationId: payload.n });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, payload.u);
+  }
+}
+
+module.exports = new TrackingController();
@@ -0,0 +1,86 @@
+const unsubscribeService = require('../../core/preferences/unsubscribe.service');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+const CATEGORY_LABELS = {
+  event_updates: 'les actualités de vos événements',
+  reminders: 'les rappels',
+  tickets: 'les emails liés à vos billets'
+};
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html><html lang="fr"><head><meta charset="utf-8">`
+    + `<meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>`
+    + `<body style="font-family:Arial,sans-serif;max-width:480px;margin:48px auto;padding:0 16px;color:#1f2937;">`
+    + `<h1 style="font-size:20px;">${title}</h1>${body}</body></html>`;
+}
+
+/**
+ * Contrôleur du désabonnement en un clic (RFC 8058)
+ * Routes publiques : le jeton signé tient lieu d'authentification
+ */
+class UnsubscribeController {
+
+  /**
+   * Page de confirmation (GET) : n'applique rien, propose le POST
+   */
+  async showUnsubscribe(req, res) {
+    const payload = unsubscribeService.verifyToken(req.params.token);
+    res.set('Cache-Control', 'no-store');
+
+    if (!payload) {
+      return res.status(404).type('html').send(renderPage(
+        'Lien de désabonnement invalide',
+        '<p>Ce lien a expiré ou n\'est pas valide. Utilisez le lien d\'un email plus récent.</p>'
+      ));
+    }
+
+    const action = `${req.baseUrl}/${req.params.token}`;
+    const categoryButton = payload.u && payload.ca
+      ? `<button type="submit" name="scope" value="category">Ne plus recevoir ${CATEGORY_LABELS[payload.ca] || 'ces emails'}</button> `
+      : '';
+
+    return res.status(200).type('html').send(renderPage(
+      'Se désabonner',
+      `<form method="post" action="${action}">${categoryButton}`
+      + '<button type="submit" name="scope" value="channel">Ne plus recevoir aucun email</button></form>'
+    ));
+  }
+
+  /**
+   * Désabonnement (POST) : one-click des messageries ou formulaire de confirmation
+   */
+  async handleUnsubscribe(req, res) {
+    const payload = unsubscribeService.verifyToken(req.params.token);
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    if (!payload) {
+      return wantsHtml
+        ? res.status(404).type('html').send(renderPage('Lien de désabonnement invalide', '<p>Ce lien a expiré ou n\'est pas valide.</p>'))
+        : res.status(404).json(errorResponse('Jeton de désabonnement invalide ou expiré', null, 'INVALID_UNSUBSCRIBE_TOKEN'));
+    }
+
+    try {
+      const result = await unsubscribeService.unsubscribe(payload, req.body?.scope || null);
+
+      if (wantsHtml) {
+        const target = result.category ? CATEGORY_LABELS[result.category] || 'ces emails' : 'nos emails';
+        return res.status(200).type('html').send(renderPage(
+          'Désabonnement confirmé',
+          `<p>Vous ne recevrez plus ${target}.</p>`
+        ));
+      }
+
+      return res.status(200).json(successResponse('Désabonnement effectué', {
+        channel: result.channel,
+        category: result.category,
+        method: result.method
+      }));
+    } catch (error) {
+      logger.error('Failed to apply one-click unsubscribe', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du désabonnement', null, 'UNSUBSCRIBE_FAILED'));
+    }
+  }
+}
+
+module.exports = new UnsubscribeController();
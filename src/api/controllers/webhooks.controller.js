@@ -0,0 +1,98 @@
+const sendgridWebhookService = require('../../core/webhooks/sendgrid-webhook.service');
+const twilio = require('twilio');
+const smsStatusWebhookService = require('../../core/webhooks/sms-status-webhook.service');
+const smsInboundWebhookService = require('../../core/webhooks/sms-inbound-webhook.service');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Contrôleur des webhooks entrants des providers
+ * Les signatures sont vérifiées en amont par src/middleware/webhook-signature.js
+ */
+class WebhooksController {
+
+  // ========================================
+  // SENDGRID
+  // ========================================
+
+  async handleSendGridEvents(req, res) {
+    try {
+      const events = req.body;
+
+      if (!Array.isArray(events) || events.length === 0) {
+        return res.status(400).json(errorResponse('Lot d\'événements SendGrid invalide', null, 'INVALID_WEBHOOK_PAYLOAD'));
+      }
+
+      const summary = await sendgridWebhookService.processEvents(events);
+
+      return res.status(200).json(successResponse('Événements SendGrid traités', summary));
+    } catch (error) {
+      // Une réponse 5xx déclenche un renvoi du lot par SendGrid
+      logger.error('Failed to process SendGrid webhook', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du traitement du webhook SendGrid', null, 'WEBHOOK_PROCESSING_FAILED'));
+    }
+  }
+
+  // ========================================
+  // SMS (TWILIO / VONAGE)
+  // ========================================
+
+  async handleTwilioStatus(req, res) {
+    try {
+      const outcome = await smsStatusWebhookService.processTwilioStatus(req.body || {});
+
+      return res.status(200).json(successResponse('Statut Twilio traité', { outcome }));
+    } catch (error) {
+      // Une réponse 5xx déclenche un nouvel envoi du callback par Twilio
+      logger.error('Failed to process Twilio status callback', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du traitement du callback Twilio', null, 'WEBHOOK_PROCESSING_FAILED'));
+    }
+  }
+
+  async handleVonageReceipt(req, res) {
+    try {
+      const payload = req.method === 'GET' ? req.query : (req.body || {});
+      const outcome = await smsStatusWebhookService.processVonageReceipt(payload);
+
+      return res.status(200).json(successResponse('Accusé Vonage traité', { outcome }));
+    } catch (error) {
+      logger.error('Failed to process Vonage delivery receipt', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du traitement de l\'accusé Vonage', null, 'WEBHOOK_PROCESSING_FAILED'));
+    }
+  }
+
+  // ========================================
+  // SMS ENTRANTS (STOP / START / HELP)
+  // ========================================
+
+  async handleTwilioInbound(req, res) {
+    try {
+      const outcome = await smsInboundWebhookService.processTwilioInbound(req.body || {});
+
+      // Twilio attend du TwiML : la réponse automatique est un <Message>, rien si le SMS n'est pas un mot-clé
+      const twiml = new twilio.twiml.MessagingResponse();
+      if (outcome.reply) {
+        twiml.message(outcome.reply);
+      }
+
+      return res.status(200).type('text/xml').send(twiml.toString());
+    } catch (error) {
+      logger.error('Failed to process Twilio inbound SMS', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du traitement du SMS entrant Twilio', null, 'WEBHOOK_PROCESSING_FAILED'));
+    }
+  }
+
+  async handleVonageInbound(req, res) {
+    try {
+      const payload = req.method === 'GET' ? req.query : (req.body || {});
+      const outcome = await smsInboundWebhookService.processVonageInbound(payload);
+
+      return res.status(200).json(successResponse('SMS entrant Vonage traité', outcome));
+    } catch (error) {
+      logger.error('Failed to process Vonage inbound SMS', { error: error.message });
+      return res.status(500).json(errorResponse('Échec du traitement du SMS entrant Vonage', null, 'WEBHOOK_PROCESSING_FAILED'));
+    }
+  }
+}
+
+module.exports = new WebhooksController();
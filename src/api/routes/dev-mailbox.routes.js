@@ -0,0 +1,83 @@
+/**
+ * 📬 ROUTES BOÎTE MAIL DE DÉVELOPPEMENT
+ *
+ * RÔLE : Consulter les emails capturés au lieu d'être envoyés (EMAIL_DEV_MAILBOX=true)
+ * UTILISATION : Recette des templates en local, sans SMTP réel
+ *
+ * NOTE : Routes désactivées en production (404)
+ */
+
+const express = require('express');
+const router = express.Router();
+const devMailboxController = require('../controllers/dev-mailbox.controller');
+const { validateQuery, schemas } = require('../../middleware/validation');
+const { notFoundResponse } = require('../../utils/response');
+
+// Jamais exposé en production, même si le flag est resté activé
+router.use((req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json(notFoundResponse('Route'));
+  }
+  return next();
+});
+
+/**
+ * 📬 LISTE DES EMAILS CAPTURÉS
+ * GET /dev/mailbox
+ * Recherche : q (sujet, destinataires, expéditeur, texte), to, template
+ */
+router.get('/',
+  validateQuery(schemas.listDevMailbox),
+  devMailboxController.listMessages
+);
+
+/**
+ * 🗑️ VIDER LA BOÎTE
+ * DELETE /dev/mailbox
+ */
+router.delete('/',
+  devMailboxController.clearMailbox
+);
+
+/**
+ * 📄 DÉTAIL D'UN EMAIL CAPTURÉ
+ * GET /dev/mailbox/:id
+ * En-têtes, HTML, texte et métadonnées des pièces jointes
+ */
+router.get('/:id',
+  devMailboxController.getMessage
+);
+
+/**
+ * 👁️ APERÇU HTML
+ * GET /dev/mailbox/:id/html
+ */
+router.get('/:id/html',
+  devMailboxController.getMessageHtml
+);
+
+/**
+ * 📦 MESSAGE BRUT (.eml)
+ * GET /dev/mailbox/:id/raw
+ */
+router.get('/:id/raw',
+  devMailboxController.getMessageRaw
+);
+
+/**
+ * 📎 PIÈCE JOINTE
+ * GET /dev/mailbox/:id/attachments/:index
+ */
+router.get('/:id/attachments/:index',
+  devMailboxController.getAttachment
+);
+
+/**
+ * 🗑️ SUPPRIMER UN EMAIL CAPTURÉ
+ * DELETE /dev/mailbox/:id
+ */
+router.delete('/:id',
+  devMailboxController.deleteMessage
+);
+
+module.exports = router;
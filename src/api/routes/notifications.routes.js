@@ -47,6 +47,16 @@ router.post('/email/bulk',
   notificationsController.sendBulkEmail
 );
 
+/**
+ * 🧪 VÉRIFIER DES ADRESSES EMAIL
+ * POST /api/notifications/email/validate
+ * Syntaxe, domaine jetable et faute de frappe, sans envoi (inscription)
+ */
+router.post('/email/validate',
+  validateBody(schemas.validateEmailAddresses),
+  notificationsController.validateEmailAddresses
+);
+
 // ========================================
 // 📱 ROUTES SMS
 // ========================================
@@ -242,6 +252,36 @@ router.get('/preferences/stats',
   notificationsController.getPreferencesStats
 );
 
+/**
+ * 🚫 LISTE DE SUPPRESSION EMAIL
+ * GET /api/notifications/suppressions
+ * Liste les adresses bloquées (hard bounce, plainte, désabonnement, manuel)
+ */
+router.get('/suppressions',
+  validateQuery(schemas.listSuppressions),
+  notificationsController.listSuppressions
+);
+
+/**
+ * 🚫 AJOUTER UNE ADRESSE À LA LISTE DE SUPPRESSION
+ * POST /api/notifications/suppressions
+ * Bloque manuellement les envois vers une adresse
+ */
+router.post('/suppressions',
+  validateBody(schemas.addSuppression),
+  notificationsController.addSuppression
+);
+
+/**
+ * 🚫 RETIRER UNE ADRESSE DE LA LISTE DE SUPPRESSION
+ * DELETE /api/notifications/suppressions/:email
+ * Réautorise les envois vers une adresse
+ */
+router.delete('/suppressions/:email',
+  validateParams(schemas.params.suppressionEmail),
+  notificationsController.removeSuppression
+);
+
 /**
  * 📝 CRÉER UN TEMPLATE
  * POST /api/notifications/templates
@@ -252,6 +292,26 @@ router.post('/templates',
   notificationsController.createTemplate
 );
 
+/**
+ * 🔎 ANALYSER LES TEMPLATES
+ * GET /api/notifications/templates/lint
+ * Rapporte blocs déséquilibrés, variables non déclarées, images sans alt, liens http et SMS trop longs
+ */
+router.get('/templates/lint',
+  validateQuery(schemas.lintTemplates),
+  notificationsController.lintTemplates
+);
+
+/**
+ * 🔎 ANALYSER UN TEMPLATE AVANT ENREGISTREMENT
+ * POST /api/notifications/templates/lint
+ * Même analyse sur un template fourni dans la requête
+ */
+router.post('/templates/lint',
+  validateBody(schemas.lintTemplateDraft),
+  notificationsController.lintTemplateDraft
+);
+
 /**
  * 📝 RÉCUPÉRER UN TEMPLATE PAR NOM
  * GET /api/notifications/templates/:name
@@ -327,9 +387,11 @@ router.get('/history',
  * � RELANCER UNE NOTIFICATION
  * POST /api/notifications/:notificationId/retry
  * Relance manuellement une notification échouée
+ * Corps optionnel : { attachments } pour refournir les contenus base64 des pièces jointes
  */
 router.post('/:notificationId/retry',
   validateParams(schemas.params.notificationId),
+  validateBody(schemas.retryNotification),
   notificationsController.retryNotification
 );
 
@@ -0,0 +1,35 @@
+/**
+ * 🔢 ROUTES OTP
+ *
+ * RÔLE : Codes à usage unique pour les services consommateurs (connexion, vérification de numéro...)
+ * UTILISATION : Demande d'un code pour un numéro ou un email et un usage, puis vérification
+ *
+ * NOTE : Le code n'est jamais renvoyé dans la réponse : il est remis par SMS (template otp) ou email en repli
+ */
+
+const express = require('express');
+const router = express.Router();
+const otpController = require('../controllers/otp.controller');
+const { validateBody, schemas } = require('../../middleware/validation');
+
+/**
+ * 📤 DEMANDER UN CODE
+ * POST /api/notifications/otp
+ * Émet un code (délai de renvoi, plafond horaire et verrouillage appliqués)
+ */
+router.post('/',
+  validateBody(schemas.requestOtp),
+  otpController.requestOtp
+);
+
+/**
+ * ✅ VÉRIFIER UN CODE
+ * POST /api/notifications/otp/verify
+ * Consomme le code s'il est correct ; verrouille le destinataire après trop d'échecs
+ */
+router.post('/verify',
+  validateBody(schemas.verifyOtp),
+  otpController.verifyOtp
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * 👁️ ROUTES SUIVI DES EMAILS
+ *
+ * RÔLE : Enregistrer les ouvertures (pixel) et les clics (redirection signée)
+ * UTILISATION : URLs insérées dans le HTML des emails suivis
+ *
+ * NOTE : Routes publiques appelées par les clients mail des destinataires
+ * Les jetons sont signés avec EMAIL_TRACKING_SECRET
+ */
+
+const express = require('express');
+const router = express.Router();
+const trackingController = require('../controllers/tracking.controller');
+
+/**
+ * 👁️ PIXEL D'OUVERTURE
+ * GET /api/notifications/track/open/:token.gif
+ * Renvoie un GIF 1x1 et enregistre l'ouverture
+ */
+router.get('/open/:token',
+  trackingController.handleOpen
+);
+
+/**
+ * 🔗 REDIRECTION DE CLIC
+ * GET /api/notifications/track/click/:token
+ * Enregistre le clic puis redirige vers le lien d'origine
+ */
+router.get('/click/:token',
+  trackingController.handleClick
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * 🔕 ROUTES DÉSABONNEMENT EN UN CLIC
+ *
+ * RÔLE : Désabonnement sans connexion depuis un email (lien ou en-tête List-Unsubscribe)
+ * UTILISATION : URL générée par unsubscribe.service pour chaque email non système
+ *
+ * NOTE : Routes publiques authentifiées par jeton signé (UNSUBSCRIBE_TOKEN_SECRET)
+ * Le GET n'applique jamais le désabonnement (scanners de liens) : seul le POST le fait (RFC 8058)
+ */
+
+const express = require('express');
+const router = express.Router();
+const unsubscribeController = require('../controllers/unsubscribe.controller');
+const { validateBody, validateParams, schemas } = require('../../middleware/validation');
+
+/**
+ * 🔕 PAGE DE CONFIRMATION
+ * GET /api/notifications/unsubscribe/:token
+ * Lien affiché dans le pied de page des emails
+ */
+router.get('/:token',
+  validateParams(schemas.params.unsubscribeToken),
+  unsubscribeController.showUnsubscribe
+);
+
+/**
+ * 🔕 DÉSABONNEMENT EN UN CLIC
+ * POST /api/notifications/unsubscribe/:token
+ * Corps "List-Unsubscribe=One-Click" (messageries) ou scope=channel|category (page de confirmation)
+ */
+router.post('/:token',
+  validateParams(schemas.params.unsubscribeToken),
+  validateBody(schemas.oneClickUnsubscribe),
+  unsubscribeController.handleUnsubscribe
+);
+
+module.exports = router;
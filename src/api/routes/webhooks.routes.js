@@ -0,0 +1,81 @@
+/**
+ * 🔔 ROUTES WEBHOOKS PROVIDERS
+ *
+ * RÔLE : Réception des événements de livraison et des SMS entrants envoyés par les providers
+ * UTILISATION : Mise à jour du statut des notifications (delivered, bounced, opened...)
+ * et traitement des mots-clés STOP / START / HELP
+ *
+ * NOTE : Routes appelées par les providers, pas par event-planner-core
+ * Chaque route vérifie la signature du provider avant traitement
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooks.controller');
+const {
+  verifySendGridSignature,
+  verifyTwilioSignature,
+  verifyVonageSignature
+} = require('../../middleware/webhook-signature');
+
+/**
+ * 📨 ÉVÉNEMENTS SENDGRID
+ * POST /api/notifications/webhooks/sendgrid
+ * Reçoit un lot d'événements du Signed Event Webhook SendGrid
+ */
+router.post('/sendgrid',
+  verifySendGridSignature,
+  webhooksController.handleSendGridEvents
+);
+
+/**
+ * 📱 STATUT DE LIVRAISON TWILIO
+ * POST /api/notifications/webhooks/twilio/status
+ * Reçoit le StatusCallback Twilio (delivered, undelivered, failed + ErrorCode)
+ */
+router.post('/twilio/status',
+  verifyTwilioSignature,
+  webhooksController.handleTwilioStatus
+);
+
+/**
+ * 📱 ACCUSÉ DE LIVRAISON VONAGE
+ * GET|POST /api/notifications/webhooks/vonage/dlr
+ * Reçoit le Delivery Receipt Vonage (méthode configurable dans le dashboard Vonage)
+ */
+router.get('/vonage/dlr',
+  verifyVonageSignature,
+  webhooksController.handleVonageReceipt
+);
+
+router.post('/vonage/dlr',
+  verifyVonageSignature,
+  webhooksController.handleVonageReceipt
+);
+
+/**
+ * 📥 SMS ENTRANT TWILIO
+ * POST /api/notifications/webhooks/twilio/inbound
+ * Mots-clés STOP / START / HELP, réponse automatique en TwiML
+ */
+router.post('/twilio/inbound',
+  verifyTwilioSignature,
+  webhooksController.handleTwilioInbound
+);
+
+/**
+ * 📥 SMS ENTRANT VONAGE
+ * GET|POST /api/notifications/webhooks/vonage/inbound
+ * Mots-clés STOP / START / HELP, réponse automatique envoyée via l'API Vonage
+ */
+router.get('/vonage/inbound',
+  verifyVonageSignature,
+  webhooksController.handleVonageInbound
+);
+
+router.post('/vonage/inbound',
+  verifyVonageSignature,
+  webhooksController.handleVonageInbound
+);
+
+module.exports = router;
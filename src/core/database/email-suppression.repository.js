@@ -0,0 +1,177 @@
+/**
+ * Repository pour la liste de suppression email
+ * Table : email_suppressions (adresses normalisées en minuscules)
+ */
+
+const { getDatabase } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Normalise une adresse email pour la comparaison
+ * @param {string} email - Adresse brute
+ * @returns {string} Adresse en minuscules sans espaces
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Recherche une adresse dans la liste de suppression
+ * @param {string} email - Adresse email
+ * @returns {Promise<Object|null>} Entrée ou null
+ */
+async function findSuppression(email) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(
+      'SELECT * FROM email_suppressions WHERE email = $1',
+      [normalizeEmail(email)]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to find email suppression', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Recherche plusieurs adresses en une requête (envois en lot)
+ * @param {Array<string>} emails - Adresses email
+ * @returns {Promise<Array<Object>>} Entrées trouvées
+ */
+async function findSuppressions(emails) {
+  const db = getDatabase();
+
+  try {
+    const normalized = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+    if (normalized.length === 0) {
+      return [];
+    }
+
+    const result = await db.query(
+      'SELECT * FROM email_suppressions WHERE email = ANY($1::text[])',
+      [normalized]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to find email suppressions', { error: error.message, count: emails.length });
+    throw error;
+  }
+}
+
+/**
+ * Ajoute (ou met à jour) une adresse dans la liste de suppression
+ * @param {Object} payload - email, reason, source, notificationId, details
+ * @returns {Promise<Object>} Entrée enregistrée
+ */
+async function upsertSuppression(payload) {
+  const db = getDatabase();
+
+  try {
+    const { email, reason, source = 'manual', notificationId = null, details = null } = payload;
+
+    const query = `
+      INSERT INTO email_suppressions (email, reason, source, notification_id, details)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (email) DO UPDATE SET
+        reason = EXCLUDED.reason,
+        source = EXCLUDED.source,
+        notification_id = COALESCE(EXCLUDED.notification_id, email_suppressions.notification_id),
+        details = EXCLUDED.details
+      RETURNING *
+    `;
+
+    const values = [normalizeEmail(email), reason, source, notificationId, details ? JSON.stringify(details) : null];
+    const result = await db.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Failed to upsert email suppression', { error: error.message, reason: payload.reason });
+    throw error;
+  }
+}
+
+/**
+ * Retire une adresse de la liste de suppression
+ * @param {string} email - Adresse email
+ * @returns {Promise<Object|null>} Entrée supprimée ou null
+ */
+async function deleteSuppression(email) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(
+      'DELETE FROM email_suppressions WHERE email = $1 RETURNING *',
+      [normalizeEmail(email)]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to delete email suppression', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Liste les adresses supprimées avec filtres et pagination
+ * @param {Object} filters - reason, search, limit, offset
+ * @returns {Promise<Object>} Entrées et pagination
+ */
+async function listSuppressions(filters = {}) {
+  const db = getDatabase();
+
+  try {
+    const { reason, search, limit = 50, offset = 0 } = filters;
+
+    const whereConditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (reason) {
+      whereConditions.push(`reason = $${paramIndex++}`);
+      queryParams.push(reason);
+    }
+    if (search) {
+      whereConditions.push(`email LIKE $${paramIndex++}`);
+      queryParams.push(`%${normalizeEmail(search)}%`);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const query = `
+      SELECT * FROM email_suppressions
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+    `;
+    const countQuery = `SELECT COUNT(*) as total FROM email_suppressions ${whereClause}`;
+
+    const [result, countResult] = await Promise.all([
+      db.query(query, [...queryParams, limit, offset]),
+      db.query(countQuery, queryParams)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      suppressions: result.rows,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: (parseInt(offset) + parseInt(limit)) < total
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to list email suppressions', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  normalizeEmail,
+  findSuppression,
+  findSuppressions,
+  upsertSuppression,
+  deleteSuppression,
+  listSuppressions
+};
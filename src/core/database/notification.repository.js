@@ -5,6 +5,16 @@
 
 const { getDatabase } = require('../../config/database');
 const logger = require('../../utils/logger');
+const { encryptField, decryptField, encryptJson, decryptJson } = require('../../utils/field-encryption');
+const {
+  ACCEPTED_STATUSES,
+  FAILED_STATUSES,
+  canTransition,
+  createTransitionError
+} = require('../notifications/notification-status');
+
+// Evenements d'engagement comptes dans les statistiques (suivi interne et SendGrid)
+const ENGAGEMENT_EVENT_TYPES = ['tracking.open', 'tracking.click', 'sendgrid.open', 'sendgrid.click'];
 
 /**
  * Normalise un userId (integer ou UUID) vers le format UUID
@@ -29,6 +39,41 @@ function normalizeUserId(userId) {
   return null;
 }
 
+/**
+ * Dechiffre les champs sensibles d'une ligne notifications
+ * @param {Object|null} row - Ligne brute
+ * @returns {Object|null} Ligne avec recipient, template_data, attachments et email_envelope en clair
+ */
+function hydrateNotification(row) {
+  if (!row) {
+    return row;
+  }
+
+  const hydrated = { ...row };
+  try {
+    if (row.recipient !== undefined) {
+      hydrated.recipient = decryptField(row.recipient);
+    }
+    if (row.template_data !== undefined) {
+      hydrated.template_data = decryptJson(row.template_data);
+    }
+    if (row.attachments !== undefined) {
+      hydrated.attachments = decryptJson(row.attachments);
+    }
+    if (row.email_envelope !== undefined) {
+      hydrated.email_envelope = decryptJson(row.email_envelope);
+    }
+  } catch (error) {
+    logger.error('Failed to decrypt notification fields', { error: error.message, notificationId: row.id });
+    hydrated.recipient = null;
+    hydrated.template_data = null;
+    hydrated.attachments = null;
+    hydrated.email_envelope = null;
+  }
+
+  return hydrated;
+}
+
 /**
  * CrÃ©e une notification
  * @param {Object} payload - DonnÃ©es de la notification
@@ -47,7 +92,17 @@ async function createNotification(payload) {
       content = null,
       status = 'pending',
       sentAt = null,
-      readAt = null
+      readAt = null,
+      recipient = null,
+      templateName = null,
+      templateData = null,
+      emailEnvelope = null,
+      provider = null,
+      providerMessageId = null,
+      attachments = null,
+      messageId = null,
+      smsSegments = null,
+      smsEncoding = null
     } = payload;
 
     // Normaliser le userId (integer ou UUID -> UUID)
@@ -64,14 +119,22 @@ async function createNotification(payload) {
     }
 
     const query = `
-      INSERT INTO notifications (user_id, template_id, type, channel, subject, content, status, sent_at, read_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO notifications (
+        user_id, template_id, type, channel, subject, content, status, sent_at, read_at,
+        recipient, template_name, template_data, provider, provider_message_id, attachments, email_envelope, message_id,
+        sms_segments, sms_encoding
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
       RETURNING *
     `;
 
-    const values = [normalizedUserId, templateId, type, channel, subject, content, status, sentAt, readAt];
+    const values = [
+      normalizedUserId, templateId, type, channel, subject, content, status, sentAt, readAt,
+      encryptField(recipient), templateName, encryptJson(templateData), provider, providerMessageId,
+      encryptJson(attachments), encryptJson(emailEnvelope), messageId, smsSegments, smsEncoding
+    ];
     const result = await db.query(query, values);
-    return result.rows[0];
+    return hydrateNotification(result.rows[0]);
   } catch (error) {
     logger.error('Failed to create notification', { error: error.message, userId: payload.userId });
     throw error;
@@ -87,15 +150,33 @@ async function createNotificationLog(payload) {
   const db = getDatabase();
 
   try {
-    const { notificationId, provider, response = null, errorMessage = null } = payload;
+    const {
+      notificationId,
+      provider,
+      response = null,
+      errorMessage = null,
+      errorCode = null,
+      previousStatus = null,
+      status = null,
+      eventType = null,
+      occurredAt = null,
+      route = null,
+      routeReason = null
+    } = payload;
 
     const query = `
-      INSERT INTO notification_logs (notification_id, provider, response, error_message)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO notification_logs (
+        notification_id, provider, response, error_message, error_code, previous_status, status, event_type, occurred_at,
+        route, route_reason
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP), $10, $11)
       RETURNING *
     `;
 
-    const values = [notificationId, provider, response ? JSON.stringify(response) : null, errorMessage];
+    const values = [
+      notificationId, provider, response ? JSON.stringify(response) : null, errorMessage, errorCode,
+      previousStatus, status, eventType, occurredAt, route, routeReason
+    ];
     const result = await db.query(query, values);
     return result.rows[0];
   } catch (error) {
@@ -114,31 +195,111 @@ async function getNotificationById(notificationId) {
 
   try {
     const query = `
-      SELECT n.*, nl.provider, nl.response AS log_response, nl.error_message AS log_error
+      SELECT n.*, nl.provider AS log_provider, nl.response AS log_response, nl.error_message AS log_error
       FROM notifications n
       LEFT JOIN notification_logs nl ON nl.notification_id = n.id
       WHERE n.id = $1
+      ORDER BY nl.created_at DESC NULLS LAST
+      LIMIT 1
     `;
 
     const result = await db.query(query, [notificationId]);
-    return result.rows.length > 0 ? result.rows[0] : null;
+    return result.rows.length > 0 ? hydrateNotification(result.rows[0]) : null;
   } catch (error) {
     logger.error('Failed to get notification by id', { error: error.message, notificationId });
     throw error;
   }
 }
 
+/**
+ * Recupere une notification par l'identifiant de message du provider
+ * Utilise par les webhooks de statut de livraison (SendGrid, Twilio, Vonage)
+ * @param {string} provider - Provider ayant emis le message
+ * @param {string} providerMessageId - Identifiant du message cote provider
+ * @returns {Promise<Object|null>} Notification ou null
+ */
+async function getNotificationByProviderMessageId(provider, providerMessageId) {
+  const db = getDatabase();
+
+  try {
+    const query = `
+      SELECT * FROM notifications
+      WHERE provider = $1 AND provider_message_id = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await db.query(query, [provider, providerMessageId]);
+    return result.rows.length > 0 ? hydrateNotification(result.rows[0]) : null;
+  } catch (error) {
+    logger.error('Failed to get notification by provider message id', {
+      error: error.message,
+      provider,
+      providerMessageId
+    });
+    throw error;
+  }
+}
+
+/**
+ * Recupere une notification email par son en-tete Message-ID
+ * Utilise par le webhook SendGrid quand le x-message-id ne correspond a aucune notification (smtp-id)
+ * @param {string} messageId - Message-ID avec ou sans chevrons
+ * @returns {Promise<Object|null>} Notification ou null
+ */
+async function getNotificationByMessageId(messageId) {
+  const db = getDatabase();
+  const normalized = `<${String(messageId).trim().replace(/^<|>$/g, '')}>`;
+
+  try {
+    const query = `
+      SELECT * FROM notifications
+      WHERE message_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    const result = await db.query(query, [normalized]);
+    return result.rows.length > 0 ? hydrateNotification(result.rows[0]) : null;
+  } catch (error) {
+    logger.error('Failed to get notification by message id', { error: error.message, messageId });
+    throw error;
+  }
+}
+
 /**
  * Met Ã  jour le statut d'une notification
+ * La transition est validee par la machine a etats et historisee dans notification_logs
  * @param {number} notificationId - ID de la notification
  * @param {string} status - Nouveau statut
- * @param {Object} extra - Champs supplÃ©mentaires (sentAt, readAt)
- * @returns {Promise<Object>} Notification mise Ã  jour
+ * @param {Object} extra - Champs supplementaires (sentAt, readAt, provider, providerMessageId,
+ *   response, errorMessage, errorCode, eventType, occurredAt, route, routeReason)
+ *   source : emetteur d'un evenement (webhook, suivi), historise dans le log sans modifier notifications.provider
+ * @returns {Promise<Object|null>} Notification mise a jour ou null si introuvable
+ * @throws {Error} code INVALID_STATUS_TRANSITION si la transition est interdite
  */
 async function updateNotificationStatus(notificationId, status, extra = {}) {
   const db = getDatabase();
+  const client = await db.connect();
 
   try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT id, status FROM notifications WHERE id = $1 FOR UPDATE',
+      [notificationId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const previousStatus = current.rows[0].status;
+    if (!canTransition(previousStatus, status)) {
+      throw createTransitionError(notificationId, previousStatus, status);
+    }
+
     const setParts = ['status = $1'];
     const values = [status];
     let paramIndex = 2;
@@ -148,9 +309,30 @@ async function updateNotificationStatus(notificationId, status, extra = {}) {
       values.push(extra.sentAt);
     }
     if (extra.readAt) {
-      setParts.push(`read_at = $${paramIndex++}`);
+      // Conserver la premiere lecture (ouvertures et clics repetes)
+      setParts.push(`read_at = COALESCE(read_at, $${paramIndex++})`);
       values.push(extra.readAt);
     }
+    if (extra.provider) {
+      setParts.push(`provider = $${paramIndex++}`);
+      values.push(extra.provider);
+    }
+    if (extra.providerMessageId) {
+      setParts.push(`provider_message_id = $${paramIndex++}`);
+      values.push(extra.providerMessageId);
+    }
+    if (extra.messageId) {
+      setParts.push(`message_id = $${paramIndex++}`);
+      values.push(extra.messageId);
+    }
+    if (extra.smsSegments) {
+      setParts.push(`sms_segments = $${paramIndex++}`);
+      values.push(extra.smsSegments);
+    }
+    if (extra.smsEncoding) {
+      setParts.push(`sms_encoding = $${paramIndex++}`);
+      values.push(extra.smsEncoding);
+    }
 
     values.push(notificationId);
 
@@ -160,11 +342,49 @@ async function updateNotificationStatus(notificationId, status, extra = {}) {
       RETURNING *
     `;
 
-    const result = await db.query(query, values);
-    return result.rows.length > 0 ? result.rows[0] : null;
+    const result = await client.query(query, values);
+
+    await client.query(`
+      INSERT INTO notification_logs (
+        notification_id, provider, response, error_message, error_code, previous_status, status, event_type, occurred_at,
+        route, route_reason
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP), $10, $11)
+    `, [
+      notificationId,
+      extra.source || extra.provider || result.rows[0].provider || 'system',
+      extra.response ? JSON.stringify(extra.response) : null,
+      extra.errorMessage || null,
+      extra.errorCode || null,
+      previousStatus,
+      status,
+      extra.eventType || 'status_change',
+      extra.occurredAt || null,
+      extra.route || null,
+      extra.routeReason || null
+    ]);
+
+    await client.query('COMMIT');
+
+    logger.notification('Notification status transition', {
+      notificationId,
+      previousStatus,
+      status,
+      eventType: extra.eventType || 'status_change'
+    });
+
+    return hydrateNotification(result.rows[0]);
   } catch (error) {
-    logger.error('Failed to update notification status', { error: error.message, notificationId });
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Failed to update notification status', {
+      error: error.message,
+      code: error.code,
+      notificationId,
+      status
+    });
     throw error;
+  } finally {
+    client.release();
   }
 }
 
@@ -224,16 +444,22 @@ async function getNotificationHistory(filters = {}) {
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-    const allowedOrderBy = ['created_at', 'sent_at', 'status', 'type', 'channel'];
+    const allowedOrderBy = ['created_at', 'sent_at', 'status', 'type', 'channel', 'template_name', 'provider'];
     const safeOrderBy = allowedOrderBy.includes(orderBy) ? orderBy : 'created_at';
     const safeDir = ['ASC', 'DESC'].includes(orderDirection.toUpperCase()) ? orderDirection : 'DESC';
 
     const query = `
       SELECT n.id, n.user_id, n.template_id, n.type, n.channel, n.subject, n.content,
              n.status, n.sent_at, n.read_at, n.created_at, n.updated_at,
-             nl.provider, nl.error_message AS log_error
+             n.recipient, n.template_name, n.template_data, n.provider, n.provider_message_id,
+             nl.error_message AS log_error
       FROM notifications n
-      LEFT JOIN notification_logs nl ON nl.notification_id = n.id
+      LEFT JOIN LATERAL (
+        SELECT error_message FROM notification_logs
+        WHERE notification_id = n.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) nl ON true
       ${whereClause}
       ORDER BY n.${safeOrderBy} ${safeDir}
       LIMIT $${paramIndex++} OFFSET $${paramIndex++}
@@ -248,7 +474,7 @@ async function getNotificationHistory(filters = {}) {
     ]);
 
     return {
-      notifications: result.rows,
+      notifications: result.rows.map(hydrateNotification),
       pagination: {
         total: parseInt(countResult.rows[0].total),
         limit: parseInt(limit),
@@ -294,13 +520,16 @@ async function getNotificationStatistics(filters = {}) {
     }
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const acceptedList = ACCEPTED_STATUSES.map(status => `'${status}'`).join(', ');
+    const failedList = FAILED_STATUSES.map(status => `'${status}'`).join(', ');
 
     const statsQuery = `
       SELECT
         COUNT(*) as total,
-        COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN status IN (${acceptedList}) THEN 1 END) as sent,
+        COUNT(CASE WHEN status IN (${failedList}) THEN 1 END) as failed,
+        COUNT(CASE WHEN status IN ('pending', 'queued', 'sending') THEN 1 END) as pending,
+        COUNT(CASE WHEN status IN ('delivered', 'opened', 'clicked', 'read') THEN 1 END) as delivered,
         COUNT(CASE WHEN channel = 'email' THEN 1 END) as emails,
         COUNT(CASE WHEN channel = 'sms' THEN 1 END) as sms,
         COUNT(CASE WHEN channel = 'push' THEN 1 END) as push,
@@ -313,8 +542,8 @@ async function getNotificationStatistics(filters = {}) {
       SELECT
         DATE(created_at) as date,
         COUNT(*) as total,
-        COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
+        COUNT(CASE WHEN status IN (${acceptedList}) THEN 1 END) as sent,
+        COUNT(CASE WHEN status IN (${failedList}) THEN 1 END) as failed
       FROM notifications
       ${whereClause}
       ${whereClause ? 'AND ' : 'WHERE '}created_at >= NOW() - INTERVAL '30 days'
@@ -322,11 +551,91 @@ async function getNotificationStatistics(filters = {}) {
       ORDER BY date DESC
     `;
 
-    const [statsResult, dailyResult] = await Promise.all([
+    const byProviderQuery = `
+      SELECT
+        COALESCE(provider, 'unknown') as provider,
+        COUNT(*) as total,
+        COUNT(CASE WHEN status IN (${acceptedList}) THEN 1 END) as sent,
+        COUNT(CASE WHEN status IN (${failedList}) THEN 1 END) as failed
+      FROM notifications
+      ${whereClause}
+      GROUP BY COALESCE(provider, 'unknown')
+      ORDER BY total DESC
+    `;
+
+    const byTemplateQuery = `
+      SELECT
+        COALESCE(template_name, type) as template_name,
+        COUNT(*) as total,
+        COUNT(CASE WHEN status IN (${acceptedList}) THEN 1 END) as sent,
+        COUNT(CASE WHEN status IN (${failedList}) THEN 1 END) as failed
+      FROM notifications
+      ${whereClause}
+      GROUP BY COALESCE(template_name, type)
+      ORDER BY total DESC
+    `;
+
+    const byStatusQuery = `
+      SELECT status, COUNT(*) as total
+      FROM notifications
+      ${whereClause}
+      GROUP BY status
+    `;
+
+    // Engagement email : ouvertures et clics (pixel / redirection, ou evenements SendGrid)
+    const engagementScope = `
+      WITH scoped AS (
+        SELECT id, status, read_at, COALESCE(template_name, type) as template_name
+        FROM notifications
+        ${whereClause}
+        ${whereClause ? 'AND ' : 'WHERE '}channel = 'email'
+      ),
+      events AS (
+        SELECT nl.notification_id, nl.event_type
+        FROM notification_logs nl
+        JOIN scoped s ON s.id = nl.notification_id
+        WHERE nl.event_type IN (${ENGAGEMENT_EVENT_TYPES.map(type => `'${type}'`).join(', ')})
+      )
+    `;
+
+    const engagementQuery = `
+      ${engagementScope}
+      SELECT
+        (SELECT COUNT(*) FROM scoped WHERE status IN (${acceptedList})) as accepted,
+        (SELECT COUNT(*) FROM scoped WHERE read_at IS NOT NULL) as read,
+        COUNT(CASE WHEN event_type LIKE '%.open' THEN 1 END) as opens,
+        COUNT(DISTINCT CASE WHEN event_type LIKE '%.open' THEN notification_id END) as unique_opens,
+        COUNT(CASE WHEN event_type LIKE '%.click' THEN 1 END) as clicks,
+        COUNT(DISTINCT CASE WHEN event_type LIKE '%.click' THEN notification_id END) as unique_clicks
+      FROM events
+    `;
+
+    const engagementByTemplateQuery = `
+      ${engagementScope}
+      SELECT
+        s.template_name,
+        COUNT(DISTINCT CASE WHEN s.status IN (${acceptedList}) THEN s.id END) as accepted,
+        COUNT(DISTINCT CASE WHEN e.event_type LIKE '%.open' THEN s.id END) as unique_opens,
+        COUNT(DISTINCT CASE WHEN e.event_type LIKE '%.click' THEN s.id END) as unique_clicks
+      FROM scoped s
+      LEFT JOIN events e ON e.notification_id = s.id
+      GROUP BY s.template_name
+      ORDER BY accepted DESC
+    `;
+
+    const [statsResult, dailyResult, providerResult, templateResult, statusResult, engagementResult, engagementTemplateResult] = await Promise.all([
       db.query(statsQuery, queryParams),
-      db.query(dailyStatsQuery, queryParams)
+      db.query(dailyStatsQuery, queryParams),
+      db.query(byProviderQuery, queryParams),
+      db.query(byTemplateQuery, queryParams),
+      db.query(byStatusQuery, queryParams),
+      db.query(engagementQuery, queryParams),
+      db.query(engagementByTemplateQuery, queryParams)
     ]);
 
+    const engagement = engagementResult.rows[0];
+    const engagementRate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
     const stats = statsResult.rows[0];
 
     return {
@@ -335,6 +644,7 @@ async function getNotificationStatistics(filters = {}) {
         sent: parseInt(stats.sent),
         failed: parseInt(stats.failed),
         pending: parseInt(stats.pending),
+        delivered: parseInt(stats.delivered),
         successRate: stats.total > 0 ? Math.round((stats.sent / stats.total) * 100) : 0
       },
       byChannel: {
@@ -343,6 +653,40 @@ async function getNotificationStatistics(filters = {}) {
         push: parseInt(stats.push),
         in_app: parseInt(stats.in_app)
       },
+      byStatus: statusResult.rows.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.total);
+        return acc;
+      }, {}),
+      byProvider: providerResult.rows.map(row => ({
+        provider: row.provider,
+        total: parseInt(row.total),
+        sent: parseInt(row.sent),
+        failed: parseInt(row.failed)
+      })),
+      byTemplate: templateResult.rows.map(row => ({
+        templateName: row.template_name,
+        total: parseInt(row.total),
+        sent: parseInt(row.sent),
+        failed: parseInt(row.failed)
+      })),
+      engagement: {
+        accepted: parseInt(engagement.accepted),
+        read: parseInt(engagement.read),
+        opens: parseInt(engagement.opens),
+        uniqueOpens: parseInt(engagement.unique_opens),
+        clicks: parseInt(engagement.clicks),
+        uniqueClicks: parseInt(engagement.unique_clicks),
+        openRate: engagementRate(parseInt(engagement.unique_opens), parseInt(engagement.accepted)),
+        clickRate: engagementRate(parseInt(engagement.unique_clicks), parseInt(engagement.accepted)),
+        byTemplate: engagementTemplateResult.rows.map(row => ({
+          templateName: row.template_name,
+          accepted: parseInt(row.accepted),
+          uniqueOpens: parseInt(row.unique_opens),
+          uniqueClicks: parseInt(row.unique_clicks),
+          openRate: engagementRate(parseInt(row.unique_opens), parseInt(row.accepted)),
+          clickRate: engagementRate(parseInt(row.unique_clicks), parseInt(row.accepted))
+        }))
+      },
       dailyStats: dailyResult.rows.map(row => ({
         date: row.date,
         total: parseInt(row.total),
@@ -360,6 +704,8 @@ module.exports = {
   createNotification,
   createNotificationLog,
   getNotificationById,
+  getNotificationByProviderMessageId,
+  getNotificationByMessageId,
   updateNotificationStatus,
   getNotificationHistory,
   getNotificationStatistics
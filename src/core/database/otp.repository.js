@@ -0,0 +1,184 @@
+/**
+ * Repository pour les codes OTP
+ * Table : otp_codes (codes hachés, un seul code actif par destinataire et par usage)
+ */
+
+const { getDatabase } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Dernier code émis pour un destinataire et un usage, quel que soit son statut
+ * @param {string} recipientHash - Empreinte du destinataire
+ * @param {string} purpose - Usage du code
+ * @returns {Promise<Object|null>} Code ou null
+ */
+async function findLatestOtp(recipientHash, purpose) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      SELECT * FROM otp_codes
+      WHERE recipient_hash = $1 AND purpose = $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [recipientHash, purpose]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to find latest OTP', { error: error.message, purpose });
+    throw error;
+  }
+}
+
+/**
+ * Nombre de codes émis depuis une date (plafond horaire)
+ * @param {string} recipientHash - Empreinte du destinataire
+ * @param {string} purpose - Usage du code
+ * @param {Date} since - Début de la fenêtre
+ * @returns {Promise<number>} Nombre de codes
+ */
+async function countOtpsSince(recipientHash, purpose, since) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      SELECT COUNT(*) AS total FROM otp_codes
+      WHERE recipient_hash = $1 AND purpose = $2 AND created_at >= $3
+    `, [recipientHash, purpose, since]);
+    return parseInt(result.rows[0].total, 10);
+  } catch (error) {
+    logger.error('Failed to count recent OTPs', { error: error.message, purpose });
+    throw error;
+  }
+}
+
+/**
+ * Enregistre un nouveau code ; les codes encore actifs pour ce destinataire et cet usage sont remplacés
+ * @param {Object} payload - recipientHash, purpose, channel, userId, codeHash, maxAttempts, expiresAt
+ * @returns {Promise<Object>} Code enregistré
+ */
+async function createOtp(payload) {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const { recipientHash, purpose, channel, userId = null, codeHash, maxAttempts, expiresAt } = payload;
+
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE otp_codes SET status = 'superseded'
+      WHERE recipient_hash = $1 AND purpose = $2 AND status = 'active'
+    `, [recipientHash, purpose]);
+
+    const result = await client.query(`
+      INSERT INTO otp_codes (recipient_hash, purpose, channel, user_id, code_hash, max_attempts, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [recipientHash, purpose, channel, userId, codeHash, maxAttempts, expiresAt]);
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Failed to create OTP', { error: error.message, purpose: payload.purpose });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Met à jour le canal ou le statut d'un code (repli email, échec de remise)
+ * @param {number} otpId - ID du code
+ * @param {Object} fields - { channel, status }
+ * @returns {Promise<Object|null>} Code mis à jour
+ */
+async function updateOtp(otpId, fields) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE otp_codes SET channel = COALESCE($2, channel), status = COALESCE($3, status)
+      WHERE id = $1
+      RETURNING *
+    `, [otpId, fields.channel || null, fields.status || null]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to update OTP', { error: error.message, otpId });
+    throw error;
+  }
+}
+
+/**
+ * Compte une tentative de vérification sur un code actif, non expiré et qui a encore des tentatives
+ * Le plafond est vérifié dans l'UPDATE : des vérifications simultanées ne peuvent pas le dépasser
+ * @param {number} otpId - ID du code
+ * @returns {Promise<Object|null>} Code avec attempts incrémenté, ou null s'il n'est plus utilisable
+ */
+async function registerAttempt(otpId) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE otp_codes SET attempts = attempts + 1
+      WHERE id = $1 AND status = 'active' AND attempts < max_attempts AND expires_at > NOW()
+      RETURNING *
+    `, [otpId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to register OTP attempt', { error: error.message, otpId });
+    throw error;
+  }
+}
+
+/**
+ * Consomme un code vérifié (usage unique)
+ * @param {number} otpId - ID du code
+ * @returns {Promise<Object|null>} Code consommé, ou null s'il l'était déjà
+ */
+async function markVerified(otpId) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE otp_codes SET status = 'verified', verified_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `, [otpId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to mark OTP as verified', { error: error.message, otpId });
+    throw error;
+  }
+}
+
+/**
+ * Verrouille un code après épuisement des tentatives
+ * @param {number} otpId - ID du code
+ * @param {Date} lockedUntil - Fin du verrouillage
+ * @returns {Promise<Object|null>} Code verrouillé
+ */
+async function lockOtp(otpId, lockedUntil) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE otp_codes SET status = 'locked', locked_until = $2
+      WHERE id = $1
+      RETURNING *
+    `, [otpId, lockedUntil]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error('Failed to lock OTP', { error: error.message, otpId });
+    throw error;
+  }
+}
+
+module.exports = {
+  findLatestOtp,
+  countOtpsSince,
+  createOtp,
+  updateOtp,
+  registerAttempt,
+  markVerified,
+  lockOtp
+};
@@ -0,0 +1,105 @@
+/**
+ * Repository pour les contacts SMS
+ * Table : sms_contacts (numéro normalisé ↔ utilisateur)
+ */
+
+const { getDatabase } = require('../../config/database');
+const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phone-normalization');
+
+/**
+ * Normalise un numéro pour la comparaison
+ * @param {string} phoneNumber - Numéro brut (Twilio envoie +33..., Vonage 33...)
+ * @returns {string|null} Numéro au format international ou null
+ */
+function normalizeContactPhone(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return null;
+  }
+  return /^\d+$/.test(normalized) ? `+${normalized}` : normalized;
+}
+
+/**
+ * Associe un numéro à un utilisateur (idempotent)
+ * @param {Object} payload - phoneNumber, userId, source
+ * @returns {Promise<Object|null>} Contact enregistré ou null si numéro invalide
+ */
+async function upsertContact(payload) {
+  const db = getDatabase();
+
+  try {
+    const { phoneNumber, userId, source = 'notification' } = payload;
+    const normalized = normalizeContactPhone(phoneNumber);
+    if (!normalized || !userId) {
+      return null;
+    }
+
+    const query = `
+      INSERT INTO sms_contacts (phone_number, user_id, source)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (phone_number, user_id) DO UPDATE SET
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await db.query(query, [normalized, userId, source]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Failed to upsert SMS contact', { error: error.message, userId: payload.userId });
+    throw error;
+  }
+}
+
+/**
+ * Utilisateurs associés à un numéro
+ * @param {string} phoneNumber - Numéro de l'expéditeur
+ * @returns {Promise<Array<number>>} IDs utilisateur
+ */
+async function findUserIdsByPhone(phoneNumber) {
+  const db = getDatabase();
+
+  try {
+    const normalized = normalizeContactPhone(phoneNumber);
+    if (!normalized) {
+      return [];
+    }
+
+    const result = await db.query(
+      'SELECT user_id FROM sms_contacts WHERE phone_number = $1 ORDER BY user_id',
+      [normalized]
+    );
+    return result.rows.map(row => Number(row.user_id));
+  } catch (error) {
+    logger.error('Failed to find SMS contacts by phone', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Mémorise le dernier mot-clé reçu d'un numéro
+ * @param {string} phoneNumber - Numéro de l'expéditeur
+ * @param {string} keyword - Mot-clé normalisé (STOP, START...)
+ * @returns {Promise<number>} Nombre de contacts mis à jour
+ */
+async function recordInboundKeyword(phoneNumber, keyword) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE sms_contacts SET last_keyword = $2, last_inbound_at = CURRENT_TIMESTAMP
+      WHERE phone_number = $1
+    `, [normalizeContactPhone(phoneNumber), keyword]);
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Failed to record SMS inbound keyword', { error: error.message, keyword });
+    throw error;
+  }
+}
+
+module.exports = {
+  normalizeContactPhone,
+  upsertContact,
+  findUserIdsByPhone,
+  recordInboundKeyword
+};
@@ -0,0 +1,207 @@
+/**
+ * Repository pour les coûts SMS
+ * Table : sms_costs (estimation et coût réel de chaque SMS envoyé)
+ */
+
+const { getDatabase } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+// Coût facturé : le coût réel du provider s'il est connu, sinon l'estimation
+const BILLED_COST = 'COALESCE(c.actual_cost, c.estimated_cost, 0)';
+
+function toAmount(value) {
+  return Math.round((parseFloat(value) || 0) * 100000) / 100000;
+}
+
+/**
+ * Enregistre le coût d'un SMS envoyé
+ * @param {Object} payload - notificationId, provider, providerMessageId, country, templateName,
+ *   segments, unitPrice, estimatedCost, actualCost, currency
+ * @returns {Promise<Object>} Ligne créée
+ */
+async function recordSmsCost(payload) {
+  const db = getDatabase();
+
+  try {
+    const {
+      notificationId = null,
+      provider,
+      providerMessageId = null,
+      country = null,
+      templateName = null,
+      segments = 1,
+      unitPrice = null,
+      estimatedCost = null,
+      actualCost = null,
+      currency
+    } = payload;
+
+    const result = await db.query(`
+      INSERT INTO sms_costs (
+        notification_id, provider, provider_message_id, country, template_name, segments,
+        unit_price, estimated_cost, actual_cost, currency
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      notificationId, provider, providerMessageId, country, templateName, segments,
+      unitPrice, estimatedCost, actualCost, currency
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Failed to record SMS cost', { error: error.message, provider: payload.provider });
+    throw error;
+  }
+}
+
+/**
+ * Renseigne le coût réel communiqué après coup par le provider (accusé de livraison)
+ * @param {string} provider - twilio | vonage
+ * @param {string} providerMessageId - Identifiant du message côté provider
+ * @param {number} actualCost - Coût réel
+ * @returns {Promise<Object|null>} Ligne mise à jour ou null si le message est inconnu
+ */
+async function recordActualCost(provider, providerMessageId, actualCost) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      UPDATE sms_costs
+      SET actual_cost = $3
+      WHERE provider = $1 AND provider_message_id = $2
+      RETURNING *
+    `, [provider, providerMessageId, actualCost]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Failed to record actual SMS cost', { error: error.message, provider, providerMessageId });
+    throw error;
+  }
+}
+
+/**
+ * Rattache un coût à la notification créée après l'envoi
+ * @param {number} costId - ID de la ligne sms_costs
+ * @param {number} notificationId - ID de la notification
+ * @returns {Promise<Object|null>} Ligne mise à jour
+ */
+async function attachNotification(costId, notificationId) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(
+      'UPDATE sms_costs SET notification_id = $2 WHERE id = $1 RETURNING *',
+      [costId, notificationId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Failed to attach SMS cost to notification', { error: error.message, costId, notificationId });
+    throw error;
+  }
+}
+
+/**
+ * Dépense SMS depuis une date
+ * @param {Date|string} since - Début de la période
+ * @returns {Promise<Object>} { total, count }
+ */
+async function getSpendingSince(since) {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      SELECT COALESCE(SUM(${BILLED_COST}), 0) AS total, COUNT(*) AS count
+      FROM sms_costs c
+      WHERE c.created_at >= $1
+    `, [since]);
+    return {
+      total: toAmount(result.rows[0].total),
+      count: parseInt(result.rows[0].count)
+    };
+  } catch (error) {
+    logger.error('Failed to get SMS spending', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Ventilation des coûts SMS pour /statistics
+ * @param {Object} filters - { startDate, endDate, userId } ; userId ne garde que les SMS rattachés à ses notifications
+ * @returns {Promise<Object>} { total, estimated, actual, count, withActualCost, segments, byProvider, byCountry, byTemplate, daily }
+ */
+async function getCostBreakdown(filters = {}) {
+  const db = getDatabase();
+
+  try {
+    const { startDate, endDate, userId } = filters;
+    const whereConditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (startDate) {
+      whereConditions.push(`c.created_at >= $${paramIndex++}`);
+      queryParams.push(startDate);
+    }
+    if (endDate) {
+      whereConditions.push(`c.created_at <= $${paramIndex++}`);
+      queryParams.push(endDate);
+    }
+    if (userId && /^\d+$/.test(String(userId))) {
+      whereConditions.push(`n.user_id = $${paramIndex++}`);
+      queryParams.push(Number(userId));
+    }
+
+    const from = `FROM sms_costs c LEFT JOIN notifications n ON n.id = c.notification_id
+      ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}`;
+    const aggregates = `
+      COALESCE(SUM(${BILLED_COST}), 0) AS total,
+      COUNT(*) AS count,
+      COALESCE(SUM(c.segments), 0) AS segments
+    `;
+
+    const [totalsResult, providerResult, countryResult, templateResult, dailyResult] = await Promise.all([
+      db.query(`
+        SELECT ${aggregates},
+          COALESCE(SUM(c.estimated_cost), 0) AS estimated,
+          COALESCE(SUM(c.actual_cost), 0) AS actual,
+          COUNT(c.actual_cost) AS with_actual
+        ${from}
+      `, queryParams),
+      db.query(`SELECT c.provider, ${aggregates} ${from} GROUP BY c.provider ORDER BY total DESC`, queryParams),
+      db.query(`SELECT c.country, ${aggregates} ${from} GROUP BY c.country ORDER BY total DESC`, queryParams),
+      db.query(`SELECT c.template_name, ${aggregates} ${from} GROUP BY c.template_name ORDER BY total DESC`, queryParams),
+      db.query(`SELECT DATE(c.created_at) AS date, ${aggregates} ${from} GROUP BY DATE(c.created_at) ORDER BY date DESC`, queryParams)
+    ]);
+
+    const totals = totalsResult.rows[0];
+    const shape = (key, row) => ({
+      [key]: row[key === 'templateName' ? 'template_name' : key] || null,
+      total: toAmount(row.total),
+      count: parseInt(row.count),
+      segments: parseInt(row.segments)
+    });
+
+    return {
+      total: toAmount(totals.total),
+      estimated: toAmount(totals.estimated),
+      actual: toAmount(totals.actual),
+      count: parseInt(totals.count),
+      withActualCost: parseInt(totals.with_actual),
+      segments: parseInt(totals.segments),
+      byProvider: providerResult.rows.map(row => shape('provider', row)),
+      byCountry: countryResult.rows.map(row => shape('country', row)),
+      byTemplate: templateResult.rows.map(row => shape('templateName', row)),
+      daily: dailyResult.rows.map(row => shape('date', row))
+    };
+  } catch (error) {
+    logger.error('Failed to get SMS cost breakdown', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  recordSmsCost,
+  recordActualCost,
+  attachNotification,
+  getSpendingSince,
+  getCostBreakdown
+};
@@ -0,0 +1,32 @@
+/**
+ * Repository pour les routes SMS
+ * Table : sms_routes (règles de choix des providers par destination, template et priorité)
+ */
+
+const { getDatabase } = require('../../config/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Routes actives, dans l'ordre d'évaluation
+ * @returns {Promise<Array<Object>>} Lignes sms_routes
+ */
+async function listActiveRoutes() {
+  const db = getDatabase();
+
+  try {
+    const result = await db.query(`
+      SELECT id, name, countries, prefixes, templates, priorities, providers, fallback, position
+      FROM sms_routes
+      WHERE enabled = TRUE
+      ORDER BY position ASC, id ASC
+    `);
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to list SMS routes', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  listActiveRoutes
+};
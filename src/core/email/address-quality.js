@@ -0,0 +1,368 @@
+/**
+ * 🧪 QUALITÉ DES ADRESSES EMAIL
+ *
+ * RÔLE : Vérifier hors ligne une adresse avant l'envoi ou à l'inscription
+ * - Syntaxe RFC 5321 / 5322 : partie locale dot-atom ou entre guillemets, domaine LDH ou IDN, longueurs maximales
+ * - Domaines jetables : liste embarquée (data/disposable-domains.txt), remplaçable et extensible par configuration
+ * - Fautes de frappe sur les messageries courantes (gmial.com → gmail.com, orange.fe → orange.fr)
+ *
+ * Politique : une syntaxe invalide est toujours refusée ; domaines jetables et fautes de frappe
+ * sont refusés, signalés ou ignorés selon EMAIL_DISPOSABLE_POLICY et EMAIL_TYPO_POLICY (reject | warn | allow)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+const logger = require('../../utils/logger');
+
+const BUNDLED_DISPOSABLE_FILE = path.join(__dirname, 'data', 'disposable-domains.txt');
+
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_ADDRESS_LENGTH = 254;
+const POLICY_ACTIONS = ['reject', 'warn', 'allow'];
+const DEFAULT_POLICY = { disposable: 'warn', typo: 'warn' };
+
+// atext (RFC 5322 3.2.3), étendu aux caractères UTF-8 (RFC 6531)
+const ATEXT = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uffff-]+$/;
+// qtext et quoted-pair (RFC 5322 3.2.4) : ASCII imprimable et espace
+const QUOTED_CONTENT = /^(?:[\x20\x21\x23-\x5b\x5d-\x7e\u0080-\uffff]|\\[\x20-\x7e])*$/;
+const DNS_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const IPV4_LITERAL = /^\[(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\]$/;
+const IPV6_LITERAL = /^\[IPv6:[0-9a-f:.]+\]$/i;
+
+// Cibles de correction : messageries les plus utilisées par les participants
+const SUGGESTION_DOMAINS = [
+  'gmail.com',
+  'yahoo.com',
+  'yahoo.fr',
+  'outlook.com',
+  'outlook.fr',
+  'hotmail.com',
+  'hotmail.fr',
+  'live.com',
+  'live.fr',
+  'orange.fr',
+  'wanadoo.fr',
+  'icloud.com',
+  'free.fr',
+  'sfr.fr',
+  'laposte.net'
+];
+
+// Domaines légitimes proches d'une cible (mail.com, ymail.com...) : jamais corrigés
+const KNOWN_DOMAINS = new Set([
+  ...SUGGESTION_DOMAINS,
+  'mail.com', 'email.com', 'ymail.com', 'gmx.com', 'gmx.fr', 'aol.com', 'msn.com', 'me.com', 'mac.com',
+  'proton.me', 'protonmail.com', 'yandex.com', 'neuf.fr', 'bbox.fr', 'numericable.fr', 'aliceadsl.fr'
+]);
+
+// Extensions mal saisies les plus fréquentes
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', comm: 'com', ocm: 'com', vom: 'com', xom: 'com', co: 'com', cm: 'com', om: 'com',
+  fe: 'fr', frr: 'fr', ft: 'fr', rf: 'fr',
+  nte: 'net', ent: 'net', nett: 'net', ne: 'net'
+};
+
+let disposableCache = { key: null, domains: new Set() };
+
+/**
+ * Découpe et valide une adresse (addr-spec)
+ * @param {string} input - Adresse saisie
+ * @returns {Object} { valid, reason, local, domain, literal }
+ */
+function parseAddress(input) {
+  const address = String(input ?? '').trim();
+  const invalid = reason => ({ valid: false, reason, local: null, domain: null, literal: false });
+
+  if (!address) {
+    return invalid('empty');
+  }
+
+  const at = address.lastIndexOf('@');
+  if (at <= 0 || at === address.length - 1) {
+    return invalid('missing-at');
+  }
+
+  const local = address.slice(0, at);
+  const rawDomain = address.slice(at + 1);
+
+  if (local.startsWith('"') && local.endsWith('"') && local.length >= 2) {
+    if (!QUOTED_CONTENT.test(local.slice(1, -1))) {
+      return invalid('local-part');
+    }
+  } else if (local.split('.').some(atom => !ATEXT.test(atom))) {
+    // Couvre aussi les points en tête, en fin ou doublés (atome vide)
+    return invalid('local-part');
+  }
+
+  if (local.length > MAX_LOCAL_LENGTH) {
+    return invalid('local-part-too-long');
+  }
+
+  if (rawDomain.startsWith('[')) {
+    const ipv4 = rawDomain.match(IPV4_LITERAL);
+    const validLiteral = ipv4 ? ipv4.slice(1).every(octet => Number(octet) <= 255) : IPV6_LITERAL.test(rawDomain);
+    if (!validLiteral) {
+      return invalid('domain');
+    }
+    return { valid: true, reason: null, local, domain: rawDomain, literal: true };
+  }
+
+  // Domaines internationalisés : comparés et envoyés sous forme punycode
+  const domain = domainToASCII(rawDomain.toLowerCase().replace(/\.$/, ''));
+  const labels = domain.split('.');
+  if (
+    !domain ||
+    domain.length > MAX_DOMAIN_LENGTH ||
+    labels.length < 2 ||
+    !labels.every(label => DNS_LABEL.test(label)) ||
+    /^\d+$/.test(labels[labels.length - 1])
+  ) {
+    return invalid('domain');
+  }
+
+  if (local.length + 1 + domain.length > MAX_ADDRESS_LENGTH) {
+    return invalid('too-long');
+  }
+
+  return { valid: true, reason: null, local, domain, literal: false };
+}
+
+/**
+ * Domaines jetables : liste embarquée (ou EMAIL_DISPOSABLE_DOMAINS_FILE) + EMAIL_DISPOSABLE_DOMAINS_EXTRA
+ * Rechargée quand la configuration ou la date de modification du fichier change
+ * @returns {Set<string>} Domaines en minuscules
+ */
+function getDisposableDomains() {
+  const file = process.env.EMAIL_DISPOSABLE_DOMAINS_FILE
+    ? path.resolve(process.env.EMAIL_DISPOSABLE_DOMAINS_FILE)
+    : BUNDLED_DISPOSABLE_FILE;
+  const extra = process.env.EMAIL_DISPOSABLE_DOMAINS_EXTRA || '';
+
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    mtime = -1;
+  }
+
+  const key = `${file}|${mtime}|${extra}`;
+  if (disposableCache.key === key) {
+    return disposableCache.domains;
+  }
+
+  let lines = [];
+  try {
+    lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  } catch (error) {
+    logger.warn('Disposable email domain list unreadable, only extra domains are used', { file, error: error.message });
+  }
+
+  const domains = new Set(
+    [...lines, ...extra.split(',')]
+      .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+  disposableCache = { key, domains };
+  return domains;
+}
+
+/**
+ * Indique si le domaine (ou l'un de ses domaines parents) est jetable
+ * @param {string} domain - Domaine en minuscules
+ * @returns {boolean} true si jetable
+ */
+function isDisposableDomain(domain) {
+  const domains = getDisposableDomains();
+  const labels = String(domain || '').toLowerCase().split('.');
+
+  for (let index = 0; index < labels.length - 1; index += 1) {
+    if (domains.has(labels.slice(index).join('.'))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Distance d'édition avec transpositions adjacentes (Damerau-Levenshtein restreinte)
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Propose une correction du domaine pour les messageries courantes
+ * @param {string} domain - Domaine en minuscules
+ * @returns {string|null} Domaine suggéré
+ */
+function suggestDomain(domain) {
+  if (!domain || KNOWN_DOMAINS.has(domain)) {
+    return null;
+  }
+
+  // Messagerie connue avec une extension mal saisie (gmail.con) ; une autre extension réelle est respectée (outlook.de)
+  const separator = domain.indexOf('.');
+  const name = domain.slice(0, separator);
+  const tld = domain.slice(separator + 1);
+  const sameProvider = SUGGESTION_DOMAINS.filter(candidate => candidate.startsWith(`${name}.`));
+  if (sameProvider.length > 0) {
+    const fixedTld = TLD_TYPOS[tld];
+    const fixed = fixedTld ? `${name}.${fixedTld}` : null;
+    return fixed && KNOWN_DOMAINS.has(fixed) ? fixed : null;
+  }
+
+  const maxDistance = domain.length < 8 ? 1 : 2;
+  let best = null;
+  for (const candidate of SUGGESTION_DOMAINS) {
+    const distance = editDistance(domain, candidate);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+
+  return best ? best.candidate : null;
+}
+
+function readPolicyAction(value, fallback) {
+  const action = String(value || '').trim().toLowerCase();
+  return POLICY_ACTIONS.includes(action) ? action : fallback;
+}
+
+/**
+ * Politique appliquée aux adresses jetables et aux fautes de frappe
+ * @returns {Object} { disposable, typo } parmi reject | warn | allow
+ */
+function getAddressPolicy() {
+  return {
+    disposable: readPolicyAction(process.env.EMAIL_DISPOSABLE_POLICY, DEFAULT_POLICY.disposable),
+    typo: readPolicyAction(process.env.EMAIL_TYPO_POLICY, DEFAULT_POLICY.typo)
+  };
+}
+
+/**
+ * Vérifie une adresse et applique la politique
+ * @param {string} email - Adresse à vérifier
+ * @param {Object} policy - Politique (par défaut getAddressPolicy())
+ * @returns {Object} { email, normalized, valid, disposable, suggestion, verdict, issues }
+ */
+function checkAddress(email, policy = getAddressPolicy()) {
+  const parsed = parseAddress(email);
+  const issues = [];
+
+  if (!parsed.valid) {
+    issues.push({ code: 'invalid-syntax', action: 'reject', message: `Adresse invalide (${parsed.reason})` });
+  } else if (parsed.literal) {
+    issues.push({ code: 'domain-literal', action: 'reject', message: 'Adresse IP à la place d\'un domaine' });
+  }
+
+  const disposable = parsed.valid && !parsed.literal && isDisposableDomain(parsed.domain);
+  if (disposable && policy.disposable !== 'allow') {
+    issues.push({ code: 'disposable', action: policy.disposable, message: `Domaine jetable ${parsed.domain}` });
+  }
+
+  // Un domaine jetable est volontaire : pas de correction vers une messagerie proche (yopmail.fr / hotmail.fr)
+  const suggestedDomain = parsed.valid && !parsed.literal && !disposable ? suggestDomain(parsed.domain) : null;
+  const suggestion = suggestedDomain ? `${parsed.local}@${suggestedDomain}` : null;
+  if (suggestion && policy.typo !== 'allow') {
+    issues.push({ code: 'typo', action: policy.typo, message: `Vouliez-vous dire ${suggestion} ?` });
+  }
+
+  const verdict = issues.some(issue => issue.action === 'reject')
+    ? 'reject'
+    : issues.length > 0 ? 'warn' : 'accept';
+
+  return {
+    email: String(email ?? ''),
+    normalized: parsed.valid ? `${parsed.local}@${parsed.domain}` : null,
+    valid: parsed.valid && !parsed.literal,
+    disposable,
+    suggestion,
+    verdict,
+    issues
+  };
+}
+
+/**
+ * Crée une erreur d'adresse refusée par la politique (non retryable)
+ * @param {Object} check - Résultat de checkAddress
+ * @returns {Error} Erreur avec code INVALID_EMAIL_ADDRESS
+ */
+function createAddressError(check) {
+  const rejected = check.issues.filter(issue => issue.action === 'reject');
+  const error = new Error(rejected.map(issue => issue.message).join(', ') || 'Adresse email refusée');
+  error.code = 'INVALID_EMAIL_ADDRESS';
+  error.statusCode = 422;
+  error.details = {
+    email: check.email,
+    issues: check.issues,
+    suggestion: check.suggestion
+  };
+  return error;
+}
+
+/**
+ * Vérifie une adresse de destinataire et lève une erreur si la politique la refuse
+ * @param {string} email - Adresse du destinataire
+ * @returns {Object} Résultat de checkAddress (verdict accept | warn)
+ */
+function assertDeliverableAddress(email) {
+  const check = checkAddress(email);
+  if (check.verdict === 'reject') {
+    throw createAddressError(check);
+  }
+  return check;
+}
+
+/**
+ * Répartit les destinataires d'un lot selon la politique
+ * @param {Array<string>} recipients - Adresses
+ * @returns {Object} { accepted, rejected: [{ email, issues, suggestion }], warnings: [{ email, issues, suggestion }] }
+ */
+function screenRecipients(recipients) {
+  const policy = getAddressPolicy();
+  const screening = { accepted: [], rejected: [], warnings: [] };
+
+  for (const email of recipients) {
+    const check = checkAddress(email, policy);
+    const summary = { email, issues: check.issues, suggestion: check.suggestion };
+    if (check.verdict === 'reject') {
+      screening.rejected.push(summary);
+      continue;
+    }
+    if (check.verdict === 'warn') {
+      screening.warnings.push(summary);
+    }
+    screening.accepted.push(email);
+  }
+
+  return screening;
+}
+
+module.exports = {
+  parseAddress,
+  isDisposableDomain,
+  suggestDomain,
+  getAddressPolicy,
+  checkAddress,
+  createAddressError,
+  assertDeliverableAddress,
+  screenRecipients
+};
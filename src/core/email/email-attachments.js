@@ -0,0 +1,318 @@
+/**
+ * 📎 PIÈCES JOINTES DES EMAILS TRANSACTIONNELS
+ *
+ * RÔLE : Valider et préparer les pièces jointes (billets PDF, invitations ICS...)
+ * pour les deux chemins d'envoi (SMTP via nodemailer, SendGrid)
+ *
+ * Deux formes acceptées :
+ *   - content : contenu encodé en base64
+ *   - artifactUrl : référence vers un artefact généré (ex: ticket-generator),
+ *     téléchargé au moment de l'envoi depuis un hôte autorisé uniquement
+ *
+ * Seules des références sont conservées avec la notification pour le rejeu : l'artifactUrl,
+ * ou le nom, le type, la taille et l'empreinte SHA-256 d'un contenu base64 (à refournir au retry)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const ALLOWED_ATTACHMENT_MIME_TYPES = [
+  'application/pdf',
+  'text/calendar',
+  'application/vnd.apple.pkpass',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'text/plain',
+  'text/csv'
+];
+
+const MAX_ATTACHMENTS = 10;
+const DEFAULT_MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Crée une erreur de pièce jointe (non retryable)
+ * @param {string} message - Description du problème
+ * @param {Object} details - Contexte (filename, size, limit...)
+ * @returns {Error} Erreur avec code INVALID_ATTACHMENT
+ */
+function createAttachmentError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'INVALID_ATTACHMENT';
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Limites configurables des pièces jointes
+ * @returns {Object} maxBytes (par fichier), maxTotalBytes (par email)
+ */
+function getAttachmentLimits() {
+  return {
+    maxBytes: readPositiveInt(process.env.EMAIL_ATTACHMENT_MAX_BYTES, DEFAULT_MAX_ATTACHMENT_BYTES),
+    maxTotalBytes: readPositiveInt(process.env.EMAIL_ATTACHMENTS_MAX_TOTAL_BYTES, DEFAULT_MAX_TOTAL_ATTACHMENT_BYTES)
+  };
+}
+
+/**
+ * Hôtes autorisés pour les références d'artefacts
+ * Par défaut : le service de génération de tickets ; complété par EMAIL_ATTACHMENT_ALLOWED_HOSTS
+ * @returns {Array<string>} Hôtes (host[:port]) autorisés
+ */
+function getAllowedArtifactHosts() {
+  const hosts = (process.env.EMAIL_ATTACHMENT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (process.env.TICKET_GENERATOR_SERVICE_URL) {
+    try {
+      hosts.push(new URL(process.env.TICKET_GENERATOR_SERVICE_URL).host.toLowerCase());
+    } catch (error) {
+      logger.warn('Invalid TICKET_GENERATOR_SERVICE_URL, ignored for attachment artifacts', { error: error.message });
+    }
+  }
+
+  return hosts;
+}
+
+/**
+ * Taille décodée d'un contenu base64 sans le décoder
+ * @param {string} base64 - Contenu base64
+ * @returns {number} Taille en octets
+ */
+function getBase64Size(base64) {
+  const normalized = String(base64).replace(/\s/g, '');
+  const padding = normalized.endsWith('==') ? 2 : normalized.endsWith('=') ? 1 : 0;
+  return Math.floor((normalized.length * 3) / 4) - padding;
+}
+
+/**
+ * Vérifie les pièces jointes avant envoi ou mise en file (nombre, type MIME, taille, hôte)
+ * La taille des artefacts distants n'est connue qu'au téléchargement
+ * @param {Array<Object>} attachments - Pièces jointes demandées
+ * @throws {Error} INVALID_ATTACHMENT si une limite est dépassée
+ */
+function validateAttachments(attachments) {
+  if (!attachments || attachments.length === 0) {
+    return;
+  }
+
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw createAttachmentError(`Maximum ${MAX_ATTACHMENTS} pièces jointes par email`, { count: attachments.length });
+  }
+
+  const { maxBytes, maxTotalBytes } = getAttachmentLimits();
+  const allowedHosts = getAllowedArtifactHosts();
+  let totalBytes = 0;
+
+  for (const attachment of attachments) {
+    const { filename, contentType } = attachment;
+
+    if (!ALLOWED_ATTACHMENT_MIME_TYPES.includes(String(contentType).toLowerCase())) {
+      throw createAttachmentError(`Type de pièce jointe non autorisé : ${contentType}`, { filename, contentType });
+    }
+
+    if (attachment.content) {
+      const size = getBase64Size(attachment.content);
+      if (size > maxBytes) {
+        throw createAttachmentError(`Pièce jointe trop volumineuse : ${filename}`, { filename, size, limit: maxBytes });
+      }
+      totalBytes += size;
+    } else if (attachment.artifactUrl) {
+      let host;
+      try {
+        host = new URL(attachment.artifactUrl).host.toLowerCase();
+      } catch (error) {
+        throw createAttachmentError(`Référence d'artefact invalide : ${filename}`, { filename });
+      }
+      if (!allowedHosts.includes(host)) {
+        throw createAttachmentError(`Hôte d'artefact non autorisé : ${host}`, { filename, host });
+      }
+    } else {
+      throw createAttachmentError(`Contenu manquant pour la pièce jointe : ${filename}`, { filename });
+    }
+  }
+
+  if (totalBytes > maxTotalBytes) {
+    throw createAttachmentError('Taille totale des pièces jointes dépassée', { size: totalBytes, limit: maxTotalBytes });
+  }
+}
+
+/**
+ * Télécharge un artefact référencé
+ * @param {Object} attachment - Pièce jointe avec artifactUrl
+ * @param {number} maxBytes - Taille maximale acceptée
+ * @returns {Promise<Buffer>} Contenu de l'artefact
+ */
+async function fetchArtifact(attachment, maxBytes) {
+  try {
+    const response = await axios.get(attachment.artifactUrl, {
+      responseType: 'arraybuffer',
+      timeout: parseInt(process.env.INTER_SERVICE_TIMEOUT) || 30000,
+      maxContentLength: maxBytes,
+      maxRedirects: 0
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+      throw createAttachmentError(`Pièce jointe trop volumineuse : ${attachment.filename}`, {
+        filename: attachment.filename,
+        limit: maxBytes
+      });
+    }
+    if (error.response && error.response.status < 500) {
+      throw createAttachmentError(`Artefact introuvable : ${attachment.filename}`, {
+        filename: attachment.filename,
+        status: error.response.status
+      });
+    }
+    // Erreurs réseau (ECONNREFUSED, ETIMEDOUT...) : laissées telles quelles pour le retry
+    throw error;
+  }
+}
+
+/**
+ * Prépare les pièces jointes pour l'envoi (décodage base64, téléchargement des artefacts)
+ * @param {Array<Object>} attachments - Pièces jointes demandées
+ * @returns {Promise<Array<Object>>} Pièces jointes au format nodemailer (content en Buffer)
+ */
+async function resolveAttachments(attachments) {
+  if (!attachments || attachments.length === 0) {
+    return [];
+  }
+
+  validateAttachments(attachments);
+
+  const { maxBytes, maxTotalBytes } = getAttachmentLimits();
+  const resolved = [];
+  let totalBytes = 0;
+
+  for (const attachment of attachments) {
+    const content = attachment.content
+      ? Buffer.from(attachment.content, 'base64')
+      : await fetchArtifact(attachment, maxBytes);
+
+    if (content.length > maxBytes) {
+      throw createAttachmentError(`Pièce jointe trop volumineuse : ${attachment.filename}`, {
+        filename: attachment.filename,
+        size: content.length,
+        limit: maxBytes
+      });
+    }
+
+    totalBytes += content.length;
+    if (totalBytes > maxTotalBytes) {
+      throw createAttachmentError('Taille totale des pièces jointes dépassée', { size: totalBytes, limit: maxTotalBytes });
+    }
+
+    resolved.push({
+      filename: attachment.filename,
+      content,
+      contentType: String(attachment.contentType).toLowerCase(),
+      contentDisposition: attachment.disposition || 'attachment',
+      ...(attachment.contentId ? { cid: attachment.contentId } : {})
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Empreinte SHA-256 d'un contenu base64 décodé
+ * @param {string} base64 - Contenu base64
+ * @returns {string} Empreinte hexadécimale
+ */
+function hashContent(base64) {
+  return crypto.createHash('sha256').update(Buffer.from(base64, 'base64')).digest('hex');
+}
+
+/**
+ * Références des pièces jointes conservées avec la notification (jamais le contenu)
+ * @param {Array<Object>} attachments - Pièces jointes demandées
+ * @returns {Array<Object>|null} { filename, contentType, disposition, contentId?, artifactUrl | size + sha256 }
+ */
+function summarizeAttachments(attachments) {
+  if (!attachments || attachments.length === 0) {
+    return null;
+  }
+
+  return attachments.map(attachment => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    disposition: attachment.disposition || 'attachment',
+    ...(attachment.contentId ? { contentId: attachment.contentId } : {}),
+    ...(attachment.artifactUrl
+      ? { artifactUrl: attachment.artifactUrl }
+      : { size: getBase64Size(attachment.content), sha256: hashContent(attachment.content) })
+  }));
+}
+
+/**
+ * Reconstitue les pièces jointes d'une notification rejouée
+ * Les artefacts sont retéléchargés à l'envoi ; un contenu base64 doit être refourni
+ * à l'identique (même empreinte SHA-256) dans le corps du retry
+ * @param {Array<Object>} references - Références conservées (summarizeAttachments)
+ * @param {Array<Object>} supplied - Pièces jointes refournies (content base64)
+ * @returns {Array<Object>} Pièces jointes à envoyer
+ * @throws {Error} ATTACHMENT_CONTENT_REQUIRED si un contenu manque
+ */
+function restoreAttachments(references, supplied = []) {
+  if (!references || references.length === 0) {
+    return [];
+  }
+
+  const contents = new Map((supplied || [])
+    .filter(attachment => attachment.content)
+    .map(attachment => [hashContent(attachment.content), attachment.content]));
+
+  return references.map(({ size, sha256, ...reference }) => {
+    if (reference.artifactUrl) {
+      return reference;
+    }
+
+    if (!contents.has(sha256)) {
+      const error = new Error(`Contenu de la pièce jointe à refournir pour le rejeu : ${reference.filename}`);
+      error.code = 'ATTACHMENT_CONTENT_REQUIRED';
+      error.statusCode = 409;
+      error.details = { filename: reference.filename, sha256 };
+      throw error;
+    }
+    return { ...reference, content: contents.get(sha256) };
+  });
+}
+
+/**
+ * Convertit les pièces jointes nodemailer au format de l'API SendGrid
+ * @param {Array<Object>} attachments - Pièces jointes résolues
+ * @returns {Array<Object>} Pièces jointes SendGrid (content base64)
+ */
+function toSendGridAttachments(attachments) {
+  return attachments.map(attachment => ({
+    content: attachment.content.toString('base64'),
+    filename: attachment.filename,
+    type: attachment.contentType,
+    disposition: attachment.contentDisposition || 'attachment',
+    ...(attachment.cid ? { content_id: attachment.cid } : {})
+  }));
+}
+
+module.exports = {
+  ALLOWED_ATTACHMENT_MIME_TYPES,
+  MAX_ATTACHMENTS,
+  createAttachmentError,
+  getAttachmentLimits,
+  validateAttachments,
+  resolveAttachments,
+  summarizeAttachments,
+  restoreAttachments,
+  toSendGridAttachments
+};
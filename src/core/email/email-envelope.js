@@ -0,0 +1,199 @@
+/**
+ * ✉️ ENVELOPPE DES EMAILS TRANSACTIONNELS
+ *
+ * RÔLE : Valider et préparer Reply-To, Cc, Bcc et les en-têtes personnalisés d'un envoi
+ * pour les deux chemins d'envoi (SMTP via nodemailer, SendGrid)
+ *
+ * - Reply-To prioritaire sur celui de l'identité d'expéditeur (ex: adresse de l'organisateur)
+ * - Cc / Bcc dédoublonnés : une adresse déjà destinataire n'est pas recopiée (SendGrid refuse les doublons)
+ * - En-têtes personnalisés limités à une liste blanche (EMAIL_CUSTOM_HEADERS_ALLOWED)
+ * - L'enveloppe conservée avec la notification garde aussi les options d'envoi nécessaires au rejeu
+ */
+
+const MAX_COPY_RECIPIENTS = 10;
+const MAX_HEADER_VALUE_LENGTH = 998;
+const DEFAULT_ALLOWED_HEADERS = ['X-Entity-Ref-ID', 'X-Event-ID', 'X-Organizer-ID', 'X-Campaign-ID'];
+
+// Options d'envoi rejouées telles quelles par POST /:notificationId/retry
+const REPLAYED_OPTIONS = [
+  'fromName',
+  'senderIdentity',
+  'calendarInvite',
+  'preheader',
+  'inlineCss',
+  'strictRender',
+  'trackOpens',
+  'trackClicks'
+];
+
+const EMAIL_PATTERN = /^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[^\s@<>()[\],;:"]+$/;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Crée une erreur d'enveloppe (non retryable)
+ * @param {string} message - Description du problème
+ * @param {Object} details - Contexte (field, value...)
+ * @returns {Error} Erreur avec code INVALID_EMAIL_ENVELOPE
+ */
+function createEnvelopeError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'INVALID_EMAIL_ENVELOPE';
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+/**
+ * En-têtes personnalisés autorisés
+ * Par défaut : X-Entity-Ref-ID, X-Event-ID, X-Organizer-ID, X-Campaign-ID ; remplacés par EMAIL_CUSTOM_HEADERS_ALLOWED
+ * @returns {Array<string>} Noms d'en-têtes (casse de référence)
+ */
+function getAllowedHeaders() {
+  const configured = (process.env.EMAIL_CUSTOM_HEADERS_ALLOWED || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => HEADER_NAME_PATTERN.test(name));
+
+  return configured.length > 0 ? configured : DEFAULT_ALLOWED_HEADERS;
+}
+
+function normalizeAddress(address, field) {
+  const normalized = String(address).trim();
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw createEnvelopeError(`Adresse ${field} invalide`, { field, value: normalized });
+  }
+  return normalized;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normalise une liste de copies en écartant les adresses déjà présentes
+ * @param {string|Array<string>} value - Adresse(s) fournie(s)
+ * @param {string} field - cc | bcc
+ * @param {Set<string>} seen - Adresses déjà destinataires (minuscules), complété au passage
+ * @returns {Array<string>} Adresses retenues
+ */
+function normalizeCopies(value, field, seen) {
+  const addresses = toList(value).map(address => normalizeAddress(address, field));
+  if (addresses.length > MAX_COPY_RECIPIENTS) {
+    throw createEnvelopeError(`Maximum ${MAX_COPY_RECIPIENTS} adresses en ${field}`, {
+      field,
+      count: addresses.length,
+      limit: MAX_COPY_RECIPIENTS
+    });
+  }
+
+  return addresses.filter((address) => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Valide les en-têtes personnalisés contre la liste blanche
+ * @param {Object} headers - { nom: valeur }
+ * @returns {Object} En-têtes avec la casse de la liste blanche
+ */
+function normalizeHeaders(headers) {
+  if (!headers || Object.keys(headers).length === 0) {
+    return {};
+  }
+
+  const allowed = getAllowedHeaders();
+  const normalized = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    const reference = allowed.find(allowedName => allowedName.toLowerCase() === name.toLowerCase());
+    if (!reference) {
+      throw createEnvelopeError(`En-tête ${name} non autorisé`, { field: 'headers', header: name, allowed });
+    }
+
+    const text = String(value);
+    if (CONTROL_CHARACTERS.test(text) || text.length > MAX_HEADER_VALUE_LENGTH) {
+      throw createEnvelopeError(`Valeur invalide pour l'en-tête ${reference}`, { field: 'headers', header: reference });
+    }
+    normalized[reference] = text;
+  }
+
+  return normalized;
+}
+
+/**
+ * Valide et normalise l'enveloppe d'un envoi
+ * @param {string} to - Destinataire principal
+ * @param {Object} options - Options d'envoi (replyTo, cc, bcc, headers)
+ * @returns {Object} { replyTo, cc, bcc, headers }
+ */
+function resolveEnvelope(to, options = {}) {
+  const seen = new Set(toList(to).map(address => String(address).trim().toLowerCase()));
+
+  return {
+    replyTo: options.replyTo ? normalizeAddress(options.replyTo, 'replyTo') : null,
+    cc: normalizeCopies(options.cc, 'cc', seen),
+    bcc: normalizeCopies(options.bcc, 'bcc', seen),
+    headers: normalizeHeaders(options.headers)
+  };
+}
+
+/**
+ * Champs Nodemailer correspondant à l'enveloppe (les en-têtes sont fusionnés par l'appelant)
+ * @param {Object} envelope - Enveloppe normalisée
+ * @returns {Object} { replyTo?, cc?, bcc? }
+ */
+function buildEnvelopeFields(envelope) {
+  return {
+    ...(envelope.replyTo ? { replyTo: envelope.replyTo } : {}),
+    ...(envelope.cc.length > 0 ? { cc: envelope.cc } : {}),
+    ...(envelope.bcc.length > 0 ? { bcc: envelope.bcc } : {})
+  };
+}
+
+/**
+ * Extrait des options ce qui est conservé pour l'audit et le rejeu de l'envoi
+ * Les pièces jointes n'y figurent pas : seules leurs références sont conservées (notifications.attachments)
+ * @param {Object} options - Options d'envoi
+ * @returns {Object|null} { replyTo, cc, bcc, headers, senderIdentity, calendarInvite, preheader, trackOpens... }
+ *   ou null si aucune option à conserver
+ */
+function summarizeEnvelope(options = {}) {
+  const summary = {};
+  if (options.replyTo) {
+    summary.replyTo = options.replyTo;
+  }
+  if (toList(options.cc).length > 0) {
+    summary.cc = toList(options.cc);
+  }
+  if (toList(options.bcc).length > 0) {
+    summary.bcc = toList(options.bcc);
+  }
+  if (options.headers && Object.keys(options.headers).length > 0) {
+    summary.headers = options.headers;
+  }
+  for (const name of REPLAYED_OPTIONS) {
+    if (options[name] !== undefined && options[name] !== null && options[name] !== '') {
+      summary[name] = options[name];
+    }
+  }
+
+  return Object.keys(summary).length > 0 ? summary : null;
+}
+
+module.exports = {
+  MAX_COPY_RECIPIENTS,
+  createEnvelopeError,
+  getAllowedHeaders,
+  resolveEnvelope,
+  buildEnvelopeFields,
+  summarizeEnvelope
+};
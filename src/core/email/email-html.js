@@ -0,0 +1,445 @@
+/**
+ * 📨 COMPATIBILITÉ HTML DES EMAILS
+ *
+ * RÔLE : Passe post-rendu appliquée par generateEmailContent
+ * - Inlining CSS : les règles des blocs <style> deviennent des attributs style (Gmail, Outlook)
+ * - Les media queries, @font-face et pseudo-classes non inlinables restent dans un <style>
+ * - Preheader caché (texte d'aperçu des messageries)
+ * - Avertissement au-delà de la limite de troncature de Gmail (~102 Ko)
+ *
+ * Sélecteurs inlinés : type, .classe, #id, *, combinaisons composées, descendant, enfant (>),
+ * :first-child et :last-child. Un <style data-embed> est laissé intact.
+ */
+
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const NON_STYLED_ELEMENTS = new Set(['html', 'head', 'meta', 'title', 'link', 'style', 'script', 'base']);
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(style|script)\b[^>]*>[\s\S]*?<\/\1\s*>|<\/?[a-zA-Z][^>]*>/gi;
+const COMPOUND_PATTERN = /^([a-zA-Z][a-zA-Z0-9-]*|\*)?((?:[.#][a-zA-Z0-9_-]+)*)((?::(?:first-child|last-child))*)$/;
+
+/**
+ * Options de la passe pour un envoi
+ * EMAIL_CSS_INLINE (défaut true), EMAIL_CSS_INLINE_DISABLED_TEMPLATES, options.inlineCss prioritaire
+ * @param {string} template - Nom du template
+ * @param {Object} data - Données du template (preheader)
+ * @param {Object} options - Options d'envoi (inlineCss, preheader)
+ * @returns {Object} { inlineCss, preheader, clipBytes }
+ */
+function resolveHtmlOptions(template, data = {}, options = {}) {
+  const disabledTemplates = (process.env.EMAIL_CSS_INLINE_DISABLED_TEMPLATES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const inlineCss = typeof options.inlineCss === 'boolean'
+    ? options.inlineCss
+    : process.env.EMAIL_CSS_INLINE !== 'false' && !disabledTemplates.includes(template);
+
+  return {
+    inlineCss,
+    preheader: options.preheader || data?.preheader || null,
+    clipBytes: parseInt(process.env.EMAIL_HTML_CLIP_WARN_BYTES, 10) || GMAIL_CLIP_BYTES
+  };
+}
+
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+    } else if (char === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(source.slice(start));
+  return parts;
+}
+
+function parseDeclarations(body) {
+  return splitTopLevel(body, ';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) {
+        return null;
+      }
+
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      let value = declaration.slice(colon + 1).trim();
+      const important = /!important\s*$/i.test(value);
+      if (important) {
+        value = value.replace(/\s*!important\s*$/i, '');
+      }
+
+      return property && value ? { property, value, important } : null;
+    })
+    .filter(Boolean);
+}
+
+function findClosingBrace(css, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < css.length; i += 1) {
+    if (css[i] === '{') {
+      depth += 1;
+    } else if (css[i] === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return css.length - 1;
+}
+
+/**
+ * Découpe un sélecteur en composants inlinables
+ * @returns {Object|null} { parts, specificity } ou null si le sélecteur n'est pas inlinable
+ */
+function parseSelector(selector) {
+  const tokens = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const parts = [];
+  const specificity = [0, 0, 0];
+  let combinator = ' ';
+
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+
+    const match = COMPOUND_PATTERN.exec(token);
+    if (!match || token === '') {
+      return null;
+    }
+
+    const tag = match[1] && match[1] !== '*' ? match[1].toLowerCase() : null;
+    const ids = (match[2].match(/#[a-zA-Z0-9_-]+/g) || []).map(id => id.slice(1));
+    const classes = (match[2].match(/\.[a-zA-Z0-9_-]+/g) || []).map(name => name.slice(1));
+    const pseudos = (match[3].match(/:[a-z-]+/g) || []).map(pseudo => pseudo.slice(1));
+
+    specificity[0] += ids.length;
+    specificity[1] += classes.length + pseudos.length;
+    specificity[2] += tag ? 1 : 0;
+    parts.push({ tag, ids, classes, pseudos, combinator: parts.length === 0 ? null : combinator });
+    combinator = ' ';
+  }
+
+  return parts.length > 0 ? { parts, specificity } : null;
+}
+
+/**
+ * Sépare une feuille de style en règles inlinables et en CSS à conserver
+ * @param {string} css - Contenu des blocs <style>
+ * @returns {Object} { rules, retained }
+ */
+function parseStylesheet(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  const retained = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{', index);
+    if (open === -1) {
+      break;
+    }
+
+    const prelude = source.slice(index, open).trim();
+
+    // At-rules sans bloc (@import, @charset) : conservés tels quels
+    if (prelude.startsWith('@') && prelude.includes(';')) {
+      const end = source.indexOf(';', index);
+      retained.push(source.slice(index, end + 1).trim());
+      index = end + 1;
+      continue;
+    }
+
+    const close = findClosingBrace(source, open);
+    const body = source.slice(open + 1, close);
+    index = close + 1;
+
+    if (prelude.startsWith('@')) {
+      retained.push(`${prelude} {${body}}`);
+      continue;
+    }
+
+    const declarations = parseDeclarations(body);
+    for (const selector of prelude.split(',').map(item => item.trim()).filter(Boolean)) {
+      const parsed = parseSelector(selector);
+      if (parsed) {
+        rules.push({ ...parsed, declarations, order: rules.length });
+      } else {
+        retained.push(`${selector} {${body}}`);
+      }
+    }
+  }
+
+  return { rules, retained };
+}
+
+function readAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Construit l'arbre des éléments (les textes ne sont pas représentés)
+ */
+function buildTree(tokens) {
+  const root = { name: '#root', children: [], parent: null };
+  const stack = [root];
+
+  tokens.forEach((token, tokenIndex) => {
+    if (token.type !== 'tag') {
+      return;
+    }
+
+    const closing = /^<\//.test(token.value);
+    const name = /^<\/?([a-zA-Z][a-zA-Z0-9-]*)/.exec(token.value)[1].toLowerCase();
+
+    if (closing) {
+      const position = stack.map(node => node.name).lastIndexOf(name);
+      if (position > 0) {
+        stack.length = position;
+      }
+      return;
+    }
+
+    const parent = stack[stack.length - 1];
+    const node = {
+      name,
+      tokenIndex,
+      parent,
+      children: [],
+      id: readAttribute(token.value, 'id'),
+      classes: (readAttribute(token.value, 'class') || '').split(/\s+/).filter(Boolean),
+      inHead: parent.inHead || name === 'head'
+    };
+    parent.children.push(node);
+
+    if (!VOID_ELEMENTS.has(name) && !/\/>$/.test(token.value)) {
+      stack.push(node);
+    }
+  });
+
+  return root;
+}
+
+function matchesCompound(node, part) {
+  if (!node || node.name === '#root') {
+    return false;
+  }
+  if (part.tag && node.name !== part.tag) {
+    return false;
+  }
+  if (part.ids.some(id => node.id !== id)) {
+    return false;
+  }
+  if (part.classes.some(name => !node.classes.includes(name))) {
+    return false;
+  }
+
+  const siblings = node.parent ? node.parent.children : [node];
+  return part.pseudos.every(pseudo =>
+    pseudo === 'first-child' ? siblings[0] === node : siblings[siblings.length - 1] === node,
+  );
+}
+
+function matchesSelector(node, parts, index = parts.length - 1) {
+  if (!matchesCompound(node, parts[index])) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+
+  if (parts[index].combinator === '>') {
+    return matchesSelector(node.parent, parts, index - 1);
+  }
+
+  for (let ancestor = node.parent; ancestor && ancestor.name !== '#root'; ancestor = ancestor.parent) {
+    if (matchesSelector(ancestor, parts, index - 1)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function compareWeight(a, b) {
+  for (let i = 0; i < a.weight.length; i += 1) {
+    if (a.weight[i] !== b.weight[i]) {
+      return a.weight[i] - b.weight[i];
+    }
+  }
+  return 0;
+}
+
+function computeStyle(node, rules, existingStyle) {
+  const candidates = [];
+
+  for (const rule of rules) {
+    if (matchesSelector(node, rule.parts)) {
+      for (const declaration of rule.declarations) {
+        candidates.push({ ...declaration, weight: [declaration.important ? 1 : 0, 0, ...rule.specificity, rule.order] });
+      }
+    }
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Le style déjà présent sur l'élément l'emporte sur la feuille de style (hors !important)
+  parseDeclarations(existingStyle || '').forEach((declaration, order) => {
+    candidates.push({ ...declaration, weight: [declaration.important ? 1 : 0, 1, 0, 0, 0, order] });
+  });
+
+  const resolved = new Map();
+  for (const candidate of candidates.sort(compareWeight)) {
+    resolved.delete(candidate.property);
+    resolved.set(candidate.property, candidate);
+  }
+
+  return Array.from(resolved.values())
+    .map(({ property, value, important }) => `${property}: ${value.replace(/"/g, '\'')}${important ? ' !important' : ''}`)
+    .join('; ');
+}
+
+function writeStyleAttribute(tag, style) {
+  const pattern = /\sstyle\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i;
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, ` style="${style}"`);
+  }
+  return tag.replace(/\s*(\/?)>$/, ` style="${style}"$1>`);
+}
+
+/**
+ * Inline les règles CSS des blocs <style> dans les attributs style des éléments
+ * @param {string} html - HTML rendu
+ * @returns {string} HTML inliné
+ */
+function inlineCss(html) {
+  if (!html || !/<style\b/i.test(html)) {
+    return html;
+  }
+
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: html.slice(lastIndex, match.index) });
+    }
+    const value = match[0];
+    const type = value.startsWith('<!--') ? 'comment' : match[1] ? match[1].toLowerCase() : 'tag';
+    tokens.push({ type, value });
+    lastIndex = TOKEN_PATTERN.lastIndex;
+  }
+  tokens.push({ type: 'text', value: html.slice(lastIndex) });
+
+  const styleTokens = tokens.filter(token => token.type === 'style' && !/^<style\b[^>]*\sdata-embed\b/i.test(token.value));
+  if (styleTokens.length === 0) {
+    return html;
+  }
+
+  const css = styleTokens.map(token => token.value.replace(/^<style\b[^>]*>/i, '').replace(/<\/style\s*>$/i, '')).join('\n');
+  const { rules, retained } = parseStylesheet(css);
+
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (!child.inHead && !NON_STYLED_ELEMENTS.has(child.name)) {
+        const token = tokens[child.tokenIndex];
+        const style = computeStyle(child, rules, readAttribute(token.value, 'style'));
+        if (style) {
+          token.value = writeStyleAttribute(token.value, style);
+        }
+      }
+      visit(child);
+    }
+  };
+  visit(buildTree(tokens));
+
+  // Le premier bloc garde ce qui ne peut pas être inliné (media queries...), les autres disparaissent
+  styleTokens.forEach((token, index) => {
+    token.value = index === 0 && retained.length > 0
+      ? `<style>\n${retained.join('\n')}\n</style>`
+      : '';
+  });
+
+  return tokens.map(token => token.value).join('');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Ajoute le preheader caché en tête du <body>
+ * Le remplissage évite que les messageries complètent l'aperçu avec le début du contenu
+ * @param {string} html - HTML
+ * @param {string} text - Texte d'aperçu
+ * @returns {string} HTML
+ */
+function insertPreheader(html, text) {
+  if (!html || !text) {
+    return html;
+  }
+
+  const preheader = '<div style="display: none; max-height: 0; max-width: 0; overflow: hidden; opacity: 0; '
+    + 'font-size: 1px; line-height: 1px; color: transparent; mso-hide: all;">'
+    + `${escapeHtml(text)}${'&nbsp;&zwnj;'.repeat(40)}</div>`;
+
+  return /<body\b[^>]*>/i.test(html)
+    ? html.replace(/<body\b[^>]*>/i, bodyTag => `${bodyTag}${preheader}`)
+    : `${preheader}${html}`;
+}
+
+/**
+ * Passe de compatibilité complète
+ * @param {string} html - HTML rendu
+ * @param {Object} htmlOptions - Résultat de resolveHtmlOptions
+ * @returns {Object} { html, bytes, clipped }
+ */
+function prepareEmailHtml(html, htmlOptions = {}) {
+  let output = html;
+  if (htmlOptions.inlineCss !== false) {
+    output = inlineCss(output);
+  }
+  output = insertPreheader(output, htmlOptions.preheader);
+
+  const bytes = Buffer.byteLength(output || '', 'utf8');
+  return {
+    html: output,
+    bytes,
+    clipped: bytes > (htmlOptions.clipBytes || GMAIL_CLIP_BYTES)
+  };
+}
+
+module.exports = {
+  GMAIL_CLIP_BYTES,
+  resolveHtmlOptions,
+  inlineCss,
+  insertPreheader,
+  prepareEmailHtml
+};
@@ -0,0 +1,123 @@
+/**
+ * 🧵 FILS DE DISCUSSION PAR ÉVÉNEMENT
+ *
+ * RÔLE : Regrouper dans un même fil tous les emails d'un événement (invitation, confirmation, rappel, annulation)
+ * - Message-ID déterministe : template, événement, destinataire (haché) et discriminant d'envoi
+ * - In-Reply-To / References vers une racine commune <event-{id}@domaine>, jamais envoyée
+ * - Le Message-ID est conservé avec la notification pour rattacher les webhooks (smtp-id SendGrid)
+ *
+ * L'événement est lu dans les données du template : eventId ou event.id (comme l'UID des invitations .ics)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_DOMAIN = 'eventplanner.local';
+
+/**
+ * Threading actif sauf EMAIL_THREADING_ENABLED=false
+ * @returns {boolean} true si les en-têtes de fil sont générés
+ */
+function isThreadingEnabled() {
+  return process.env.EMAIL_THREADING_ENABLED !== 'false';
+}
+
+/**
+ * Domaine des Message-ID (EMAIL_MESSAGE_ID_DOMAIN, sinon domaine de FROM_EMAIL)
+ * @returns {string} Domaine
+ */
+function getMessageIdDomain() {
+  if (process.env.EMAIL_MESSAGE_ID_DOMAIN) {
+    return process.env.EMAIL_MESSAGE_ID_DOMAIN;
+  }
+
+  const fromEmail = process.env.FROM_EMAIL || '';
+  return fromEmail.includes('@') ? fromEmail.split('@')[1] : DEFAULT_DOMAIN;
+}
+
+/**
+ * Identifiant d'événement des données du template
+ * @param {Object} data - Données du template
+ * @returns {string|null} Identifiant ou null
+ */
+function resolveEventId(data = {}) {
+  const id = data.eventId ?? data.event?.id ?? null;
+  return id === null || id === '' ? null : String(id);
+}
+
+// Caractères autorisés à gauche du @ d'un Message-ID (dot-atom)
+function toAtom(value) {
+  return String(value).replace(/[^A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+/g, '-');
+}
+
+/**
+ * Racine du fil d'un événement
+ * @param {string} eventId - Identifiant d'événement
+ * @returns {string} Message-ID racine entre chevrons
+ */
+function buildThreadRoot(eventId) {
+  return `<event-${toAtom(eventId)}@${getMessageIdDomain()}>`;
+}
+
+/**
+ * En-têtes de fil d'un envoi
+ * Le même envoi rejoué (même notification ou même version de l'événement) garde le même Message-ID
+ * @param {string} template - Template utilisé
+ * @param {Object} data - Données du template
+ * @param {string} to - Destinataire principal
+ * @param {Object} options - Options d'envoi (notificationId)
+ * @returns {Object|null} { messageId, inReplyTo, references } ou null sans événement
+ */
+function buildThreadHeaders(template, data = {}, to = '', options = {}) {
+  const eventId = resolveEventId(data);
+  if (!eventId || !isThreadingEnabled()) {
+    return null;
+  }
+
+  const recipientHash = crypto
+    .createHash('sha256')
+    .update(String(to).trim().toLowerCase())
+    .digest('hex')
+    .slice(0, 16);
+
+  const parts = [toAtom(template), `event-${toAtom(eventId)}`];
+  const sequence = data.eventSequence ?? data.event?.sequence;
+  if (sequence !== undefined && sequence !== null) {
+    parts.push(`s${toAtom(sequence)}`);
+  }
+  if (options.notificationId) {
+    parts.push(`n${toAtom(options.notificationId)}`);
+  }
+  parts.push(recipientHash);
+
+  const root = buildThreadRoot(eventId);
+  return {
+    messageId: `<${parts.join('.')}@${getMessageIdDomain()}>`,
+    inReplyTo: root,
+    references: [root]
+  };
+}
+
+/**
+ * Champs Nodemailer correspondant aux en-têtes de fil
+ * @param {Object|null} thread - Résultat de buildThreadHeaders
+ * @returns {Object} { messageId?, inReplyTo?, references? }
+ */
+function buildThreadFields(thread) {
+  if (!thread) {
+    return {};
+  }
+
+  return {
+    messageId: thread.messageId,
+    inReplyTo: thread.inReplyTo,
+    references: thread.references
+  };
+}
+
+module.exports = {
+  getMessageIdDomain,
+  resolveEventId,
+  buildThreadRoot,
+  buildThreadHeaders,
+  buildThreadFields
+};
@@ -1,43 +1,28 @@
-const nodemailer = require('nodemailer');
-const sendgridMail = require('@sendgrid/mail');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
 const notificationRepository = require('../database/notification.repository');
-const { renderTemplateContent } = require('../templates/template-renderer');
-
-function sanitizeProviderValue(value) {
-  if (value === undefined || value === null) {
-    return null;
-  }
-
-  const normalized = String(value).trim();
-  if (!normalized) {
-    return null;
-  }
-
-  const placeholderPatterns = [
-    /^your_/i,
-    /^SG\.your_/i,
-    /^your-email@/i,
-    /^your_email@/i,
-  ];
-
-  if (placeholderPatterns.some((pattern) => pattern.test(normalized))) {
-    return null;
+const suppressionService = require('../suppressions/suppression.service');
+const emailTrackingService = require('../tracking/email-tracking.service');
+const unsubscribeService = require('../preferences/unsubscribe.service');
+const { getTemplateCategory } = require('../preferences/notification-categories');
+const { renderTemplateContent, loadPartials, isStrictRender } = require('../templates/template-renderer');
+const { resolveAttachments, summarizeAttachments } = require('./email-attachments');
+const { resolveSenderIdentity, buildSenderFields, validateSenderIdentities } = require('./sender-identities');
+const { resolveEnvelope, buildEnvelopeFields, summarizeEnvelope } = require('./email-envelope');
+const { buildThreadHeaders, buildThreadFields } = require('./email-threading');
+const { assertDeliverableAddress, screenRecipients } = require('./address-quality');
+const { resolveHtmlOptions, prepareEmailHtml } = require('./email-html');
+const { buildCalendarAttachment } = require('./ics-generator');
+const emailProviderRegistry = require('./providers/email-provider.registry');
+
+function maskEmailAddress(email) {
+  const [localPart, domain] = String(email || '').split('@');
+  if (!localPart || !domain) {
+    return '***';
   }
 
-  const placeholderValues = new Set([
-    'your_email@gmail.com',
-    'your_app_password',
-    'your_sendgrid_api_key',
-  ]);
-
-  if (placeholderValues.has(normalized)) {
-    return null;
-  }
-
-  return normalized;
+  return `${localPart.charAt(0)}***@${domain}`;
 }
 
 function isMockEmailDeliveryEnabled() {
@@ -45,76 +30,40 @@ function isMockEmailDeliveryEnabled() {
 }
 
 /**
- * Service d'envoi d'emails transactionnels
- * Utilise Nodemailer (SMTP) + SendGrid fallback avec rendu template natif
+ * Service d'envoi d'emails transactionnels avec rendu template natif
+ * Les providers (SMTP, SendGrid...) sont des adapters routés par providers/email-provider.registry
  */
 class EmailService {
   constructor() {
-    this.smtpTransporter = null;
-    this.sendgridClient = null;
-    this.smtpConfigured = false;
-    this.sendgridConfigured = false;
+    this.providers = emailProviderRegistry;
     this.templates = new Map();
     this.initialized = false;
     this.initPromise = this.initialize();
   }
 
   /**
-   * Initialise les services email (SMTP + SendGrid)
+   * Initialise les providers email enregistrés et charge les templates
    */
   async initialize() {
     try {
-      // Initialiser Nodemailer (SMTP)
-      if (this.isSMTPConfigured()) {
-        this.smtpTransporter = nodemailer.createTransport({
-          host: sanitizeProviderValue(process.env.SMTP_HOST),
-          port: parseInt(process.env.SMTP_PORT) || 587,
-          secure: process.env.SMTP_SECURE === 'true',
-          auth: {
-            user: sanitizeProviderValue(process.env.SMTP_USER),
-            pass: sanitizeProviderValue(process.env.SMTP_PASS)
-          },
-          pool: true, // Connection pooling
-          maxConnections: 5,
-          maxMessages: 100,
-          tls: {
-            rejectUnauthorized: process.env.NODE_ENV === 'production'
-          }
-        });
-
-        // Vérifier la connexion SMTP
-        this.smtpTransporter.verify((error, success) => {
-          if (error) {
-            logger.warn('SMTP verification failed', { error: error.message });
-            this.smtpConfigured = false;
-          } else {
-            logger.info('SMTP service ready');
-            this.smtpConfigured = true;
-          }
-        });
-      }
-
-      // Initialiser SendGrid comme fallback
-      const sendgridApiKey = sanitizeProviderValue(process.env.SENDGRID_API_KEY);
-      if (sendgridApiKey) {
-        sendgridMail.setApiKey(sendgridApiKey);
-        this.sendgridConfigured = true;
-        logger.info('SendGrid service ready');
-      }
+      await this.providers.initialize();
 
       // Charger les templates Handlebars
       await this.loadTemplates();
 
+      const senderIdentities = validateSenderIdentities();
+      logger.info('Sender identities loaded', {
+        identities: senderIdentities.map(identity => identity.name),
+        dkim: senderIdentities.filter(identity => identity.dkim).map(identity => identity.name)
+      });
+
       logger.info('Email service initialized', {
-        smtp: this.smtpConfigured,
-        sendgrid: this.sendgridConfigured,
+        providers: Object.fromEntries(this.providers.list().map(adapter => [adapter.name, adapter.isReady()])),
         templates: this.templates.size
       });
 
     } catch (error) {
       logger.error('Failed to initialize email service', { error: error.message });
-      this.smtpConfigured = false;
-      this.sendgridConfigured = false;
     } finally {
       this.initialized = true;
     }
@@ -135,56 +84,6 @@ class EmailService {
     await this.initPromise;
   }
 
-  /**
-   * Vérifie si SMTP est configuré
-   */
-  isSMTPConfigured() {
-    return !!(
-      sanitizeProviderValue(process.env.SMTP_HOST) &&
-      sanitizeProviderValue(process.env.SMTP_USER) &&
-      sanitizeProviderValue(process.env.SMTP_PASS)
-    );
-  }
-
-  isRetryableSmtpError(error) {
-    const code = String(error?.code || '').toUpperCase();
-    const message = String(error?.message || '').toUpperCase();
-
-    return [
-      'ECONNRESET',
-      'ECONNREFUSED',
-      'ECONNECTION',
-      'ETIMEDOUT',
-      'ESOCKET',
-      'EPIPE'
-    ].includes(code) || message.includes('ECONNRESET') || message.includes('TIMEOUT');
-  }
-
-  recreateSmtpTransporter() {
-    if (!this.isSMTPConfigured()) {
-      this.smtpTransporter = null;
-      this.smtpConfigured = false;
-      return;
-    }
-
-    this.smtpTransporter = nodemailer.createTransport({
-      host: sanitizeProviderValue(process.env.SMTP_HOST),
-      port: parseInt(process.env.SMTP_PORT) || 587,
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: {
-        user: sanitizeProviderValue(process.env.SMTP_USER),
-        pass: sanitizeProviderValue(process.env.SMTP_PASS)
-      },
-      pool: true,
-      maxConnections: 5,
-      maxMessages: 100,
-      tls: {
-        rejectUnauthorized: process.env.NODE_ENV === 'production'
-      }
-    });
-    this.smtpConfigured = true;
-  }
-
   /**
    * Charge les templates depuis le système de fichiers
    */
@@ -200,6 +99,10 @@ class EmailService {
         return;
       }
 
+      // Layouts et partials partagés (templates/layouts, templates/partials), utilisés aussi par les templates DB
+      const partialCount = loadPartials(templatesDir);
+      logger.info(`Loaded ${partialCount} template layouts and partials`);
+
       const files = await fs.readdir(templatesDir);
       
       for (const file of files) {
@@ -218,106 +121,52 @@ class EmailService {
   }
 
   /**
-   * Envoie un email avec fallback automatique
+   * Envoie un email en essayant les providers dans l'ordre calculé par la politique de routage
    * @param {Object} mailOptions - Options de l'email
-   * @param {Object} options - Options additionnelles
+   * @param {Object} options - Options additionnelles (template pour les règles de routage)
    * @returns {Promise<Object>} Résultat de l'envoi
    */
   async sendEmailWithFallback(mailOptions, options = {}) {
     const startTime = Date.now();
-    
-    // Essayer SMTP d'abord
-    if (this.smtpConfigured) {
-      try {
-        const result = await this.smtpTransporter.sendMail(mailOptions);
-        const responseTime = Date.now() - startTime;
-        
-        logger.info('Email sent via SMTP', {
-          to: mailOptions.to,
-          messageId: result.messageId,
-          responseTime,
-          provider: 'smtp'
-        });
-        
-        return { 
-          success: true, 
-          provider: 'smtp', 
-          messageId: result.messageId,
-          responseTime
-        };
-      } catch (error) {
-        if (this.isRetryableSmtpError(error)) {
-          logger.warn('SMTP transient failure detected, retrying once with a fresh transporter', {
-            error: error.message,
-            code: error.code || null,
-            to: mailOptions.to
-          });
-
-          try {
-            this.recreateSmtpTransporter();
-            const retryResult = await this.smtpTransporter.sendMail(mailOptions);
-            const responseTime = Date.now() - startTime;
-
-            logger.info('Email sent via SMTP after retry', {
-              to: mailOptions.to,
-              messageId: retryResult.messageId,
-              responseTime,
-              provider: 'smtp'
-            });
-
-            return {
-              success: true,
-              provider: 'smtp',
-              messageId: retryResult.messageId,
-              responseTime
-            };
-          } catch (retryError) {
-            logger.warn('SMTP retry failed, trying SendGrid', {
-              error: retryError.message,
-              code: retryError.code || null,
-              to: mailOptions.to
-            });
-          }
-        }
+    const route = this.providers.resolveRoute({ to: mailOptions.to, template: options.template });
+    const attempted = [];
 
-        logger.warn('SMTP failed, trying SendGrid', { 
-          error: error.message,
-          to: mailOptions.to
-        });
+    for (const providerName of route.providers) {
+      const provider = this.providers.get(providerName);
+      if (!provider || !provider.isReady()) {
+        continue;
       }
-    }
 
-    // Fallback SendGrid
-    if (this.sendgridConfigured) {
-      try {
-        const msg = {
-          to: mailOptions.to,
-          from: mailOptions.from,
-          subject: mailOptions.subject,
-          text: mailOptions.text,
-          html: mailOptions.html
-        };
+      attempted.push(provider.name);
 
-        const result = await sendgridMail.send(msg);
+      try {
+        const result = await provider.send(mailOptions, {
+          template: options.template || null,
+          notificationId: options.notificationId || null
+        });
         const responseTime = Date.now() - startTime;
-        
-        logger.info('Email sent via SendGrid', {
+
+        logger.info(`Email sent via ${provider.name}`, {
           to: mailOptions.to,
-          messageId: result[0]?.headers?.['x-message-id'],
+          messageId: result.messageId,
           responseTime,
-          provider: 'sendgrid'
+          provider: provider.name,
+          routing: route.strategy
         });
-        
-        return { 
-          success: true, 
-          provider: 'sendgrid', 
-          messageId: result[0]?.headers?.['x-message-id'],
-          responseTime
+
+        return {
+          success: true,
+          provider: provider.name,
+          messageId: result.messageId,
+          responseTime,
+          ...(result.captureId ? { captureId: result.captureId } : {})
         };
       } catch (error) {
-        logger.error('SendGrid failed', { 
+        logger.warn(`Email provider ${provider.name} failed, trying next provider`, {
           error: error.message,
-          to: mailOptions.to
+          code: error.code || null,
+          to: mailOptions.to,
+          routing: route.strategy
         });
       }
     }
@@ -339,7 +188,7 @@ class EmailService {
         error: 'No real email provider configured',
         details: {
           message: 'Aucun provider email reel n est configure. Livraison simulee uniquement.',
-          attempted_services: ['SMTP', 'SendGrid', 'Mock']
+          attempted_services: [...attempted, 'mock']
         }
       };
     }
@@ -349,7 +198,8 @@ class EmailService {
       error: 'Tous les services email ont échoué',
       details: {
         message: 'Aucun service email disponible',
-        attempted_services: ['SMTP', 'SendGrid', 'Fallback']
+        attempted_services: attempted,
+        routing: route.strategy
       }
     };
   }
@@ -364,6 +214,7 @@ class EmailService {
     'account-activated',
     'account-suspended',
     'email-verification',
+    'otp',
     'password-reset',
     'password-changed',
     'security-alert',
@@ -417,13 +268,27 @@ class EmailService {
     try {
       await this.ensureInitialized();
 
+      // Qualité de l'adresse : syntaxe refusée, domaine jetable ou faute de frappe selon la politique
+      const addressCheck = assertDeliverableAddress(to);
+      if (addressCheck.verdict === 'warn') {
+        logger.warn('Email address quality warning', {
+          template,
+          issues: addressCheck.issues.map(issue => issue.code),
+          suggestion: addressCheck.suggestion
+        });
+      }
+
       const isSystemEmail = this.isSystemTemplate(template);
 
       // Pour les emails utilisateur (non-système), vérifier les préférences si userId fourni
       if (!isSystemEmail && options.userId) {
         try {
           const preferencesService = require('../preferences/preferences.service');
-          const preferenceCheck = await preferencesService.shouldSendNotification(options.userId, 'email');
+          const preferenceCheck = await preferencesService.shouldSendNotification(
+            options.userId,
+            'email',
+            getTemplateCategory(template)
+          );
 
           if (!preferenceCheck.shouldSend) {
             logger.info('Email skipped due to user preferences', {
@@ -462,51 +327,120 @@ class EmailService {
         }
       }
 
-      const { subject, html, text } = await this.generateEmailContent(template, data, options);
+      // Adresses en hard bounce / plainte : aucun appel SMTP ni SendGrid
+      const suppression = await this.checkSuppression(to, template);
+      if (suppression.suppressed) {
+        await this.recordEmailNotification(to, template, data, options, {
+          subject: data?.subject || null,
+          status: 'suppressed',
+          provider: 'suppression-list',
+          eventType: 'suppressed',
+          response: { suppressionReason: suppression.reason },
+          errorMessage: `Adresse en liste de suppression (${suppression.reason})`
+        });
+
+        return {
+          success: true,
+          skipped: true,
+          suppressed: true,
+          reason: 'email_suppressed',
+          details: {
+            channel: 'email',
+            suppressionReason: suppression.reason
+          }
+        };
+      }
+
+      // Reply-To, copies et en-têtes personnalisés : refusés avant tout rendu s'ils sont invalides
+      const envelope = resolveEnvelope(to, options);
+
+      // Désabonnement en un clic (RFC 8058) : lien dans le contenu et en-têtes List-Unsubscribe
+      const unsubscribe = isSystemEmail ? null : unsubscribeService.buildUnsubscribe(to, template, options);
+
+      const content = await this.generateEmailContent(
+        template,
+        unsubscribe ? { ...data, unsubscribeUrl: unsubscribe.url } : data,
+        options
+      );
+      const { subject } = content;
+      let { html, text } = content;
+      if (unsubscribe) {
+        html = unsubscribeService.ensureFooterLink(html, unsubscribe.url);
+        if (text && !text.includes(unsubscribe.url)) {
+          text = `${text}\n\nSe désabonner : ${unsubscribe.url}`;
+        }
+      }
       
+      const attachments = await resolveAttachments(options.attachments);
+
+      // Invitation calendrier pour les templates d'événement (sauf si un .ics est déjà fourni)
+      if (!attachments.some(attachment => attachment.contentType.startsWith('text/calendar'))) {
+        const calendarAttachment = buildCalendarAttachment(template, data, options, to);
+        if (calendarAttachment) {
+          attachments.push(calendarAttachment);
+        }
+      }
+
+      // Suivi ouvertures / clics : la notification est créée avant l'envoi pour signer les liens avec son ID
+      let trackedHtml = html;
+      let trackingPrecreated = false;
+      const tracking = emailTrackingService.resolveTracking(template, options);
+      if ((tracking.opens || tracking.clicks) && this.isTrackedNotification(template, options)) {
+        if (!options.notificationId) {
+          const notificationId = await this.recordEmailNotification(to, template, data, options, {
+            subject: subject || data?.subject || null,
+            status: 'sending',
+            provider: null,
+            response: { tracking }
+          });
+          if (notificationId) {
+            options = { ...options, notificationId };
+            trackingPrecreated = true;
+          }
+        }
+        trackedHtml = emailTrackingService.applyTracking(html, options.notificationId, tracking);
+      }
+
+      // Identité d'expéditeur : from, reply-to et signature DKIM
+      const senderIdentity = resolveSenderIdentity(template, options);
+
+      // Fil par événement : Message-ID déterministe, In-Reply-To / References vers la racine de l'événement
+      const thread = buildThreadHeaders(template, data, to, options);
+
       const mailOptions = {
-        from: `"${options.fromName || 'Event Planner'}" <${process.env.FROM_EMAIL || process.env.SMTP_USER}>`,
+        ...buildSenderFields(senderIdentity, options),
+        ...buildEnvelopeFields(envelope),
+        ...buildThreadFields(thread),
         to,
         subject,
-        html,
+        html: trackedHtml,
         text
       };
 
-      const result = await this.sendEmailWithFallback(mailOptions, options);
-
-      // Enregistrer la notification seulement pour les emails utilisateur (non-système) avec userId
-      if (!isSystemEmail && options.userId) {
-        try {
-          const notification = await notificationRepository.createNotification({
-            userId: options.userId,
-            type: template,
-            channel: 'email',
-            subject: subject || data?.subject || null,
-            content: `Email envoyé à ${to}`,
-            status: result.success ? 'sent' : 'failed',
-            sentAt: result.success ? new Date().toISOString() : null
-          });
+      if (attachments.length > 0) {
+        mailOptions.attachments = attachments;
+      }
 
-          // Créer un log avec les détails du provider
-          if (notification && notification.id) {
-            await notificationRepository.createNotificationLog({
-              notificationId: notification.id,
-              provider: result.provider || 'unknown',
-              response: result,
-              errorMessage: result.success ? null : (result.error || result.details?.message || null)
-            });
-          }
-        } catch (dbError) {
-          // Ne pas faire échouer l'envoi si l'enregistrement en DB échoue
-          logger.warn('Failed to record email notification in database', {
-            to,
-            template,
-            error: dbError.message
-          });
-        }
+      // Les en-têtes List-Unsubscribe ne sont jamais surchargés par les en-têtes personnalisés
+      const headers = { ...envelope.headers, ...(unsubscribe ? unsubscribe.headers : {}) };
+      if (Object.keys(headers).length > 0) {
+        mailOptions.headers = headers;
       }
 
-      return result;
+      const result = await this.sendEmailWithFallback(mailOptions, { ...options, template });
+
+      await this.recordEmailNotification(to, template, data, options, {
+        subject: subject || data?.subject || null,
+        status: result.success ? 'sent' : 'failed',
+        provider: result.provider || 'unknown',
+        providerMessageId: result.messageId || null,
+        messageId: thread ? thread.messageId : null,
+        response: result,
+        errorMessage: result.success ? null : (result.error || result.details?.message || null),
+        eventType: trackingPrecreated ? (result.success ? 'sent' : 'failed') : undefined
+      });
+
+      return addressCheck.verdict === 'warn' ? { ...result, addressWarnings: addressCheck.issues } : result;
     } catch (error) {
       logger.error('Failed to send transactional email', {
         to,
@@ -515,6 +449,26 @@ class EmailService {
         ip: options.ip
       });
 
+      // Adresse refusée, pièce jointe refusée, identité inconnue, enveloppe invalide ou variable manquante (mode strict) :
+      // inutile de réessayer
+      if ([
+        'INVALID_EMAIL_ADDRESS',
+        'INVALID_ATTACHMENT',
+        'INVALID_SENDER_IDENTITY',
+        'INVALID_EMAIL_ENVELOPE',
+        'TEMPLATE_VARIABLE_MISSING'
+      ].includes(error.code)) {
+        return {
+          success: false,
+          error: error.message,
+          details: {
+            code: error.code,
+            message: error.message,
+            ...error.details
+          }
+        };
+      }
+
       // Vérifier si l'erreur est retryable
       const isRetryable = this.isRetryableError(error);
 
@@ -522,6 +476,18 @@ class EmailService {
         // Mettre en queue un job retry
         try {
           const queueService = require('../queues/queue.service');
+          const retryCount = (options.retryCount || 0) + 1;
+
+          // Persister la notification avec statut pending pour que le job retry la mette à jour
+          const notificationId = await this.recordEmailNotification(to, template, data, options, {
+            subject: data?.subject || null,
+            status: 'queued',
+            provider: 'queue',
+            eventType: 'retry_queued',
+            response: { retryQueued: true, retryCount },
+            errorMessage: error.message
+          });
+
           const jobData = {
             type: 'email-retry',
             to,
@@ -529,7 +495,8 @@ class EmailService {
             data,
             options: {
               ...options,
-              retryCount: (options.retryCount || 0) + 1
+              notificationId: notificationId || options.notificationId,
+              retryCount
             },
             originalError: error.message
           };
@@ -542,36 +509,6 @@ class EmailService {
             retryCount: jobData.options.retryCount
           });
 
-          // Persister la notification avec statut pending (seulement pour emails utilisateur avec userId)
-          if (!this.isSystemTemplate(template) && options.userId) {
-            try {
-              const notification = await notificationRepository.createNotification({
-                userId: options.userId,
-                type: template,
-                channel: 'email',
-                subject: data?.subject || null,
-                content: `Email en attente de retry pour ${to}`,
-                status: 'pending',
-                sentAt: null
-              });
-
-              if (notification && notification.id) {
-                await notificationRepository.createNotificationLog({
-                  notificationId: notification.id,
-                  provider: 'queue',
-                  response: { retryQueued: true, retryCount: jobData.options.retryCount },
-                  errorMessage: error.message
-                });
-              }
-            } catch (dbError) {
-              logger.warn('Failed to record pending notification in database', {
-                to,
-                template,
-                error: dbError.message
-              });
-            }
-          }
-
           return {
             success: false,
             retryQueued: true,
@@ -602,6 +539,143 @@ class EmailService {
     }
   }
 
+  /**
+   * Vérifie la liste de suppression pour un destinataire
+   * Les templates système ignorent les raisons configurées dans SUPPRESSION_SYSTEM_OVERRIDE_REASONS
+   * @param {string} to - Email du destinataire
+   * @param {string} template - Template utilisé
+   * @returns {Promise<Object>} { suppressed, reason }
+   */
+  async checkSuppression(to, template) {
+    try {
+      const check = await suppressionService.checkEmail(to, {
+        isSystemTemplate: this.isSystemTemplate(template)
+      });
+
+      if (check.overridden) {
+        logger.email('Suppression overridden for system template', {
+          template,
+          suppressionReason: check.reason
+        });
+      }
+
+      return check;
+    } catch (error) {
+      // En cas d'indisponibilité de la liste, on envoie par défaut (comme pour les préférences)
+      logger.warn('Failed to check email suppression list, sending by default', {
+        template,
+        error: error.message
+      });
+      return { suppressed: false, reason: null };
+    }
+  }
+
+  /**
+   * Sépare les destinataires d'un lot entre autorisés et supprimés
+   * Même politique que checkSuppression : liste indisponible, tout le lot est envoyé
+   * @param {Array<Object|string>} recipients - Destinataires ({ email } ou adresse)
+   * @param {string} template - Template utilisé
+   * @returns {Promise<Object>} { allowed, suppressed }
+   */
+  async partitionSuppressedRecipients(recipients, template) {
+    try {
+      return await suppressionService.partitionRecipients(recipients, {
+        isSystemTemplate: this.isSystemTemplate(template)
+      });
+    } catch (error) {
+      logger.warn('Failed to check email suppression list for bulk email, sending by default', {
+        template,
+        recipientCount: recipients.length,
+        error: error.message
+      });
+      return { allowed: recipients, suppressed: [] };
+    }
+  }
+
+  /**
+   * Indique si l'envoi est historisé dans notifications (rejeu, ou template utilisateur avec userId)
+   * @param {string} template - Template utilisé
+   * @param {Object} options - Options d'envoi (userId, notificationId)
+   * @returns {boolean} True si une notification est (ou sera) enregistrée
+   */
+  isTrackedNotification(template, options) {
+    return Boolean(options.notificationId || (!this.isSystemTemplate(template) && options.userId));
+  }
+
+  /**
+   * Enregistre (ou met à jour lors d'un rejeu) la notification email en base
+   * Le destinataire, le template, ses données et l'enveloppe (Reply-To, Cc, Bcc, en-têtes) sont conservés
+   * pour l'audit et pour permettre un retry exact
+   * @param {string} to - Email du destinataire
+   * @param {string} template - Template utilisé
+   * @param {Object} data - Données du template
+   * @param {Object} options - Options d'envoi (userId, notificationId)
+   * @param {Object} delivery - Résultat de livraison (status, provider, providerMessageId, messageId, response, errorMessage, eventType)
+   * @returns {Promise<number|null>} ID de la notification enregistrée
+   */
+  async recordEmailNotification(to, template, data, options, delivery) {
+    if (!this.isTrackedNotification(template, options)) {
+      return null;
+    }
+
+    try {
+      // Rejeu ou retry : la transition est historisée par le repository
+      if (options.notificationId) {
+        const updated = await notificationRepository.updateNotificationStatus(options.notificationId, delivery.status, {
+          sentAt: delivery.status === 'sent' ? new Date().toISOString() : null,
+          provider: delivery.provider,
+          providerMessageId: delivery.providerMessageId,
+          messageId: delivery.messageId,
+          response: delivery.response,
+          errorMessage: delivery.errorMessage,
+          eventType: delivery.eventType || 'resend'
+        });
+        return updated ? updated.id : null;
+      }
+
+      const notification = await notificationRepository.createNotification({
+        userId: options.userId,
+        type: template,
+        channel: 'email',
+        subject: delivery.subject,
+        content: `Email envoyé à ${maskEmailAddress(to)}`,
+        status: delivery.status,
+        sentAt: delivery.status === 'sent' ? new Date().toISOString() : null,
+        recipient: to,
+        templateName: template,
+        templateData: data || {},
+        emailEnvelope: summarizeEnvelope(options),
+        provider: delivery.provider,
+        providerMessageId: delivery.providerMessageId,
+        attachments: summarizeAttachments(options.attachments),
+        messageId: delivery.messageId
+      });
+
+      // Créer un log avec les détails du provider
+      if (notification && notification.id) {
+        await notificationRepository.createNotificationLog({
+          notificationId: notification.id,
+          provider: delivery.provider || 'unknown',
+          response: delivery.response,
+          errorMessage: delivery.errorMessage,
+          status: delivery.status,
+          eventType: 'created'
+        });
+      }
+
+      return notification ? notification.id : null;
+    } catch (dbError) {
+      // Ne pas faire échouer l'envoi si l'enregistrement en DB échoue
+      logger.warn('Failed to record email notification in database', {
+        to,
+        template,
+        notificationId: options.notificationId,
+        error: dbError.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Génère le contenu d'un email avec template DB en priorité
    * @param {string} template - Nom du template
@@ -612,6 +686,8 @@ class EmailService {
   async generateEmailContent(template, data, options = {}) {
     try {
       let html, text, subject;
+      // Mode strict : une variable manquante fait échouer l'envoi au lieu de laisser un blanc
+      const strict = isStrictRender(options);
 
       // 1. Essayer de récupérer le template depuis la DB
       const templatesService = require('../templates/templates.service');
@@ -619,7 +695,7 @@ class EmailService {
 
       if (dbTemplate) {
         // Utiliser le template DB
-        const rendered = await templatesService.renderTemplate(dbTemplate, data);
+        const rendered = await templatesService.renderTemplate(dbTemplate, data, { strict });
         subject = rendered.subject;
         html = rendered.htmlContent;
         text = rendered.textContent;
@@ -632,11 +708,14 @@ class EmailService {
           try {
             const compiledData = { ...data, ...options };
             console.log(`[DEBUG] Rendering template ${template} from filesystem with data:`, Object.keys(compiledData));
-            html = renderTemplateContent(templateContent, compiledData);
+            html = renderTemplateContent(templateContent, compiledData, { strict });
             console.log(`[DEBUG] Template ${template} rendered successfully, HTML length:`, html.length);
             text = this.htmlToText(html);
             subject = data.subject || this.getDefaultSubject(template);
           } catch (templateError) {
+            if (templateError.code === 'TEMPLATE_VARIABLE_MISSING') {
+              throw templateError;
+            }
             console.error(`[DEBUG] Template rendering failed for ${template}:`, templateError.message);
             html = this.generateFallbackHTML(template, data, options);
             text = this.htmlToText(html);
@@ -650,10 +729,10 @@ class EmailService {
 
           if (templateContent) {
             const compiledData = { ...data, ...options };
-            html = renderTemplateContent(templateContent, compiledData);
+            html = renderTemplateContent(templateContent, compiledData, { strict });
             text = this.htmlToText(html);
             subject = data.subject || this.getDefaultSubject(template);
-            return { html, text, subject };
+            return this.finalizeEmailContent(template, data, options, { html, text, subject });
           }
 
           console.log(`[DEBUG] Template ${template} not found in DB or filesystem, using default template`);
@@ -665,8 +744,11 @@ class EmailService {
         }
       }
 
-      return { html, text, subject };
+      return this.finalizeEmailContent(template, data, options, { html, text, subject });
     } catch (error) {
+      if (error.code === 'TEMPLATE_VARIABLE_MISSING') {
+        throw error;
+      }
       console.error(`[DEBUG] generateEmailContent failed for ${template}:`, error.message);
       logger.error('Failed to generate email content', {
         template,
@@ -685,6 +767,30 @@ class EmailService {
     }
   }
 
+  /**
+   * Passe post-rendu : inlining CSS, preheader et contrôle de la taille (troncature Gmail)
+   * @param {string} template - Nom du template
+   * @param {Object} data - Données du template
+   * @param {Object} options - Options (inlineCss, preheader)
+   * @param {Object} content - { html, text, subject } rendus
+   * @returns {Object} Contenu avec le HTML final
+   */
+  finalizeEmailContent(template, data, options, content) {
+    if (!content.html) {
+      return content;
+    }
+
+    const prepared = prepareEmailHtml(content.html, resolveHtmlOptions(template, data, options));
+    if (prepared.clipped) {
+      logger.warn('Email HTML exceeds Gmail clipping limit', {
+        template,
+        bytes: prepared.bytes
+      });
+    }
+
+    return { ...content, html: prepared.html };
+  }
+
   /**
    * Génère un HTML de fallback simple en cas d'erreur de template
    */
@@ -809,10 +915,42 @@ class EmailService {
   async queueBulkEmail(recipients, template, data, options = {}) {
     try {
       const queueService = require('../queues/queue.service');
-      
+
+      // Les adresses refusées par la politique de qualité sont écartées, les avertissements remontés
+      const { accepted, rejected, warnings } = screenRecipients(recipients);
+      if (accepted.length === 0) {
+        return {
+          success: false,
+          skipped: true,
+          queued: 0,
+          suppressed: 0,
+          rejected,
+          addressWarnings: warnings
+        };
+      }
+
+      // Les adresses supprimées sont écartées avant la mise en file
+      const { allowed, suppressed } = await this.partitionSuppressedRecipients(accepted, template);
+
+      if (allowed.length === 0) {
+        logger.email('Bulk email skipped, all recipients suppressed', {
+          template,
+          suppressedCount: suppressed.length
+        });
+
+        return {
+          success: true,
+          skipped: true,
+          suppressed: suppressed.length,
+          queued: 0,
+          rejected,
+          addressWarnings: warnings
+        };
+      }
+
       const jobData = {
         type: 'bulk-email',
-        recipients,
+        recipients: allowed,
         template,
         data,
         options,
@@ -823,11 +961,19 @@ class EmailService {
       
       logger.email('Bulk email queued', {
         template,
-        recipientsCount: recipients.length,
+        recipientsCount: allowed.length,
+        suppressedCount: suppressed.length,
+        rejectedCount: rejected.length,
         jobId: result.jobId
       });
 
-      return result;
+      return {
+        ...result,
+        queued: allowed.length,
+        suppressed: suppressed.length,
+        rejected,
+        addressWarnings: warnings
+      };
     } catch (error) {
       logger.error('Failed to queue bulk email', {
         recipientCount: recipients.length,
@@ -957,6 +1103,7 @@ class EmailService {
     const subjects = {
       'welcome': 'Bienvenue sur Event Planner !',
       'email-verification': 'Votre code de verification Event Planner',
+      'otp': 'Votre code Event Planner',
       'password-reset': 'Reinitialisation de votre mot de passe',
       'event-confirmation': 'Confirmation de votre inscription',
       'event-invitation': 'Vous etes invite a un evenement',
@@ -1008,6 +1155,19 @@ class EmailService {
           </div>
         `
       },
+      'otp': {
+        subject: 'Votre code Event Planner',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">
+            <p style="margin: 0 0 12px;">Voici votre code a usage unique :</p>
+            <div style="margin: 0 0 20px; padding: 18px; text-align: center; border-radius: 10px; background: #eff6ff; border: 1px solid #bfdbfe;">
+              <div style="font-size: 28px; letter-spacing: 8px; font-weight: 700; color: #1d4ed8;">{{otpCode}}</div>
+            </div>
+            <p style="margin: 0 0 8px;">Ce code expire dans {{expiresInMinutes}} minutes et ne peut servir qu'une fois.</p>
+            <p style="margin: 0; color: #6b7280;">Ne le communiquez a personne. Si vous n'avez rien demande, ignorez cet email.</p>
+          </div>
+        `
+      },
       'password-reset': {
         subject: 'Reinitialisation de votre mot de passe',
         html: `
@@ -1047,29 +1207,8 @@ class EmailService {
    */
   async healthCheck() {
     try {
-      const results = {
-        smtp: { configured: this.smtpConfigured, status: 'unknown' },
-        sendgrid: { configured: this.sendgridConfigured, status: 'unknown' }
-      };
-
-      // Tester SMTP
-      if (this.smtpConfigured && this.smtpTransporter) {
-        try {
-          await this.smtpTransporter.verify();
-          results.smtp.status = 'healthy';
-        } catch (error) {
-          results.smtp.status = 'unhealthy';
-          results.smtp.error = error.message;
-        }
-      }
-
-      // Tester SendGrid
-      if (this.sendgridConfigured) {
-        results.sendgrid.status = 'healthy';
-      }
-
-      const overallHealthy = (this.smtpConfigured && results.smtp.status === 'healthy') ||
-                           (this.sendgridConfigured && results.sendgrid.status === 'healthy');
+      const results = await this.providers.healthCheck();
+      const overallHealthy = Object.values(results).some(result => result.configured && result.status === 'healthy');
 
       return {
         success: true,
@@ -1094,16 +1233,7 @@ class EmailService {
   getStats() {
     return {
       mockDeliveryEnabled: isMockEmailDeliveryEnabled(),
-      providers: {
-        smtp: {
-          configured: this.smtpConfigured,
-          host: sanitizeProviderValue(process.env.SMTP_HOST),
-          port: process.env.SMTP_PORT
-        },
-        sendgrid: {
-          configured: this.sendgridConfigured
-        }
-      },
+      providers: this.providers.getStats(),
       templates: {
         loaded: this.templates.size,
         available: Array.from(this.templates.keys())
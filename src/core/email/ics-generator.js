@@ -0,0 +1,421 @@
+/**
+ * 📅 GÉNÉRATEUR D'INVITATIONS ICALENDAR (.ics)
+ *
+ * RÔLE : Produire un VEVENT (RFC 5545 / iTIP RFC 5546) à partir des données
+ * déjà transmises aux templates d'événement (eventName, eventDate, eventTime,
+ * eventLocation, eventId, frontendUrl...)
+ *
+ * - request : invitation initiale, confirmation ou rappel (METHOD:REQUEST, SEQUENCE inchangée)
+ * - update  : modification, même UID avec SEQUENCE supérieure (METHOD:REQUEST)
+ * - cancel  : annulation, même UID (METHOD:CANCEL, STATUS:CANCELLED)
+ *
+ * Seuls update et cancel incrémentent la SEQUENCE : une confirmation ou un rappel
+ * ne doit pas réinitialiser la réponse (RSVP) déjà donnée par le participant.
+ *
+ * L'UID est dérivé de l'eventId : toutes les versions d'un événement
+ * remplacent la même entrée dans le calendrier du participant.
+ * Sans eventId, update et cancel ne sont pas générés (ils ne retrouveraient pas l'invitation d'origine).
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const ICS_METHODS = {
+  request: 'REQUEST',
+  update: 'REQUEST',
+  cancel: 'CANCEL'
+};
+
+// Type d'invitation envoyé automatiquement avec chaque template d'événement
+const TEMPLATE_CALENDAR_KINDS = {
+  'event-invitation': 'request',
+  'event_invitation': 'request',
+  'event-confirmation': 'request',
+  'event-reminder': 'request',
+  'event-cancelled': 'cancel'
+};
+
+const DEFAULT_EVENT_DURATION_MINUTES = 120;
+
+/**
+ * Échappe une valeur TEXT (RFC 5545 §3.3.11)
+ * @param {string} value - Texte brut
+ * @returns {string} Texte échappé
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Replie une ligne à 75 octets (RFC 5545 §3.1) sans couper un caractère UTF-8
+ * @param {string} line - Ligne de contenu
+ * @returns {string} Ligne repliée (CRLF + espace)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Valeur de paramètre (CN=...) : guillemets obligatoires si elle contient : ; ou ,
+ * @param {string} value - Valeur brute
+ * @returns {string} Valeur de paramètre
+ */
+function quoteParam(value) {
+  const cleaned = String(value).replace(/["\r\n]/g, '');
+  return /[:;,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * Décalage (ms) d'un fuseau IANA à un instant donné
+ * @param {number} timestamp - Instant UTC en ms
+ * @param {string} timeZone - Fuseau IANA (ex: Africa/Abidjan)
+ * @returns {number} Décalage heure locale - UTC
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - timestamp;
+}
+
+/**
+ * Convertit une heure murale d'un fuseau en instant UTC
+ * @param {number} wallTime - Heure murale exprimée comme un timestamp UTC
+ * @param {string} timeZone - Fuseau IANA
+ * @returns {number} Instant UTC en ms
+ */
+function zonedWallTimeToUtc(wallTime, timeZone) {
+  const offset = getTimeZoneOffset(wallTime, timeZone);
+  const utc = wallTime - offset;
+  const correctedOffset = getTimeZoneOffset(utc, timeZone);
+  return correctedOffset === offset ? utc : wallTime - correctedOffset;
+}
+
+/**
+ * Interprète la date/heure d'un événement
+ * Formats acceptés : ISO avec fuseau (UTC), ISO sans fuseau ou YYYY-MM-DD + HH:mm (heure locale),
+ * YYYY-MM-DD seul (journée entière)
+ * @param {string|Date} dateValue - Date de l'événement
+ * @param {string} timeValue - Heure séparée (ex: 18:30 ou 18h30)
+ * @param {string|null} timeZone - Fuseau IANA pour l'heure locale
+ * @returns {Object|null} { kind: 'utc'|'floating'|'date', time } ou null si illisible
+ */
+function parseEventDateTime(dateValue, timeValue, timeZone) {
+  if (!dateValue) {
+    return null;
+  }
+
+  if (dateValue instanceof Date) {
+    return Number.isNaN(dateValue.getTime()) ? null : { kind: 'utc', time: dateValue.getTime() };
+  }
+
+  const raw = String(dateValue).trim();
+  const isoMatch = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!isoMatch) {
+    return null;
+  }
+
+  const [, year, month, day, isoHour, isoMinute, isoSecond, zone] = isoMatch;
+
+  if (zone) {
+    const parsed = new Date(raw);
+    return Number.isNaN(parsed.getTime()) ? null : { kind: 'utc', time: parsed.getTime() };
+  }
+
+  let hour = isoHour;
+  let minute = isoMinute;
+  if (hour === undefined && timeValue) {
+    const timeMatch = String(timeValue).trim().match(/^(\d{1,2})\s*[:hH]\s*(\d{2})?/);
+    if (timeMatch) {
+      hour = timeMatch[1];
+      minute = timeMatch[2] || '00';
+    }
+  }
+
+  if (hour === undefined) {
+    return { kind: 'date', time: Date.UTC(Number(year), Number(month) - 1, Number(day)) };
+  }
+
+  const wallTime = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(isoSecond || 0));
+
+  if (timeZone) {
+    try {
+      return { kind: 'utc', time: zonedWallTimeToUtc(wallTime, timeZone) };
+    } catch (error) {
+      logger.warn('Invalid calendar time zone, using floating time', { timeZone, error: error.message });
+    }
+  }
+
+  // Heure "flottante" : interprétée dans le fuseau du calendrier du participant
+  return { kind: 'floating', time: wallTime };
+}
+
+/**
+ * Formate une date pour une propriété DTSTART/DTEND
+ * @param {Object} moment - { kind, time }
+ * @returns {string} Valeur iCalendar
+ */
+function formatMoment(moment) {
+  const date = new Date(moment.time);
+  const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+  if (moment.kind === 'date') {
+    return day;
+  }
+
+  const time = `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+  return `${day}T${time}${moment.kind === 'utc' ? 'Z' : ''}`;
+}
+
+function formatDateProperty(name, moment) {
+  return moment.kind === 'date'
+    ? `${name};VALUE=DATE:${formatMoment(moment)}`
+    : `${name}:${formatMoment(moment)}`;
+}
+
+/**
+ * Domaine utilisé pour les UID (ICS_UID_DOMAIN, sinon domaine de FROM_EMAIL)
+ * @returns {string} Domaine
+ */
+function getUidDomain() {
+  if (process.env.ICS_UID_DOMAIN) {
+    return process.env.ICS_UID_DOMAIN;
+  }
+
+  const fromEmail = process.env.FROM_EMAIL || '';
+  return fromEmail.includes('@') ? fromEmail.split('@')[1] : 'eventplanner.local';
+}
+
+/**
+ * UID stable d'un événement
+ * Sans eventId, seule une invitation initiale reçoit un UID de repli (titre, date, lieu), qui change si l'événement est reprogrammé
+ * @param {Object} event - Données normalisées de l'événement
+ * @param {string} kind - request | update | cancel
+ * @returns {string|null} UID identique pour toutes les versions de l'événement, null si update / cancel sans eventId
+ */
+function buildEventUid(event, kind) {
+  if (event.id !== undefined && event.id !== null && event.id !== '') {
+    return `event-${event.id}@${getUidDomain()}`;
+  }
+
+  if (kind !== 'request') {
+    logger.warn('Calendar invite skipped, eventId is required to update or cancel an event', { kind, title: event.title });
+    return null;
+  }
+
+  logger.warn('Calendar invite without eventId, a reschedule will not replace it', { title: event.title });
+  const key = crypto.createHash('sha256').update(`${event.title}|${event.rawDate}|${event.location || ''}`).digest('hex').slice(0, 32);
+  return `event-${key}@${getUidDomain()}`;
+}
+
+/**
+ * Extrait les données d'événement des données de template
+ * Accepte les variables plates (eventName, eventDate...) et l'objet event (event.title, event.date...)
+ * @param {Object} data - Données du template
+ * @returns {Object} Données normalisées
+ */
+function extractEventData(data = {}) {
+  const event = data.event || {};
+  const id = data.eventId ?? event.id ?? null;
+  const frontendUrl = data.frontendUrl || null;
+
+  return {
+    id,
+    title: data.eventName || data.eventTitle || event.title || event.name || null,
+    rawDate: data.eventStartDate || data.eventDate || event.startDate || event.date || null,
+    time: data.eventTime || event.time || null,
+    rawEndDate: data.eventEndDate || event.endDate || null,
+    endTime: data.eventEndTime || event.endTime || null,
+    location: data.eventLocation || event.location || null,
+    description: data.eventDescription || data.description || event.description || null,
+    url: data.eventUrl || event.url || (frontendUrl && id !== null ? `${frontendUrl}/events/${id}` : null),
+    timeZone: data.eventTimezone || event.timezone || process.env.ICS_DEFAULT_TIMEZONE || null,
+    durationMinutes: parseInt(data.eventDurationMinutes || event.durationMinutes || process.env.ICS_DEFAULT_EVENT_DURATION_MINUTES, 10) || DEFAULT_EVENT_DURATION_MINUTES,
+    sequence: data.eventSequence ?? event.sequence ?? null,
+    organizerName: data.organizerName || null,
+    cancellationReason: data.cancellationReason || null
+  };
+}
+
+/**
+ * Génère un fichier .ics pour un événement
+ * @param {Object} data - Données du template d'événement
+ * @param {Object} params - kind (request|update|cancel), attendeeEmail, attendeeName
+ * @returns {string|null} Contenu iCalendar (CRLF) ou null si l'événement n'est pas datable ou, pour update / cancel, sans eventId
+ */
+function generateEventIcs(data, params = {}) {
+  const kind = ICS_METHODS[params.kind] ? params.kind : 'request';
+  const event = extractEventData(data);
+
+  const start = parseEventDateTime(event.rawDate, event.time, event.timeZone);
+  if (!event.title || !start) {
+    return null;
+  }
+
+  const uid = buildEventUid(event, kind);
+  if (!uid) {
+    return null;
+  }
+
+  let end = parseEventDateTime(event.rawEndDate, event.endTime || event.time, event.timeZone);
+  if (!end || end.kind !== start.kind || end.time <= start.time) {
+    end = start.kind === 'date'
+      ? { kind: 'date', time: start.time + 24 * 60 * 60 * 1000 }
+      : { kind: start.kind, time: start.time + event.durationMinutes * 60 * 1000 };
+  }
+
+  // Sans séquence fournie, l'horodatage garantit qu'une mise à jour ou une annulation l'emporte ;
+  // une invitation, une confirmation ou un rappel restent à la séquence initiale
+  const sequence = event.sequence !== null && Number.isInteger(Number(event.sequence))
+    ? Number(event.sequence)
+    : (kind === 'request' ? 0 : Math.floor(Date.now() / 1000));
+
+  const organizerEmail = process.env.FROM_EMAIL || process.env.SMTP_USER || null;
+  const organizerName = event.organizerName || process.env.FROM_NAME || 'Event Planner';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Event Planner//Notification Service//FR',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${ICS_METHODS[kind]}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatMoment({ kind: 'utc', time: Date.now() })}`,
+    formatDateProperty('DTSTART', start),
+    formatDateProperty('DTEND', end),
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  const description = kind === 'cancel' && event.cancellationReason ? event.cancellationReason : event.description;
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (organizerEmail) {
+    lines.push(`ORGANIZER;CN=${quoteParam(organizerName)}:mailto:${organizerEmail}`);
+  }
+  if (params.attendeeEmail) {
+    const attendeeParams = [
+      params.attendeeName ? `CN=${quoteParam(params.attendeeName)}` : null,
+      'ROLE=REQ-PARTICIPANT',
+      kind === 'cancel' ? null : 'PARTSTAT=NEEDS-ACTION',
+      kind === 'cancel' ? null : 'RSVP=TRUE'
+    ].filter(Boolean).join(';');
+    lines.push(`ATTENDEE;${attendeeParams}:mailto:${params.attendeeEmail}`);
+  }
+
+  lines.push(`STATUS:${kind === 'cancel' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Type d'invitation à joindre pour un envoi
+ * Option calendarInvite : false (désactivé), true (type par défaut du template) ou request|update|cancel
+ * Par défaut, joint automatiquement pour les templates d'événement sauf si EMAIL_ICS_AUTO_ATTACH=false
+ * @param {string} template - Nom du template
+ * @param {Object} options - Options d'envoi
+ * @returns {string|null} request | update | cancel, ou null si aucune invitation
+ */
+function resolveCalendarKind(template, options = {}) {
+  const option = options.calendarInvite;
+
+  if (option === false) {
+    return null;
+  }
+  if (typeof option === 'string' && ICS_METHODS[option]) {
+    return option;
+  }
+
+  const templateKind = TEMPLATE_CALENDAR_KINDS[template] || null;
+  if (option === true) {
+    return templateKind || 'request';
+  }
+
+  return process.env.EMAIL_ICS_AUTO_ATTACH === 'false' ? null : templateKind;
+}
+
+/**
+ * Construit la pièce jointe .ics d'un email (format nodemailer)
+ * @param {string} template - Nom du template
+ * @param {Object} data - Données du template
+ * @param {Object} options - Options d'envoi (calendarInvite)
+ * @param {string} to - Destinataire (ATTENDEE)
+ * @returns {Object|null} Pièce jointe ou null
+ */
+function buildCalendarAttachment(template, data, options, to) {
+  const kind = resolveCalendarKind(template, options);
+  if (!kind) {
+    return null;
+  }
+
+  const ics = generateEventIcs(data, {
+    kind,
+    attendeeEmail: to,
+    attendeeName: [data?.firstName, data?.lastName].filter(Boolean).join(' ') || null
+  });
+
+  if (!ics) {
+    logger.email('Calendar invite skipped, event not datable or missing its eventId', { template, kind });
+    return null;
+  }
+
+  const method = ICS_METHODS[kind];
+  return {
+    filename: kind === 'cancel' ? 'cancel.ics' : 'invite.ics',
+    content: Buffer.from(ics, 'utf8'),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    contentDisposition: 'attachment'
+  };
+}
+
+module.exports = {
+  TEMPLATE_CALENDAR_KINDS,
+  parseEventDateTime,
+  generateEventIcs,
+  resolveCalendarKind,
+  buildCalendarAttachment
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../../../utils/logger');
+
+const DEFAULT_MAX_MESSAGES = 500;
+
+/**
+ * Découpe le bloc d'en-têtes d'un message RFC 5322 (lignes repliées incluses)
+ * @param {string} raw - Message brut
+ * @returns {Object} { [nom en minuscules]: valeur | [valeurs] }
+ */
+function parseHeaders(raw) {
+  const headerBlock = raw.split(/\r?\n\r?\n/)[0] || '';
+  const headers = {};
+
+  for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+    const name = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (headers[name] === undefined) {
+      headers[name] = value;
+    } else {
+      headers[name] = [].concat(headers[name], value);
+    }
+  }
+
+  return headers;
+}
+
+function toAddressList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => (typeof address === 'object' ? address.address : String(address).trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Boîte mail de développement : adapter qui capture les emails au lieu de les envoyer
+ * Le message est composé par Nodemailer (streamTransport) : en-têtes, HTML, texte et pièces jointes
+ * sont exactement ceux qu'un provider réel recevrait
+ *
+ * Activation : EMAIL_DEV_MAILBOX=true, jamais en production. Une fois activé, il reçoit tous les envois.
+ * Stockage en mémoire (EMAIL_DEV_MAILBOX_MAX_MESSAGES) et, si EMAIL_DEV_MAILBOX_DIR est défini, sur disque
+ */
+class CaptureEmailProvider {
+  constructor() {
+    this.name = 'capture';
+    this.interceptsAll = true;
+    this.readiness = {
+      type: 'mock',
+      requiredFlag: 'EMAIL_DEV_MAILBOX',
+      healthStrategy: 'mock_flag'
+    };
+    this.messages = [];
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    this.loadedFrom = null;
+  }
+
+  isConfigured() {
+    return process.env.EMAIL_DEV_MAILBOX === 'true';
+  }
+
+  isReady() {
+    return this.isConfigured() && process.env.NODE_ENV !== 'production';
+  }
+
+  getMaxMessages() {
+    return parseInt(process.env.EMAIL_DEV_MAILBOX_MAX_MESSAGES, 10) || DEFAULT_MAX_MESSAGES;
+  }
+
+  getStorageDir() {
+    return process.env.EMAIL_DEV_MAILBOX_DIR ? path.resolve(process.env.EMAIL_DEV_MAILBOX_DIR) : null;
+  }
+
+  /**
+   * Recharge les messages persistés sur disque
+   */
+  async initialize() {
+    const dir = this.getStorageDir();
+    if (!this.isReady() || !dir || this.loadedFrom === dir) {
+      return;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    const loaded = [];
+
+    for (const file of files) {
+      try {
+        const stored = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        stored.attachments = (stored.attachments || []).map(attachment => ({
+          ...attachment,
+          content: Buffer.from(attachment.content || '', 'base64')
+        }));
+        loaded.push(stored);
+      } catch (error) {
+        logger.warn('Unreadable captured email ignored', { file, error: error.message });
+      }
+    }
+
+    this.messages = loaded
+      .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt))
+      .slice(-this.getMaxMessages());
+    this.loadedFrom = dir;
+    logger.info('Development mailbox ready', { messages: this.messages.length, dir });
+  }
+
+  /**
+   * Capture un email
+   * @param {Object} mailOptions - Options Nodemailer
+   * @param {Object} context - { template, notificationId }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(mailOptions, context = {}) {
+    const info = await this.transporter.sendMail(mailOptions);
+    const raw = info.message.toString('utf8');
+
+    const message = {
+      id: crypto.randomUUID(),
+      capturedAt: new Date().toISOString(),
+      messageId: info.messageId,
+      template: context.template || null,
+      notificationId: context.notificationId || null,
+      from: mailOptions.from || null,
+      to: toAddressList(mailOptions.to),
+      cc: toAddressList(mailOptions.cc),
+      bcc: toAddressList(mailOptions.bcc),
+      subject: mailOptions.subject || '',
+      headers: parseHeaders(raw),
+      html: typeof mailOptions.html === 'string' ? mailOptions.html : null,
+      text: typeof mailOptions.text === 'string' ? mailOptions.text : null,
+      attachments: (mailOptions.attachments || []).map((attachment, index) => {
+        const content = Buffer.isBuffer(attachment.content)
+          ? attachment.content
+          : Buffer.from(attachment.content || '', attachment.encoding || 'utf8');
+        return {
+          index,
+          filename: attachment.filename || `attachment-${index + 1}`,
+          contentType: attachment.contentType || 'application/octet-stream',
+          size: content.length,
+          content
+        };
+      }),
+      raw,
+      size: info.message.length
+    };
+
+    this.messages.push(message);
+    await this.persist(message);
+    await this.evictOverflow();
+
+    logger.info('Email captured in development mailbox', {
+      id: message.id,
+      to: message.to,
+      template: message.template
+    });
+
+    return { messageId: info.messageId, captureId: message.id };
+  }
+
+  async persist(message) {
+    const dir = this.getStorageDir();
+    if (!dir) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const stored = {
+        ...message,
+        attachments: message.attachments.map(attachment => ({
+          ...attachment,
+          content: attachment.content.toString('base64')
+        }))
+      };
+      await fs.writeFile(path.join(dir, `${message.id}.json`), JSON.stringify(stored));
+    } catch (error) {
+      logger.warn('Failed to persist captured email', { id: message.id, error: error.message });
+    }
+  }
+
+  async evictOverflow() {
+    const overflow = this.messages.length - this.getMaxMessages();
+    if (overflow <= 0) {
+      return;
+    }
+
+    const evicted = this.messages.splice(0, overflow);
+    await Promise.all(evicted.map(message => this.unlink(message.id)));
+  }
+
+  async unlink(id) {
+    const dir = this.getStorageDir();
+    if (!dir) {
+      return;
+    }
+    await fs.rm(path.join(dir, `${id}.json`), { force: true });
+  }
+
+  /**
+   * Résumé d'un message pour les listes (sans contenu)
+   */
+  summarize(message) {
+    return {
+      id: message.id,
+      capturedAt: message.capturedAt,
+      messageId: message.messageId,
+      template: message.template,
+      notificationId: message.notificationId,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      size: message.size,
+      attachments: message.attachments.length
+    };
+  }
+
+  /**
+   * Liste les messages capturés, du plus récent au plus ancien
+   * @param {Object} filters - { q (sujet, destinataires, expéditeur, texte), to, template, limit, offset }
+   * @returns {Object} { messages, pagination: { total, hasMore } }
+   */
+  list({ q, to, template, limit = 50, offset = 0 } = {}) {
+    const search = q ? String(q).toLowerCase() : null;
+    const recipient = to ? String(to).toLowerCase() : null;
+
+    const matching = this.messages
+      .filter(message => !template || message.template === template)
+      .filter(message => !recipient || [...message.to, ...message.cc, ...message.bcc]
+        .some(address => address.toLowerCase().includes(recipient)))
+      .filter(message => !search || [
+        message.subject,
+        message.from,
+        ...message.to,
+        message.text,
+        message.template
+      ].some(field => field && String(field).toLowerCase().includes(search)))
+      .reverse();
+
+    return {
+      messages: matching.slice(offset, offset + limit).map(message => this.summarize(message)),
+      pagination: {
+        total: matching.length,
+        hasMore: offset + limit < matching.length
+      }
+    };
+  }
+
+  get(id) {
+    return this.messages.find(message => message.id === id) || null;
+  }
+
+  async remove(id) {
+    const index = this.messages.findIndex(message => message.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [message] = this.messages.splice(index, 1);
+    await this.unlink(id);
+    return message;
+  }
+
+  async clear() {
+    const removed = this.messages.splice(0);
+    await Promise.all(removed.map(message => this.unlink(message.id)));
+    return removed.length;
+  }
+
+  async healthCheck() {
+    return {
+      configured: this.isReady(),
+      status: this.isReady() ? 'available' : 'unknown'
+    };
+  }
+
+  getStats() {
+    return {
+      configured: this.isReady(),
+      messages: this.messages.length,
+      storage: this.getStorageDir() ? 'disk' : 'memory'
+    };
+  }
+}
+
+module.exports = new CaptureEmailProvider();
@@ -0,0 +1,267 @@
+const logger = require('../../../utils/logger');
+const smtpProvider = require('./smtp.provider');
+const sendgridProvider = require('./sendgrid.provider');
+const captureProvider = require('./capture.provider');
+
+const REQUIRED_ADAPTER_METHODS = ['isConfigured', 'isReady', 'initialize', 'send', 'healthCheck', 'getStats'];
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Extrait le domaine du destinataire ("Nom <a@b.c>" ou "a@b.c")
+ * @param {string|Array} to - Destinataire(s) ; seul le premier compte pour le routage
+ * @returns {string|null} Domaine en minuscules
+ */
+function extractRecipientDomain(to) {
+  const first = Array.isArray(to) ? to[0] : to;
+  const address = typeof first === 'object' && first !== null ? first.address : first;
+  if (!address) {
+    return null;
+  }
+
+  const match = String(address).match(/<([^>]+)>/);
+  const email = (match ? match[1] : String(address)).trim().toLowerCase();
+  const atIndex = email.lastIndexOf('@');
+  return atIndex > 0 ? email.slice(atIndex + 1) : null;
+}
+
+function matchesDomain(domain, ruleDomains) {
+  if (!domain) {
+    return false;
+  }
+  return ruleDomains.some(ruleDomain => {
+    const normalized = ruleDomain.replace(/^@/, '').replace(/^\*\./, '');
+    return domain === normalized || domain.endsWith(`.${normalized}`);
+  });
+}
+
+/**
+ * Registre des providers email et politique de routage
+ *
+ * Un adapter expose : name, readiness ({ type, requiredConfig, healthStrategy }) et les méthodes
+ * isConfigured(), isReady(), initialize(), send(mailOptions, { template, notificationId }) -> { messageId },
+ * healthCheck(), getStats()
+ * Un adapter marqué interceptsAll (boîte mail de développement) reçoit tous les envois dès qu'il est prêt
+ *
+ * Routage (variables d'environnement, relues à chaque envoi) :
+ * - EMAIL_PROVIDER_ORDER : ordre de priorité, ex. "smtp,sendgrid" (défaut : ordre d'enregistrement)
+ * - EMAIL_PROVIDER_WEIGHTS : répartition pondérée du premier essai, ex. "smtp:80,sendgrid:20"
+ * - EMAIL_ROUTING_RULES : règles JSON par domaine / template, la première qui correspond gagne
+ *   ex. [{"domain":"orange.cm","providers":["smtp"],"fallback":false}]
+ */
+class EmailProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.cachedRules = { raw: null, rules: [] };
+  }
+
+  /**
+   * Enregistre un adapter (remplace un adapter de même nom)
+   * @param {Object} adapter - Adapter respectant l'interface ci-dessus
+   */
+  register(adapter) {
+    const missing = REQUIRED_ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+    if (!adapter?.name || missing.length > 0) {
+      throw new Error(`Invalid email provider adapter ${adapter?.name || ''}: missing ${missing.join(', ') || 'name'}`.trim());
+    }
+
+    this.adapters.set(adapter.name.toLowerCase(), adapter);
+  }
+
+  get(name) {
+    return this.adapters.get(String(name || '').toLowerCase()) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Initialise tous les adapters ; l'échec de l'un n'empêche pas les autres
+   */
+  async initialize() {
+    await Promise.all(this.list().map(async (adapter) => {
+      try {
+        await adapter.initialize();
+      } catch (error) {
+        logger.error('Failed to initialize email provider', { provider: adapter.name, error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Ordre de priorité configuré, limité aux adapters enregistrés
+   * @returns {Array<string>} Noms de providers
+   */
+  getPriorityOrder() {
+    const routable = this.list().filter(adapter => !adapter.interceptsAll).map(adapter => adapter.name);
+    const configured = parseList(process.env.EMAIL_PROVIDER_ORDER).filter(name => routable.includes(name));
+    return configured.length > 0 ? [...new Set(configured)] : routable;
+  }
+
+  /**
+   * Poids configurés par provider
+   * @returns {Object} { [name]: weight }
+   */
+  getWeights() {
+    const weights = {};
+    for (const entry of parseList(process.env.EMAIL_PROVIDER_WEIGHTS)) {
+      const [name, rawWeight] = entry.split(':').map(part => part.trim());
+      const weight = Number(rawWeight);
+      if (this.adapters.has(name) && Number.isFinite(weight) && weight > 0) {
+        weights[name] = weight;
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Règles de routage par domaine / template (EMAIL_ROUTING_RULES)
+   * Une configuration invalide est ignorée avec un avertissement
+   * @returns {Array<Object>} Règles normalisées { domains, templates, providers, fallback }
+   */
+  getRules() {
+    const raw = process.env.EMAIL_ROUTING_RULES || '';
+    if (raw === this.cachedRules.raw) {
+      return this.cachedRules.rules;
+    }
+
+    let rules = [];
+    if (raw.trim()) {
+      try {
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) {
+          throw new Error('EMAIL_ROUTING_RULES must be a JSON array');
+        }
+        rules = parsed
+          .map(rule => ({
+            domains: toArray(rule.domain || rule.domains),
+            templates: toArray(rule.template || rule.templates),
+            providers: toArray(rule.providers || rule.provider),
+            fallback: rule.fallback !== false
+          }))
+          .filter(rule => rule.providers.length > 0 && (rule.domains.length > 0 || rule.templates.length > 0));
+      } catch (error) {
+        logger.warn('Invalid EMAIL_ROUTING_RULES ignored', { error: error.message });
+        rules = [];
+      }
+    }
+
+    this.cachedRules = { raw, rules };
+    return rules;
+  }
+
+  /**
+   * Tire au sort le premier provider selon les poids, parmi les providers prêts
+   */
+  pickWeighted(candidates, weights, random) {
+    const weighted = candidates.filter(name => weights[name] && this.get(name).isReady());
+    const total = weighted.reduce((sum, name) => sum + weights[name], 0);
+    if (total <= 0) {
+      return null;
+    }
+
+    let threshold = random() * total;
+    for (const name of weighted) {
+      threshold -= weights[name];
+      if (threshold < 0) {
+        return name;
+      }
+    }
+    return weighted[weighted.length - 1];
+  }
+
+  /**
+   * Calcule l'ordre d'essai des providers pour un envoi
+   * Priorité : capture > règle domaine / template > répartition pondérée > ordre de priorité
+   * @param {Object} context - { to, template }
+   * @param {Function} random - Source aléatoire (injectable pour les tests)
+   * @returns {Object} { providers, strategy, rule }
+   */
+  resolveRoute(context = {}, random = Math.random) {
+    const interceptor = this.list().find(adapter => adapter.interceptsAll && adapter.isReady());
+    if (interceptor) {
+      return { providers: [interceptor.name], strategy: 'capture', rule: null };
+    }
+
+    const order = this.getPriorityOrder();
+    const domain = extractRecipientDomain(context.to);
+    const template = context.template ? String(context.template).toLowerCase() : null;
+
+    const rules = this.getRules();
+    const ruleIndex = rules.findIndex(rule =>
+      (rule.domains.length === 0 || matchesDomain(domain, rule.domains)) &&
+      (rule.templates.length === 0 || (template && rule.templates.includes(template)))
+    );
+
+    if (ruleIndex !== -1) {
+      const rule = rules[ruleIndex];
+      const preferred = rule.providers.filter(name => this.adapters.has(name));
+      const providers = rule.fallback
+        ? [...preferred, ...order.filter(name => !preferred.includes(name))]
+        : preferred;
+      return { providers, strategy: 'rule', rule: ruleIndex };
+    }
+
+    const weights = this.getWeights();
+    if (Object.keys(weights).length > 0) {
+      const picked = this.pickWeighted(order, weights, random);
+      if (picked) {
+        return { providers: [picked, ...order.filter(name => name !== picked)], strategy: 'weighted', rule: null };
+      }
+    }
+
+    return { providers: order, strategy: 'priority', rule: null };
+  }
+
+  /**
+   * Santé de chaque adapter
+   * @returns {Promise<Object>} { [name]: { configured, status, error } }
+   */
+  async healthCheck() {
+    const entries = await Promise.all(this.list().map(async (adapter) => {
+      try {
+        return [adapter.name, await adapter.healthCheck()];
+      } catch (error) {
+        return [adapter.name, { configured: adapter.isReady(), status: 'unhealthy', error: error.message }];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  getStats() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.name, adapter.getStats()]));
+  }
+
+  /**
+   * Définitions consommées par health/provider-readiness
+   * @returns {Object} { [name]: { type, requiredConfig, healthStrategy } }
+   */
+  getReadinessDefinitions() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.name, {
+      type: 'real',
+      requiredConfig: [],
+      healthStrategy: 'configuration_only',
+      ...adapter.readiness
+    }]));
+  }
+}
+
+const registry = new EmailProviderRegistry();
+registry.register(smtpProvider);
+registry.register(sendgridProvider);
+registry.register(captureProvider);
+
+module.exports = registry;
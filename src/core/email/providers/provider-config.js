@@ -0,0 +1,43 @@
+/**
+ * Lecture de la configuration des providers email
+ * Les valeurs de démonstration (.env.example) sont considérées comme absentes
+ * @param {*} value - Valeur brute de la variable d'environnement
+ * @returns {string|null} Valeur nettoyée ou null
+ */
+function sanitizeProviderValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const normalized = String(value).trim();
+  if (!normalized) {
+    return null;
+  }
+
+  const placeholderPatterns = [
+    /^your_/i,
+    /^SG\.your_/i,
+    /^your-email@/i,
+    /^your_email@/i,
+  ];
+
+  if (placeholderPatterns.some((pattern) => pattern.test(normalized))) {
+    return null;
+  }
+
+  const placeholderValues = new Set([
+    'your_email@gmail.com',
+    'your_app_password',
+    'your_sendgrid_api_key',
+  ]);
+
+  if (placeholderValues.has(normalized)) {
+    return null;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  sanitizeProviderValue
+};
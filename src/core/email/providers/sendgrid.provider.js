@@ -0,0 +1,102 @@
+const sendgridMail = require('@sendgrid/mail');
+const logger = require('../../../utils/logger');
+const { sanitizeProviderValue } = require('./provider-config');
+const { toSendGridAttachments } = require('../email-attachments');
+
+/**
+ * Adapter SendGrid (API v3)
+ * La santé est déduite de la configuration : aucun appel réseau n'est fait pour la vérifier
+ */
+class SendGridEmailProvider {
+  constructor() {
+    this.name = 'sendgrid';
+    this.readiness = {
+      type: 'real',
+      requiredConfig: ['SENDGRID_API_KEY'],
+      healthStrategy: 'configuration_only'
+    };
+    this.configured = false;
+  }
+
+  isConfigured() {
+    return !!sanitizeProviderValue(process.env.SENDGRID_API_KEY);
+  }
+
+  isReady() {
+    return this.configured;
+  }
+
+  async initialize() {
+    const apiKey = sanitizeProviderValue(process.env.SENDGRID_API_KEY);
+    if (!apiKey) {
+      return;
+    }
+
+    sendgridMail.setApiKey(apiKey);
+    this.configured = true;
+    logger.info('SendGrid service ready');
+  }
+
+  /**
+   * Envoie un email via SendGrid
+   * @param {Object} mailOptions - Options au format Nodemailer
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(mailOptions) {
+    const msg = {
+      to: mailOptions.to,
+      from: mailOptions.from,
+      subject: mailOptions.subject,
+      text: mailOptions.text,
+      html: mailOptions.html
+    };
+
+    // Pas de signature locale : SendGrid signe avec l'authentification de domaine du compte
+    if (mailOptions.replyTo) {
+      msg.replyTo = mailOptions.replyTo;
+    }
+
+    // Copies déjà dédoublonnées par l'enveloppe (SendGrid refuse une adresse présente deux fois)
+    if (mailOptions.cc && mailOptions.cc.length > 0) {
+      msg.cc = mailOptions.cc;
+    }
+
+    if (mailOptions.bcc && mailOptions.bcc.length > 0) {
+      msg.bcc = mailOptions.bcc;
+    }
+
+    // Fil de discussion : Message-ID déterministe et références vers la racine de l'événement
+    const threadHeaders = {
+      ...(mailOptions.messageId ? { 'Message-ID': mailOptions.messageId } : {}),
+      ...(mailOptions.inReplyTo ? { 'In-Reply-To': mailOptions.inReplyTo } : {}),
+      ...(mailOptions.references ? { References: [].concat(mailOptions.references).join(' ') } : {})
+    };
+    const headers = { ...(mailOptions.headers || {}), ...threadHeaders };
+
+    if (Object.keys(headers).length > 0) {
+      msg.headers = headers;
+    }
+
+    if (mailOptions.attachments && mailOptions.attachments.length > 0) {
+      msg.attachments = toSendGridAttachments(mailOptions.attachments);
+    }
+
+    const result = await sendgridMail.send(msg);
+    return { messageId: result[0]?.headers?.['x-message-id'] };
+  }
+
+  async healthCheck() {
+    return {
+      configured: this.configured,
+      status: this.configured ? 'healthy' : 'unknown'
+    };
+  }
+
+  getStats() {
+    return {
+      configured: this.configured
+    };
+  }
+}
+
+module.exports = new SendGridEmailProvider();
@@ -0,0 +1,161 @@
+const nodemailer = require('nodemailer');
+const logger = require('../../../utils/logger');
+const { sanitizeProviderValue } = require('./provider-config');
+
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNECTION',
+  'ETIMEDOUT',
+  'ESOCKET',
+  'EPIPE'
+];
+
+/**
+ * Adapter SMTP (Nodemailer)
+ * Une erreur réseau transitoire déclenche un unique nouvel essai avec un transporteur neuf
+ */
+class SmtpEmailProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.readiness = {
+      type: 'real',
+      requiredConfig: ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS'],
+      healthStrategy: 'runtime_check'
+    };
+    this.transporter = null;
+    this.configured = false;
+  }
+
+  /**
+   * Vérifie si les identifiants SMTP sont renseignés
+   */
+  isConfigured() {
+    return !!(
+      sanitizeProviderValue(process.env.SMTP_HOST) &&
+      sanitizeProviderValue(process.env.SMTP_USER) &&
+      sanitizeProviderValue(process.env.SMTP_PASS)
+    );
+  }
+
+  /**
+   * Vrai quand le transporteur a été vérifié et peut envoyer
+   */
+  isReady() {
+    return this.configured && !!this.transporter;
+  }
+
+  createTransporter() {
+    return nodemailer.createTransport({
+      host: sanitizeProviderValue(process.env.SMTP_HOST),
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: sanitizeProviderValue(process.env.SMTP_USER),
+        pass: sanitizeProviderValue(process.env.SMTP_PASS)
+      },
+      pool: true, // Connection pooling
+      maxConnections: 5,
+      maxMessages: 100,
+      tls: {
+        rejectUnauthorized: process.env.NODE_ENV === 'production'
+      }
+    });
+  }
+
+  /**
+   * Crée le transporteur et vérifie la connexion en arrière-plan
+   */
+  async initialize() {
+    if (!this.isConfigured()) {
+      return;
+    }
+
+    this.transporter = this.createTransporter();
+
+    // Vérifier la connexion SMTP
+    this.transporter.verify((error) => {
+      if (error) {
+        logger.warn('SMTP verification failed', { error: error.message });
+        this.configured = false;
+      } else {
+        logger.info('SMTP service ready');
+        this.configured = true;
+      }
+    });
+  }
+
+  isRetryableError(error) {
+    const code = String(error?.code || '').toUpperCase();
+    const message = String(error?.message || '').toUpperCase();
+
+    return RETRYABLE_ERROR_CODES.includes(code) || message.includes('ECONNRESET') || message.includes('TIMEOUT');
+  }
+
+  recreateTransporter() {
+    if (!this.isConfigured()) {
+      this.transporter = null;
+      this.configured = false;
+      return;
+    }
+
+    this.transporter = this.createTransporter();
+    this.configured = true;
+  }
+
+  /**
+   * Envoie un email via SMTP
+   * @param {Object} mailOptions - Options Nodemailer (from, to, cc, bcc, replyTo, subject, html, text, headers, attachments)
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(mailOptions) {
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      return { messageId: result.messageId };
+    } catch (error) {
+      if (!this.isRetryableError(error)) {
+        throw error;
+      }
+
+      logger.warn('SMTP transient failure detected, retrying once with a fresh transporter', {
+        error: error.message,
+        code: error.code || null,
+        to: mailOptions.to
+      });
+
+      this.recreateTransporter();
+      const retryResult = await this.transporter.sendMail(mailOptions);
+      return { messageId: retryResult.messageId, retried: true };
+    }
+  }
+
+  /**
+   * Vérifie la connexion SMTP
+   * @returns {Promise<Object>} { configured, status, error }
+   */
+  async healthCheck() {
+    const health = { configured: this.configured, status: 'unknown' };
+
+    if (this.configured && this.transporter) {
+      try {
+        await this.transporter.verify();
+        health.status = 'healthy';
+      } catch (error) {
+        health.status = 'unhealthy';
+        health.error = error.message;
+      }
+    }
+
+    return health;
+  }
+
+  getStats() {
+    return {
+      configured: this.configured,
+      host: sanitizeProviderValue(process.env.SMTP_HOST),
+      port: process.env.SMTP_PORT
+    };
+  }
+}
+
+module.exports = new SmtpEmailProvider();
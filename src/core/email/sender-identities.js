@@ -0,0 +1,262 @@
+/**
+ * ✉️ IDENTITÉS D'EXPÉDITEUR
+ *
+ * RÔLE : Déterminer l'expéditeur de chaque email (from, reply-to) et sa signature DKIM
+ *
+ * Identité "default" : FROM_EMAIL / FROM_NAME / EMAIL_REPLY_TO et DKIM_DOMAIN / DKIM_SELECTOR /
+ * DKIM_PRIVATE_KEY (ou DKIM_PRIVATE_KEY_PATH)
+ * Identités supplémentaires : EMAIL_SENDER_IDENTITIES (JSON), ex.
+ *   {"billing":{"fromEmail":"billing@eventplanner.com","fromName":"Event Planner Facturation",
+ *     "replyTo":"support@eventplanner.com","templates":["payment-confirmation"],
+ *     "dkim":{"keySelector":"billing","privateKeyPath":"/run/secrets/dkim-billing.pem"}}}
+ *
+ * Sélection : options.senderIdentity > identité déclarant le template > default
+ * SMTP : signature DKIM par Nodemailer ; SendGrid : from / reply-to seulement, la signature
+ * étant faite par SendGrid (authentification de domaine)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_IDENTITY = 'default';
+const MIN_DKIM_KEY_BITS = 1024;
+const SELECTOR_PATTERN = /^[a-z0-9]([a-z0-9_-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9_-]*[a-z0-9])?)*$/i;
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+let cache = { key: null, identities: null };
+
+/**
+ * Crée une erreur d'identité d'expéditeur
+ * @param {string} message - Description du problème
+ * @param {Object} details - Contexte (identity...)
+ * @returns {Error} Erreur avec code INVALID_SENDER_IDENTITY
+ */
+function createIdentityError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'INVALID_SENDER_IDENTITY';
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+function domainOf(email) {
+  return String(email || '').split('@')[1] || null;
+}
+
+/**
+ * Lit la clé privée DKIM (inline, "\n" échappés acceptés, ou fichier)
+ */
+function readPrivateKey(dkim, identityName) {
+  if (dkim.privateKey) {
+    return String(dkim.privateKey).replace(/\\n/g, '\n');
+  }
+
+  try {
+    return fs.readFileSync(dkim.privateKeyPath, 'utf8');
+  } catch (error) {
+    throw createIdentityError(`DKIM private key file unreadable for identity "${identityName}"`, {
+      identity: identityName,
+      path: dkim.privateKeyPath
+    });
+  }
+}
+
+/**
+ * Vérifie la clé DKIM : PEM lisible, RSA (seul algorithme signé par Nodemailer), taille minimale
+ */
+function validateDkimKey(privateKey, identityName) {
+  let key;
+  try {
+    key = crypto.createPrivateKey(privateKey);
+  } catch (error) {
+    throw createIdentityError(`Malformed DKIM private key for identity "${identityName}"`, {
+      identity: identityName,
+      reason: error.message
+    });
+  }
+
+  if (key.asymmetricKeyType !== 'rsa') {
+    throw createIdentityError(`DKIM private key for identity "${identityName}" must be RSA`, {
+      identity: identityName,
+      keyType: key.asymmetricKeyType
+    });
+  }
+
+  const bits = key.asymmetricKeyDetails?.modulusLength || 0;
+  if (bits < MIN_DKIM_KEY_BITS) {
+    throw createIdentityError(`DKIM private key for identity "${identityName}" is too short (${bits} bits)`, {
+      identity: identityName,
+      bits
+    });
+  }
+}
+
+/**
+ * Normalise et valide une identité
+ * @param {string} name - Nom de l'identité
+ * @param {Object} definition - { fromEmail, fromName, replyTo, templates, dkim }
+ * @returns {Object} Identité normalisée
+ */
+function normalizeIdentity(name, definition = {}) {
+  const fromEmail = definition.fromEmail ? String(definition.fromEmail).trim() : null;
+  // L'identité par défaut peut rester sans adresse (environnement sans SMTP configuré)
+  if ((fromEmail || name !== DEFAULT_IDENTITY) && !EMAIL_PATTERN.test(fromEmail || '')) {
+    throw createIdentityError(`Invalid from address for sender identity "${name}"`, { identity: name });
+  }
+
+  const replyTo = definition.replyTo ? String(definition.replyTo).trim() : null;
+  if (replyTo && !EMAIL_PATTERN.test(replyTo)) {
+    throw createIdentityError(`Invalid reply-to address for sender identity "${name}"`, { identity: name });
+  }
+
+  let dkim = null;
+  const rawDkim = definition.dkim;
+  if (rawDkim && (rawDkim.privateKey || rawDkim.privateKeyPath || rawDkim.keySelector)) {
+    const domainName = String(rawDkim.domainName || domainOf(fromEmail)).toLowerCase();
+    const keySelector = rawDkim.keySelector ? String(rawDkim.keySelector).trim() : '';
+
+    if (!SELECTOR_PATTERN.test(keySelector)) {
+      throw createIdentityError(`Invalid DKIM selector for sender identity "${name}"`, { identity: name });
+    }
+    if (!DOMAIN_PATTERN.test(domainName)) {
+      throw createIdentityError(`Invalid DKIM domain for sender identity "${name}"`, { identity: name });
+    }
+    if (!rawDkim.privateKey && !rawDkim.privateKeyPath) {
+      throw createIdentityError(`Missing DKIM private key for sender identity "${name}"`, { identity: name });
+    }
+
+    const privateKey = readPrivateKey(rawDkim, name);
+    validateDkimKey(privateKey, name);
+    dkim = { domainName, keySelector, privateKey };
+  }
+
+  return {
+    name,
+    fromEmail,
+    fromName: definition.fromName ? String(definition.fromName) : 'Event Planner',
+    replyTo,
+    templates: Array.isArray(definition.templates) ? definition.templates.map(String) : [],
+    dkim
+  };
+}
+
+function getDefaultDefinition() {
+  return {
+    fromEmail: process.env.FROM_EMAIL || process.env.SMTP_USER,
+    fromName: process.env.FROM_NAME,
+    replyTo: process.env.EMAIL_REPLY_TO,
+    dkim: {
+      domainName: process.env.DKIM_DOMAIN,
+      keySelector: process.env.DKIM_SELECTOR,
+      privateKey: process.env.DKIM_PRIVATE_KEY,
+      privateKeyPath: process.env.DKIM_PRIVATE_KEY_PATH
+    }
+  };
+}
+
+/**
+ * Charge les identités configurées (mises en cache tant que la configuration ne change pas)
+ * @returns {Map<string, Object>} Identités par nom
+ * @throws {Error} INVALID_SENDER_IDENTITY si une identité ou une clé DKIM est invalide
+ */
+function loadSenderIdentities() {
+  const defaultDefinition = getDefaultDefinition();
+  const raw = process.env.EMAIL_SENDER_IDENTITIES || '';
+  const key = JSON.stringify([raw, defaultDefinition]);
+  if (cache.key === key) {
+    return cache.identities;
+  }
+
+  let configured = {};
+  if (raw.trim()) {
+    try {
+      configured = JSON.parse(raw);
+    } catch (error) {
+      throw createIdentityError('EMAIL_SENDER_IDENTITIES is not valid JSON', { reason: error.message });
+    }
+    if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+      throw createIdentityError('EMAIL_SENDER_IDENTITIES must be a JSON object keyed by identity name');
+    }
+  }
+
+  const identities = new Map();
+  identities.set(DEFAULT_IDENTITY, normalizeIdentity(DEFAULT_IDENTITY, {
+    ...defaultDefinition,
+    ...(configured[DEFAULT_IDENTITY] || {})
+  }));
+
+  for (const [name, definition] of Object.entries(configured)) {
+    if (name !== DEFAULT_IDENTITY) {
+      identities.set(name, normalizeIdentity(name, definition));
+    }
+  }
+
+  cache = { key, identities };
+  return identities;
+}
+
+/**
+ * Validation au démarrage : échoue si une identité ou une clé DKIM est invalide
+ * @returns {Array<Object>} Résumé des identités (sans clé privée)
+ */
+function validateSenderIdentities() {
+  return Array.from(loadSenderIdentities().values()).map(identity => ({
+    name: identity.name,
+    fromEmail: identity.fromEmail,
+    templates: identity.templates,
+    dkim: identity.dkim ? { domainName: identity.dkim.domainName, keySelector: identity.dkim.keySelector } : null
+  }));
+}
+
+/**
+ * Sélectionne l'identité d'un envoi
+ * @param {string} template - Nom du template
+ * @param {Object} options - Options d'envoi (senderIdentity)
+ * @returns {Object} Identité
+ * @throws {Error} INVALID_SENDER_IDENTITY si l'identité demandée n'existe pas
+ */
+function resolveSenderIdentity(template, options = {}) {
+  const identities = loadSenderIdentities();
+
+  if (options.senderIdentity) {
+    const requested = identities.get(options.senderIdentity);
+    if (!requested) {
+      throw createIdentityError(`Unknown sender identity "${options.senderIdentity}"`, {
+        identity: options.senderIdentity
+      });
+    }
+    return requested;
+  }
+
+  for (const identity of identities.values()) {
+    if (identity.templates.includes(template)) {
+      return identity;
+    }
+  }
+
+  return identities.get(DEFAULT_IDENTITY);
+}
+
+/**
+ * Champs d'expédition à fusionner dans les options Nodemailer
+ * @param {Object} identity - Identité résolue
+ * @param {Object} options - Options d'envoi (fromName prioritaire sur l'identité)
+ * @returns {Object} { from, replyTo?, dkim? }
+ */
+function buildSenderFields(identity, options = {}) {
+  return {
+    from: `"${options.fromName || identity.fromName}" <${identity.fromEmail}>`,
+    ...(identity.replyTo ? { replyTo: identity.replyTo } : {}),
+    ...(identity.dkim ? { dkim: identity.dkim } : {})
+  };
+}
+
+module.exports = {
+  DEFAULT_IDENTITY,
+  createIdentityError,
+  loadSenderIdentities,
+  validateSenderIdentities,
+  resolveSenderIdentity,
+  buildSenderFields
+};
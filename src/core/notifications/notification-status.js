@@ -0,0 +1,115 @@
+/**
+ * 🔄 CYCLE DE VIE DES NOTIFICATIONS
+ *
+ * RÔLE : Machine à états des statuts de notification
+ * UTILISATION : Validation des transitions dans notification.repository.updateNotificationStatus
+ *
+ * pending → queued → sending → sent → delivered → opened → clicked → read
+ *                                   ↘ bounced / failed
+ */
+
+const NOTIFICATION_STATUSES = [
+  'pending',
+  'queued',
+  'sending',
+  'sent',
+  'delivered',
+  'bounced',
+  'opened',
+  'clicked',
+  'read',
+  'failed',
+  'cancelled',
+  'expired',
+  'suppressed'
+];
+
+/**
+ * Transitions autorisées depuis chaque statut
+ * Un statut absent des clés (ou avec une liste vide) est terminal
+ */
+const ALLOWED_TRANSITIONS = {
+  pending: ['queued', 'sending', 'sent', 'failed', 'cancelled', 'expired', 'suppressed'],
+  queued: ['pending', 'sending', 'sent', 'failed', 'cancelled', 'expired', 'suppressed'],
+  sending: ['queued', 'sent', 'failed', 'suppressed'],
+  sent: ['delivered', 'bounced', 'failed', 'expired', 'opened', 'clicked', 'read'],
+  delivered: ['bounced', 'opened', 'clicked', 'read'],
+  opened: ['clicked', 'read'],
+  clicked: ['read'],
+  read: [],
+  // Un échec peut être relancé (retry manuel ou job de retry)
+  failed: ['pending', 'queued', 'sending', 'sent', 'cancelled', 'suppressed'],
+  bounced: [],
+  cancelled: [],
+  expired: [],
+  suppressed: []
+};
+
+// Statuts indiquant que le provider a accepté le message
+const ACCEPTED_STATUSES = ['sent', 'delivered', 'opened', 'clicked', 'read'];
+
+// Statuts indiquant un échec de livraison
+const FAILED_STATUSES = ['failed', 'bounced'];
+
+/**
+ * Vérifie qu'un statut est connu
+ * @param {string} status - Statut à vérifier
+ * @returns {boolean} true si le statut existe
+ */
+function isValidStatus(status) {
+  return NOTIFICATION_STATUSES.includes(status);
+}
+
+/**
+ * Vérifie qu'une transition est autorisée
+ * Rester dans le même statut est toujours accepté (événements provider dupliqués)
+ * @param {string} fromStatus - Statut actuel
+ * @param {string} toStatus - Statut cible
+ * @returns {boolean} true si la transition est autorisée
+ */
+function canTransition(fromStatus, toStatus) {
+  if (!isValidStatus(toStatus)) {
+    return false;
+  }
+
+  if (fromStatus === toStatus) {
+    return true;
+  }
+
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Indique si un statut est terminal
+ * @param {string} status - Statut
+ * @returns {boolean} true si aucune transition n'est possible
+ */
+function isTerminalStatus(status) {
+  return (ALLOWED_TRANSITIONS[status] || []).length === 0;
+}
+
+/**
+ * Construit l'erreur levée pour une transition refusée
+ * @param {number|string} notificationId - ID de la notification
+ * @param {string} fromStatus - Statut actuel
+ * @param {string} toStatus - Statut demandé
+ * @returns {Error} Erreur avec code INVALID_STATUS_TRANSITION
+ */
+function createTransitionError(notificationId, fromStatus, toStatus) {
+  const error = new Error(`Invalid notification status transition: ${fromStatus} -> ${toStatus}`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.statusCode = 409;
+  error.details = { notificationId, fromStatus, toStatus };
+  return error;
+}
+
+module.exports = {
+  NOTIFICATION_STATUSES,
+  ALLOWED_TRANSITIONS,
+  ACCEPTED_STATUSES,
+  FAILED_STATUSES,
+  isValidStatus,
+  canTransition,
+  isTerminalStatus,
+  createTransitionError
+};
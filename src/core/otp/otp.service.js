@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const otpRepository = require('../database/otp.repository');
+const smsService = require('../sms/sms.service');
+const emailService = require('../email/email.service');
+const { readSecret, hmac } = require('../../utils/signed-tokens');
+const { normalizePhoneNumber } = require('../../utils/phone-normalization');
+
+const DEFAULTS = {
+  length: 6,
+  ttlSeconds: 300,
+  maxAttempts: 5,
+  cooldownSeconds: 60,
+  maxRequestsPerHour: 5,
+  lockoutSeconds: 900
+};
+
+/**
+ * Crée une erreur OTP exposée telle quelle par le contrôleur
+ * @param {string} code - Code d'erreur (OTP_*)
+ * @param {string} message - Message d'erreur
+ * @param {number} statusCode - Statut HTTP
+ * @param {Object} details - Détails exposés au client
+ * @returns {Error} Erreur enrichie
+ */
+function createOtpError(code, message, statusCode, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * Service des codes à usage unique
+ * Génère, remet (SMS template otp, repli email), vérifie et verrouille les OTP
+ * Les codes et destinataires ne sont stockés que sous forme de HMAC (OTP_HASH_SECRET)
+ */
+class OtpService {
+  /**
+   * Configuration courante (null si OTP_HASH_SECRET absent)
+   * @returns {Object|null} { secret, length, ttlSeconds, maxAttempts, cooldownSeconds, maxRequestsPerHour, lockoutSeconds }
+   */
+  getConfig() {
+    const secret = readSecret('OTP_HASH_SECRET');
+    if (!secret) {
+      return null;
+    }
+
+    return {
+      secret,
+      length: Math.min(Math.max(readPositiveInt('OTP_LENGTH', DEFAULTS.length), 4), 10),
+      ttlSeconds: readPositiveInt('OTP_TTL_SECONDS', DEFAULTS.ttlSeconds),
+      maxAttempts: readPositiveInt('OTP_MAX_ATTEMPTS', DEFAULTS.maxAttempts),
+      cooldownSeconds: readPositiveInt('OTP_RESEND_COOLDOWN_SECONDS', DEFAULTS.cooldownSeconds),
+      maxRequestsPerHour: readPositiveInt('OTP_MAX_REQUESTS_PER_HOUR', DEFAULTS.maxRequestsPerHour),
+      lockoutSeconds: readPositiveInt('OTP_LOCKOUT_SECONDS', DEFAULTS.lockoutSeconds)
+    };
+  }
+
+  requireConfig() {
+    const config = this.getConfig();
+    if (!config) {
+      throw createOtpError('OTP_NOT_CONFIGURED', 'Service OTP non configuré (OTP_HASH_SECRET manquant)', 503);
+    }
+    return config;
+  }
+
+  /**
+   * Clé du destinataire : le numéro s'il est fourni (l'email n'est alors qu'un canal de repli)
+   * @param {Object} recipient - { phoneNumber, email }
+   * @returns {string} Destinataire normalisé préfixé par son type
+   */
+  resolveRecipientKey({ phoneNumber, email }) {
+    if (phoneNumber) {
+      return `sms:${normalizePhoneNumber(phoneNumber)}`;
+    }
+    return `email:${String(email).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Empreinte d'un code, liée au destinataire et à l'usage (un code n'est pas réutilisable ailleurs)
+   */
+  hashCode(secret, recipientKey, purpose, code) {
+    return hmac(secret, `${recipientKey}|${purpose}|${code}`);
+  }
+
+  /**
+   * Génère un code numérique uniformément distribué
+   * @param {number} length - Nombre de chiffres
+   * @returns {string} Code
+   */
+  generateCode(length) {
+    return Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+  }
+
+  /**
+   * Vérifie le verrouillage, le délai de renvoi et le plafond horaire avant d'émettre un code
+   */
+  async assertCanIssue(recipientHash, purpose, config) {
+    const now = Date.now();
+    const latest = await otpRepository.findLatestOtp(recipientHash, purpose);
+
+    if (latest?.locked_until && new Date(latest.locked_until).getTime() > now) {
+      throw createOtpError('OTP_LOCKED', 'Trop de tentatives, réessayez plus tard', 429, {
+        lockedUntil: new Date(latest.locked_until).toISOString()
+      });
+    }
+
+    if (latest) {
+      const resendAt = new Date(latest.created_at).getTime() + config.cooldownSeconds * 1000;
+      if (resendAt > now) {
+        throw createOtpError('OTP_COOLDOWN', 'Un code vient d\'être envoyé, patientez avant d\'en demander un autre', 429, {
+          retryAfter: Math.ceil((resendAt - now) / 1000)
+        });
+      }
+    }
+
+    const recent = await otpRepository.countOtpsSince(recipientHash, purpose, new Date(now - 3600 * 1000));
+    if (recent >= config.maxRequestsPerHour) {
+      throw createOtpError('OTP_RATE_LIMITED', 'Nombre maximal de codes atteint pour cette heure', 429, {
+        limit: config.maxRequestsPerHour
+      });
+    }
+  }
+
+  /**
+   * Remet le code : SMS (template otp) en priorité, email (template otp) en repli
+   * @returns {Promise<Object>} { channel, provider, fallback }
+   */
+  async deliver(code, request, config) {
+    const { phoneNumber, email, purpose, userId } = request;
+    const expiresInMinutes = Math.ceil(config.ttlSeconds / 60);
+
+    if (phoneNumber) {
+      const sms = await smsService.sendOTPSMS(phoneNumber, code, purpose, {
+        expiresIn: `${expiresInMinutes} minutes`,
+        userId
+      });
+
+      // Un retry SMS en file finira par remettre le code : accepté seulement sans email de repli
+      if (sms.success || (sms.retryQueued && !email)) {
+        return { channel: 'sms', provider: sms.provider || 'queue', fallback: false };
+      }
+
+      logger.warn('OTP SMS delivery failed', {
+        phoneNumber: smsService.maskPhoneNumber(phoneNumber),
+        purpose,
+        error: sms.error,
+        emailFallback: !!email
+      });
+    }
+
+    if (email) {
+      const sent = await emailService.sendTransactionalEmail(email, 'otp', {
+        otpCode: code,
+        expiresInMinutes,
+        purpose
+      }, { userId });
+
+      if (sent.success) {
+        return { channel: 'email', provider: sent.provider, fallback: !!phoneNumber };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Émet et remet un nouveau code
+   * @param {Object} request - { phoneNumber, email, purpose, userId }
+   * @returns {Promise<Object>} { purpose, channel, fallback, expiresAt, resendAvailableAt }
+   */
+  async requestOtp(request) {
+    const config = this.requireConfig();
+    const recipientKey = this.resolveRecipientKey(request);
+    const recipientHash = hmac(config.secret, recipientKey);
+
+    await this.assertCanIssue(recipientHash, request.purpose, config);
+
+    const code = this.generateCode(config.length);
+    const expiresAt = new Date(Date.now() + config.ttlSeconds * 1000);
+    const otp = await otpRepository.createOtp({
+      recipientHash,
+      purpose: request.purpose,
+      channel: request.phoneNumber ? 'sms' : 'email',
+      userId: request.userId || null,
+      codeHash: this.hashCode(config.secret, recipientKey, request.purpose, code),
+      maxAttempts: config.maxAttempts,
+      expiresAt
+    });
+
+    const delivery = await this.deliver(code, request, config);
+    if (!delivery) {
+      await otpRepository.updateOtp(otp.id, { status: 'undelivered' });
+      throw createOtpError('OTP_DELIVERY_FAILED', 'Impossible de remettre le code par SMS ou par email', 503);
+    }
+
+    if (delivery.fallback) {
+      await otpRepository.updateOtp(otp.id, { channel: delivery.channel });
+    }
+
+    logger.info('OTP issued', {
+      otpId: otp.id,
+      purpose: request.purpose,
+      channel: delivery.channel,
+      fallback: delivery.fallback
+    });
+
+    return {
+      purpose: request.purpose,
+      channel: delivery.channel,
+      fallback: delivery.fallback,
+      expiresAt: expiresAt.toISOString(),
+      resendAvailableAt: new Date(new Date(otp.created_at || Date.now()).getTime() + config.cooldownSeconds * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Erreur quand aucune tentative n'a pu être comptée (code expiré, consommé, remplacé ou tentatives épuisées)
+   * Des vérifications simultanées peuvent épuiser les tentatives avant que lockOtp ne passe : le code est alors verrouillé ici
+   * @returns {Promise<Error>} OTP_LOCKED ou OTP_EXPIRED
+   */
+  async rejectUnavailableCode(latest, recipientHash, purpose, config) {
+    const current = await otpRepository.findLatestOtp(recipientHash, purpose);
+    const now = Date.now();
+
+    if (current && current.id === latest.id && new Date(current.expires_at).getTime() > now &&
+      (current.status === 'locked' || (current.status === 'active' && current.attempts >= current.max_attempts))) {
+      let lockedUntil = current.locked_until ? new Date(current.locked_until) : null;
+      if (!lockedUntil) {
+        lockedUntil = new Date(now + config.lockoutSeconds * 1000);
+        await otpRepository.lockOtp(current.id, lockedUntil);
+      }
+
+      return createOtpError('OTP_LOCKED', 'Trop de tentatives, réessayez plus tard', 429, {
+        lockedUntil: lockedUntil.toISOString()
+      });
+    }
+
+    return createOtpError('OTP_EXPIRED', 'Aucun code valide : demandez un nouveau code', 422);
+  }
+
+  /**
+   * Vérifie un code ; un code correct est consommé, trop d'échecs verrouillent le destinataire
+   * @param {Object} request - { phoneNumber, email, purpose, code }
+   * @returns {Promise<Object>} { verified, purpose, userId }
+   */
+  async verifyOtp(request) {
+    const config = this.requireConfig();
+    const recipientKey = this.resolveRecipientKey(request);
+    const recipientHash = hmac(config.secret, recipientKey);
+    const now = Date.now();
+
+    const latest = await otpRepository.findLatestOtp(recipientHash, request.purpose);
+
+    if (latest?.locked_until && new Date(latest.locked_until).getTime() > now) {
+      throw createOtpError('OTP_LOCKED', 'Trop de tentatives, réessayez plus tard', 429, {
+        lockedUntil: new Date(latest.locked_until).toISOString()
+      });
+    }
+
+    if (!latest || latest.status !== 'active' || new Date(latest.expires_at).getTime() <= now) {
+      throw createOtpError('OTP_EXPIRED', 'Aucun code valide : demandez un nouveau code', 422);
+    }
+
+    const attempt = await otpRepository.registerAttempt(latest.id);
+    if (!attempt) {
+      throw await this.rejectUnavailableCode(latest, recipientHash, request.purpose, config);
+    }
+
+    const expected = Buffer.from(attempt.code_hash, 'hex');
+    const received = Buffer.from(this.hashCode(config.secret, recipientKey, request.purpose, String(request.code)), 'hex');
+
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      const verified = await otpRepository.markVerified(attempt.id);
+      if (!verified) {
+        throw createOtpError('OTP_EXPIRED', 'Aucun code valide : demandez un nouveau code', 422);
+      }
+
+      logger.info('OTP verified', { otpId: attempt.id, purpose: request.purpose });
+      return { verified: true, purpose: request.purpose, userId: verified.user_id ? Number(verified.user_id) : null };
+    }
+
+    const attemptsRemaining = Math.max(attempt.max_attempts - attempt.attempts, 0);
+    if (attemptsRemaining === 0) {
+      const lockedUntil = new Date(now + config.lockoutSeconds * 1000);
+      await otpRepository.lockOtp(attempt.id, lockedUntil);
+      logger.security('OTP locked after too many failed attempts', { otpId: attempt.id, purpose: request.purpose });
+
+      throw createOtpError('OTP_LOCKED', 'Trop de tentatives, réessayez plus tard', 429, {
+        lockedUntil: lockedUntil.toISOString()
+      });
+    }
+
+    throw createOtpError('OTP_INVALID', 'Code incorrect', 422, { attemptsRemaining });
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,34 @@
+/**
+ * Catégories de notifications utilisateur
+ * Permettent un désabonnement plus fin que le canal (ex. ne plus recevoir les rappels par email)
+ * Les templates système (auth/payment) n'ont pas de catégorie : ils ne sont jamais désabonnables
+ */
+
+const NOTIFICATION_CATEGORIES = ['event_updates', 'reminders', 'tickets'];
+
+const TEMPLATE_CATEGORIES = {
+  'event-invitation': 'event_updates',
+  'event-confirmation': 'event_updates',
+  'event-notification': 'event_updates',
+  'event-cancelled': 'event_updates',
+  'event-reminder': 'reminders',
+  'ticket-reminder': 'reminders',
+  'appointment-reminder': 'reminders',
+  'ticket-generated': 'tickets',
+  'ticket-purchased': 'tickets'
+};
+
+/**
+ * Catégorie d'un template
+ * @param {string} template - Nom du template
+ * @returns {string|null} Catégorie ou null
+ */
+function getTemplateCategory(template) {
+  return TEMPLATE_CATEGORIES[template] || null;
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  TEMPLATE_CATEGORIES,
+  getTemplateCategory
+};
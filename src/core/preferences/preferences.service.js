@@ -5,6 +5,7 @@
 
 const { getDatabase } = require('../../config/database');
 const logger = require('../../utils/logger');
+const { NOTIFICATION_CATEGORIES } = require('./notification-categories');
 
 const DEFAULT_NOTIFICATION_CHANNELS = {
   email: true,
@@ -66,10 +67,13 @@ class UserPreferencesService {
 
       const result = await this.db.query(query, [normalizedId]);
 
+      const categories = await this.getCategoryPreferences(normalizedId);
+
       if (result.rows.length === 0) {
         return {
           userId,
           channels: { ...DEFAULT_NOTIFICATION_CHANNELS },
+          categories,
           rows: [],
           isDefault: true
         };
@@ -83,6 +87,7 @@ class UserPreferencesService {
       return {
         userId,
         channels: preferences,
+        categories,
         rows: result.rows
       };
     } catch (error) {
@@ -173,19 +178,84 @@ class UserPreferencesService {
   }
 
   /**
-   * Désabonne un utilisateur de toutes les notifications
+   * Récupère les opt-out par catégorie d'un utilisateur
+   * @param {number} normalizedId - ID utilisateur normalisé
+   * @returns {Promise<Object>} { channel: { category: is_enabled } }
+   */
+  async getCategoryPreferences(normalizedId) {
+    const query = `
+      SELECT channel, category, is_enabled
+      FROM notification_category_preferences
+      WHERE user_id = $1
+      ORDER BY channel, category
+    `;
+
+    const result = await this.db.query(query, [normalizedId]);
+
+    const categories = {};
+    for (const row of result.rows) {
+      categories[row.channel] = categories[row.channel] || {};
+      categories[row.channel][row.category] = row.is_enabled;
+    }
+    return categories;
+  }
+
+  /**
+   * Active ou désactive une catégorie sur un canal
+   * @param {string|number} userId - ID de l'utilisateur
+   * @param {string} channel - Canal (email, sms, push, in_app)
+   * @param {string} category - Catégorie (event_updates, reminders, tickets)
+   * @param {boolean} isEnabled - Nouvel état
+   * @returns {Promise<Object|null>} Ligne mise à jour ou null si paramètres invalides
+   */
+  async setCategoryPreference(userId, channel, category, isEnabled) {
+    const normalizedId = normalizeUserId(userId);
+
+    if (!normalizedId || !this.channels.includes(channel) || !NOTIFICATION_CATEGORIES.includes(category)) {
+      logger.warn('Cannot update category preference: invalid parameters', { userId, channel, category });
+      return null;
+    }
+
+    const query = `
+      INSERT INTO notification_category_preferences (user_id, channel, category, is_enabled)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, channel, category) DO UPDATE SET
+        is_enabled = EXCLUDED.is_enabled
+      RETURNING *
+    `;
+
+    const result = await this.db.query(query, [normalizedId, channel, category, isEnabled]);
+    logger.info('User category preference updated', { userId: normalizedId, channel, category, isEnabled });
+    return result.rows[0];
+  }
+
+  /**
+   * Désabonne un utilisateur
+   * Sans portée : tous les canaux ; avec channel : ce canal ; avec category : cette catégorie sur le canal (email par défaut)
    * @param {string} userId - ID de l'utilisateur
+   * @param {Object} scope - { channel, category }
    * @returns {Promise<Object>} Préférences mises à jour
    */
-  async unsubscribeUser(userId) {
+  async unsubscribeUser(userId, { channel, category } = {}) {
     try {
+      if (category) {
+        await this.setCategoryPreference(userId, channel || 'email', category, false);
+        logger.info('User unsubscribed from notification category', { userId, channel: channel || 'email', category });
+        return await this.getUserPreferences(userId);
+      }
+
       const channels = {};
-      for (const channel of this.channels) {
-        channels[channel] = false;
+      for (const current of this.channels) {
+        if (!channel || current === channel) {
+          channels[current] = false;
+        }
       }
 
       const result = await this.updateUserPreferences(userId, { channels });
-      logger.info('User unsubscribed from all notifications', { userId });
+      logger.info(channel ? 'User unsubscribed from notification channel' : 'User unsubscribed from all notifications', {
+        userId,
+        channel: channel || null
+      });
       return result;
     } catch (error) {
       logger.error('Failed to unsubscribe user', {
@@ -200,9 +270,10 @@ class UserPreferencesService {
    * Vérifie si un utilisateur souhaite recevoir une notification sur un canal
    * @param {string|number} userId - ID de l'utilisateur (integer ou UUID)
    * @param {string} channel - Canal (email, sms, push, in_app)
+   * @param {string|null} category - Catégorie du template (optionnelle)
    * @returns {Promise<Object>} Résultat de vérification
    */
-  async shouldSendNotification(userId, channel) {
+  async shouldSendNotification(userId, channel, category = null) {
     try {
       const normalizedId = normalizeUserId(userId);
 
@@ -222,18 +293,29 @@ class UserPreferencesService {
 
       const result = await this.db.query(query, [normalizedId, channel]);
 
-      if (result.rows.length === 0) {
+      const channelCheck = result.rows.length === 0
         // Pas de préférences => envoyer par défaut sauf SMS
+        ? { shouldSend: DEFAULT_NOTIFICATION_CHANNELS[channel] ?? true, reason: 'default_preferences' }
+        : { shouldSend: result.rows[0].is_enabled, reason: result.rows[0].is_enabled ? 'allowed' : 'channel_disabled' };
+
+      if (!channelCheck.shouldSend || !category) {
+        return channelCheck;
+      }
+
+      const categoryResult = await this.db.query(`
+        SELECT is_enabled
+        FROM notification_category_preferences
+        WHERE user_id = $1 AND channel = $2 AND category = $3
+      `, [normalizedId, channel, category]);
+
+      if (categoryResult.rows.length > 0 && !categoryResult.rows[0].is_enabled) {
         return {
-          shouldSend: DEFAULT_NOTIFICATION_CHANNELS[channel] ?? true,
-          reason: 'default_preferences'
+          shouldSend: false,
+          reason: 'category_disabled'
         };
       }
 
-      return {
-        shouldSend: result.rows[0].is_enabled,
-        reason: result.rows[0].is_enabled ? 'allowed' : 'channel_disabled'
-      };
+      return channelCheck;
     } catch (error) {
       logger.error('Failed to check notification preferences', {
         error: error.message,
@@ -0,0 +1,140 @@
+const logger = require('../../utils/logger');
+const preferencesService = require('./preferences.service');
+const suppressionService = require('../suppressions/suppression.service');
+const { getTemplateCategory } = require('./notification-categories');
+const { readSecret, signToken, verifyToken } = require('../../utils/signed-tokens');
+
+const DEFAULT_TOKEN_TTL_DAYS = 60;
+
+/**
+ * Service de désabonnement en un clic (RFC 8058)
+ * - Jeton signé HMAC-SHA256 et expirant, porté par l'URL de désabonnement
+ * - En-têtes List-Unsubscribe / List-Unsubscribe-Post sur chaque email non système
+ * - Avec userId : préférences (canal ou catégorie) ; sans userId : liste de suppression (motif unsubscribe)
+ */
+class UnsubscribeService {
+  /**
+   * Configuration : URL publique, secret de signature et durée de validité
+   * @returns {Object|null} { baseUrl, secret, ttlSeconds } ou null si non configuré
+   */
+  getConfig() {
+    const baseUrl = process.env.UNSUBSCRIBE_BASE_URL || process.env.WEBHOOK_PUBLIC_BASE_URL;
+    const secret = readSecret('UNSUBSCRIBE_TOKEN_SECRET');
+
+    if (!baseUrl || !secret) {
+      return null;
+    }
+
+    const ttlDays = parseInt(process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS, 10) || DEFAULT_TOKEN_TTL_DAYS;
+    return { baseUrl: baseUrl.replace(/\/$/, ''), secret, ttlSeconds: ttlDays * 24 * 3600 };
+  }
+
+  /**
+   * Crée un jeton de désabonnement
+   * @param {Object} subject - { userId, email, channel, category }
+   * @param {Object} config - Configuration (getConfig)
+   * @returns {string} Jeton "<payload base64url>.<signature base64url>"
+   */
+  createToken({ userId = null, email = null, channel = 'email', category = null }, config = this.getConfig()) {
+    const payload = {
+      u: userId,
+      e: email ? String(email).trim().toLowerCase() : null,
+      ch: channel,
+      ca: category,
+      exp: Math.floor(Date.now() / 1000) + config.ttlSeconds
+    };
+    return signToken(payload, config.secret);
+  }
+
+  /**
+   * Vérifie un jeton de désabonnement
+   * @param {string} token - Jeton reçu
+   * @returns {Object|null} Payload ou null si invalide ou expiré
+   */
+  verifyToken(token) {
+    const config = this.getConfig();
+    if (!config) {
+      return null;
+    }
+
+    const payload = verifyToken(token, config.secret);
+    if (!payload || !payload.exp || payload.exp * 1000 < Date.now() || (!payload.u && !payload.e)) {
+      return null;
+    }
+    return payload;
+  }
+
+  /**
+   * Prépare le désabonnement d'un email non système
+   * @param {string} to - Destinataire
+   * @param {string} template - Nom du template
+   * @param {Object} options - Options d'envoi (userId)
+   * @returns {Object|null} { url, headers } ou null si non configuré
+   */
+  buildUnsubscribe(to, template, options = {}) {
+    const config = this.getConfig();
+    if (!config) {
+      return null;
+    }
+
+    const token = this.createToken({
+      userId: options.userId || null,
+      email: to,
+      channel: 'email',
+      category: getTemplateCategory(template)
+    }, config);
+    const url = `${config.baseUrl}/api/notifications/unsubscribe/${token}`;
+
+    return {
+      url,
+      headers: {
+        'List-Unsubscribe': `<${url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
+  /**
+   * Ajoute le lien de désabonnement en pied de page si le template ne l'affiche pas déjà
+   * @param {string} html - HTML rendu
+   * @param {string} url - URL de désabonnement
+   * @returns {string} HTML
+   */
+  ensureFooterLink(html, url) {
+    if (!html || html.includes(url)) {
+      return html;
+    }
+
+    const footer = `<p style="margin:24px 0 0;font-size:12px;color:#6b7280;text-align:center;">`
+      + `<a href="${url}" data-no-track style="color:#6b7280;">Se désabonner de ces emails</a></p>`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+  }
+
+  /**
+   * Applique un désabonnement authentifié par jeton
+   * @param {Object} payload - Payload du jeton vérifié
+   * @param {string|null} scope - channel | category (défaut : category si le jeton en porte une)
+   * @returns {Promise<Object>} { userId, email, channel, category, method }
+   */
+  async unsubscribe(payload, scope = null) {
+    const category = scope === 'channel' ? null : payload.ca || null;
+
+    if (payload.u) {
+      await preferencesService.unsubscribeUser(payload.u, { channel: payload.ch, category });
+      logger.info('One-click unsubscribe applied to preferences', { userId: payload.u, channel: payload.ch, category });
+      return { userId: payload.u, email: payload.e, channel: payload.ch, category, method: 'preferences' };
+    }
+
+    // Destinataire sans compte : seule la liste de suppression permet de bloquer les envois suivants
+    await suppressionService.addSuppression({
+      email: payload.e,
+      reason: 'unsubscribe',
+      source: 'one_click',
+      details: { category: payload.ca || null }
+    });
+    logger.info('One-click unsubscribe applied to suppression list', { channel: payload.ch });
+    return { userId: null, email: payload.e, channel: payload.ch, category: null, method: 'suppression' };
+  }
+}
+
+module.exports = new UnsubscribeService();
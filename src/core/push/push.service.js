@@ -234,25 +234,46 @@ class PushService {
 
       // Log dans la base de données
       const notificationRepository = require('../database/notification.repository');
-      await notificationRepository.createNotification({
-        type: 'push',
+      const delivery = {
         status: result.success ? 'sent' : 'failed',
-        priority: options.priority || 2,
-        subject: notification.title,
-        content: notification.body,
-        templateName: template,
-        templateData: data || null,
-        recipientPushToken: token,
-        provider: result.provider || 'fallback',
-        providerResponse: result,
-        providerMessageId: result.messageId || null,
         sentAt: result.success ? new Date().toISOString() : null,
-        failedAt: result.success ? null : new Date().toISOString(),
-        errorMessage: result.success ? null : (result.error || result.details?.message || 'Push send failed'),
-        errorCode: result.success ? null : 'PUSH_SEND_FAILED',
-        retryCount: 0,
-        maxRetries: 2
-      });
+        provider: result.provider || 'fallback',
+        providerMessageId: result.messageId || null
+      };
+      const errorMessage = result.success ? null : (result.error || result.details?.message || 'Push send failed');
+
+      if (options.notificationId) {
+        // Un rejeu met à jour la notification d'origine ; la transition est historisée par le repository
+        await notificationRepository.updateNotificationStatus(options.notificationId, delivery.status, {
+          ...delivery,
+          response: result,
+          errorMessage,
+          eventType: 'resend'
+        });
+      } else {
+        const record = await notificationRepository.createNotification({
+          userId: options.userId,
+          type: template,
+          channel: 'push',
+          subject: notification.title,
+          content: notification.body,
+          recipient: token,
+          templateName: template,
+          templateData: data || {},
+          ...delivery
+        });
+
+        if (record && record.id) {
+          await notificationRepository.createNotificationLog({
+            notificationId: record.id,
+            provider: delivery.provider,
+            response: result,
+            errorMessage,
+            status: delivery.status,
+            eventType: 'created'
+          });
+        }
+      }
 
       return result;
 
@@ -390,6 +390,9 @@ class QueueService {
         case 'event-notification':
           result = await emailService.sendEventNotificationEmail(to, data.event, options);
           break;
+        case 'bulk-email':
+          // Lot mis en file par emailService.queueBulkEmail (destinataires déjà filtrés)
+          return await this.processBulkJob({ id: job.id, data: { ...job.data, type: 'email' } });
         default:
           result = await emailService.sendTransactionalEmail(to, template, data, options);
       }
@@ -471,7 +474,7 @@ class QueueService {
       const smsService = require('../sms/sms.service');
       
       const results = {
-        email: { sent: 0, failed: 0, errors: [] },
+        email: { sent: 0, failed: 0, suppressed: 0, errors: [] },
         sms: { sent: 0, failed: 0, errors: [] }
       };
       
@@ -483,13 +486,17 @@ class QueueService {
         if (type === 'email' || type === 'both') {
           for (const recipient of chunk) {
             try {
-              await emailService.sendTransactionalEmail(
+              const emailResult = await emailService.sendTransactionalEmail(
                 recipient.email || recipient,
                 template,
                 { ...data, ...recipient },
                 options
               );
-              results.email.sent++;
+              if (emailResult?.suppressed) {
+                results.email.suppressed++;
+              } else {
+                results.email.sent++;
+              }
             } catch (error) {
               results.email.failed++;
               results.email.errors.push({
@@ -530,6 +537,7 @@ class QueueService {
         totalRecipients: recipients.length,
         totalSent,
         totalFailed,
+        totalSuppressed: results.email.suppressed,
         chunks: chunks.length
       });
       
@@ -541,6 +549,7 @@ class QueueService {
         totalRecipients: recipients.length,
         totalSent,
         totalFailed,
+        totalSuppressed: results.email.suppressed,
         processedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -657,6 +666,40 @@ class QueueService {
     }
   }
 
+  /**
+   * Met une queue en pause (tous les workers) : les jobs ajoutés attendent la reprise
+   * @param {string} queueName - Nom de la queue
+   * @returns {Promise<Object>} Résultat de la mise en pause
+   */
+  async pauseQueue(queueName) {
+    const queue = this.queues.get(queueName);
+    if (!queue) {
+      throw new Error(`Queue ${queueName} not found`);
+    }
+
+    await queue.pause();
+    logger.warn('Queue paused', { queueName });
+
+    return { success: true, queueName, paused: true };
+  }
+
+  /**
+   * Relance une queue mise en pause
+   * @param {string} queueName - Nom de la queue
+   * @returns {Promise<Object>} Résultat de la reprise
+   */
+  async resumeQueue(queueName) {
+    const queue = this.queues.get(queueName);
+    if (!queue) {
+      throw new Error(`Queue ${queueName} not found`);
+    }
+
+    await queue.resume();
+    logger.info('Queue resumed', { queueName });
+
+    return { success: true, queueName, paused: false };
+  }
+
   /**
    * Récupère les statistiques des queues
    * @returns {Promise<Object>} Statistiques des queues
@@ -0,0 +1,267 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const smsCostRepository = require('../database/sms-cost.repository');
+const { getCostCurrency } = require('./sms-costs');
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Crée une erreur de dépassement de budget (non retryable)
+ * @param {string} message - Message d'erreur
+ * @param {Object} details - { period, cap, spent, estimate, currency }
+ * @returns {Error} Erreur avec code SMS_BUDGET_EXCEEDED
+ */
+function createBudgetError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'SMS_BUDGET_EXCEEDED';
+  error.statusCode = 429;
+  error.details = details;
+  return error;
+}
+
+function parseCap(value) {
+  const cap = parseFloat(value);
+  return Number.isFinite(cap) && cap > 0 ? cap : null;
+}
+
+/**
+ * Budgets de dépense SMS
+ *
+ * Plafonds en SMS_COST_CURRENCY : SMS_DAILY_BUDGET (jour UTC) et SMS_MONTHLY_BUDGET (mois UTC), vides = sans plafond
+ * La dépense de la période additionne le coût réel de chaque SMS, ou son estimation tant que le provider ne l'a pas communiqué
+ * Plafond atteint :
+ * - la queue sms est mise en pause (reprise au début de la période suivante) et une alerte est émise
+ *   (log d'erreur, et POST JSON vers SMS_BUDGET_ALERT_WEBHOOK_URL si configurée)
+ * - les envois sont refusés (SMS_BUDGET_EXCEEDED), sauf les templates système (OTP, alertes de sécurité...)
+ */
+class SmsBudget {
+  constructor() {
+    this.queuePaused = false;
+    this.alerted = new Set();
+    this.resumeTimer = null;
+  }
+
+  /**
+   * Plafonds configurés
+   * @returns {Object} { daily, monthly } ; null si pas de plafond
+   */
+  getCaps() {
+    return {
+      daily: parseCap(process.env.SMS_DAILY_BUDGET),
+      monthly: parseCap(process.env.SMS_MONTHLY_BUDGET)
+    };
+  }
+
+  isEnabled() {
+    const caps = this.getCaps();
+    return caps.daily !== null || caps.monthly !== null;
+  }
+
+  /**
+   * Bornes des périodes en cours (UTC)
+   * @param {Date} now - Instant de référence
+   * @returns {Object} { daily: { start, end }, monthly: { start, end } }
+   */
+  getPeriods(now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    return {
+      daily: { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) },
+      monthly: { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) }
+    };
+  }
+
+  /**
+   * Dépense et plafonds des périodes en cours
+   * @param {Date} now - Instant de référence
+   * @returns {Promise<Object>} { currency, daily, monthly, exceeded, queuePaused }
+   */
+  async getStatus(now = new Date()) {
+    const caps = this.getCaps();
+    const periods = this.getPeriods(now);
+    const status = { currency: getCostCurrency(), exceeded: false, queuePaused: this.queuePaused };
+
+    for (const period of PERIODS) {
+      const spending = await smsCostRepository.getSpendingSince(periods[period].start.toISOString());
+      const cap = caps[period];
+      status[period] = {
+        cap,
+        spent: spending.total,
+        count: spending.count,
+        remaining: cap === null ? null : Math.max(0, Math.round((cap - spending.total) * 100000) / 100000),
+        exceeded: cap !== null && spending.total >= cap,
+        periodStart: periods[period].start.toISOString(),
+        periodEnd: periods[period].end.toISOString()
+      };
+      status.exceeded = status.exceeded || status[period].exceeded;
+    }
+
+    return status;
+  }
+
+  /**
+   * Contrôle avant envoi : refuse un SMS qui ferait dépasser un plafond
+   * Si la dépense ne peut pas être lue (base indisponible), l'envoi est autorisé
+   * @param {Object} params - { estimate, template, system }
+   * @throws {Error} SMS_BUDGET_EXCEEDED
+   */
+  async assertWithinBudget({ estimate = null, template = null, system = false } = {}) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    let status;
+    try {
+      status = await this.getStatus();
+    } catch (error) {
+      logger.warn('SMS budget could not be checked, sending anyway', { error: error.message });
+      return;
+    }
+
+    const exceeded = PERIODS.find(period => {
+      const { cap, spent } = status[period];
+      return cap !== null && (spent >= cap || spent + (estimate || 0) > cap);
+    });
+    if (!exceeded) {
+      return;
+    }
+
+    if (status.exceeded) {
+      await this.enforce(status);
+    }
+
+    // Les SMS système (OTP, alertes) passent toujours : le plafond ne doit pas bloquer les connexions
+    if (system) {
+      logger.warn('SMS budget exceeded, system SMS sent anyway', { template, period: exceeded });
+      return;
+    }
+
+    throw createBudgetError(`Budget SMS ${exceeded === 'daily' ? 'journalier' : 'mensuel'} atteint`, {
+      period: exceeded,
+      cap: status[exceeded].cap,
+      spent: status[exceeded].spent,
+      estimate,
+      currency: status.currency,
+      periodEnd: status[exceeded].periodEnd
+    });
+  }
+
+  /**
+   * Contrôle après un envoi facturé : pause et alerte au dépassement, reprise sur une nouvelle période
+   * @returns {Promise<Object|null>} Statut du budget, null si aucun plafond ou en cas d'erreur
+   */
+  async evaluate() {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const status = await this.getStatus();
+      if (status.exceeded) {
+        await this.enforce(status);
+      } else if (this.queuePaused) {
+        await this.resumeQueue('budget back under caps');
+      }
+      return status;
+    } catch (error) {
+      logger.warn('SMS budget evaluation failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Met la queue sms en pause et alerte une fois par période dépassée
+   * @param {Object} status - Statut du budget (getStatus)
+   */
+  async enforce(status) {
+    const exceeded = PERIODS.filter(period => status[period].exceeded);
+
+    for (const period of exceeded) {
+      const key = `${period}:${status[period].periodStart}`;
+      if (!this.alerted.has(key)) {
+        this.alerted.add(key);
+        await this.alert(period, status);
+      }
+    }
+
+    if (!this.queuePaused) {
+      try {
+        const queueService = require('../queues/queue.service');
+        await queueService.pauseQueue('sms');
+        this.queuePaused = true;
+      } catch (error) {
+        logger.error('Failed to pause SMS queue after budget exceeded', { error: error.message });
+      }
+    }
+
+    // Reprise automatique au début de la période dépassée la plus lointaine
+    const resumeAt = Math.max(...exceeded.map(period => new Date(status[period].periodEnd).getTime()));
+    this.scheduleResume(resumeAt);
+  }
+
+  /**
+   * Émet l'alerte de dépassement
+   * @param {string} period - daily | monthly
+   * @param {Object} status - Statut du budget
+   */
+  async alert(period, status) {
+    const payload = {
+      event: 'sms.budget_exceeded',
+      period,
+      cap: status[period].cap,
+      spent: status[period].spent,
+      currency: status.currency,
+      periodStart: status[period].periodStart,
+      periodEnd: status[period].periodEnd,
+      queuePaused: true
+    };
+
+    logger.error('SMS budget exceeded, SMS queue paused', payload);
+
+    const webhookUrl = String(process.env.SMS_BUDGET_ALERT_WEBHOOK_URL || '').trim();
+    if (!webhookUrl) {
+      return;
+    }
+
+    try {
+      await axios.post(webhookUrl, payload, { timeout: 5000, headers: { 'Content-Type': 'application/json' } });
+    } catch (error) {
+      logger.warn('SMS budget alert webhook failed', { error: error.message });
+    }
+  }
+
+  scheduleResume(timestamp) {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+    }
+    // Un timer ne peut pas dépasser ~24,8 jours : le contrôle est relancé à l'échéance
+    const delay = Math.min(Math.max(timestamp - Date.now(), 1000), 2 ** 31 - 1);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.evaluate();
+    }, delay);
+    this.resumeTimer.unref();
+  }
+
+  /**
+   * Relance la queue sms mise en pause par le budget
+   * @param {string} reason - Raison de la reprise (journalisée)
+   */
+  async resumeQueue(reason) {
+    try {
+      const queueService = require('../queues/queue.service');
+      await queueService.resumeQueue('sms');
+      this.queuePaused = false;
+      if (this.resumeTimer) {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+      }
+      logger.info('SMS queue resumed', { reason });
+    } catch (error) {
+      logger.error('Failed to resume SMS queue', { error: error.message });
+    }
+  }
+}
+
+module.exports = new SmsBudget();
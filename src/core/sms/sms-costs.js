@@ -0,0 +1,166 @@
+/**
+ * 💰 COÛTS SMS
+ *
+ * RÔLE : Estimer le coût d'un SMS avant envoi et lire le coût réel renvoyé par les providers
+ *
+ * Grille tarifaire : SMS_PRICE_TABLE (JSON), prix par segment par provider puis par pays, ex.
+ *   {"twilio":{"CM":0.21,"US":0.0079,"*":0.08},"vonage":{"CM":0.12},"*":{"*":0.1}}
+ * "*" : tous les providers / tous les pays ; recherche : provider + pays > provider > pays > générique
+ * Devise : SMS_COST_CURRENCY (EUR par défaut), commune à la grille, aux budgets et aux statistiques
+ *
+ * Coût réel : prix Twilio (price / priceUnit) et Vonage (message-price, price des accusés de livraison)
+ * Un prix dans une autre devise que SMS_COST_CURRENCY est ignoré : l'estimation reste le coût retenu
+ */
+
+const DEFAULT_CURRENCY = 'EUR';
+
+let cache = { raw: null, table: null };
+
+/**
+ * Crée une erreur de grille tarifaire
+ * @param {string} message - Description du problème
+ * @param {Object} details - Contexte (provider, country...)
+ * @returns {Error} Erreur avec code INVALID_SMS_PRICE_TABLE
+ */
+function createPriceTableError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'INVALID_SMS_PRICE_TABLE';
+  error.statusCode = 500;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Devise des coûts SMS
+ * @returns {string} Code ISO 4217
+ */
+function getCostCurrency() {
+  const currency = String(process.env.SMS_COST_CURRENCY || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CURRENCY;
+}
+
+/**
+ * Charge la grille tarifaire (mise en cache tant que SMS_PRICE_TABLE ne change pas)
+ * @returns {Object} { provider: { country: prix par segment } }
+ * @throws {Error} INVALID_SMS_PRICE_TABLE si la grille est invalide
+ */
+function loadPriceTable() {
+  const raw = process.env.SMS_PRICE_TABLE || '';
+  if (cache.raw === raw) {
+    return cache.table;
+  }
+
+  const table = {};
+  if (raw.trim()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw createPriceTableError('SMS_PRICE_TABLE is not valid JSON', { reason: error.message });
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw createPriceTableError('SMS_PRICE_TABLE must be a JSON object keyed by provider');
+    }
+
+    for (const [provider, prices] of Object.entries(parsed)) {
+      if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+        throw createPriceTableError(`Prices for provider "${provider}" must be an object keyed by country`, { provider });
+      }
+      const key = provider.trim().toLowerCase();
+      table[key] = {};
+      for (const [country, price] of Object.entries(prices)) {
+        if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+          throw createPriceTableError(`Invalid SMS price for ${provider}/${country}`, { provider, country, price });
+        }
+        table[key][country.trim().toUpperCase()] = price;
+      }
+    }
+  }
+
+  cache = { raw, table };
+  return table;
+}
+
+/**
+ * Prix d'un segment pour un provider et un pays
+ * @param {string} provider - Provider qui envoie
+ * @param {string|null} country - Code ISO du destinataire
+ * @returns {number|null} Prix par segment, null si non tarifé
+ */
+function getSegmentPrice(provider, country) {
+  const table = loadPriceTable();
+  const countryKey = country ? String(country).toUpperCase() : null;
+  const lookups = [
+    [provider, countryKey],
+    [provider, '*'],
+    ['*', countryKey],
+    ['*', '*']
+  ];
+
+  for (const [providerKey, key] of lookups) {
+    const price = key && table[providerKey] ? table[providerKey][key] : undefined;
+    if (price !== undefined) {
+      return price;
+    }
+  }
+  return null;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100000) / 100000;
+}
+
+/**
+ * Estime le coût d'un SMS avant envoi
+ * @param {Object} params - { provider, country, segments }
+ * @returns {Object} { unitPrice, amount, currency } ; amount null si le pays n'est pas tarifé
+ */
+function estimateSmsCost({ provider, country, segments = 1 }) {
+  const unitPrice = getSegmentPrice(provider, country);
+  return {
+    unitPrice,
+    amount: unitPrice === null ? null : roundAmount(unitPrice * Math.max(1, segments)),
+    currency: getCostCurrency()
+  };
+}
+
+/**
+ * Coût réel communiqué par un provider
+ * Twilio renvoie un prix négatif (débit du compte) ; Vonage ne précise pas la devise (celle du compte)
+ * @param {string|number|null} price - Prix brut
+ * @param {string|null} currency - Devise annoncée par le provider
+ * @returns {number|null} Coût positif, null si absent ou dans une autre devise
+ */
+function parseProviderCost(price, currency = null) {
+  if (price === undefined || price === null || price === '') {
+    return null;
+  }
+  if (currency && String(currency).toUpperCase() !== getCostCurrency()) {
+    return null;
+  }
+
+  const amount = Math.abs(parseFloat(price));
+  return Number.isFinite(amount) ? roundAmount(amount) : null;
+}
+
+/**
+ * Validation au démarrage : échoue si la grille est invalide
+ * @returns {Object} { currency, providers } providers tarifés et nombre de pays par provider
+ */
+function validateSmsPriceTable() {
+  const table = loadPriceTable();
+  return {
+    currency: getCostCurrency(),
+    providers: Object.fromEntries(Object.entries(table).map(([provider, prices]) => [provider, Object.keys(prices).length]))
+  };
+}
+
+module.exports = {
+  createPriceTableError,
+  getCostCurrency,
+  loadPriceTable,
+  getSegmentPrice,
+  estimateSmsCost,
+  parseProviderCost,
+  validateSmsPriceTable
+};
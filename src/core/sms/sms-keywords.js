@@ -0,0 +1,102 @@
+/**
+ * 🔑 MOTS-CLÉS SMS ENTRANTS
+ *
+ * RÔLE : Reconnaître les mots-clés de conformité envoyés en réponse à nos SMS
+ * - stop : STOP, UNSUBSCRIBE, ARRET (et variantes usuelles)
+ * - start : START, UNSTOP, DEMARRER
+ * - help : HELP, AIDE, INFO
+ *
+ * Seul le premier mot du message compte, sans casse, accents ni ponctuation ("Arrêt." = ARRET)
+ * La langue de la réponse suit le mot-clé ; STOP et START, communs aux deux langues, utilisent SMS_DEFAULT_LOCALE
+ */
+
+const KEYWORDS = {
+  STOP: { action: 'stop', locale: null },
+  STOPALL: { action: 'stop', locale: 'en' },
+  UNSUBSCRIBE: { action: 'stop', locale: 'en' },
+  CANCEL: { action: 'stop', locale: 'en' },
+  END: { action: 'stop', locale: 'en' },
+  QUIT: { action: 'stop', locale: 'en' },
+  ARRET: { action: 'stop', locale: 'fr' },
+  DESABONNER: { action: 'stop', locale: 'fr' },
+  DESINSCRIPTION: { action: 'stop', locale: 'fr' },
+  START: { action: 'start', locale: null },
+  UNSTOP: { action: 'start', locale: 'en' },
+  SUBSCRIBE: { action: 'start', locale: 'en' },
+  DEMARRER: { action: 'start', locale: 'fr' },
+  REPRENDRE: { action: 'start', locale: 'fr' },
+  HELP: { action: 'help', locale: 'en' },
+  INFO: { action: 'help', locale: null },
+  AIDE: { action: 'help', locale: 'fr' }
+};
+
+const AUTO_REPLIES = {
+  fr: {
+    stop: 'Event Planner : vous ne recevrez plus de SMS. Envoyez START pour vous réabonner.',
+    start: 'Event Planner : vos SMS sont réactivés. Envoyez STOP pour vous désabonner, AIDE pour de l\'aide.',
+    help: 'Event Planner : alertes SMS de vos événements.{contact} Envoyez STOP pour vous désabonner.',
+    unknown: 'Event Planner : aucune alerte SMS n\'est associée à ce numéro.{contact}'
+  },
+  en: {
+    stop: 'Event Planner: you will no longer receive text messages. Reply START to resubscribe.',
+    start: 'Event Planner: text messages are enabled again. Reply STOP to unsubscribe, HELP for help.',
+    help: 'Event Planner: event text alerts.{contact} Reply STOP to unsubscribe.',
+    unknown: 'Event Planner: no text alerts are linked to this number.{contact}'
+  }
+};
+
+/**
+ * Langue par défaut des réponses (SMS_DEFAULT_LOCALE, fr si non supportée)
+ * @returns {string} fr | en
+ */
+function getDefaultLocale() {
+  const locale = String(process.env.SMS_DEFAULT_LOCALE || 'fr').toLowerCase().slice(0, 2);
+  return AUTO_REPLIES[locale] ? locale : 'fr';
+}
+
+/**
+ * Reconnaît un mot-clé dans le corps d'un SMS entrant
+ * @param {string} body - Texte reçu
+ * @returns {Object|null} { action, keyword, locale } ou null si le message n'est pas un mot-clé
+ */
+function parseKeyword(body) {
+  const firstWord = String(body ?? '')
+    .trim()
+    .split(/\s+/)[0]
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z]/g, '')
+    .toUpperCase();
+
+  const match = KEYWORDS[firstWord];
+  if (!match) {
+    return null;
+  }
+
+  return {
+    action: match.action,
+    keyword: firstWord,
+    locale: match.locale || getDefaultLocale()
+  };
+}
+
+/**
+ * Texte de la réponse automatique d'un mot-clé
+ * Le contact d'assistance (SMS_HELP_CONTACT) est ajouté aux réponses HELP et unknown s'il est configuré
+ * unknown : réponse neutre à un STOP / START d'un numéro sans contact connu
+ * @param {string} action - stop | start | help | unknown
+ * @param {string} locale - fr | en
+ * @returns {string} Réponse à envoyer
+ */
+function buildAutoReply(action, locale = getDefaultLocale()) {
+  const replies = AUTO_REPLIES[locale] || AUTO_REPLIES[getDefaultLocale()];
+  const contact = (process.env.SMS_HELP_CONTACT || '').trim();
+  const contactText = contact ? (locale === 'en' ? ` Support: ${contact}.` : ` Contact : ${contact}.`) : '';
+
+  return replies[action].replace('{contact}', contactText);
+}
+
+module.exports = {
+  parseKeyword,
+  buildAutoReply
+};
@@ -0,0 +1,242 @@
+const logger = require('../../utils/logger');
+const smsRouteRepository = require('../database/sms-route.repository');
+
+const SMS_PROVIDERS = ['twilio', 'vonage', 'textbelt'];
+const DEFAULT_CACHE_SECONDS = 60;
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalise une règle issue de la configuration ou de la table sms_routes
+ * @param {Object} rule - Règle brute
+ * @param {string} source - config | database
+ * @param {number} index - Position de la règle dans sa source
+ * @returns {Object|null} Règle normalisée ou null si inutilisable
+ */
+function normalizeRule(rule, source, index) {
+  const providers = toArray(rule.providers || rule.provider).map(name => name.toLowerCase());
+  const normalized = {
+    name: String(rule.name || `${source}-${index + 1}`),
+    source,
+    countries: toArray(rule.countries || rule.country).map(country => country.toUpperCase()),
+    prefixes: toArray(rule.prefixes || rule.prefix).map(prefix => `+${prefix.replace(/[^\d]/g, '')}`),
+    templates: toArray(rule.templates || rule.template).map(template => template.toLowerCase()),
+    priorities: toArray(rule.priorities || rule.priority).map(priority => priority.toLowerCase()),
+    providers: providers.filter(name => SMS_PROVIDERS.includes(name)),
+    fallback: rule.fallback !== false
+  };
+
+  const unknown = providers.filter(name => !SMS_PROVIDERS.includes(name));
+  if (unknown.length > 0) {
+    logger.warn('Unknown SMS providers ignored in route', { route: normalized.name, source, providers: unknown });
+  }
+
+  // Une règle sans critère remplacerait SMS_PROVIDER_ORDER : elle est ignorée
+  const hasCriteria = ['countries', 'prefixes', 'templates', 'priorities'].some(key => normalized[key].length > 0);
+  return normalized.providers.length > 0 && hasCriteria ? normalized : null;
+}
+
+/**
+ * Critères d'une règle satisfaits par un envoi
+ * @returns {Array<string>|null} Critères qui ont correspondu, null si la règle ne s'applique pas
+ */
+function matchRule(rule, context) {
+  const matched = [];
+
+  if (rule.countries.length > 0) {
+    if (!context.region || !rule.countries.includes(context.region)) {
+      return null;
+    }
+    matched.push(`country ${context.region}`);
+  }
+
+  if (rule.prefixes.length > 0) {
+    const prefix = rule.prefixes
+      .filter(candidate => context.phoneNumber && context.phoneNumber.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) {
+      return null;
+    }
+    matched.push(`prefix ${prefix}`);
+  }
+
+  if (rule.templates.length > 0) {
+    if (!context.template || !rule.templates.includes(context.template)) {
+      return null;
+    }
+    matched.push(`template ${context.template}`);
+  }
+
+  if (rule.priorities.length > 0) {
+    if (!rule.priorities.includes(context.priority)) {
+      return null;
+    }
+    matched.push(`priority ${context.priority}`);
+  }
+
+  return matched;
+}
+
+/**
+ * Table de routage SMS
+ *
+ * Choisit l'ordre d'essai des providers selon le destinataire (pays ou préfixe E.164),
+ * le template et la priorité. Sources, évaluées dans cet ordre (la première règle qui correspond gagne) :
+ * - table sms_routes (si SMS_ROUTING_DB_ENABLED=true), relue toutes les SMS_ROUTING_CACHE_SECONDS
+ * - SMS_ROUTING_RULES : règles JSON, ex. [{"name":"cm-local","countries":["CM"],"providers":["vonage"]}]
+ * Sans règle applicable : SMS_PROVIDER_ORDER (défaut twilio,vonage,textbelt)
+ */
+class SmsRouter {
+  constructor() {
+    this.cachedConfigRules = { raw: null, rules: [] };
+    this.databaseRoutes = { loadedAt: 0, rules: [] };
+  }
+
+  /**
+   * Ordre par défaut des providers
+   * @returns {Array<string>} Noms de providers
+   */
+  getDefaultOrder() {
+    const configured = toArray(process.env.SMS_PROVIDER_ORDER)
+      .map(name => name.toLowerCase())
+      .filter(name => SMS_PROVIDERS.includes(name));
+    return configured.length > 0 ? [...new Set(configured)] : [...SMS_PROVIDERS];
+  }
+
+  /**
+   * Règles de la configuration (SMS_ROUTING_RULES)
+   * Une configuration invalide est ignorée avec un avertissement
+   * @returns {Array<Object>} Règles normalisées
+   */
+  getConfigRules() {
+    const raw = process.env.SMS_ROUTING_RULES || '';
+    if (raw === this.cachedConfigRules.raw) {
+      return this.cachedConfigRules.rules;
+    }
+
+    let rules = [];
+    if (raw.trim()) {
+      try {
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) {
+          throw new Error('SMS_ROUTING_RULES must be a JSON array');
+        }
+        rules = parsed.map((rule, index) => normalizeRule(rule, 'config', index)).filter(Boolean);
+      } catch (error) {
+        logger.warn('Invalid SMS_ROUTING_RULES ignored', { error: error.message });
+        rules = [];
+      }
+    }
+
+    this.cachedConfigRules = { raw, rules };
+    return rules;
+  }
+
+  isDatabaseEnabled() {
+    return String(process.env.SMS_ROUTING_DB_ENABLED || '').trim().toLowerCase() === 'true';
+  }
+
+  /**
+   * Règles de la table sms_routes, mises en cache
+   * En cas d'erreur, les dernières règles chargées restent utilisées jusqu'au prochain essai
+   * @returns {Promise<Array<Object>>} Règles normalisées
+   */
+  async getDatabaseRules() {
+    if (!this.isDatabaseEnabled()) {
+      return [];
+    }
+
+    const cacheSeconds = parseInt(process.env.SMS_ROUTING_CACHE_SECONDS, 10);
+    const ttl = (Number.isInteger(cacheSeconds) && cacheSeconds >= 0 ? cacheSeconds : DEFAULT_CACHE_SECONDS) * 1000;
+    if (this.databaseRoutes.loadedAt && Date.now() - this.databaseRoutes.loadedAt < ttl) {
+      return this.databaseRoutes.rules;
+    }
+
+    try {
+      const rows = await smsRouteRepository.listActiveRoutes();
+      this.databaseRoutes = {
+        loadedAt: Date.now(),
+        rules: rows.map((row, index) => normalizeRule(row, 'database', index)).filter(Boolean)
+      };
+    } catch (error) {
+      logger.warn('SMS routes could not be loaded from database, keeping previous routes', { error: error.message });
+      this.databaseRoutes = { ...this.databaseRoutes, loadedAt: Date.now() };
+    }
+
+    return this.databaseRoutes.rules;
+  }
+
+  /**
+   * Force le rechargement des routes de la table au prochain envoi
+   */
+  invalidate() {
+    this.databaseRoutes = { loadedAt: 0, rules: [] };
+  }
+
+  /**
+   * Calcule l'ordre d'essai des providers pour un envoi
+   * @param {Object} context - { phoneNumber (E.164), region, template, priority }
+   * @returns {Promise<Object>} { providers, route, source, reason }
+   */
+  async resolveRoute(context = {}) {
+    const normalizedContext = {
+      phoneNumber: context.phoneNumber || null,
+      region: context.region ? String(context.region).toUpperCase() : null,
+      template: context.template ? String(context.template).toLowerCase() : null,
+      priority: String(context.priority || 'normal').toLowerCase()
+    };
+    const order = this.getDefaultOrder();
+    const rules = [...(await this.getDatabaseRules()), ...this.getConfigRules()];
+
+    for (const rule of rules) {
+      const matched = matchRule(rule, normalizedContext);
+      if (!matched) {
+        continue;
+      }
+
+      const providers = rule.fallback
+        ? [...rule.providers, ...order.filter(name => !rule.providers.includes(name))]
+        : rule.providers;
+
+      return {
+        providers,
+        route: rule.name,
+        source: rule.source,
+        reason: `${rule.source} route ${rule.name}: ${matched.join(', ')}${rule.fallback ? '' : ' (no fallback)'}`
+      };
+    }
+
+    return { providers: order, route: 'default', source: 'default', reason: 'no matching route, default provider order' };
+  }
+
+  /**
+   * Routes actives exposées par /health/providers
+   * @returns {Promise<Object>} { defaultOrder, databaseEnabled, routes }
+   */
+  async describeRoutes() {
+    const rules = [...(await this.getDatabaseRules()), ...this.getConfigRules()];
+    return {
+      defaultOrder: this.getDefaultOrder(),
+      databaseEnabled: this.isDatabaseEnabled(),
+      routes: rules.map(({ name, source, countries, prefixes, templates, priorities, providers, fallback }) => ({
+        name,
+        source,
+        countries,
+        prefixes,
+        templates,
+        priorities,
+        providers,
+        fallback
+      }))
+    };
+  }
+}
+
+module.exports = new SmsRouter();
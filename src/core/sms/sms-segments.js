@@ -0,0 +1,203 @@
+/**
+ * 📏 SEGMENTS SMS
+ *
+ * RÔLE : Détecter l'encodage d'un SMS (GSM-7 ou UCS-2) et compter ses segments
+ * GSM-7 : 160 caractères (153 par segment en concaténé), extensions ^{}[]~|€\ comptées double
+ * UCS-2 : 70 caractères (67 par segment en concaténé), dès qu'un caractère sort de l'alphabet GSM
+ *
+ * Pas de troncation : un message au-delà du budget de segments est refusé (liens OTP intacts)
+ * Repli d'accents optionnel (SMS_ACCENT_FOLDING ou options.foldAccents) pour rester en GSM-7
+ * Budget par template : SMS_TEMPLATE_MAX_SEGMENTS (JSON), ex. {"otp":1,"event-invitation":2}
+ */
+
+const logger = require('../../utils/logger');
+
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞ\u001bÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENSION = '\f^{}\\[~]|€';
+
+const GSM7_BASIC_SET = new Set(Array.from(GSM7_BASIC));
+const GSM7_EXTENSION_SET = new Set(Array.from(GSM7_EXTENSION));
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+const DEFAULT_MAX_SEGMENTS = 3;
+
+// Équivalents GSM-7 des caractères courants en français absents de l'alphabet
+const GSM7_FOLDING = {
+  'â': 'a', 'á': 'a', 'ã': 'a', 'À': 'A', 'Â': 'A', 'Á': 'A', 'Ã': 'A',
+  'ç': 'c', 'ê': 'e', 'ë': 'e', 'È': 'E', 'Ê': 'E', 'Ë': 'E',
+  'î': 'i', 'ï': 'i', 'í': 'i', 'Î': 'I', 'Ï': 'I', 'Í': 'I',
+  'ô': 'o', 'ó': 'o', 'õ': 'o', 'Ô': 'O', 'Ó': 'O', 'Õ': 'O',
+  'û': 'u', 'ú': 'u', 'Û': 'U', 'Ù': 'U', 'Ú': 'U', 'ÿ': 'y', 'Ÿ': 'Y',
+  'œ': 'oe', 'Œ': 'OE',
+  '\u2018': "'", '\u2019': "'", '\u201a': "'", '\u2032': "'",
+  '\u201c': '"', '\u201d': '"', '\u201e': '"', '«': '"', '»': '"',
+  '\u2010': '-', '\u2011': '-', '\u2013': '-', '\u2014': '-', '\u2022': '-',
+  '\u2026': '...', '\u00a0': ' ', '\u202f': ' ', '\u2009': ' '
+};
+
+/**
+ * Compte les segments d'un message
+ * @param {string} text - Corps du SMS
+ * @returns {Object} { encoding, length, segments, perSegment }
+ */
+function countSmsSegments(text) {
+  const characters = Array.from(String(text ?? ''));
+  const isGsm7 = characters.every(char => GSM7_BASIC_SET.has(char) || GSM7_EXTENSION_SET.has(char));
+
+  if (isGsm7) {
+    const length = characters.reduce((total, char) => total + (GSM7_EXTENSION_SET.has(char) ? 2 : 1), 0);
+    const limits = LIMITS['GSM-7'];
+    return {
+      encoding: 'GSM-7',
+      length,
+      segments: length === 0 ? 0 : length <= limits.single ? 1 : Math.ceil(length / limits.multipart),
+      perSegment: length <= limits.single ? limits.single : limits.multipart
+    };
+  }
+
+  // UCS-2 : les caractères hors BMP (emojis) occupent deux unités de 16 bits
+  const length = characters.reduce((total, char) => total + (char.codePointAt(0) > 0xffff ? 2 : 1), 0);
+  const limits = LIMITS['UCS-2'];
+  return {
+    encoding: 'UCS-2',
+    length,
+    segments: length <= limits.single ? 1 : Math.ceil(length / limits.multipart),
+    perSegment: length <= limits.single ? limits.single : limits.multipart
+  };
+}
+
+/**
+ * Remplace les caractères hors GSM-7 par leur équivalent le plus proche
+ * Les caractères sans équivalent (emojis, alphabets non latins) sont conservés : le message reste en UCS-2
+ * @param {string} text - Corps du SMS
+ * @returns {string} Texte replié
+ */
+function foldToGsm7(text) {
+  return Array.from(String(text ?? '')).map(char => {
+    if (GSM7_BASIC_SET.has(char) || GSM7_EXTENSION_SET.has(char)) {
+      return char;
+    }
+    if (GSM7_FOLDING[char] !== undefined) {
+      return GSM7_FOLDING[char];
+    }
+
+    // Autres lettres accentuées : suppression des diacritiques si le résultat est en GSM-7
+    const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return stripped && Array.from(stripped).every(part => GSM7_BASIC_SET.has(part)) ? stripped : char;
+  }).join('');
+}
+
+/**
+ * Repli d'accents actif pour cet envoi (options.foldAccents, sinon SMS_ACCENT_FOLDING=true)
+ * @param {Object} options - Options d'envoi
+ * @returns {boolean} true si le texte doit être replié en GSM-7
+ */
+function isAccentFoldingEnabled(options = {}) {
+  if (typeof options.foldAccents === 'boolean') {
+    return options.foldAccents;
+  }
+  return process.env.SMS_ACCENT_FOLDING === 'true';
+}
+
+// Budgets par template, relus à chaque appel comme les autres réglages d'environnement
+function getTemplateBudgets() {
+  const raw = process.env.SMS_TEMPLATE_MAX_SEGMENTS || '';
+  if (!raw.trim()) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    logger.warn('SMS_TEMPLATE_MAX_SEGMENTS is not valid JSON, using SMS_MAX_SEGMENTS', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Budget de segments d'un SMS
+ * SMS_TEMPLATE_MAX_SEGMENTS[template] en priorité, sinon SMS_MAX_SEGMENTS (3 par défaut)
+ * @param {string|null} template - Nom du template
+ * @returns {number} Nombre maximal de segments
+ */
+function getSegmentBudget(template = null) {
+  const templateBudget = template ? parseInt(getTemplateBudgets()[template], 10) : NaN;
+  if (templateBudget > 0) {
+    return templateBudget;
+  }
+  return parseInt(process.env.SMS_MAX_SEGMENTS, 10) || DEFAULT_MAX_SEGMENTS;
+}
+
+/**
+ * Crée une erreur de dépassement du budget de segments (non retryable)
+ * @param {string} message - Message d'erreur
+ * @param {Object} details - Détails exposés au client
+ * @returns {Error} Erreur avec code SMS_SEGMENT_BUDGET_EXCEEDED
+ */
+function createSegmentBudgetError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'SMS_SEGMENT_BUDGET_EXCEEDED';
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Mesure un corps de SMS, avec repli d'accents si demandé
+ * @param {string} text - Corps du SMS
+ * @param {Object} options - { template, foldAccents }
+ * @returns {Object} { message, folded, encoding, length, segments, perSegment, budget }
+ */
+function measureSms(text, options = {}) {
+  const original = String(text ?? '');
+  const message = isAccentFoldingEnabled(options) ? foldToGsm7(original) : original;
+
+  return {
+    message,
+    folded: message !== original,
+    ...countSmsSegments(message),
+    budget: getSegmentBudget(options.template)
+  };
+}
+
+/**
+ * Prépare un SMS pour l'envoi : repli éventuel puis contrôle du budget de segments
+ * @param {string} text - Corps du SMS
+ * @param {Object} options - { template, foldAccents }
+ * @returns {Object} Mesure du message (voir measureSms)
+ * @throws {Error} SMS_SEGMENT_BUDGET_EXCEEDED si le message dépasse le budget
+ */
+function prepareSms(text, options = {}) {
+  const measure = measureSms(text, options);
+
+  if (measure.segments > measure.budget) {
+    throw createSegmentBudgetError(
+      `SMS de ${measure.segments} segments ${measure.encoding} (budget ${measure.budget})`,
+      {
+        template: options.template || null,
+        encoding: measure.encoding,
+        length: measure.length,
+        segments: measure.segments,
+        budget: measure.budget
+      }
+    );
+  }
+
+  return measure;
+}
+
+module.exports = {
+  countSmsSegments,
+  foldToGsm7,
+  isAccentFoldingEnabled,
+  getSegmentBudget,
+  measureSms,
+  prepareSms,
+  createSegmentBudgetError
+};
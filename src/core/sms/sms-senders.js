@@ -0,0 +1,280 @@
+/**
+ * 📇 SENDER IDS SMS
+ *
+ * RÔLE : Choisir l'expéditeur (numéro, short code ou identifiant alphanumérique) de chaque SMS
+ * selon le pays du destinataire et le provider
+ *
+ * Registre : SMS_SENDER_IDS (JSON), ex.
+ *   [{"country":"CM","provider":"vonage","sender":"EVTPLANNER"},
+ *    {"country":"US","provider":"twilio","sender":"+15005550006","twoWay":true}]
+ * country / provider absents ou "*" : l'entrée vaut pour tous les pays / providers
+ * TWILIO_PHONE_NUMBER et VONAGE_FROM_NUMBER restent des expéditeurs par défaut, tous pays confondus
+ *
+ * Contraintes par pays : SMS_SENDER_COUNTRY_RULES (JSON), fusionnées avec les règles intégrées, ex.
+ *   {"CM":{"alphanumericRegistration":true},"IN":{"maxLength":6}}
+ * - alphanumericAllowed : identifiants alphanumériques acceptés (refusés aux États-Unis et au Canada)
+ * - alphanumericRegistration : seul un identifiant déclaré pour ce pays est accepté
+ * - maxLength : longueur maximale d'un identifiant alphanumérique
+ *
+ * Sélection : entrée pays + provider > pays > provider > générique > expéditeur par défaut,
+ * en écartant les expéditeurs non conformes ; options.twoWay exige un expéditeur joignable en retour
+ */
+
+const DEFAULT_COUNTRY_RULE = {
+  alphanumericAllowed: true,
+  alphanumericRegistration: false,
+  maxLength: 11
+};
+
+const BUILT_IN_COUNTRY_RULES = {
+  US: { alphanumericAllowed: false },
+  CA: { alphanumericAllowed: false }
+};
+
+// Textbelt envoie depuis ses propres numéros : pas d'expéditeur à choisir
+const PROVIDERS_WITH_SENDER = ['twilio', 'vonage'];
+
+let cache = { key: null, registry: null };
+
+/**
+ * Crée une erreur de sender ID
+ * @param {string} code - INVALID_SMS_SENDER_CONFIG | SMS_SENDER_UNAVAILABLE
+ * @param {string} message - Description du problème
+ * @param {Object} details - Contexte (country, providers, reasons...)
+ * @returns {Error} Erreur enrichie
+ */
+function createSenderError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 422;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Type d'un expéditeur
+ * @param {string} sender - Expéditeur brut
+ * @returns {string|null} long_number | short_code | alphanumeric, null si invalide
+ */
+function classifySender(sender) {
+  const value = String(sender || '').trim();
+  if (/^\+?\d{3,15}$/.test(value)) {
+    return value.replace(/^\+/, '').length <= 6 ? 'short_code' : 'long_number';
+  }
+  if (/^[A-Za-z0-9 .&-]+$/.test(value) && /[A-Za-z]/.test(value)) {
+    return 'alphanumeric';
+  }
+  return null;
+}
+
+function normalizeWildcard(value, transform) {
+  const normalized = value === undefined || value === null ? '*' : String(value).trim();
+  return !normalized || normalized === '*' ? '*' : transform(normalized);
+}
+
+/**
+ * Normalise une entrée du registre
+ * @param {Object} entry - { country, provider, sender, twoWay }
+ * @param {string} source - config | default
+ * @returns {Object} Entrée normalisée
+ * @throws {Error} INVALID_SMS_SENDER_CONFIG si l'expéditeur est invalide
+ */
+function normalizeEntry(entry, source) {
+  const sender = String(entry?.sender || '').trim();
+  const type = classifySender(sender);
+  if (!type) {
+    throw createSenderError('INVALID_SMS_SENDER_CONFIG', `Invalid SMS sender "${sender}"`, { sender });
+  }
+
+  const provider = normalizeWildcard(entry.provider, value => value.toLowerCase());
+  if (provider !== '*' && !PROVIDERS_WITH_SENDER.includes(provider)) {
+    throw createSenderError('INVALID_SMS_SENDER_CONFIG', `Unknown provider "${provider}" for SMS sender "${sender}"`, {
+      sender,
+      provider
+    });
+  }
+
+  return {
+    country: normalizeWildcard(entry.country, value => value.toUpperCase()),
+    provider,
+    sender,
+    type,
+    // Un identifiant alphanumérique ne peut pas recevoir de réponse
+    twoWay: type === 'alphanumeric' ? false : entry.twoWay !== false,
+    source
+  };
+}
+
+function parseJson(name, expectArray) {
+  const raw = process.env[name] || '';
+  if (!raw.trim()) {
+    return expectArray ? [] : {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw createSenderError('INVALID_SMS_SENDER_CONFIG', `${name} is not valid JSON`, { reason: error.message });
+  }
+
+  if (expectArray ? !Array.isArray(parsed) : (!parsed || typeof parsed !== 'object' || Array.isArray(parsed))) {
+    throw createSenderError('INVALID_SMS_SENDER_CONFIG', `${name} must be a JSON ${expectArray ? 'array' : 'object keyed by country'}`);
+  }
+  return parsed;
+}
+
+/**
+ * Expéditeurs par défaut hérités de la configuration des providers (valeurs de démonstration ignorées)
+ * Vonage n'a plus d'expéditeur implicite : "EventPlanner" dépasse les 11 caractères autorisés
+ */
+function getDefaultEntries() {
+  const defaults = [
+    { provider: 'twilio', sender: process.env.TWILIO_PHONE_NUMBER },
+    { provider: 'vonage', sender: process.env.VONAGE_FROM_NUMBER }
+  ];
+
+  return defaults
+    .filter(entry => entry.sender && !/^your_/i.test(entry.sender) && entry.sender !== '+1234567890')
+    .map(entry => normalizeEntry(entry, 'default'));
+}
+
+/**
+ * Charge le registre (mis en cache tant que la configuration ne change pas)
+ * @returns {Object} { entries, countryRules }
+ * @throws {Error} INVALID_SMS_SENDER_CONFIG si la configuration est invalide
+ */
+function loadSmsSenders() {
+  const key = JSON.stringify([
+    process.env.SMS_SENDER_IDS,
+    process.env.SMS_SENDER_COUNTRY_RULES,
+    process.env.TWILIO_PHONE_NUMBER,
+    process.env.VONAGE_FROM_NUMBER
+  ]);
+  if (cache.key === key) {
+    return cache.registry;
+  }
+
+  const countryRules = { ...BUILT_IN_COUNTRY_RULES };
+  for (const [country, rule] of Object.entries(parseJson('SMS_SENDER_COUNTRY_RULES', false))) {
+    countryRules[country.toUpperCase()] = { ...(countryRules[country.toUpperCase()] || {}), ...rule };
+  }
+
+  const registry = {
+    entries: [
+      ...parseJson('SMS_SENDER_IDS', true).map(entry => normalizeEntry(entry, 'config')),
+      ...getDefaultEntries()
+    ],
+    countryRules
+  };
+
+  cache = { key, registry };
+  return registry;
+}
+
+/**
+ * Contraintes applicables à un pays
+ * @param {string|null} country - Code ISO du destinataire (null si inconnu)
+ * @returns {Object} { alphanumericAllowed, alphanumericRegistration, maxLength }
+ */
+function getCountryRule(country) {
+  const { countryRules } = loadSmsSenders();
+  return { ...DEFAULT_COUNTRY_RULE, ...(country && countryRules[country] ? countryRules[country] : {}) };
+}
+
+/**
+ * Raison pour laquelle un expéditeur ne convient pas, null s'il est conforme
+ */
+function checkCompliance(entry, country, rule, options) {
+  if (entry.type === 'alphanumeric') {
+    if (!rule.alphanumericAllowed) {
+      return 'alphanumeric_not_allowed';
+    }
+    if (entry.sender.length > rule.maxLength) {
+      return 'too_long';
+    }
+    if (rule.alphanumericRegistration && entry.country !== country) {
+      return 'not_registered';
+    }
+  }
+
+  if (options.twoWay && !entry.twoWay) {
+    return 'not_two_way';
+  }
+
+  return null;
+}
+
+function specificity(entry) {
+  return (entry.country !== '*' ? 2 : 0) + (entry.provider !== '*' ? 1 : 0);
+}
+
+/**
+ * Sélectionne l'expéditeur d'un SMS
+ * @param {string|null} country - Code ISO du destinataire
+ * @param {string} provider - Provider qui va envoyer
+ * @param {Object} options - { twoWay }
+ * @returns {Object} { sender, type, twoWay, source } ; sender null pour un provider sans expéditeur ;
+ *   { sender: null, rejected } si aucun expéditeur n'est conforme
+ */
+function resolveSmsSender(country, provider, options = {}) {
+  if (!PROVIDERS_WITH_SENDER.includes(provider)) {
+    return { sender: null, type: null, twoWay: false, source: null, rejected: [] };
+  }
+
+  const { entries } = loadSmsSenders();
+  const rule = getCountryRule(country);
+  const candidates = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => (entry.provider === '*' || entry.provider === provider) &&
+      (entry.country === '*' || entry.country === country))
+    // Les expéditeurs configurés passent avant ceux par défaut, puis les plus spécifiques en premier
+    .sort((a, b) => (a.entry.source === 'default') - (b.entry.source === 'default') ||
+      specificity(b.entry) - specificity(a.entry) || a.index - b.index)
+    .map(({ entry }) => entry);
+
+  const rejected = [];
+  for (const entry of candidates) {
+    const reason = checkCompliance(entry, country, rule, options);
+    if (!reason) {
+      return { sender: entry.sender, type: entry.type, twoWay: entry.twoWay, source: entry.source, rejected };
+    }
+    rejected.push({ sender: entry.sender, reason });
+  }
+
+  return { sender: null, type: null, twoWay: false, source: null, rejected };
+}
+
+/**
+ * Indique si un provider a besoin d'un expéditeur
+ * @param {string} provider - Nom du provider
+ * @returns {boolean} True pour twilio et vonage
+ */
+function requiresSender(provider) {
+  return PROVIDERS_WITH_SENDER.includes(provider);
+}
+
+/**
+ * Validation au démarrage : échoue si le registre est invalide
+ * @returns {Array<Object>} Expéditeurs déclarés { country, provider, sender, type, twoWay, source }
+ */
+function validateSmsSenders() {
+  return loadSmsSenders().entries.map(({ country, provider, sender, type, twoWay, source }) => ({
+    country,
+    provider,
+    sender,
+    type,
+    twoWay,
+    source
+  }));
+}
+
+module.exports = {
+  createSenderError,
+  classifySender,
+  loadSmsSenders,
+  getCountryRule,
+  resolveSmsSender,
+  requiresSender,
+  validateSmsSenders
+};
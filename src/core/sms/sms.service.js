@@ -3,7 +3,23 @@ const twilio = require('twilio');
 const { Vonage } = require('@vonage/server-sdk');
 const logger = require('../../utils/logger');
 const notificationRepository = require('../database/notification.repository');
-const { normalizePhoneNumber } = require('../../utils/phone-normalization');
+const smsContactRepository = require('../database/sms-contact.repository');
+const { normalizePhoneNumber, parsePhoneNumber, assertSmsCapable } = require('../../utils/phone-normalization');
+const { isStrictRender, renderTemplateContent } = require('../templates/template-renderer');
+const smsCostRepository = require('../database/sms-cost.repository');
+const { prepareSms, countSmsSegments } = require('./sms-segments');
+const smsRouter = require('./sms-routing');
+const { resolveSmsSender, requiresSender, createSenderError } = require('./sms-senders');
+const { estimateSmsCost, parseProviderCost, getCostCurrency } = require('./sms-costs');
+const smsBudget = require('./sms-budget');
+
+// Erreurs de contenu : un nouvel essai produirait le meme resultat
+const NON_RETRYABLE_CODES = [
+  'TEMPLATE_VARIABLE_MISSING',
+  'SMS_SEGMENT_BUDGET_EXCEEDED',
+  'PHONE_NUMBER_INVALID',
+  'PHONE_NUMBER_NOT_MOBILE'
+];
 
 function sanitizeProviderValue(value) {
   if (value === undefined || value === null) {
@@ -181,151 +197,135 @@ class SMSService {
   }
 
   /**
-   * Envoie un SMS avec fallback automatique
-   * @param {string} phoneNumber - NumÃ©ro de tÃ©lÃ©phone du destinataire
-   * @param {string} message - Message Ã  envoyer
-   * @param {Object} options - Options additionnelles
-   * @returns {Promise<Object>} RÃ©sultat de l'envoi
+   * Envoie un SMS en suivant la route du destinataire (voir sms-routing)
+   * @param {string} phoneNumber - Numero de telephone du destinataire
+   * @param {string} message - Message a envoyer
+   * @param {Object} options - Options additionnelles (region, template, priority, twoWay, segments, notificationId)
+   * @returns {Promise<Object>} Resultat de l'envoi, avec la route retenue
    */
   async sendSMSWithFallback(phoneNumber, message, options = {}) {
     const startTime = Date.now();
-    const normalizedPhone = this.formatPhoneNumber(phoneNumber);
-    if (!normalizedPhone) {
+    let recipient;
+    try {
+      recipient = assertSmsCapable(phoneNumber, { region: options.region });
+    } catch (error) {
+      // Numero invalide ou ligne fixe : refuse avant tout appel facture
       return {
         success: false,
-        error: 'Aucun numero de telephone valide n a ete fourni.',
+        error: error.message,
         details: {
-          message: 'Le numero de telephone fourni est vide ou invalide.'
+          code: error.code,
+          message: error.message,
+          ...error.details
         }
       };
     }
-    
-    // Essayer Twilio d'abord
-    if (this.twilioConfigured) {
-      try {
-        const result = await this.twilioClient.messages.create({
-          body: message,
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: normalizedPhone
-        });
-        
-        const responseTime = Date.now() - startTime;
-        
-        logger.sms('SMS sent via Twilio', {
-          phoneNumber: this.maskPhoneNumber(normalizedPhone),
-          messageSid: result.sid,
-          status: result.status,
-          responseTime,
-          provider: 'twilio'
-        });
-        
-        return { 
-          success: true, 
-          provider: 'twilio', 
-          messageId: result.sid,
-          responseTime
-        };
-      } catch (error) {
-        logger.warn('Twilio failed, trying Vonage', { 
-          error: error.message,
-          phoneNumber: this.maskPhoneNumber(normalizedPhone)
-        });
-      }
-    }
 
-    // Fallback Vonage
-    if (this.vonageConfigured) {
-      try {
-        const result = await this.vonageClient.sms.send({
-          to: normalizedPhone,
-          from: process.env.VONAGE_FROM_NUMBER || 'EventPlanner',
-          text: message
-        });
+    const normalizedPhone = recipient.e164;
+    const resolved = await smsRouter.resolveRoute({
+      phoneNumber: normalizedPhone,
+      region: recipient.region,
+      template: options.template,
+      priority: options.priority
+    });
+    const route = { name: resolved.route, source: resolved.source, reason: resolved.reason };
 
-        if (result.messages[0].status === '0') {
-          const responseTime = Date.now() - startTime;
-          
-          logger.sms('SMS sent via Vonage', {
-            phoneNumber: this.maskPhoneNumber(normalizedPhone),
-            messageId: result.messages[0].messageId,
-            responseTime,
-            provider: 'vonage'
-          });
-          
-          return { 
-            success: true, 
-            provider: 'vonage', 
-            messageId: result.messages[0].messageId,
-            responseTime
-          };
-        } else {
-          throw new Error(`Vonage error: ${result.messages[0]['error-text']}`);
+    logger.sms('SMS route selected', {
+      phoneNumber: this.maskPhoneNumber(normalizedPhone),
+      route: route.name,
+      reason: route.reason,
+      providers: resolved.providers
+    });
+
+    let plan;
+    try {
+      plan = this.planSenders(resolved.providers, recipient.region, options);
+    } catch (error) {
+      // Aucun expediteur autorise dans le pays du destinataire : echec immediat, sans appel provider
+      logger.warn('SMS sender selection failed', {
+        phoneNumber: this.maskPhoneNumber(normalizedPhone),
+        country: recipient.region,
+        route: route.name,
+        error: error.message
+      });
+      return {
+        success: false,
+        route,
+        error: error.message,
+        details: {
+          code: error.code,
+          message: error.message,
+          ...error.details
         }
-      } catch (error) {
-        logger.error('Vonage failed', { 
-          error: error.message,
-          phoneNumber: this.maskPhoneNumber(normalizedPhone)
-        });
-      }
+      };
     }
 
-    // Fallback Textbelt
-    if (this.textbeltConfigured) {
-      try {
-        const textbeltKey = this.getTextbeltApiKey();
-        let textbeltMessage = message;
-
-        if (textbeltKey === 'textbelt') {
-          const withoutUrls = message.replace(/https?:\/\/\S+/gi, '').replace(/\s{2,}/g, ' ').trim();
-          textbeltMessage =
-            withoutUrls && withoutUrls !== message
-              ? `${withoutUrls} Voir email pour le lien.`
-              : withoutUrls || message;
+    // Estimation du cout sur le premier provider de la route, refus si un plafond de budget est atteint
+    const segments = options.segments || countSmsSegments(message).segments;
+    try {
+      await smsBudget.assertWithinBudget({
+        estimate: plan.length > 0
+          ? estimateSmsCost({ provider: plan[0].provider, country: recipient.region, segments }).amount
+          : null,
+        template: options.template || null,
+        system: this.isSystemTemplate(options.template)
+      });
+    } catch (error) {
+      logger.warn('SMS refused by budget', {
+        phoneNumber: this.maskPhoneNumber(normalizedPhone),
+        template: options.template,
+        error: error.message
+      });
+      return {
+        success: false,
+        route,
+        error: error.message,
+        details: {
+          code: error.code,
+          message: error.message,
+          ...error.details
         }
+      };
+    }
 
-        const result = await axios.post(
-          'https://textbelt.com/text',
-          {
-            phone: normalizedPhone,
-            message: textbeltMessage,
-            key: textbeltKey,
-            sender:
-              sanitizeProviderValue(process.env.TEXTBELT_SENDER) ||
-              sanitizeProviderValue(process.env.VONAGE_FROM_NUMBER) ||
-              'EventPlanner'
-          },
-          {
-            timeout: parseInt(process.env.TEXTBELT_TIMEOUT_MS, 10) || 15000,
-            headers: {
-              'Content-Type': 'application/json',
-              Accept: 'application/json'
-            }
-          }
-        );
-
-        if (result.data?.success) {
-          const responseTime = Date.now() - startTime;
+    const senders = {
+      twilio: sender => this.sendViaTwilio(normalizedPhone, message, sender),
+      vonage: sender => this.sendViaVonage(normalizedPhone, message, sender),
+      textbelt: () => this.sendViaTextbelt(normalizedPhone, message)
+    };
+    const attempted = [];
 
-          logger.sms('SMS sent via Textbelt', {
-            phoneNumber: this.maskPhoneNumber(normalizedPhone),
-            messageId: result.data.textId,
-            responseTime,
-            provider: 'textbelt',
-            quotaRemaining: result.data.quotaRemaining
-          });
+    for (const { provider, sender } of plan) {
+      attempted.push(provider);
+      try {
+        const { providerCost, ...result } = await senders[provider](sender);
+        const responseTime = Date.now() - startTime;
+        const cost = await this.recordSMSCost({
+          provider,
+          providerMessageId: result.messageId,
+          country: recipient.region,
+          template: options.template || null,
+          segments,
+          providerCost,
+          notificationId: options.notificationId || null
+        });
 
-          return {
-            success: true,
-            provider: 'textbelt',
-            messageId: result.data.textId,
-            responseTime,
-            quotaRemaining: result.data.quotaRemaining
-          };
-        }
+        logger.sms(`SMS sent via ${provider}`, {
+          phoneNumber: this.maskPhoneNumber(normalizedPhone),
+          messageId: result.messageId,
+          responseTime,
+          provider,
+          sender,
+          route: route.name,
+          cost: cost.actual ?? cost.estimated,
+          currency: cost.currency
+        });
 
-        throw new Error(result.data?.error || 'Textbelt send failed');
+        return { success: true, provider, ...result, sender, responseTime, route, cost };
       } catch (error) {
-        logger.error('Textbelt failed', {
+        logger.warn('SMS provider failed, trying next provider of the route', {
+          provider,
+          route: route.name,
           error: error.message,
           phoneNumber: this.maskPhoneNumber(normalizedPhone)
         });
@@ -345,10 +345,11 @@ class SMSService {
         responseTime,
         fallback: true,
         simulated: true,
+        route,
         error: 'No real SMS provider configured',
         details: {
           message: 'Aucun provider SMS reel n est configure. Livraison simulee uniquement.',
-          attempted_services: ['Twilio', 'Vonage', 'Textbelt', 'Mock']
+          attempted_services: [...attempted, 'mock']
         }
       };
     }
@@ -359,17 +360,206 @@ class SMSService {
         phoneNumber: this.maskPhoneNumber(normalizedPhone),
         message: message.substring(0, 50) + '...'
       });
-      return { success: false, fallback: true, reason: 'No SMS service configured' };
+      return { success: false, fallback: true, route, reason: 'No SMS service configured' };
     }
 
     return {
       success: false,
-      error: 'Tous les services SMS ont Ã©chouÃ©',
+      route,
+      error: 'Tous les services SMS ont echoue',
       details: {
         message: 'Aucun service SMS disponible',
-        attempted_services: ['Twilio', 'Vonage', 'Textbelt', 'Fallback']
+        route: route.name,
+        attempted_services: attempted
+      }
+    };
+  }
+
+  /**
+   * Enregistre le cout d'un SMS envoye (estimation de la grille, cout reel du provider s'il est connu)
+   * puis controle le budget ; ne leve jamais d'erreur : le SMS est deja parti, il ne doit pas etre renvoye
+   * @param {Object} params - provider, providerMessageId, country, template, segments, providerCost, notificationId
+   * @returns {Promise<Object>} { segments, unitPrice, estimated, actual, currency, recordId }
+   */
+  async recordSMSCost({ provider, providerMessageId, country, template, segments, providerCost = null, notificationId = null }) {
+    const cost = {
+      segments,
+      unitPrice: null,
+      estimated: null,
+      actual: providerCost,
+      currency: getCostCurrency(),
+      recordId: null
+    };
+
+    try {
+      const estimate = estimateSmsCost({ provider, country, segments });
+      cost.unitPrice = estimate.unitPrice;
+      cost.estimated = estimate.amount;
+
+      const record = await smsCostRepository.recordSmsCost({
+        notificationId,
+        provider,
+        providerMessageId,
+        country,
+        templateName: template,
+        segments,
+        unitPrice: cost.unitPrice,
+        estimatedCost: cost.estimated,
+        actualCost: cost.actual,
+        currency: cost.currency
+      });
+      cost.recordId = record ? record.id : null;
+    } catch (error) {
+      logger.warn('Failed to record SMS cost', { provider, providerMessageId, error: error.message });
+    }
+
+    await smsBudget.evaluate();
+    return cost;
+  }
+
+  /**
+   * Providers configures de la route, chacun avec un expediteur conforme au pays du destinataire
+   * Un provider sans expediteur conforme est ecarte (voir sms-senders)
+   * @param {Array<string>} providers - Ordre d'essai de la route
+   * @param {string|null} region - Pays du destinataire
+   * @param {Object} options - Options d'envoi (twoWay)
+   * @returns {Array<Object>} [{ provider, sender }]
+   * @throws {Error} SMS_SENDER_UNAVAILABLE si aucun provider configure n'a d'expediteur conforme
+   */
+  planSenders(providers, region, options = {}) {
+    const configured = {
+      twilio: this.twilioConfigured,
+      vonage: this.vonageConfigured,
+      textbelt: this.textbeltConfigured
+    };
+    const plan = [];
+    const rejected = [];
+
+    for (const provider of providers) {
+      if (!configured[provider]) {
+        continue;
+      }
+
+      const choice = resolveSmsSender(region, provider, { twoWay: options.twoWay });
+      if (requiresSender(provider) && !choice.sender) {
+        rejected.push({ provider, candidates: choice.rejected });
+        continue;
+      }
+      plan.push({ provider, sender: choice.sender });
+    }
+
+    if (plan.length === 0 && rejected.length > 0) {
+      throw createSenderError(
+        'SMS_SENDER_UNAVAILABLE',
+        `Aucun expediteur SMS autorise pour ${region || 'ce pays'}${options.twoWay ? ' avec reponse possible' : ''}`,
+        { country: region, twoWay: !!options.twoWay, rejected }
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Envoi via Twilio
+   * @returns {Promise<Object>} { messageId, providerCost }
+   */
+  async sendViaTwilio(normalizedPhone, message, sender) {
+    const statusCallback = this.getDeliveryCallbackUrl('twilio');
+    const result = await this.twilioClient.messages.create({
+      body: message,
+      from: sender,
+      to: normalizedPhone,
+      ...(statusCallback && { statusCallback })
+    });
+
+    // Prix souvent connu seulement apres livraison : null a la creation du message
+    return { messageId: result.sid, providerCost: parseProviderCost(result.price, result.priceUnit) };
+  }
+
+  /**
+   * Envoi via Vonage
+   * @returns {Promise<Object>} { messageId, providerCost }
+   */
+  async sendViaVonage(normalizedPhone, message, sender) {
+    const callback = this.getDeliveryCallbackUrl('vonage');
+    const result = await this.vonageClient.sms.send({
+      to: normalizedPhone,
+      from: sender,
+      text: message,
+      ...(callback && { callback })
+    });
+
+    if (result.messages[0].status !== '0') {
+      throw new Error(`Vonage error: ${result.messages[0]['error-text']}`);
+    }
+
+    return {
+      messageId: result.messages[0].messageId,
+      providerCost: parseProviderCost(result.messages[0]['message-price'])
+    };
+  }
+
+  /**
+   * Envoi via Textbelt (la cle gratuite refuse les liens : ils sont retires)
+   * @returns {Promise<Object>} { messageId, quotaRemaining }
+   */
+  async sendViaTextbelt(normalizedPhone, message) {
+    const textbeltKey = this.getTextbeltApiKey();
+    let textbeltMessage = message;
+
+    if (textbeltKey === 'textbelt') {
+      const withoutUrls = message.replace(/https?:\/\/\S+/gi, '').replace(/\s{2,}/g, ' ').trim();
+      textbeltMessage =
+        withoutUrls && withoutUrls !== message
+          ? `${withoutUrls} Voir email pour le lien.`
+          : withoutUrls || message;
+    }
+
+    const result = await axios.post(
+      'https://textbelt.com/text',
+      {
+        phone: normalizedPhone,
+        message: textbeltMessage,
+        key: textbeltKey,
+        sender:
+          sanitizeProviderValue(process.env.TEXTBELT_SENDER) ||
+          sanitizeProviderValue(process.env.VONAGE_FROM_NUMBER) ||
+          'EventPlanner'
+      },
+      {
+        timeout: parseInt(process.env.TEXTBELT_TIMEOUT_MS, 10) || 15000,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        }
       }
+    );
+
+    if (!result.data?.success) {
+      throw new Error(result.data?.error || 'Textbelt send failed');
+    }
+
+    return { messageId: result.data.textId, quotaRemaining: result.data.quotaRemaining };
+  }
+
+  /**
+   * URL du callback de statut de livraison pour un provider
+   * Necessite WEBHOOK_PUBLIC_BASE_URL (URL publique du service)
+   * @param {string} provider - twilio | vonage
+   * @returns {string|null} URL du callback ou null si non configuree
+   */
+  getDeliveryCallbackUrl(provider) {
+    const baseUrl = sanitizeProviderValue(process.env.WEBHOOK_PUBLIC_BASE_URL);
+    if (!baseUrl) {
+      return null;
+    }
+
+    const paths = {
+      twilio: '/api/notifications/webhooks/twilio/status',
+      vonage: '/api/notifications/webhooks/vonage/dlr'
     };
+
+    return `${baseUrl.replace(/\/$/, '')}${paths[provider]}`;
   }
 
   /**
@@ -438,40 +628,35 @@ class SMSService {
         }
       }
 
+      // Destinataire verifie avant le rendu : numero invalide ou ligne fixe, inutile d'aller plus loin
+      assertSmsCapable(phoneNumber, { region: options.region });
+
       const message = await this.generateSMSMessage(template, data, options);
+      // Segments comptes apres repli eventuel des accents, refus au-dela du budget du template
+      const sms = prepareSms(message, { template, foldAccents: options.foldAccents });
 
-      const result = await this.sendSMSWithFallback(phoneNumber, message, options);
+      const result = {
+        ...(await this.sendSMSWithFallback(phoneNumber, sms.message, { ...options, template, segments: sms.segments })),
+        segments: sms.segments,
+        encoding: sms.encoding
+      };
 
-      // Enregistrer la notification seulement pour les SMS utilisateur (non-systÃ¨me) avec userId
-      if (!isSystemSMS && options.userId) {
-        try {
-          const notification = await notificationRepository.createNotification({
-            userId: options.userId,
-            type: template,
-            channel: 'sms',
-            subject: null,
-            content: `SMS envoyÃ© Ã  ${this.maskPhoneNumber(phoneNumber)}`,
-            status: result.success ? 'sent' : 'failed',
-            sentAt: result.success ? new Date().toISOString() : null
-          });
+      const notificationId = await this.recordSMSNotification(phoneNumber, template, data, options, {
+        status: result.success ? 'sent' : 'failed',
+        provider: result.provider || 'unknown',
+        providerMessageId: result.messageId || null,
+        smsSegments: sms.segments,
+        smsEncoding: sms.encoding,
+        route: result.route,
+        response: result,
+        errorMessage: result.success ? null : (result.error || result.details?.message || null)
+      });
 
-          // CrÃ©er un log avec les dÃ©tails du provider
-          if (notification && notification.id) {
-            await notificationRepository.createNotificationLog({
-              notificationId: notification.id,
-              provider: result.provider || 'unknown',
-              response: result,
-              errorMessage: result.success ? null : (result.error || result.details?.message || null)
-            });
-          }
-        } catch (dbError) {
-          // Ne pas faire Ã©chouer l'envoi si l'enregistrement en DB Ã©choue
-          logger.warn('Failed to record SMS notification in database', {
-            phoneNumber: this.maskPhoneNumber(phoneNumber),
-            template,
-            error: dbError.message
-          });
-        }
+      // Premier envoi : la notification est creee apres le cout, on les rattache
+      if (result.cost?.recordId && notificationId && !options.notificationId) {
+        await smsCostRepository.attachNotification(result.cost.recordId, notificationId).catch(error => {
+          logger.warn('Failed to attach SMS cost to notification', { notificationId, error: error.message });
+        });
       }
 
       return result;
@@ -483,6 +668,19 @@ class SMSService {
         ip: options.ip
       });
 
+      // Variable manquante, budget de segments depasse ou numero non joignable par SMS : inutile de reessayer
+      if (NON_RETRYABLE_CODES.includes(error.code)) {
+        return {
+          success: false,
+          error: error.message,
+          details: {
+            code: error.code,
+            message: error.message,
+            ...error.details
+          }
+        };
+      }
+
       // VÃ©rifier si l'erreur est retryable
       const isRetryable = this.isRetryableError(error);
 
@@ -490,6 +688,17 @@ class SMSService {
         // Mettre en queue un job retry
         try {
           const queueService = require('../queues/queue.service');
+          const retryCount = (options.retryCount || 0) + 1;
+
+          // Persister la notification avec statut pending pour que le job retry la mette a jour
+          const notificationId = await this.recordSMSNotification(phoneNumber, template, data, options, {
+            status: 'queued',
+            provider: 'queue',
+            eventType: 'retry_queued',
+            response: { retryQueued: true, retryCount },
+            errorMessage: error.message
+          });
+
           const jobData = {
             type: 'sms-retry',
             phoneNumber,
@@ -497,7 +706,8 @@ class SMSService {
             data,
             options: {
               ...options,
-              retryCount: (options.retryCount || 0) + 1
+              notificationId: notificationId || options.notificationId,
+              retryCount
             },
             originalError: error.message
           };
@@ -510,36 +720,6 @@ class SMSService {
             retryCount: jobData.options.retryCount
           });
 
-          // Persister la notification avec statut pending (seulement pour SMS utilisateur avec userId)
-          if (!this.isSystemTemplate(template) && options.userId) {
-            try {
-              const notification = await notificationRepository.createNotification({
-                userId: options.userId,
-                type: template,
-                channel: 'sms',
-                subject: null,
-                content: `SMS en attente de retry pour ${this.maskPhoneNumber(phoneNumber)}`,
-                status: 'pending',
-                sentAt: null
-              });
-
-              if (notification && notification.id) {
-                await notificationRepository.createNotificationLog({
-                  notificationId: notification.id,
-                  provider: 'queue',
-                  response: { retryQueued: true, retryCount: jobData.options.retryCount },
-                  errorMessage: error.message
-                });
-              }
-            } catch (dbError) {
-              logger.warn('Failed to record pending SMS notification in database', {
-                phoneNumber: this.maskPhoneNumber(phoneNumber),
-                template,
-                error: dbError.message
-              });
-            }
-          }
-
           return {
             success: false,
             retryQueued: true,
@@ -570,6 +750,85 @@ class SMSService {
     }
   }
 
+  /**
+   * Enregistre (ou met a jour lors d'un rejeu) la notification SMS en base
+   * Le numero, le template et ses donnees sont conserves pour permettre un retry exact
+   * @param {string} phoneNumber - Numero du destinataire
+   * @param {string} template - Template utilise
+   * @param {Object} data - Donnees du template
+   * @param {Object} options - Options d'envoi (userId, notificationId)
+   * @param {Object} delivery - Resultat de livraison (status, provider, providerMessageId, response, errorMessage, eventType)
+   * @returns {Promise<number|null>} ID de la notification enregistree
+   */
+  async recordSMSNotification(phoneNumber, template, data, options, delivery) {
+    const isTracked = options.notificationId || (!this.isSystemTemplate(template) && options.userId);
+    if (!isTracked) {
+      return null;
+    }
+
+    try {
+      // Rejeu ou retry : la transition est historisee par le repository
+      if (options.notificationId) {
+        const updated = await notificationRepository.updateNotificationStatus(options.notificationId, delivery.status, {
+          sentAt: delivery.status === 'sent' ? new Date().toISOString() : null,
+          provider: delivery.provider,
+          providerMessageId: delivery.providerMessageId,
+          smsSegments: delivery.smsSegments,
+          smsEncoding: delivery.smsEncoding,
+          route: delivery.route?.name,
+          routeReason: delivery.route?.reason,
+          response: delivery.response,
+          errorMessage: delivery.errorMessage,
+          eventType: delivery.eventType || 'resend'
+        });
+        return updated ? updated.id : null;
+      }
+
+      const notification = await notificationRepository.createNotification({
+        userId: options.userId,
+        type: template,
+        channel: 'sms',
+        subject: null,
+        content: `SMS envoye a ${this.maskPhoneNumber(phoneNumber)}`,
+        status: delivery.status,
+        sentAt: delivery.status === 'sent' ? new Date().toISOString() : null,
+        recipient: phoneNumber,
+        templateName: template,
+        templateData: data || {},
+        provider: delivery.provider,
+        providerMessageId: delivery.providerMessageId,
+        smsSegments: delivery.smsSegments,
+        smsEncoding: delivery.smsEncoding
+      });
+
+      // Creer un log avec les details du provider
+      if (notification && notification.id) {
+        await notificationRepository.createNotificationLog({
+          notificationId: notification.id,
+          provider: delivery.provider || 'unknown',
+          response: delivery.response,
+          errorMessage: delivery.errorMessage,
+          status: delivery.status,
+          eventType: 'created',
+          route: delivery.route?.name,
+          routeReason: delivery.route?.reason
+        });
+        await this.rememberContact(phoneNumber, options.userId);
+      }
+
+      return notification ? notification.id : null;
+    } catch (dbError) {
+      // Ne pas faire echouer l'envoi si l'enregistrement en DB echoue
+      logger.warn('Failed to record SMS notification in database', {
+        phoneNumber: this.maskPhoneNumber(phoneNumber),
+        template,
+        notificationId: options.notificationId,
+        error: dbError.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Met en file d'attente des SMS en masse
    * @param {Array} recipients - Liste des destinataires
@@ -633,41 +892,37 @@ class SMSService {
       // 1. Essayer de rÃ©cupÃ©rer le template depuis la DB
       const templatesService = require('../templates/templates.service');
       const dbTemplate = await templatesService.getTemplateByName(template, 'sms');
+      // Mode strict (TEMPLATE_STRICT_RENDER) : une variable manquante fait echouer l'envoi
+      const strict = isStrictRender(options);
 
       if (dbTemplate) {
         // Utiliser le template DB
-        const rendered = await templatesService.renderTemplate(dbTemplate, data);
+        const rendered = await templatesService.renderTemplate(dbTemplate, data, { strict });
         message = rendered.textContent;
       } else {
         // Fallback: templates inline
         const inlineTemplates = {
-          'welcome': `Bienvenue sur Event Planner {{user.firstName || user.name}}! Votre compte est maintenant actif.`,
-          'password-reset': `Event Planner: Code de rÃ©initialisation: {{resetCode}}. Valable {{expiresIn}}.`,
+          'welcome': `Bienvenue sur Event Planner {{#if user.firstName}}{{user.firstName}}{{else}}{{user.name}}{{/if}}! Votre compte est maintenant actif.`,
+          'password-reset': `Event Planner: Code de réinitialisation: {{resetCode}}. Valable {{expiresIn}}.`,
           'event-invitation': `Event Planner: Invitation pour {{eventName}} le {{eventDate}} a {{eventTime}}. Lieu: {{eventLocation}}. Acces: {{ticketAccessUrl}}`,
           'event-confirmation': `Event Planner: Confirmation pour "{{event.title}}". Date: {{event.date}}. Lieu: {{event.location}}. Code: {{ticket.code}}`,
-          'event-reminder': `Event Planner: Rappel! {{event.title}} a lieu demain Ã  {{event.time}}. Lieu: {{event.location}}`,
-          'ticket-reminder': `Event Planner: N'oubliez pas votre Ã©vÃ©nement {{event.title}} aujourd'hui Ã  {{event.time}}!`,
-          'event-cancelled': `Event Planner: L'Ã©vÃ©nement {{event.title}} a Ã©tÃ© annulÃ©. Contactez-nous pour plus d'informations.`,
-          'payment-confirmation': `Event Planner: Paiement reÃ§u pour {{event.title}}. Montant: {{payment.amount}}â‚¬. Merci!`,
-          'otp': `Event Planner: Votre code de vÃ©rification est {{otpCode}}. Valable {{expiresIn}}.`
+          'event-reminder': `Event Planner: Rappel! {{event.title}} a lieu demain à {{event.time}}. Lieu: {{event.location}}`,
+          'ticket-reminder': `Event Planner: N'oubliez pas votre événement {{event.title}} aujourd'hui à {{event.time}}!`,
+          'event-cancelled': `Event Planner: L'événement {{event.title}} a été annulé. Contactez-nous pour plus d'informations.`,
+          'payment-confirmation': `Event Planner: Paiement reçu pour {{event.title}}. Montant: {{payment.amount}}€. Merci!`,
+          'otp': `Event Planner: Votre code de vérification est {{otpCode}}. Valable {{expiresIn}}.`
         };
 
-        message = inlineTemplates[template] || `Event Planner: ${template}`;
-
-        // Remplacer les variables
-        Object.keys(data).forEach(key => {
-          const regex = new RegExp(`{{${key}}}`, 'g');
-          message = message.replace(regex, data[key] || '');
-        });
-      }
-
-      // Limiter Ã  160 caractÃ¨res (standard SMS)
-      if (message.length > 160) {
-        message = message.substring(0, 157) + '...';
+        // Meme moteur que les emails : variables imbriquees ({{event.title}}), blocs et mode strict
+        message = renderTemplateContent(inlineTemplates[template] || `Event Planner: ${template}`, data, { strict });
       }
 
       return message;
     } catch (error) {
+      if (error.code === 'TEMPLATE_VARIABLE_MISSING') {
+        throw error;
+      }
+
       logger.error('Failed to generate SMS message', {
         template,
         error: error.message
@@ -678,6 +933,24 @@ class SMSService {
     }
   }
 
+  /**
+   * Associe le numero a l'utilisateur pour traiter ses reponses STOP / START / HELP
+   * @param {string} phoneNumber - Numero du destinataire
+   * @param {string|number} userId - ID de l'utilisateur
+   * @returns {Promise<void>}
+   */
+  async rememberContact(phoneNumber, userId) {
+    try {
+      await smsContactRepository.upsertContact({ phoneNumber, userId });
+    } catch (error) {
+      logger.warn('Failed to remember SMS contact', {
+        phoneNumber: this.maskPhoneNumber(phoneNumber),
+        userId,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Envoie un SMS de bienvenue
    * @param {string} phoneNumber - NumÃ©ro de tÃ©lÃ©phone
@@ -755,21 +1028,23 @@ class SMSService {
   /**
    * Valide un numÃ©ro de tÃ©lÃ©phone
    * @param {string} phoneNumber - NumÃ©ro Ã  valider
-   * @returns {boolean} True si valide
+   * @param {Object} options - { region } pour remplacer PHONE_DEFAULT_REGION
+   * @returns {boolean} True si valide et joignable par SMS
    */
-  validatePhoneNumber(phoneNumber) {
-    // Expression rÃ©guliÃ¨re pour valider les numÃ©ros internationaux
-    const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-    return phoneRegex.test(phoneNumber.replace(/[\s\-\(\)]/g, ''));
+  validatePhoneNumber(phoneNumber, options = {}) {
+    // Metadonnees pays : indicatif, prefixe national, longueur ; les lignes fixes ne recoivent pas de SMS
+    const parsed = parsePhoneNumber(phoneNumber, options);
+    return parsed.valid && parsed.type !== 'fixed_line';
   }
 
   /**
    * Formate un numÃ©ro de tÃ©lÃ©phone
    * @param {string} phoneNumber - NumÃ©ro Ã  formater
-   * @returns {string} NumÃ©ro formatÃ©
+   * @param {Object} options - { region } pour remplacer PHONE_DEFAULT_REGION
+   * @returns {string} NumÃ©ro formatÃ© (E.164 si reconnu)
    */
-  formatPhoneNumber(phoneNumber) {
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+  formatPhoneNumber(phoneNumber, options = {}) {
+    const normalizedPhone = normalizePhoneNumber(phoneNumber, options);
     if (!normalizedPhone) {
       return '';
     }
@@ -0,0 +1,174 @@
+const logger = require('../../utils/logger');
+const suppressionRepository = require('../database/email-suppression.repository');
+
+/**
+ * Service de gestion de la liste de suppression email
+ * Les hard bounces et plaintes alimentent la liste ; les envois vers ces adresses sont bloqués
+ */
+class SuppressionService {
+  static REASONS = ['hard_bounce', 'complaint', 'unsubscribe', 'manual'];
+
+  /**
+   * Raisons pouvant être ignorées par les templates système (ex: password-reset)
+   * Un hard bounce ou un blocage manuel n'est jamais ignoré : l'adresse est inutilisable
+   */
+  static DEFAULT_SYSTEM_OVERRIDE_REASONS = ['complaint', 'unsubscribe'];
+
+  static NEVER_OVERRIDDEN_REASONS = ['hard_bounce', 'manual'];
+
+  /**
+   * Raisons de suppression ignorées pour les templates système
+   * Configurable via SUPPRESSION_SYSTEM_OVERRIDE_REASONS (liste séparée par des virgules)
+   * @returns {Array<string>} Raisons ignorées
+   */
+  getSystemOverrideReasons() {
+    const configured = process.env.SUPPRESSION_SYSTEM_OVERRIDE_REASONS;
+    const reasons = configured !== undefined
+      ? configured.split(',').map(reason => reason.trim()).filter(Boolean)
+      : SuppressionService.DEFAULT_SYSTEM_OVERRIDE_REASONS;
+
+    return reasons.filter(reason =>
+      SuppressionService.REASONS.includes(reason) && !SuppressionService.NEVER_OVERRIDDEN_REASONS.includes(reason)
+    );
+  }
+
+  /**
+   * Indique si une entrée de suppression bloque l'envoi
+   * @param {Object} entry - Entrée email_suppressions
+   * @param {boolean} isSystemTemplate - Envoi d'un template système
+   * @returns {boolean} True si l'envoi doit être bloqué
+   */
+  isBlocking(entry, isSystemTemplate) {
+    if (!entry) {
+      return false;
+    }
+    return !(isSystemTemplate && this.getSystemOverrideReasons().includes(entry.reason));
+  }
+
+  /**
+   * Vérifie si un envoi vers une adresse est autorisé
+   * @param {string} email - Adresse du destinataire
+   * @param {Object} options - isSystemTemplate
+   * @returns {Promise<Object>} { suppressed, reason, entry, overridden }
+   */
+  async checkEmail(email, options = {}) {
+    const entry = await suppressionRepository.findSuppression(email);
+    if (!entry) {
+      return { suppressed: false, reason: null, entry: null, overridden: false };
+    }
+
+    const suppressed = this.isBlocking(entry, Boolean(options.isSystemTemplate));
+
+    return {
+      suppressed,
+      reason: entry.reason,
+      entry,
+      overridden: !suppressed
+    };
+  }
+
+  /**
+   * Sépare les destinataires d'un lot entre autorisés et supprimés
+   * @param {Array<Object|string>} recipients - Destinataires ({ email } ou adresse)
+   * @param {Object} options - isSystemTemplate
+   * @returns {Promise<Object>} { allowed, suppressed }
+   */
+  async partitionRecipients(recipients, options = {}) {
+    const emailOf = recipient => (typeof recipient === 'string' ? recipient : recipient?.email);
+    const entries = await suppressionRepository.findSuppressions(recipients.map(emailOf).filter(Boolean));
+    const byEmail = new Map(entries.map(entry => [entry.email, entry]));
+
+    const allowed = [];
+    const suppressed = [];
+
+    for (const recipient of recipients) {
+      const entry = byEmail.get(suppressionRepository.normalizeEmail(emailOf(recipient)));
+      if (this.isBlocking(entry, Boolean(options.isSystemTemplate))) {
+        suppressed.push({ recipient, reason: entry.reason });
+      } else {
+        allowed.push(recipient);
+      }
+    }
+
+    return { allowed, suppressed };
+  }
+
+  /**
+   * Ajoute une adresse à la liste de suppression
+   * @param {Object} payload - email, reason, source, notificationId, details
+   * @returns {Promise<Object>} Entrée enregistrée
+   */
+  async addSuppression(payload) {
+    const entry = await suppressionRepository.upsertSuppression(payload);
+
+    logger.email('Email address suppressed', {
+      suppressionId: entry.id,
+      reason: entry.reason,
+      source: entry.source
+    });
+
+    return entry;
+  }
+
+  /**
+   * Retire une adresse de la liste de suppression
+   * @param {string} email - Adresse email
+   * @returns {Promise<Object|null>} Entrée retirée ou null si absente
+   */
+  async removeSuppression(email) {
+    const entry = await suppressionRepository.deleteSuppression(email);
+
+    if (entry) {
+      logger.email('Email address removed from suppression list', {
+        suppressionId: entry.id,
+        reason: entry.reason
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Liste les entrées de la liste de suppression
+   * @param {Object} filters - reason, search, limit, offset
+   * @returns {Promise<Object>} Entrées et pagination
+   */
+  async listSuppressions(filters = {}) {
+    return suppressionRepository.listSuppressions(filters);
+  }
+
+  /**
+   * Alimente la liste depuis un événement SendGrid (bounce, spamreport)
+   * Les bounces de type "blocked" sont temporaires (réputation, filtrage) et ne suppriment pas l'adresse
+   * @param {Object} event - Événement SendGrid
+   * @param {number|null} notificationId - Notification rattachée
+   * @returns {Promise<Object|null>} Entrée enregistrée ou null
+   */
+  async recordFromSendGridEvent(event, notificationId = null) {
+    let reason = null;
+    if (event.event === 'bounce' && event.type !== 'blocked') {
+      reason = 'hard_bounce';
+    } else if (event.event === 'spamreport') {
+      reason = 'complaint';
+    }
+
+    if (!reason || !event.email) {
+      return null;
+    }
+
+    return this.addSuppression({
+      email: event.email,
+      reason,
+      source: `sendgrid.${event.event}`,
+      notificationId,
+      details: {
+        sgEventId: event.sg_event_id || null,
+        bounceType: event.type || null,
+        providerReason: event.reason || null,
+        status: event.status || null
+      }
+    });
+  }
+}
+
+module.exports = new SuppressionService();
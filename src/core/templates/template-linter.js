@@ -0,0 +1,282 @@
+/**
+ * 🔎 LINT DES TEMPLATES
+ *
+ * RÔLE : Détecter avant l'envoi ce que le rendu laisserait passer silencieusement
+ * - Erreurs : blocs {{#if}} / {{#each}} / layouts non équilibrés, blocs non supportés, partials inconnus,
+ *   variables absentes de la colonne variables (templates DB), SMS au-delà du budget de segments
+ * - Avertissements : images sans alt, liens http://, balises HTML non fermées, SMS en UCS-2
+ */
+
+const { renderTemplateContent, getPartialNames } = require('./template-renderer');
+const { measureSms } = require('../sms/sms-segments');
+
+const SUPPORTED_BLOCKS = ['if', 'each', 'extend', 'content', 'block'];
+// Variables injectées par le service au moment de l'envoi, jamais déclarées par les templates
+const RUNTIME_VARIABLES = ['unsubscribeUrl', 'preheader'];
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+const LOCAL_HOSTS = /^http:\/\/(localhost|127\.0\.0\.1)([:/]|$)/i;
+const TAG_PATTERN = /\{\{\s*(#|\/)\s*([a-zA-Z]+)([^}]*)\}\}|\{\{\s*else(\s+if\s+[^}]*)?\s*\}\}|\{\{>\s*([^}\s]+)\s*\}\}|\{\{\s*([@a-zA-Z0-9_./-]+)\s*\}\}/g;
+
+function lineOf(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function issue(rule, severity, message, field, line) {
+  return { rule, severity, message, field, line };
+}
+
+/**
+ * Variables d'une expression de condition : "name" ou "(eq a "b")"
+ */
+function expressionVariables(expression) {
+  const trimmed = expression.trim();
+  if (!trimmed.startsWith('(')) {
+    return [trimmed];
+  }
+
+  return trimmed
+    .slice(1, -1)
+    .trim()
+    .split(/\s+/)
+    .slice(1)
+    .filter(token => !/^["']/.test(token) && !/^-?\d+(\.\d+)?$/.test(token) && token !== 'true' && token !== 'false');
+}
+
+/**
+ * Analyse la structure des blocs et collecte les variables racine utilisées
+ * @param {string} source - Contenu du template
+ * @param {string} field - subject | body
+ * @returns {Object} { issues, variables }
+ */
+function analyzeBlocks(source, field) {
+  const issues = [];
+  const variables = new Map();
+  const stack = [];
+  const knownPartials = getPartialNames();
+  let match;
+
+  const useVariable = (reference, index) => {
+    let name = reference.trim();
+    let depth = stack.filter(block => block.name === 'each').length;
+    while (name.startsWith('../')) {
+      name = name.slice(3);
+      depth -= 1;
+    }
+
+    // Dans un {{#each}}, les noms désignent d'abord l'élément courant
+    if (!name || name === 'this' || name.startsWith('@') || depth > 0) {
+      return;
+    }
+
+    const root = name.split('.')[0];
+    if (!variables.has(root)) {
+      variables.set(root, lineOf(source, index));
+    }
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [, marker, blockName, argument, elseIf, partialName, variable] = match;
+    const line = lineOf(source, match.index);
+
+    if (variable !== undefined) {
+      if (variable !== 'else') {
+        useVariable(variable, match.index);
+      }
+      continue;
+    }
+
+    if (partialName !== undefined) {
+      if (!knownPartials.includes(partialName)) {
+        issues.push(issue('unknown-partial', 'error', `Partial "${partialName}" introuvable`, field, line));
+      }
+      continue;
+    }
+
+    if (marker === undefined) {
+      const current = stack[stack.length - 1];
+      if (!current || current.name !== 'if') {
+        issues.push(issue('unbalanced-block', 'error', '{{else}} hors d\'un bloc {{#if}}', field, line));
+      } else if (elseIf) {
+        expressionVariables(elseIf.replace(/^\s*if\s+/, '')).forEach(name => useVariable(name, match.index));
+      }
+      continue;
+    }
+
+    if (!SUPPORTED_BLOCKS.includes(blockName)) {
+      issues.push(issue('unsupported-block', 'error', `Bloc {{${marker}${blockName}}} non supporté par le moteur de rendu`, field, line));
+      continue;
+    }
+
+    if (marker === '#') {
+      if (blockName === 'if' || blockName === 'each') {
+        expressionVariables(argument).forEach(name => useVariable(name, match.index));
+      }
+      if (blockName === 'extend') {
+        const layout = argument.trim().replace(/^["']|["']$/g, '');
+        if (!knownPartials.includes(layout)) {
+          issues.push(issue('unknown-partial', 'error', `Layout "${layout}" introuvable`, field, line));
+        }
+      }
+      stack.push({ name: blockName, line });
+      continue;
+    }
+
+    const open = stack.pop();
+    if (!open) {
+      issues.push(issue('unbalanced-block', 'error', `{{/${blockName}}} sans bloc ouvrant`, field, line));
+    } else if (open.name !== blockName) {
+      issues.push(issue('unbalanced-block', 'error', `{{/${blockName}}} ferme {{#${open.name}}} ouvert ligne ${open.line}`, field, line));
+    }
+  }
+
+  for (const open of stack) {
+    issues.push(issue('unbalanced-block', 'error', `{{#${open.name}}} jamais fermé`, field, open.line));
+  }
+
+  return { issues, variables };
+}
+
+/**
+ * Vérifie l'accessibilité et la sécurité du HTML
+ */
+function analyzeHtml(source) {
+  const issues = [];
+  let match;
+
+  const imagePattern = /<img\b[^>]*>/gi;
+  while ((match = imagePattern.exec(source)) !== null) {
+    if (!/\salt\s*=/i.test(match[0])) {
+      issues.push(issue('image-alt', 'warning', 'Image sans attribut alt', 'body', lineOf(source, match.index)));
+    }
+  }
+
+  const linkPattern = /\s(href|src)\s*=\s*["']?(http:\/\/[^"'\s>]*)/gi;
+  while ((match = linkPattern.exec(source)) !== null) {
+    if (!LOCAL_HOSTS.test(match[2])) {
+      issues.push(issue('insecure-link', 'warning', `Lien non sécurisé ${match[2]}`, 'body', lineOf(source, match.index)));
+    }
+  }
+
+  // Équilibre des balises, hors commentaires, <style> et <script>
+  const stripped = source.replace(/<!--[\s\S]*?-->|<(style|script)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, block => block.replace(/[^\n]/g, ' '));
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*?(\/?)>/g;
+  while ((match = tagPattern.exec(stripped)) !== null) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || selfClosing) {
+      continue;
+    }
+
+    if (!closing) {
+      stack.push({ name, line: lineOf(stripped, match.index) });
+      continue;
+    }
+
+    const position = stack.map(tag => tag.name).lastIndexOf(name);
+    if (position === -1) {
+      issues.push(issue('unbalanced-html', 'warning', `</${name}> sans balise ouvrante`, 'body', lineOf(stripped, match.index)));
+      continue;
+    }
+    for (const unclosed of stack.splice(position).slice(1)) {
+      issues.push(issue('unbalanced-html', 'warning', `<${unclosed.name}> jamais fermé`, 'body', unclosed.line));
+    }
+  }
+  for (const unclosed of stack) {
+    issues.push(issue('unbalanced-html', 'warning', `<${unclosed.name}> jamais fermé`, 'body', unclosed.line));
+  }
+
+  return issues;
+}
+
+function declaredVariables(variables) {
+  if (Array.isArray(variables)) {
+    return variables.map(String);
+  }
+  if (variables && typeof variables === 'object') {
+    return Object.keys(variables);
+  }
+  return null;
+}
+
+/**
+ * Estime la taille d'un SMS en remplaçant les variables par leurs exemples déclarés
+ * Même mesure qu'à l'envoi : repli d'accents (SMS_ACCENT_FOLDING) et budget du template
+ */
+function analyzeSms(body, variables, name) {
+  const sample = variables && typeof variables === 'object' && !Array.isArray(variables) ? variables : {};
+  const rendered = renderTemplateContent(body, Object.fromEntries(
+    Object.entries(sample).filter(([, value]) => ['string', 'number'].includes(typeof value)),
+  ));
+  const { encoding, length, segments, perSegment, folded, budget } = measureSms(rendered, { template: name });
+  const issues = [];
+
+  if (segments > budget) {
+    issues.push(issue('sms-segments', 'error', `SMS de ${segments} segments (budget ${budget})`, 'body', null));
+  }
+  if (encoding === 'UCS-2') {
+    issues.push(issue('sms-encoding', 'warning', 'Caractères hors GSM-7 : segments de 70 caractères au lieu de 160', 'body', null));
+  }
+
+  return { issues, sms: { encoding, length, segments, perSegment, folded, budget } };
+}
+
+/**
+ * Analyse un template
+ * @param {Object} template - { name, channel, source, subject, body, variables }
+ * @returns {Object} { name, channel, source, valid, errors, warnings, variables, sms? }
+ */
+function lintTemplate({ name = null, channel, source = 'db', subject = null, body = null, variables = null }) {
+  const issues = [];
+  const used = new Map();
+
+  for (const [field, content] of [['subject', subject], ['body', body]]) {
+    if (content) {
+      const analysis = analyzeBlocks(content, field);
+      issues.push(...analysis.issues);
+      analysis.variables.forEach((line, variable) => {
+        if (!used.has(variable)) {
+          used.set(variable, { field, line });
+        }
+      });
+    }
+  }
+
+  // Les templates fichiers n'ont pas de déclaration : seule la liste des variables utilisées est rapportée
+  const declared = declaredVariables(variables);
+  if (source === 'db') {
+    used.forEach((location, variable) => {
+      if (!RUNTIME_VARIABLES.includes(variable) && !(declared || []).includes(variable)) {
+        issues.push(issue('undeclared-variable', 'error', `Variable "${variable}" non déclarée`, location.field, location.line));
+      }
+    });
+  }
+
+  let sms;
+  if (channel === 'email' && body) {
+    issues.push(...analyzeHtml(body));
+  } else if (channel === 'sms' && body) {
+    const analysis = analyzeSms(body, variables, name);
+    issues.push(...analysis.issues);
+    sms = analysis.sms;
+  }
+
+  const errors = issues.filter(item => item.severity === 'error');
+  return {
+    name,
+    channel,
+    source,
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter(item => item.severity === 'warning'),
+    variables: { used: Array.from(used.keys()), declared },
+    ...(sms ? { sms } : {})
+  };
+}
+
+module.exports = {
+  lintTemplate
+};
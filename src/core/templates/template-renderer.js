@@ -1,3 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Partials et layouts partagés par les templates fichiers et DB : templates/partials et templates/layouts
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '../../../templates');
+const PARTIAL_DIRECTORIES = ['layouts', 'partials'];
+const MAX_PARTIAL_DEPTH = 10;
+
+const partials = new Map();
+let partialsLoaded = false;
+
+/**
+ * Erreur du mode strict : variables (ou partials) absentes des données
+ * @param {Array<string>} missing - Références non résolues
+ * @returns {Error} Erreur avec code TEMPLATE_VARIABLE_MISSING
+ */
+function createMissingVariablesError(missing) {
+  const unique = Array.from(new Set(missing));
+  const error = new Error(`Missing template variables: ${unique.join(', ')}`);
+  error.code = 'TEMPLATE_VARIABLE_MISSING';
+  error.statusCode = 422;
+  error.details = { missing: unique };
+  return error;
+}
+
+/**
+ * Mode strict d'un envoi : options.strictRender, sinon TEMPLATE_STRICT_RENDER
+ * @param {Object} options - Options d'envoi
+ * @returns {boolean} true si une variable manquante doit faire échouer l'envoi
+ */
+function isStrictRender(options = {}) {
+  if (typeof options.strictRender === 'boolean') {
+    return options.strictRender;
+  }
+  return process.env.TEMPLATE_STRICT_RENDER === 'true';
+}
+
 function getPathValue(source, pathStr) {
   if (!source || !pathStr) {
     return undefined;
@@ -155,6 +193,9 @@ function renderEachBlocks(template, scope) {
     output = output.replace(eachRegex, (match, expression, blockContent) => {
       hasMatches = true;
       const collection = resolveValue(expression.trim(), scope);
+      if (collection === undefined && scope.strict) {
+        scope.missing.push(expression.trim());
+      }
       if (!Array.isArray(collection) || collection.length === 0) {
         return '';
       }
@@ -164,7 +205,9 @@ function renderEachBlocks(template, scope) {
           renderTemplateContent(blockContent, scope.root, {
             current: item,
             index,
-            parents: [scope.current, ...scope.parents].filter((candidate) => candidate !== undefined)
+            parents: [scope.current, ...scope.parents].filter((candidate) => candidate !== undefined),
+            strict: scope.strict,
+            missing: scope.missing
           }),
         )
         .join('');
@@ -209,29 +252,148 @@ function renderIfBlocks(template, scope) {
 function renderVariables(template, scope) {
   return template.replace(/\{\{\s*([@a-zA-Z0-9_./-]+)\s*\}\}/g, (match, key) => {
     const value = resolveValue(key, scope);
+    if (value === undefined && scope.strict) {
+      scope.missing.push(key);
+    }
     return value === undefined || value === null ? '' : String(value);
   });
 }
 
+function registerPartial(name, content) {
+  partials.set(name, String(content ?? ''));
+}
+
+function getPartialNames() {
+  ensurePartialsLoaded();
+  return Array.from(partials.keys());
+}
+
+/**
+ * Charge les layouts et partials (*.html) d'un répertoire de templates
+ * Un fichier templates/partials/footer.html s'utilise avec {{> footer}},
+ * templates/layouts/base.html avec {{#extend "base"}}
+ * @param {string} templatesDir - Répertoire racine des templates
+ * @returns {number} Nombre de partials chargés
+ */
+function loadPartials(templatesDir = DEFAULT_TEMPLATES_DIR) {
+  partials.clear();
+  partialsLoaded = true;
+
+  for (const directory of PARTIAL_DIRECTORIES) {
+    const directoryPath = path.join(templatesDir, directory);
+    if (!fs.existsSync(directoryPath)) {
+      continue;
+    }
+
+    for (const file of fs.readdirSync(directoryPath)) {
+      if (file.endsWith('.html')) {
+        registerPartial(path.basename(file, '.html'), fs.readFileSync(path.join(directoryPath, file), 'utf8').replace(/\r?\n$/, ''));
+      }
+    }
+  }
+
+  return partials.size;
+}
+
+function ensurePartialsLoaded() {
+  if (!partialsLoaded) {
+    loadPartials();
+  }
+}
+
+function getPartial(name, missing) {
+  const partial = partials.get(name);
+  if (partial === undefined) {
+    logger.warn('Template partial not found', { partial: name });
+    missing.push(`> ${name}`);
+    return '';
+  }
+
+  return partial;
+}
+
+function expandPartialCalls(template, depth, missing) {
+  return template.replace(/\{\{>\s*([a-zA-Z0-9_./-]+)\s*\}\}/g, (match, name) =>
+    expandPartials(getPartial(name, missing), depth + 1, missing),
+  );
+}
+
+/**
+ * Remplace {{#extend "layout"}}...{{/extend}} par le layout dont les {{#block "nom"}}défaut{{/block}}
+ * reçoivent les {{#content "nom"}}...{{/content}} du template
+ */
+function expandLayouts(template, depth, missing) {
+  return template.replace(/\{\{#extend\s+["']([^"']+)["']\s*\}\}([\s\S]*?)\{\{\/extend\}\}/g, (match, layoutName, body) => {
+    const contents = new Map();
+    const contentRegex = /\{\{#content\s+["']([^"']+)["']\s*\}\}([\s\S]*?)\{\{\/content\}\}/g;
+    let contentMatch;
+    while ((contentMatch = contentRegex.exec(body)) !== null) {
+      contents.set(contentMatch[1], contentMatch[2]);
+    }
+
+    // Les partials du layout sont développés avant les blocs pour que leurs blocs soient remplis aussi
+    const layout = expandPartialCalls(getPartial(layoutName, missing), depth, missing);
+    const filled = layout.replace(/\{\{#block\s+["']([^"']+)["']\s*\}\}([\s\S]*?)\{\{\/block\}\}/g, (blockMatch, blockName, fallback) =>
+      contents.has(blockName) ? contents.get(blockName) : fallback,
+    );
+
+    return expandPartials(filled, depth + 1, missing);
+  });
+}
+
+function expandPartials(template, depth = 0, missing = []) {
+  if (depth > MAX_PARTIAL_DEPTH) {
+    logger.warn('Template partial depth exceeded, remaining partials left unexpanded', { depth });
+    return template;
+  }
+
+  if (!template.includes('{{>') && !template.includes('{{#extend')) {
+    return template;
+  }
+
+  return expandPartialCalls(expandLayouts(template, depth, missing), depth, missing);
+}
+
 function renderTemplateContent(template, rootData, scopeOverrides = {}) {
   if (!template) {
     return '';
   }
 
+  const isRoot = scopeOverrides.current === undefined && scopeOverrides.parents === undefined;
   const scope = {
     root: rootData ?? {},
     current: scopeOverrides.current,
     index: scopeOverrides.index ?? null,
-    parents: scopeOverrides.parents ?? []
+    parents: scopeOverrides.parents ?? [],
+    strict: scopeOverrides.strict === true,
+    missing: scopeOverrides.missing ?? []
   };
 
+  // Layouts et partials sont développés une fois, au niveau racine, avant l'évaluation des blocs
+  if (isRoot) {
+    ensurePartialsLoaded();
+    template = expandPartials(template, 0, scope.strict ? scope.missing : []);
+  }
+
   let output = template;
   output = renderEachBlocks(output, scope);
   output = renderIfBlocks(output, scope);
   output = renderVariables(output, scope);
+
+  // Mode strict : une variable absente fait échouer le rendu au lieu de produire un blanc
+  if (isRoot && scope.strict && scope.missing.length > 0) {
+    throw createMissingVariablesError(scope.missing);
+  }
+
   return output;
 }
 
 module.exports = {
-  renderTemplateContent
+  DEFAULT_TEMPLATES_DIR,
+  renderTemplateContent,
+  isStrictRender,
+  createMissingVariablesError,
+  registerPartial,
+  loadPartials,
+  getPartialNames
 };
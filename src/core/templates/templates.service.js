@@ -6,7 +6,10 @@
 
 const { getDatabase } = require('../../config/database');
 const logger = require('../../utils/logger');
-const { renderTemplateContent } = require('./template-renderer');
+const fs = require('fs').promises;
+const path = require('path');
+const { renderTemplateContent, DEFAULT_TEMPLATES_DIR } = require('./template-renderer');
+const { lintTemplate } = require('./template-linter');
 
 class NotificationTemplatesService {
   constructor() {
@@ -272,12 +275,14 @@ class NotificationTemplatesService {
    * Rend un template avec des données
    * @param {Object} template - Template DB
    * @param {Object} data - Données à injecter
+   * @param {Object} renderOptions - { strict } : échoue si une variable manque
    * @returns {Promise<Object>} Contenu rendu avec htmlContent et textContent
    */
-  async renderTemplate(template, data = {}) {
+  async renderTemplate(template, data = {}, renderOptions = {}) {
     try {
-      const subject = renderTemplateContent(template.subject_template || '', data);
-      const body = renderTemplateContent(template.body_template || '', data);
+      const strict = renderOptions.strict === true;
+      const subject = renderTemplateContent(template.subject_template || '', data, { strict });
+      const body = renderTemplateContent(template.body_template || '', data, { strict });
 
       // Pour les emails: body est traité comme HTML, on génère aussi une version texte
       // Pour les SMS: body est du texte brut
@@ -323,6 +328,96 @@ class NotificationTemplatesService {
       .trim();
   }
 
+  /**
+   * Analyse les templates DB et fichiers (variables, blocs, HTML, segments SMS)
+   * @param {Object} filters - { source: all | db | file, name }
+   * @returns {Promise<Object>} { summary, templates }
+   */
+  async lintTemplates(filters = {}) {
+    const { source = 'all', name = null } = filters;
+    const results = [];
+
+    if (source === 'all' || source === 'db') {
+      const params = [];
+      let query = `
+        SELECT name, channel, subject_template, body_template, variables
+        FROM notification_templates
+      `;
+      if (name) {
+        query += ' WHERE name = $1';
+        params.push(name);
+      }
+      query += ' ORDER BY name ASC, channel ASC';
+
+      let result;
+      try {
+        result = await this.db.query(query, params);
+      } catch (error) {
+        logger.error('Failed to load templates for lint', { error: error.message, name });
+        throw error;
+      }
+
+      for (const row of result.rows) {
+        results.push(lintTemplate({
+          name: row.name,
+          channel: row.channel,
+          source: 'db',
+          subject: row.subject_template,
+          body: row.body_template,
+          variables: row.variables
+        }));
+      }
+    }
+
+    if (source === 'all' || source === 'file') {
+      let files = [];
+      try {
+        files = await fs.readdir(DEFAULT_TEMPLATES_DIR);
+      } catch (error) {
+        logger.warn('Templates directory not readable for lint', { error: error.message });
+      }
+
+      for (const file of files.filter(entry => entry.endsWith('.html')).sort()) {
+        const templateName = path.basename(file, '.html');
+        if (name && templateName !== name) {
+          continue;
+        }
+        results.push(lintTemplate({
+          name: templateName,
+          channel: 'email',
+          source: 'file',
+          body: await fs.readFile(path.join(DEFAULT_TEMPLATES_DIR, file), 'utf8')
+        }));
+      }
+    }
+
+    return {
+      summary: {
+        total: results.length,
+        invalid: results.filter(result => !result.valid).length,
+        errors: results.reduce((total, result) => total + result.errors.length, 0),
+        warnings: results.reduce((total, result) => total + result.warnings.length, 0)
+      },
+      templates: results
+    };
+  }
+
+  /**
+   * Analyse un template non enregistré (brouillon)
+   * @param {Object} templateData - { name, channel, subjectTemplate, bodyTemplate, variables }
+   * @returns {Object} Résultat du lint
+   */
+  lintDraft(templateData) {
+    return lintTemplate({
+      name: templateData.name || null,
+      channel: templateData.channel,
+      source: 'db',
+      subject: templateData.subjectTemplate,
+      body: templateData.bodyTemplate,
+      variables: templateData.variables
+    });
+  }
+
   /**
    * Valide un template
    * @param {Object} templateData - Données du template
@@ -339,6 +434,19 @@ class NotificationTemplatesService {
       errors.push('Channel must be email, sms or push');
     }
 
+    // Blocs déséquilibrés ou non supportés : le template ne pourrait pas être rendu correctement
+    if (templateData.subjectTemplate || templateData.bodyTemplate) {
+      const lint = lintTemplate({
+        channel: templateData.channel,
+        source: 'draft',
+        subject: templateData.subjectTemplate,
+        body: templateData.bodyTemplate
+      });
+      lint.errors
+        .filter(item => ['unbalanced-block', 'unsupported-block', 'unknown-partial'].includes(item.rule))
+        .forEach(item => errors.push(`${item.field}${item.line ? ` (line ${item.line})` : ''}: ${item.message}`));
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -0,0 +1,176 @@
+const logger = require('../../utils/logger');
+const notificationRepository = require('../database/notification.repository');
+const { applyDeliveryEvent } = require('../webhooks/delivery-events');
+const { readSecret, signToken, verifyToken } = require('../../utils/signed-tokens');
+
+/**
+ * Service de suivi des ouvertures et des clics des emails
+ * - Ouverture : pixel 1x1 GET /api/notifications/track/open/:token
+ * - Clic : liens réécrits vers GET /api/notifications/track/click/:token (redirection signée)
+ * Les jetons sont signés en HMAC-SHA256 : impossible de forger une redirection ouverte
+ */
+class EmailTrackingService {
+  /**
+   * Templates jamais suivis par défaut : leurs liens portent des jetons secrets
+   * qui ne doivent ni transiter par la redirection ni être historisés
+   */
+  static DEFAULT_UNTRACKED_TEMPLATES = ['password-reset', 'email-verification', 'otp'];
+
+  static TOKEN_KINDS = { open: 'o', click: 'c' };
+
+  /**
+   * Configuration du suivi : URL publique et secret de signature
+   * @returns {Object|null} { baseUrl, secret } ou null si le suivi n'est pas configuré
+   */
+  getConfig() {
+    const baseUrl = process.env.EMAIL_TRACKING_BASE_URL || process.env.WEBHOOK_PUBLIC_BASE_URL;
+    const secret = readSecret('EMAIL_TRACKING_SECRET');
+
+    if (!baseUrl || !secret) {
+      return null;
+    }
+
+    return { baseUrl: baseUrl.replace(/\/$/, ''), secret };
+  }
+
+  /**
+   * Templates exclus du suivi (défauts + EMAIL_TRACKING_DISABLED_TEMPLATES)
+   * @returns {Array<string>} Noms de templates
+   */
+  getUntrackedTemplates() {
+    const configured = (process.env.EMAIL_TRACKING_DISABLED_TEMPLATES || '')
+      .split(',')
+      .map(template => template.trim())
+      .filter(Boolean);
+
+    return [...EmailTrackingService.DEFAULT_UNTRACKED_TEMPLATES, ...configured];
+  }
+
+  /**
+   * Détermine le suivi à appliquer à un envoi
+   * Priorité : option d'envoi (trackOpens / trackClicks) > exclusion du template > EMAIL_TRACK_OPENS / EMAIL_TRACK_CLICKS
+   * @param {string} template - Nom du template
+   * @param {Object} options - Options d'envoi
+   * @returns {Object} { opens, clicks }
+   */
+  resolveTracking(template, options = {}) {
+    if (!this.getConfig()) {
+      return { opens: false, clicks: false };
+    }
+
+    const templateTracked = !this.getUntrackedTemplates().includes(template);
+    const resolve = (option, envName) => {
+      if (typeof option === 'boolean') {
+        return option;
+      }
+      return templateTracked && process.env[envName] === 'true';
+    };
+
+    return {
+      opens: resolve(options.trackOpens, 'EMAIL_TRACK_OPENS'),
+      clicks: resolve(options.trackClicks, 'EMAIL_TRACK_CLICKS')
+    };
+  }
+
+  /**
+   * Vérifie et décode un jeton de suivi
+   * @param {string} token - Jeton reçu
+   * @param {string} kind - open | click
+   * @returns {Object|null} Payload ou null si invalide
+   */
+  verifyToken(token, kind) {
+    const config = this.getConfig();
+    if (!config || typeof token !== 'string') {
+      return null;
+    }
+
+    const payload = verifyToken(token.replace(/\.gif$/, ''), config.secret);
+    if (!payload || payload.k !== EmailTrackingService.TOKEN_KINDS[kind] || !payload.n) {
+      return null;
+    }
+    if (kind === 'click' && !/^https?:\/\//i.test(payload.u || '')) {
+      return null;
+    }
+    return payload;
+  }
+
+  buildOpenUrl(notificationId, config) {
+    const token = signToken({ n: notificationId, k: EmailTrackingService.TOKEN_KINDS.open }, config.secret);
+    return `${config.baseUrl}/api/notifications/track/open/${token}.gif`;
+  }
+
+  buildClickUrl(notificationId, url, config) {
+    const token = signToken({ n: notificationId, k: EmailTrackingService.TOKEN_KINDS.click, u: url }, config.secret);
+    return `${config.baseUrl}/api/notifications/track/click/${token}`;
+  }
+
+  /**
+   * Instrumente le HTML rendu : réécriture des liens http(s) et ajout du pixel
+   * Les liens portant l'attribut data-no-track sont laissés intacts
+   * @param {string} html - HTML rendu
+   * @param {number} notificationId - Notification à créditer
+   * @param {Object} tracking - { opens, clicks }
+   * @returns {string} HTML instrumenté
+   */
+  applyTracking(html, notificationId, tracking) {
+    const config = this.getConfig();
+    if (!html || !notificationId || !config) {
+      return html;
+    }
+
+    let tracked = html;
+
+    if (tracking.clicks) {
+      tracked = tracked.replace(/<a\b([^>]*?)\bhref\s*=\s*(["'])(.*?)\2([^>]*)>/gi, (match, before, quote, href, after) => {
+        if (/data-no-track/i.test(before + after) || !/^https?:\/\//i.test(href.trim())) {
+          return match;
+        }
+        const url = href.trim().replace(/&amp;/g, '&');
+        return `<a${before}href=${quote}${this.buildClickUrl(notificationId, url, config)}${quote}${after}>`;
+      });
+    }
+
+    if (tracking.opens) {
+      const pixel = `<img src="${this.buildOpenUrl(notificationId, config)}" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;" />`;
+      tracked = /<\/body>/i.test(tracked)
+        ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+        : `${tracked}${pixel}`;
+    }
+
+    return tracked;
+  }
+
+  /**
+   * Enregistre une ouverture ou un clic sur la notification
+   * Le statut avance (opened / clicked) si la transition est permise ; read_at est renseigné à la première interaction
+   * @param {Object} payload - Payload du jeton vérifié
+   * @param {string} kind - open | click
+   * @param {Object} meta - userAgent
+   * @returns {Promise<string>} updated | logged | ignored
+   */
+  async recordEngagement(payload, kind, meta = {}) {
+    const notification = await notificationRepository.getNotificationById(payload.n);
+    if (!notification) {
+      return 'ignored';
+    }
+
+    const outcome = await applyDeliveryEvent(notification, kind === 'click' ? 'clicked' : 'opened', {
+      provider: 'tracking',
+      response: {
+        ...(kind === 'click' ? { url: payload.u } : {}),
+        userAgent: meta.userAgent || null
+      },
+      eventType: `tracking.${kind}`
+    });
+
+    logger.email('Email engagement recorded', {
+      notificationId: notification.id,
+      kind,
+      outcome
+    });
+
+    return outcome;
+  }
+}
+
+module.exports = new EmailTrackingService();
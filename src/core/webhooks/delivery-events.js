@@ -0,0 +1,58 @@
+const notificationRepository = require('../database/notification.repository');
+const { canTransition } = require('../notifications/notification-status');
+
+// Statuts d'engagement : la première interaction renseigne notifications.read_at
+const ENGAGEMENT_STATUSES = ['opened', 'clicked', 'read'];
+
+/**
+ * Applique un événement de livraison provider à une notification
+ * Le statut avance si la transition est autorisée ; sinon l'événement est seulement historisé
+ * (événements en retard, doublons ou sans équivalent de statut)
+ * La source de l'événement (provider) est historisée dans notification_logs sans modifier notifications.provider,
+ * qui reste le provider d'envoi utilisé pour retrouver la notification (webhooks suivants)
+ * @param {Object} notification - Notification concernée (id, status)
+ * @param {string|null} targetStatus - Statut correspondant à l'événement
+ * @param {Object} details - provider (source de l'événement), response, errorMessage, errorCode, eventType, occurredAt
+ * @returns {Promise<string>} updated | logged
+ */
+async function applyDeliveryEvent(notification, targetStatus, details) {
+  const { provider, response, errorMessage = null, errorCode = null, eventType, occurredAt = null } = details;
+
+  if (targetStatus && targetStatus !== notification.status && canTransition(notification.status, targetStatus)) {
+    try {
+      await notificationRepository.updateNotificationStatus(notification.id, targetStatus, {
+        source: provider,
+        response,
+        errorMessage,
+        errorCode,
+        eventType,
+        occurredAt,
+        readAt: ENGAGEMENT_STATUSES.includes(targetStatus) ? (occurredAt || new Date().toISOString()) : null
+      });
+      return 'updated';
+    } catch (error) {
+      // Un autre événement a pu faire avancer le statut entre la lecture et la mise à jour
+      if (error.code !== 'INVALID_STATUS_TRANSITION') {
+        throw error;
+      }
+    }
+  }
+
+  await notificationRepository.createNotificationLog({
+    notificationId: notification.id,
+    provider,
+    response,
+    errorMessage,
+    errorCode,
+    previousStatus: notification.status,
+    status: notification.status,
+    eventType,
+    occurredAt
+  });
+
+  return 'logged';
+}
+
+module.exports = {
+  applyDeliveryEvent
+};
@@ -0,0 +1,132 @@
+const logger = require('../../utils/logger');
+const notificationRepository = require('../database/notification.repository');
+const suppressionService = require('../suppressions/suppression.service');
+const { applyDeliveryEvent } = require('./delivery-events');
+
+/**
+ * Service d'ingestion du Event Webhook SendGrid
+ * Rattache chaque événement à sa notification via le x-message-id (ou le Message-ID généré) et fait avancer son statut
+ */
+class SendGridWebhookService {
+  /**
+   * Statut de notification associé à chaque type d'événement SendGrid
+   * Les événements absents (processed, deferred, spamreport...) sont seulement historisés
+   */
+  static EVENT_STATUS_MAP = {
+    delivered: 'delivered',
+    bounce: 'bounced',
+    dropped: 'failed',
+    open: 'opened',
+    click: 'clicked'
+  };
+
+  /**
+   * Extrait le x-message-id d'un événement
+   * sg_message_id vaut "<x-message-id>.<suffixe de filtre>"
+   * @param {Object} event - Événement SendGrid
+   * @returns {string|null} Identifiant du message
+   */
+  extractMessageId(event) {
+    const sgMessageId = event?.sg_message_id;
+    if (!sgMessageId || typeof sgMessageId !== 'string') {
+      return null;
+    }
+
+    return sgMessageId.split('.')[0] || null;
+  }
+
+  /**
+   * Message-ID d'origine de l'email (smtp-id), renseigné par SendGrid sur les événements de livraison
+   * @param {Object} event - Événement SendGrid
+   * @returns {string|null} Message-ID entre chevrons
+   */
+  extractSmtpId(event) {
+    const smtpId = event?.['smtp-id'];
+    return smtpId && typeof smtpId === 'string' ? smtpId.trim() : null;
+  }
+
+  /**
+   * Retrouve la notification d'un événement : x-message-id, puis Message-ID généré par le service
+   * @param {string|null} messageId - x-message-id SendGrid
+   * @param {string|null} smtpId - Message-ID de l'email
+   * @returns {Promise<Object|null>} Notification ou null
+   */
+  async findNotification(messageId, smtpId) {
+    const notification = messageId
+      ? await notificationRepository.getNotificationByProviderMessageId('sendgrid', messageId)
+      : null;
+
+    if (notification || !smtpId) {
+      return notification;
+    }
+
+    return notificationRepository.getNotificationByMessageId(smtpId);
+  }
+
+  /**
+   * Convertit un événement en entrée d'historique
+   * @param {Object} event - Événement SendGrid
+   * @returns {Object} Détails de l'événement pour notification_logs
+   */
+  buildEventDetails(event) {
+    return {
+      targetStatus: SendGridWebhookService.EVENT_STATUS_MAP[event.event] || null,
+      eventType: `sendgrid.${event.event}`,
+      occurredAt: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : null,
+      errorMessage: event.reason || event.response || null
+    };
+  }
+
+  /**
+   * Traite un lot d'événements SendGrid
+   * @param {Array<Object>} events - Événements reçus
+   * @returns {Promise<Object>} Résumé du traitement
+   */
+  async processEvents(events) {
+    const summary = { received: events.length, updated: 0, logged: 0, ignored: 0 };
+
+    for (const event of events) {
+      const outcome = await this.processEvent(event);
+      summary[outcome] += 1;
+    }
+
+    logger.notification('SendGrid webhook batch processed', summary);
+    return summary;
+  }
+
+  /**
+   * Traite un événement SendGrid
+   * @param {Object} event - Événement reçu
+   * @returns {Promise<string>} updated | logged | ignored
+   */
+  async processEvent(event) {
+    const messageId = this.extractMessageId(event);
+    const smtpId = this.extractSmtpId(event);
+    if ((!messageId && !smtpId) || !event?.event) {
+      logger.warn('SendGrid event without message id ignored', { event: event?.event });
+      return 'ignored';
+    }
+
+    const notification = await this.findNotification(messageId, smtpId);
+
+    // Hard bounces et plaintes alimentent la liste de suppression, même sans notification connue
+    await suppressionService.recordFromSendGridEvent(event, notification ? notification.id : null);
+
+    if (!notification) {
+      logger.info('SendGrid event for unknown message ignored', { messageId, smtpId, event: event.event });
+      return 'ignored';
+    }
+
+    const { targetStatus, eventType, occurredAt, errorMessage } = this.buildEventDetails(event);
+
+    return applyDeliveryEvent(notification, targetStatus, {
+      provider: 'sendgrid',
+      response: event,
+      errorMessage,
+      eventType,
+      occurredAt
+    });
+  }
+}
+
+module.exports = new SendGridWebhookService();
@@ -0,0 +1,145 @@
+const logger = require('../../utils/logger');
+const smsContactRepository = require('../database/sms-contact.repository');
+const preferencesService = require('../preferences/preferences.service');
+const smsService = require('../sms/sms.service');
+const { parseKeyword, buildAutoReply } = require('../sms/sms-keywords');
+const { resolveSmsSender, createSenderError } = require('../sms/sms-senders');
+const { parsePhoneNumber } = require('../../utils/phone-normalization');
+
+/**
+ * Service de traitement des SMS entrants
+ * Mots-clés STOP / START / HELP : bascule de la préférence sms des utilisateurs du numéro et réponse de conformité
+ * Les autres messages sont ignorés (pas de réponse)
+ */
+class SmsInboundWebhookService {
+  /**
+   * Traite un SMS entrant Twilio
+   * La réponse est renvoyée par le contrôleur en TwiML (pas d'appel API)
+   * @param {Object} payload - Paramètres POST (From, To, Body, MessageSid)
+   * @returns {Promise<Object>} { action, keyword, users, reply }
+   */
+  async processTwilioInbound(payload) {
+    return this.handleInbound('twilio', payload.From, payload.Body, payload.MessageSid);
+  }
+
+  /**
+   * Traite un SMS entrant Vonage
+   * Vonage n'accepte pas de réponse dans le webhook : elle est envoyée par l'API, depuis l'expéditeur du registre
+   * @param {Object} payload - Paramètres reçus (msisdn, to, text, messageId)
+   * @returns {Promise<Object>} { action, keyword, users, reply, replySent, replyError? }
+   */
+  async processVonageInbound(payload) {
+    const outcome = await this.handleInbound('vonage', payload.msisdn, payload.text, payload.messageId);
+    if (!outcome.reply) {
+      return outcome;
+    }
+
+    const reply = await this.sendVonageReply(payload.msisdn, outcome.reply);
+    return { ...outcome, replySent: reply.success, ...(reply.details ? { replyError: reply.details } : {}) };
+  }
+
+  /**
+   * Applique un mot-clé reçu d'un numéro
+   * @param {string} provider - twilio | vonage
+   * @param {string} from - Numéro de l'expéditeur
+   * @param {string} body - Texte reçu
+   * @param {string} messageId - Identifiant du SMS entrant côté provider
+   * @returns {Promise<Object>} { action, keyword, users, reply }
+   */
+  async handleInbound(provider, from, body, messageId) {
+    const parsed = parseKeyword(body);
+    if (!from || !parsed) {
+      logger.sms('Inbound SMS without keyword ignored', { provider, messageId });
+      return { action: null, keyword: null, users: 0, reply: null };
+    }
+
+    const userIds = await smsContactRepository.findUserIdsByPhone(from);
+
+    // STOP / START d'un numéro inconnu : rien à basculer, ni désabonnement ni réabonnement à confirmer
+    if (parsed.action !== 'help' && userIds.length === 0) {
+      logger.sms('Inbound SMS keyword from unknown number', {
+        provider,
+        messageId,
+        phoneNumber: smsService.maskPhoneNumber(from),
+        action: parsed.action,
+        keyword: parsed.keyword
+      });
+      return {
+        action: parsed.action,
+        keyword: parsed.keyword,
+        users: 0,
+        reply: buildAutoReply('unknown', parsed.locale)
+      };
+    }
+
+    // HELP ne modifie rien ; STOP et START basculent le canal sms de chaque utilisateur du numéro
+    if (parsed.action !== 'help') {
+      const enabled = parsed.action === 'start';
+      for (const userId of userIds) {
+        await preferencesService.updateUserPreferences(userId, { channels: { sms: enabled } });
+      }
+    }
+
+    if (userIds.length > 0) {
+      await smsContactRepository.recordInboundKeyword(from, parsed.keyword);
+    }
+
+    logger.sms('Inbound SMS keyword processed', {
+      provider,
+      messageId,
+      phoneNumber: smsService.maskPhoneNumber(from),
+      action: parsed.action,
+      keyword: parsed.keyword,
+      users: userIds.length
+    });
+
+    return {
+      action: parsed.action,
+      keyword: parsed.keyword,
+      users: userIds.length,
+      reply: buildAutoReply(parsed.action, parsed.locale)
+    };
+  }
+
+  /**
+   * Envoie la réponse automatique via Vonage, avec l'expéditeur conforme au pays du destinataire (voir sms-senders)
+   * @param {string} to - Numéro de l'expéditeur du SMS entrant
+   * @param {string} text - Réponse
+   * @returns {Promise<Object>} { success, error?, details? } ; SMS_SENDER_UNAVAILABLE sans expéditeur conforme
+   */
+  async sendVonageReply(to, text) {
+    if (!smsService.vonageConfigured) {
+      logger.warn('Vonage not configured, inbound keyword reply skipped', { phoneNumber: smsService.maskPhoneNumber(to) });
+      return { success: false, error: 'Vonage non configuré' };
+    }
+
+    try {
+      const country = parsePhoneNumber(to).region;
+      const { sender, rejected } = resolveSmsSender(country, 'vonage');
+      if (!sender) {
+        throw createSenderError('SMS_SENDER_UNAVAILABLE', `Aucun expediteur SMS autorise pour ${country || 'ce pays'}`, {
+          country,
+          twoWay: false,
+          rejected: [{ provider: 'vonage', candidates: rejected }]
+        });
+      }
+
+      const result = await smsService.vonageClient.sms.send({ to, from: sender, text });
+      return { success: result.messages[0].status === '0' };
+    } catch (error) {
+      // La préférence est déjà appliquée : l'échec de la réponse ne doit pas provoquer de renvoi du webhook
+      logger.error('Failed to send Vonage keyword reply', {
+        error: error.message,
+        code: error.code,
+        phoneNumber: smsService.maskPhoneNumber(to)
+      });
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code ? { details: { code: error.code, message: error.message, ...error.details } } : {})
+      };
+    }
+  }
+}
+
+module.exports = new SmsInboundWebhookService();
@@ -0,0 +1,195 @@
+const logger = require('../../utils/logger');
+const notificationRepository = require('../database/notification.repository');
+const smsCostRepository = require('../database/sms-cost.repository');
+const smsBudget = require('../sms/sms-budget');
+const { parseProviderCost } = require('../sms/sms-costs');
+const { applyDeliveryEvent } = require('./delivery-events');
+
+/**
+ * Service d'ingestion des accusés de livraison SMS
+ * Twilio StatusCallback et Vonage DLR : statut opérateur final et codes d'erreur
+ * Le prix indiqué par les accusés Vonage devient le coût réel du SMS
+ */
+class SmsStatusWebhookService {
+  /**
+   * MessageStatus Twilio → statut de notification
+   * queued, accepted, scheduled et sending sont seulement historisés
+   */
+  static TWILIO_STATUS_MAP = {
+    sent: 'sent',
+    delivered: 'delivered',
+    undelivered: 'failed',
+    failed: 'failed',
+    read: 'read',
+    canceled: 'cancelled'
+  };
+
+  /**
+   * status Vonage DLR → statut de notification
+   * accepted, buffered et unknown sont seulement historisés
+   */
+  static VONAGE_STATUS_MAP = {
+    delivered: 'delivered',
+    expired: 'expired',
+    failed: 'failed',
+    rejected: 'failed'
+  };
+
+  // Codes d'erreur Twilio les plus fréquents pour les SMS
+  static TWILIO_ERROR_MESSAGES = {
+    30001: 'Queue overflow',
+    30002: 'Account suspended',
+    30003: 'Unreachable destination handset',
+    30004: 'Message blocked',
+    30005: 'Unknown destination handset',
+    30006: 'Landline or unreachable carrier',
+    30007: 'Carrier violation',
+    30008: 'Unknown error'
+  };
+
+  // Codes err-code des accusés Vonage (0 = livré)
+  static VONAGE_ERROR_MESSAGES = {
+    1: 'Unknown',
+    2: 'Absent Subscriber - Temporary',
+    3: 'Absent Subscriber - Permanent',
+    4: 'Call barred by user',
+    5: 'Portability Error',
+    6: 'Anti-Spam Rejection',
+    7: 'Handset Busy',
+    8: 'Network Error',
+    9: 'Illegal Number',
+    10: 'Illegal Message',
+    11: 'Unroutable',
+    12: 'Destination unreachable',
+    13: 'Subscriber Age Restriction',
+    14: 'Number Blocked by Carrier',
+    15: 'Prepaid Insufficient funds',
+    99: 'General Error'
+  };
+
+  /**
+   * Traite un StatusCallback Twilio
+   * @param {Object} payload - Paramètres POST (MessageSid, MessageStatus, ErrorCode...)
+   * @returns {Promise<string>} updated | logged | ignored
+   */
+  async processTwilioStatus(payload) {
+    const providerStatus = String(payload.MessageStatus || payload.SmsStatus || '').toLowerCase();
+    const errorCode = payload.ErrorCode ? String(payload.ErrorCode) : null;
+
+    return this.applyProviderStatus('twilio', payload.MessageSid || payload.SmsSid, {
+      providerStatus,
+      targetStatus: SmsStatusWebhookService.TWILIO_STATUS_MAP[providerStatus] || null,
+      errorCode,
+      errorMessage: errorCode
+        ? (payload.ErrorMessage || SmsStatusWebhookService.TWILIO_ERROR_MESSAGES[errorCode] || `Twilio error ${errorCode}`)
+        : null,
+      occurredAt: null,
+      payload
+    });
+  }
+
+  /**
+   * Traite un accusé de livraison Vonage (DLR)
+   * @param {Object} payload - Paramètres reçus (messageId, status, err-code, message-timestamp...)
+   * @returns {Promise<string>} updated | logged | ignored
+   */
+  async processVonageReceipt(payload) {
+    const providerStatus = String(payload.status || '').toLowerCase();
+    const rawErrorCode = payload['err-code'];
+    const errorCode = rawErrorCode !== undefined && String(rawErrorCode) !== '0' ? String(rawErrorCode) : null;
+
+    await this.recordReportedCost('vonage', payload.messageId, parseProviderCost(payload.price));
+
+    return this.applyProviderStatus('vonage', payload.messageId, {
+      providerStatus,
+      targetStatus: SmsStatusWebhookService.VONAGE_STATUS_MAP[providerStatus] || null,
+      errorCode,
+      errorMessage: errorCode
+        ? (SmsStatusWebhookService.VONAGE_ERROR_MESSAGES[errorCode] || `Vonage error ${errorCode}`)
+        : null,
+      occurredAt: this.parseVonageTimestamp(payload['message-timestamp']),
+      payload
+    });
+  }
+
+  /**
+   * Remplace l'estimation par le coût communiqué dans l'accusé de livraison
+   * Les SMS système sans notification ont aussi une ligne de coût : la recherche se fait par messageId
+   * @param {string} provider - twilio | vonage
+   * @param {string} messageId - Identifiant du message côté provider
+   * @param {number|null} cost - Coût réel, null si absent
+   */
+  async recordReportedCost(provider, messageId, cost) {
+    if (!messageId || cost === null) {
+      return;
+    }
+
+    try {
+      const updated = await smsCostRepository.recordActualCost(provider, messageId, cost);
+      if (updated) {
+        await smsBudget.evaluate();
+      }
+    } catch (error) {
+      logger.warn('Failed to record SMS cost from delivery receipt', { provider, messageId, error: error.message });
+    }
+  }
+
+  /**
+   * Convertit un horodatage Vonage "YYYY-MM-DD HH:mm:ss" (UTC) en ISO
+   * @param {string} timestamp - Horodatage Vonage
+   * @returns {string|null} Date ISO ou null
+   */
+  parseVonageTimestamp(timestamp) {
+    if (!timestamp) {
+      return null;
+    }
+
+    const parsed = new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+
+  /**
+   * Rattache un statut provider à la notification correspondante
+   * @param {string} provider - twilio | vonage
+   * @param {string} messageId - Identifiant du message côté provider
+   * @param {Object} details - providerStatus, targetStatus, errorCode, errorMessage, occurredAt, payload
+   * @returns {Promise<string>} updated | logged | ignored
+   */
+  async applyProviderStatus(provider, messageId, details) {
+    if (!messageId || !details.providerStatus) {
+      logger.sms('SMS status callback without message id or status ignored', { provider });
+      return 'ignored';
+    }
+
+    const notification = await notificationRepository.getNotificationByProviderMessageId(provider, messageId);
+    if (!notification) {
+      logger.sms('SMS status callback for unknown message ignored', {
+        provider,
+        messageId,
+        providerStatus: details.providerStatus
+      });
+      return 'ignored';
+    }
+
+    const outcome = await applyDeliveryEvent(notification, details.targetStatus, {
+      provider,
+      response: details.payload,
+      errorMessage: details.errorMessage,
+      errorCode: details.errorCode,
+      eventType: `${provider}.${details.providerStatus}`,
+      occurredAt: details.occurredAt
+    });
+
+    logger.sms('SMS status callback processed', {
+      provider,
+      notificationId: notification.id,
+      providerStatus: details.providerStatus,
+      errorCode: details.errorCode,
+      outcome
+    });
+
+    return outcome;
+  }
+}
+
+module.exports = new SmsStatusWebhookService();
@@ -0,0 +1,22 @@
+-- ========================================
+-- PERSISTANCE DU DESTINATAIRE ET DU PAYLOAD
+-- ========================================
+-- Objectif:
+-- 1) Conserver le destinataire, le template et ses données pour rejouer une notification
+-- 2) Conserver le provider et l'identifiant de message renvoyé par le provider
+-- 3) recipient et template_data peuvent être chiffrés (préfixe enc:v1:) côté application
+
+ALTER TABLE IF EXISTS notifications
+  ADD COLUMN IF NOT EXISTS recipient TEXT,
+  ADD COLUMN IF NOT EXISTS template_name VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS template_data TEXT,
+  ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_template_name ON notifications(template_name);
+CREATE INDEX IF NOT EXISTS idx_notifications_provider ON notifications(provider);
+CREATE INDEX IF NOT EXISTS idx_notifications_provider_message_id ON notifications(provider_message_id);
+
+COMMENT ON COLUMN notifications.recipient IS 'Adresse email, numéro ou token push (chiffré si NOTIFICATION_ENCRYPTION_KEY est défini)';
+COMMENT ON COLUMN notifications.template_data IS 'Données JSON du template (chiffrées si NOTIFICATION_ENCRYPTION_KEY est défini)';
+COMMENT ON COLUMN notifications.provider_message_id IS 'Identifiant du message côté provider (SMTP, SendGrid, Twilio...)';
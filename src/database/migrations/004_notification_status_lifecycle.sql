@@ -0,0 +1,32 @@
+-- ========================================
+-- CYCLE DE VIE DES STATUTS DE NOTIFICATION
+-- ========================================
+-- Objectif:
+-- 1) Étendre les statuts au-delà de pending/sent/failed (queued, delivered, bounced...)
+-- 2) Historiser chaque transition (statut précédent, nouveau statut, horodatage) dans notification_logs
+
+ALTER TABLE IF EXISTS notifications
+  ALTER COLUMN status TYPE VARCHAR(20);
+
+ALTER TABLE IF EXISTS notifications
+  DROP CONSTRAINT IF EXISTS notifications_status_check;
+
+ALTER TABLE IF EXISTS notifications
+  ADD CONSTRAINT notifications_status_check
+  CHECK (status IN (
+    'pending', 'queued', 'sending', 'sent', 'delivered', 'bounced',
+    'opened', 'clicked', 'read', 'failed', 'cancelled', 'expired', 'suppressed'
+  ));
+
+ALTER TABLE IF EXISTS notification_logs
+  ADD COLUMN IF NOT EXISTS previous_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS event_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notification_logs_occurred_at ON notification_logs(notification_id, occurred_at);
+
+COMMENT ON COLUMN notification_logs.previous_status IS 'Statut de la notification avant la transition';
+COMMENT ON COLUMN notification_logs.status IS 'Statut de la notification après la transition';
+COMMENT ON COLUMN notification_logs.event_type IS 'Origine de l''entrée (created, status_change, webhook...)';
+COMMENT ON COLUMN notification_logs.occurred_at IS 'Horodatage de l''événement (peut précéder created_at pour les webhooks)';
@@ -0,0 +1,12 @@
+-- ========================================
+-- CODES D'ERREUR OPÉRATEUR DANS LES LOGS
+-- ========================================
+-- Objectif:
+-- 1) Conserver le code d'erreur renvoyé par le provider / l'opérateur (Twilio ErrorCode, Vonage err-code)
+
+ALTER TABLE IF EXISTS notification_logs
+  ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_notification_logs_error_code ON notification_logs(error_code) WHERE error_code IS NOT NULL;
+
+COMMENT ON COLUMN notification_logs.error_code IS 'Code d''erreur provider ou opérateur (ex: Twilio 30003, Vonage 6)';
@@ -0,0 +1,30 @@
+-- ========================================
+-- LISTE DE SUPPRESSION EMAIL
+-- ========================================
+-- Objectif:
+-- 1) Mémoriser les adresses en hard bounce ou ayant signalé un spam
+-- 2) Bloquer les envois suivants vers ces adresses (avec exceptions par motif pour les templates système)
+
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    id BIGSERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('hard_bounce', 'complaint', 'unsubscribe', 'manual')),
+    source VARCHAR(50) NOT NULL DEFAULT 'manual',
+    notification_id BIGINT REFERENCES notifications(id) ON DELETE SET NULL,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_reason ON email_suppressions(reason);
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_created_at ON email_suppressions(created_at);
+
+DROP TRIGGER IF EXISTS trigger_email_suppressions_updated_at ON email_suppressions;
+CREATE TRIGGER trigger_email_suppressions_updated_at
+    BEFORE UPDATE ON email_suppressions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE email_suppressions IS 'Adresses email bloquées (hard bounce, plainte, désinscription, ajout manuel)';
+COMMENT ON COLUMN email_suppressions.email IS 'Adresse normalisée en minuscules';
+COMMENT ON COLUMN email_suppressions.source IS 'Origine de l''entrée (sendgrid, admin...)';
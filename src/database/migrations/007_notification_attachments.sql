@@ -0,0 +1,13 @@
+-- ========================================
+-- RÉFÉRENCES DES PIÈCES JOINTES
+-- ========================================
+-- Objectif:
+-- 1) Rejouer une notification échouée avec ses pièces jointes
+-- 2) Ne conserver que des références : artifactUrl (retéléchargé au rejeu), ou nom, type,
+--    taille et empreinte SHA-256 d'un contenu base64, jamais le contenu lui-même
+-- 3) attachments peut être chiffré (préfixe enc:v1:) côté application, comme recipient
+
+ALTER TABLE IF EXISTS notifications
+  ADD COLUMN IF NOT EXISTS attachments TEXT;
+
+COMMENT ON COLUMN notifications.attachments IS 'JSON des références de pièces jointes (chiffré si NOTIFICATION_ENCRYPTION_KEY est défini)';
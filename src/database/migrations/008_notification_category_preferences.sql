@@ -0,0 +1,28 @@
+-- ========================================
+-- PRÉFÉRENCES PAR CATÉGORIE DE NOTIFICATION
+-- ========================================
+-- Objectif:
+-- 1) Permettre le désabonnement d'une catégorie (rappels, billets...) sur un canal sans couper tout le canal
+-- 2) Alimenter le désabonnement en un clic (RFC 8058) des emails non système
+
+CREATE TABLE IF NOT EXISTS notification_category_preferences (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms', 'push', 'in_app')),
+    category VARCHAR(50) NOT NULL,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, channel, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_category_preferences_user_id ON notification_category_preferences(user_id);
+
+DROP TRIGGER IF EXISTS trigger_notification_category_preferences_updated_at ON notification_category_preferences;
+CREATE TRIGGER trigger_notification_category_preferences_updated_at
+    BEFORE UPDATE ON notification_category_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE notification_category_preferences IS 'Opt-out par catégorie de notification et par canal';
+COMMENT ON COLUMN notification_category_preferences.category IS 'Catégorie du template (event_updates, reminders, tickets)';
@@ -0,0 +1,12 @@
+-- ========================================
+-- ENVELOPPE DES EMAILS (AUDIT)
+-- ========================================
+-- Objectif:
+-- 1) Conserver Reply-To, Cc, Bcc et les en-têtes personnalisés d'un email pour l'audit
+-- 2) Rejouer une notification échouée avec la même enveloppe
+-- 3) email_envelope peut être chiffré (préfixe enc:v1:) côté application, comme recipient
+
+ALTER TABLE IF EXISTS notifications
+  ADD COLUMN IF NOT EXISTS email_envelope TEXT;
+
+COMMENT ON COLUMN notifications.email_envelope IS 'JSON { replyTo, cc, bcc, headers } de l''envoi (chiffré si NOTIFICATION_ENCRYPTION_KEY est défini)';
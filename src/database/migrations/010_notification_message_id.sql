@@ -0,0 +1,13 @@
+-- ========================================
+-- MESSAGE-ID DES EMAILS
+-- ========================================
+-- Objectif:
+-- 1) Conserver le Message-ID déterministe généré pour les emails d'un événement (fil de discussion)
+-- 2) Rattacher les événements webhook par leur smtp-id quand le x-message-id est inconnu
+
+ALTER TABLE IF EXISTS notifications
+  ADD COLUMN IF NOT EXISTS message_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_message_id ON notifications(message_id) WHERE message_id IS NOT NULL;
+
+COMMENT ON COLUMN notifications.message_id IS 'En-tête Message-ID (RFC 5322, entre chevrons) généré par le service pour l''email';
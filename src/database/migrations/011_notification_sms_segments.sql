@@ -0,0 +1,13 @@
+-- ========================================
+-- SEGMENTS DES SMS
+-- ========================================
+-- Objectif:
+-- 1) Conserver le nombre de segments facturés pour chaque SMS envoyé (reporting des coûts)
+-- 2) Conserver l'encodage retenu (GSM-7 ou UCS-2) après repli éventuel des accents
+
+ALTER TABLE IF EXISTS notifications
+  ADD COLUMN IF NOT EXISTS sms_segments SMALLINT,
+  ADD COLUMN IF NOT EXISTS sms_encoding VARCHAR(10);
+
+COMMENT ON COLUMN notifications.sms_segments IS 'Nombre de segments concaténés du SMS (NULL pour les autres canaux)';
+COMMENT ON COLUMN notifications.sms_encoding IS 'Encodage du SMS : GSM-7 ou UCS-2';
@@ -0,0 +1,30 @@
+-- ========================================
+-- CONTACTS SMS
+-- ========================================
+-- Objectif:
+-- 1) Associer un numéro de téléphone aux utilisateurs auxquels des SMS ont été envoyés
+-- 2) Retrouver ces utilisateurs quand le numéro répond STOP, START ou HELP (webhooks entrants Twilio et Vonage)
+
+CREATE TABLE IF NOT EXISTS sms_contacts (
+    id BIGSERIAL PRIMARY KEY,
+    phone_number VARCHAR(32) NOT NULL,
+    user_id BIGINT NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'notification',
+    last_keyword VARCHAR(20),
+    last_inbound_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(phone_number, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_contacts_user_id ON sms_contacts(user_id);
+
+DROP TRIGGER IF EXISTS trigger_sms_contacts_updated_at ON sms_contacts;
+CREATE TRIGGER trigger_sms_contacts_updated_at
+    BEFORE UPDATE ON sms_contacts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE sms_contacts IS 'Numéros de téléphone connus par utilisateur (traitement des mots-clés SMS entrants)';
+COMMENT ON COLUMN sms_contacts.phone_number IS 'Numéro normalisé (format international)';
+COMMENT ON COLUMN sms_contacts.last_keyword IS 'Dernier mot-clé reçu de ce numéro (STOP, START, HELP...)';
@@ -0,0 +1,38 @@
+-- ========================================
+-- CODES À USAGE UNIQUE (OTP)
+-- ========================================
+-- Objectif:
+-- 1) Conserver les codes OTP hachés (HMAC) avec leur durée de validité et leur compteur de tentatives
+-- 2) Appliquer le délai de renvoi et le verrouillage par destinataire et par usage
+
+CREATE TABLE IF NOT EXISTS otp_codes (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_hash VARCHAR(64) NOT NULL,
+    purpose VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+    user_id BIGINT,
+    code_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(12) NOT NULL DEFAULT 'active'
+      CHECK (status IN ('active', 'verified', 'superseded', 'locked', 'undelivered')),
+    attempts SMALLINT NOT NULL DEFAULT 0,
+    max_attempts SMALLINT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_codes_recipient_purpose ON otp_codes(recipient_hash, purpose, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_otp_codes_expires_at ON otp_codes(expires_at);
+
+DROP TRIGGER IF EXISTS trigger_otp_codes_updated_at ON otp_codes;
+CREATE TRIGGER trigger_otp_codes_updated_at
+    BEFORE UPDATE ON otp_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE otp_codes IS 'Codes à usage unique hachés (jamais stockés en clair)';
+COMMENT ON COLUMN otp_codes.recipient_hash IS 'HMAC du numéro ou de l''adresse normalisé (OTP_HASH_SECRET)';
+COMMENT ON COLUMN otp_codes.channel IS 'Canal ayant effectivement délivré le code (sms, ou email en repli)';
+COMMENT ON COLUMN otp_codes.locked_until IS 'Verrouillage du destinataire pour cet usage après trop de tentatives';
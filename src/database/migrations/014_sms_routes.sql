@@ -0,0 +1,42 @@
+-- ========================================
+-- ROUTAGE SMS PAR DESTINATION
+-- ========================================
+-- Objectif:
+-- 1) Choisir la chaîne de providers SMS selon le pays / préfixe, le template et la priorité
+--    (agrégateurs locaux pour l'Afrique centrale, providers internationaux ailleurs)
+-- 2) Conserver dans notification_logs la route retenue et la raison du choix
+
+CREATE TABLE IF NOT EXISTS sms_routes (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    countries TEXT[] NOT NULL DEFAULT '{}',
+    prefixes TEXT[] NOT NULL DEFAULT '{}',
+    templates TEXT[] NOT NULL DEFAULT '{}',
+    priorities TEXT[] NOT NULL DEFAULT '{}',
+    providers TEXT[] NOT NULL,
+    fallback BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 100,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_routes_position ON sms_routes(position, id) WHERE enabled = TRUE;
+
+DROP TRIGGER IF EXISTS trigger_sms_routes_updated_at ON sms_routes;
+CREATE TRIGGER trigger_sms_routes_updated_at
+    BEFORE UPDATE ON sms_routes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE IF EXISTS notification_logs
+  ADD COLUMN IF NOT EXISTS route VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS route_reason TEXT;
+
+COMMENT ON TABLE sms_routes IS 'Règles de routage SMS (la première règle active qui correspond, par position, gagne)';
+COMMENT ON COLUMN sms_routes.countries IS 'Codes pays ISO du destinataire (ex: CM, GA)';
+COMMENT ON COLUMN sms_routes.prefixes IS 'Préfixes E.164 du destinataire (ex: +2376)';
+COMMENT ON COLUMN sms_routes.providers IS 'Providers à essayer dans l''ordre (twilio, vonage, textbelt)';
+COMMENT ON COLUMN sms_routes.fallback IS 'Compléter avec l''ordre par défaut si les providers de la règle échouent';
+COMMENT ON COLUMN notification_logs.route IS 'Route SMS retenue (nom de la règle ou default)';
+COMMENT ON COLUMN notification_logs.route_reason IS 'Raison du choix de la route (critères qui ont correspondu)';
@@ -0,0 +1,40 @@
+-- ========================================
+-- COÛTS SMS ET BUDGETS
+-- ========================================
+-- Objectif:
+-- 1) Enregistrer le coût de chaque SMS envoyé : estimation (grille tarifaire x segments) avant envoi,
+--    puis coût réel quand le provider le communique (réponse d'envoi ou accusé de livraison)
+-- 2) Alimenter les plafonds de dépense journalier / mensuel et la ventilation des coûts de /statistics
+-- Les SMS système (OTP, alertes) ne sont pas tous rattachés à une notification : notification_id est facultatif
+
+CREATE TABLE IF NOT EXISTS sms_costs (
+    id BIGSERIAL PRIMARY KEY,
+    notification_id BIGINT REFERENCES notifications(id) ON DELETE SET NULL,
+    provider VARCHAR(50) NOT NULL,
+    provider_message_id VARCHAR(255),
+    country VARCHAR(2),
+    template_name VARCHAR(100),
+    segments SMALLINT NOT NULL DEFAULT 1,
+    unit_price NUMERIC(12, 5),
+    estimated_cost NUMERIC(12, 5),
+    actual_cost NUMERIC(12, 5),
+    currency VARCHAR(3) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_costs_created_at ON sms_costs(created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_costs_notification_id ON sms_costs(notification_id);
+CREATE INDEX IF NOT EXISTS idx_sms_costs_provider_message ON sms_costs(provider, provider_message_id);
+
+DROP TRIGGER IF EXISTS trigger_sms_costs_updated_at ON sms_costs;
+CREATE TRIGGER trigger_sms_costs_updated_at
+    BEFORE UPDATE ON sms_costs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+COMMENT ON TABLE sms_costs IS 'Coût de chaque SMS envoyé (un SMS = une ligne, rattachée à sa notification si elle existe)';
+COMMENT ON COLUMN sms_costs.unit_price IS 'Prix par segment de la grille tarifaire (NULL si le pays n''est pas tarifé)';
+COMMENT ON COLUMN sms_costs.estimated_cost IS 'Estimation avant envoi : prix par segment x segments';
+COMMENT ON COLUMN sms_costs.actual_cost IS 'Coût réel communiqué par le provider (prioritaire sur l''estimation)';
+COMMENT ON COLUMN sms_costs.currency IS 'Devise ISO 4217 (SMS_COST_CURRENCY)';
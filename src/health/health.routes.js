@@ -4,6 +4,7 @@ const router = express.Router();
 
 const emailService = require('../core/email/email.service');
 const smsService = require('../core/sms/sms.service');
+const smsRouter = require('../core/sms/sms-routing');
 const queueService = require('../core/queues/queue.service');
 const DatabaseBootstrap = require('../services/database-bootstrap.service');
 const { getDatabase } = require('../config/database');
@@ -255,6 +256,7 @@ router.get('/components/:component', async (req, res) => {
 router.get('/providers', async (req, res) => {
   try {
     const deliveryMatrix = await getDeliveryMatrix();
+    const smsRoutes = await smsRouter.describeRoutes();
 
     res.status(200).json({
       success: true,
@@ -262,6 +264,9 @@ router.get('/providers', async (req, res) => {
         email: deliveryMatrix.email,
         sms: deliveryMatrix.sms,
       },
+      routes: {
+        sms: smsRoutes,
+      },
       overall: deliveryMatrix.overall,
     });
   } catch (error) {
@@ -1,19 +1,11 @@
 const queueService = require('../core/queues/queue.service');
+const emailProviderRegistry = require('../core/email/providers/email-provider.registry');
 
 const DEFAULT_REDIS_HEALTH_TIMEOUT_MS = parseInt(process.env.REDIS_HEALTH_TIMEOUT_MS, 10) || 800;
 
 const PROVIDER_DEFINITIONS = {
+  // Les providers email réels sont déclarés par leurs adapters (voir getProviderDefinitions)
   email: {
-    smtp: {
-      type: 'real',
-      requiredConfig: ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS'],
-      healthStrategy: 'runtime_check',
-    },
-    sendgrid: {
-      type: 'real',
-      requiredConfig: ['SENDGRID_API_KEY'],
-      healthStrategy: 'configuration_only',
-    },
     mock: {
       type: 'mock',
       requiredFlag: 'MOCK_EMAIL_DELIVERY',
@@ -45,6 +37,21 @@ const PROVIDER_DEFINITIONS = {
   },
 };
 
+/**
+ * Définitions des providers d'un canal
+ * Pour l'email, chaque adapter enregistré fournit sa propre définition (readiness)
+ */
+function getProviderDefinitions(channel) {
+  if (channel === 'email') {
+    return {
+      ...emailProviderRegistry.getReadinessDefinitions(),
+      ...PROVIDER_DEFINITIONS.email,
+    };
+  }
+
+  return PROVIDER_DEFINITIONS[channel] || {};
+}
+
 function normalizeConfigValue(value) {
   return typeof value === 'string' ? value.trim() : '';
 }
@@ -120,7 +127,7 @@ function resolveHealthFlag(providerHealth) {
 }
 
 function resolveProviderRecord(channel, providerCode, stats = {}, health = {}) {
-  const definition = PROVIDER_DEFINITIONS[channel]?.[providerCode];
+  const definition = getProviderDefinitions(channel)[providerCode];
   if (!definition) {
     return null;
   }
@@ -184,7 +191,7 @@ function resolveProviderRecord(channel, providerCode, stats = {}, health = {}) {
 
 function summarizeChannel(channel, stats = {}, health = {}) {
   const providerMap = {};
-  const providerCodes = Object.keys(PROVIDER_DEFINITIONS[channel] || {});
+  const providerCodes = Object.keys(getProviderDefinitions(channel));
 
   for (const providerCode of providerCodes) {
     const providerStats = stats.providers?.[providerCode] || {};
@@ -1,6 +1,11 @@
 const Joi = require('joi');
 const { validationErrorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
+const { NOTIFICATION_STATUSES } = require('../core/notifications/notification-status');
+const { ALLOWED_ATTACHMENT_MIME_TYPES, MAX_ATTACHMENTS } = require('../core/email/email-attachments');
+const { MAX_COPY_RECIPIENTS } = require('../core/email/email-envelope');
+const { NOTIFICATION_CATEGORIES } = require('../core/preferences/notification-categories');
+const { parsePhoneNumber } = require('../utils/phone-normalization');
 
 /**
  * Middleware de validation avec Joi
@@ -10,6 +15,53 @@ const logger = require('../utils/logger');
  *   2. Repository / Service / Controller
  */
 
+/**
+ * Pièce jointe d'email : contenu base64 ou référence vers un artefact généré
+ * Les limites de taille et d'hôte sont vérifiées par core/email/email-attachments
+ */
+const emailAttachmentSchema = Joi.object({
+  filename: Joi.string().max(255).pattern(/^[^\\/]+$/).required().messages({
+    'string.pattern.base': 'Le nom de fichier ne doit pas contenir de chemin',
+    'any.required': 'Le nom de fichier est requis'
+  }),
+  contentType: Joi.string().valid(...ALLOWED_ATTACHMENT_MIME_TYPES).required().messages({
+    'any.only': 'Type de pièce jointe non autorisé',
+    'any.required': 'Le type MIME est requis'
+  }),
+  content: Joi.string().base64().optional(),
+  artifactUrl: Joi.string().uri({ scheme: ['https', 'http'] }).optional(),
+  disposition: Joi.string().valid('attachment', 'inline').default('attachment'),
+  contentId: Joi.string().max(100).optional()
+}).xor('content', 'artifactUrl').messages({
+  'object.xor': 'Fournir soit content (base64), soit artifactUrl',
+  'object.missing': 'Fournir soit content (base64), soit artifactUrl'
+});
+
+/**
+ * Reply-To, copies et en-têtes personnalisés d'un email
+ * La liste blanche des en-têtes est vérifiée par core/email/email-envelope
+ */
+const emailCopiesSchema = Joi.alternatives().try(
+  Joi.string().email(),
+  Joi.array().items(Joi.string().email()).max(MAX_COPY_RECIPIENTS)
+).messages({
+  'alternatives.match': `cc / bcc : une adresse email ou au plus ${MAX_COPY_RECIPIENTS} adresses valides`
+});
+
+const emailEnvelopeOptions = {
+  replyTo: Joi.string().email().optional().messages({
+    'string.email': 'L\'adresse replyTo doit être valide'
+  }),
+  cc: emailCopiesSchema.optional(),
+  bcc: emailCopiesSchema.optional(),
+  headers: Joi.object().pattern(
+    Joi.string().pattern(/^X-[A-Za-z0-9-]+$/i),
+    Joi.alternatives().try(Joi.string().max(998), Joi.number())
+  ).max(10).optional().messages({
+    'object.unknown': 'Seuls les en-têtes X-... sont acceptés'
+  })
+};
+
 /**
  * Schémas de validation pour les différentes requêtes
  */
@@ -64,7 +116,23 @@ const schemas = {
     }),
     options: Joi.object({
       fromName: Joi.string().max(100).optional(),
-      priority: Joi.string().valid('low', 'normal', 'high').optional()
+      senderIdentity: Joi.string().max(64).pattern(/^[a-zA-Z0-9_-]+$/).optional(),
+      strictRender: Joi.boolean().optional(),
+      inlineCss: Joi.boolean().optional(),
+      preheader: Joi.string().max(255).optional(),
+      priority: Joi.string().valid('low', 'normal', 'high').optional(),
+      ...emailEnvelopeOptions,
+      attachments: Joi.array().items(emailAttachmentSchema).max(MAX_ATTACHMENTS).optional().messages({
+        'array.max': `Maximum ${MAX_ATTACHMENTS} pièces jointes par email`
+      }),
+      // Invitation .ics : false pour la désactiver, ou type forcé (update après modification de l'événement)
+      calendarInvite: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.string().valid('request', 'update', 'cancel')
+      ).optional(),
+      // Suivi des ouvertures / clics pour cet envoi (prioritaire sur la configuration du template)
+      trackOpens: Joi.boolean().optional(),
+      trackClicks: Joi.boolean().optional()
     }).optional(),
     // userId optionnel pour vérifier les préférences de notification
     userId: Joi.number().integer().positive().optional().messages({
@@ -99,6 +167,19 @@ const schemas = {
     data: Joi.object().required().messages({
       'any.required': 'Les données du template sont requises'
     }),
+    options: Joi.object({
+      strictRender: Joi.boolean().optional(),
+      // Repli des accents hors GSM-7 (segments de 160 au lieu de 70 caractères)
+      foldAccents: Joi.boolean().optional(),
+      // Région des numéros saisis au format national (remplace PHONE_DEFAULT_REGION)
+      region: Joi.string().pattern(/^[A-Za-z]{2}$/).optional().messages({
+        'string.pattern.base': 'La région doit être un code pays ISO à deux lettres'
+      }),
+      // Priorité prise en compte par les routes SMS (SMS_ROUTING_RULES, table sms_routes)
+      priority: Joi.string().valid('low', 'normal', 'high').optional(),
+      // Exiger un expéditeur pouvant recevoir une réponse (numéro plutôt qu'identifiant alphanumérique)
+      twoWay: Joi.boolean().optional()
+    }).unknown(true).optional(),
     // userId optionnel pour vérifier les préférences de notification
     userId: Joi.number().integer().positive().optional().messages({
       'number.base': 'L\'ID utilisateur doit être un nombre entier positif',
@@ -150,10 +231,30 @@ const schemas = {
     }),
     options: Joi.object({
       fromName: Joi.string().max(100).optional(),
-      priority: Joi.string().valid('low', 'normal', 'high').optional()
+      senderIdentity: Joi.string().max(64).pattern(/^[a-zA-Z0-9_-]+$/).optional(),
+      strictRender: Joi.boolean().optional(),
+      inlineCss: Joi.boolean().optional(),
+      preheader: Joi.string().max(255).optional(),
+      priority: Joi.string().valid('low', 'normal', 'high').optional(),
+      ...emailEnvelopeOptions,
+      trackOpens: Joi.boolean().optional(),
+      trackClicks: Joi.boolean().optional()
     }).optional()
   }),
 
+  // Validation pour la vérification d'adresses (inscription)
+  // Controller: const { email, emails } = req.body
+  // La syntaxe est vérifiée par core/email/address-quality, pas par Joi
+  validateEmailAddresses: Joi.object({
+    email: Joi.string().max(320).optional(),
+    emails: Joi.array().items(Joi.string().max(320)).min(1).max(100).optional().messages({
+      'array.max': 'Maximum 100 adresses par requête'
+    })
+  }).xor('email', 'emails').messages({
+    'object.xor': 'Fournir soit email, soit emails',
+    'object.missing': 'Fournir soit email, soit emails'
+  }),
+
   // Validation pour l'envoi en lot de SMS (pas de route dédiée, mais gardé pour cohérence)
   sendBulkSMS: Joi.object({
     recipients: Joi.array().items(
@@ -306,14 +407,80 @@ const schemas = {
   }),
 
   // Validation pour le désabonnement
-  // Controller: const { userId } = req.body -> preferencesService.unsubscribeUser(userId)
+  // Controller: const { userId, channel, category } = req.body -> preferencesService.unsubscribeUser(userId, { channel, category })
   unsubscribeUser: Joi.object({
     userId: Joi.number().integer().positive().required().messages({
       'number.base': 'L\'ID utilisateur doit être un nombre entier positif',
       'number.integer': 'L\'ID utilisateur doit être un nombre entier positif',
       'number.positive': 'L\'ID utilisateur doit être un nombre entier positif',
       'any.required': 'L\'ID utilisateur est requis'
+    }),
+    channel: Joi.string().valid('email', 'sms', 'push', 'in_app').optional(),
+    category: Joi.string().valid(...NOTIFICATION_CATEGORIES).optional()
+  }),
+
+  // Validation du désabonnement en un clic (RFC 8058)
+  // Controller: const { scope } = req.body -> unsubscribeService.unsubscribe(payload, scope)
+  oneClickUnsubscribe: Joi.object({
+    'List-Unsubscribe': Joi.string().valid('One-Click').optional(),
+    scope: Joi.string().valid('channel', 'category').optional()
+  }),
+
+  // ========================================
+  // OTP
+  // ========================================
+
+  // Controller requestOtp: const { phoneNumber, email, purpose, userId } = req.body
+  // Le numéro est le destinataire principal ; l'email sert de repli (ou de canal unique sans numéro)
+  requestOtp: Joi.object({
+    phoneNumber: Joi.string().pattern(/^[+]?[\d\s-()]+$/).optional().messages({
+      'string.pattern.base': 'Le numéro de téléphone doit être valide'
+    }),
+    email: Joi.string().email().optional().messages({
+      'string.email': 'L\'adresse email doit être valide'
+    }),
+    purpose: Joi.string().pattern(/^[a-z0-9_.-]{1,50}$/).required().messages({
+      'string.pattern.base': 'L\'usage doit contenir uniquement minuscules, chiffres, _ . ou - (50 caractères max)',
+      'any.required': 'L\'usage du code est requis'
+    }),
+    userId: Joi.number().integer().positive().optional()
+  }).or('phoneNumber', 'email').messages({
+    'object.missing': 'Fournir un numéro de téléphone ou une adresse email'
+  }),
+
+  // Controller verifyOtp: const { phoneNumber, email, purpose, code } = req.body
+  // Même destinataire que lors de la demande (le numéro s'il avait été fourni)
+  verifyOtp: Joi.object({
+    phoneNumber: Joi.string().pattern(/^[+]?[\d\s-()]+$/).optional().messages({
+      'string.pattern.base': 'Le numéro de téléphone doit être valide'
+    }),
+    email: Joi.string().email().optional().messages({
+      'string.email': 'L\'adresse email doit être valide'
+    }),
+    purpose: Joi.string().pattern(/^[a-z0-9_.-]{1,50}$/).required(),
+    code: Joi.string().pattern(/^\d{4,10}$/).required().messages({
+      'string.pattern.base': 'Le code doit contenir entre 4 et 10 chiffres',
+      'any.required': 'Le code est requis'
     })
+  }).xor('phoneNumber', 'email').messages({
+    'object.xor': 'Fournir soit le numéro, soit l\'adresse email',
+    'object.missing': 'Fournir soit le numéro, soit l\'adresse email'
+  }),
+
+  // ========================================
+  // SUPPRESSIONS
+  // ========================================
+
+  // Validation pour l'ajout manuel à la liste de suppression
+  // Controller: const { email, reason, details } = req.body -> suppressionService.addSuppression(...)
+  // Schema: email_suppressions (email VARCHAR(255) UNIQUE, reason CHECK IN ('hard_bounce','complaint','unsubscribe','manual'))
+  addSuppression: Joi.object({
+    email: Joi.string().email().max(255).required().messages({
+      'string.email': 'L\'adresse email est invalide',
+      'any.required': 'L\'adresse email est requise'
+    }),
+    reason: Joi.string().valid('hard_bounce', 'complaint', 'unsubscribe', 'manual').default('manual'),
+    details: Joi.object().optional()
   }),
 
   // ========================================
@@ -365,7 +532,30 @@ const schemas = {
     data: Joi.object().required().messages({
       'any.required': 'Les données de prévisualisation sont requises'
     }),
-    channel: Joi.string().valid('email', 'sms', 'push').optional()
+    channel: Joi.string().valid('email', 'sms', 'push').optional(),
+    strict: Joi.boolean().optional()
+  }),
+
+  // Validation pour l'analyse des templates enregistrés (DB et fichiers)
+  lintTemplates: Joi.object({
+    source: Joi.string().valid('all', 'db', 'file').optional(),
+    name: Joi.string().max(100).optional()
+  }),
+
+  // Validation pour l'analyse d'un template non enregistré
+  lintTemplateDraft: Joi.object({
+    name: Joi.string().max(100).optional(),
+    channel: Joi.string().valid('email', 'sms', 'push').required().messages({
+      'any.required': 'Le canal est requis'
+    }),
+    subjectTemplate: Joi.string().max(255).optional(),
+    bodyTemplate: Joi.string().required().messages({
+      'any.required': 'Le corps du template est requis'
+    }),
+    variables: Joi.alternatives().try(
+      Joi.object(),
+      Joi.array().items(Joi.string())
+    ).optional()
   }),
 
   // Validation pour l'import de templates
@@ -400,6 +590,18 @@ const schemas = {
         'any.required': 'L\'ID utilisateur est requis'
       })
     }),
+    suppressionEmail: Joi.object({
+      email: Joi.string().email().max(255).required().messages({
+        'string.email': 'L\'adresse email est invalide',
+        'any.required': 'L\'adresse email est requise'
+      })
+    }),
+    unsubscribeToken: Joi.object({
+      token: Joi.string().pattern(/^[\w-]+\.[\w-]+$/).max(2048).required().messages({
+        'string.pattern.base': 'Le jeton de désabonnement est invalide',
+        'any.required': 'Le jeton de désabonnement est requis'
+      })
+    }),
     templateName: Joi.object({
       name: Joi.string().min(1).max(100).required().messages({
         'any.required': 'Le nom du template est requis'
@@ -427,15 +629,34 @@ const schemas = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(50),
     type: Joi.string().optional(),
-    status: Joi.string().valid('pending', 'sent', 'failed').optional(),
+    status: Joi.string().valid(...NOTIFICATION_STATUSES).optional(),
     channel: Joi.string().valid('email', 'sms', 'push', 'in_app').optional(),
     userId: Joi.string().optional(),
     startDate: Joi.date().iso().optional(),
     endDate: Joi.date().iso().optional(),
-    orderBy: Joi.string().valid('created_at', 'sent_at', 'status', 'type', 'channel').default('created_at'),
+    orderBy: Joi.string().valid('created_at', 'sent_at', 'status', 'type', 'channel', 'template_name', 'provider').default('created_at'),
     orderDirection: Joi.string().valid('ASC', 'DESC', 'asc', 'desc').default('DESC')
   }),
 
+  // Validation pour la liste de suppression
+  // Controller: const { page, limit, reason, search } = req.query
+  listSuppressions: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    reason: Joi.string().valid('hard_bounce', 'complaint', 'unsubscribe', 'manual').optional(),
+    search: Joi.string().max(255).optional()
+  }),
+
+  // Validation de la boîte mail de développement
+  // Controller: const { page, limit, q, to, template } = req.query
+  listDevMailbox: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    q: Joi.string().max(255).optional(),
+    to: Joi.string().max(255).optional(),
+    template: Joi.string().max(100).optional()
+  }),
+
   // Validation pour les statistiques
   // Controller: const { period, startDate, endDate, userId } = req.query
   getStatistics: Joi.object({
@@ -445,6 +666,12 @@ const schemas = {
     userId: Joi.string().optional()
   }),
 
+  // Validation pour la relance d'une notification
+  // Controller: const { attachments } = req.body (contenus base64 des pièces jointes d'origine)
+  retryNotification: Joi.object({
+    attachments: Joi.array().items(emailAttachmentSchema).max(MAX_ATTACHMENTS).optional()
+  }),
+
   // Validation pour le nettoyage des queues
   cleanQueues: Joi.object({
     olderThan: Joi.number().integer().min(1).max(168).default(24),
@@ -555,16 +782,20 @@ function validateEmail(req, res, next) {
  * 📱 MIDDLEWARE VALIDATION PHONE
  */
 function validatePhoneNumber(req, res, next) {
-  const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-  
-  if (req.body.phoneNumber && !phoneRegex.test(req.body.phoneNumber)) {
-    return res.status(400).json(
-      validationErrorResponse([{
-        field: 'phoneNumber',
-        message: 'Le numéro de téléphone doit être au format international (+33612345678)',
-        value: req.body.phoneNumber
-      }])
-    );
+  if (req.body.phoneNumber) {
+    const parsed = parsePhoneNumber(req.body.phoneNumber);
+
+    if (!parsed.valid || parsed.type === 'fixed_line') {
+      return res.status(400).json(
+        validationErrorResponse([{
+          field: 'phoneNumber',
+          message: parsed.valid
+            ? 'Le numéro de téléphone est une ligne fixe et ne peut pas recevoir de SMS'
+            : 'Le numéro de téléphone doit être au format international (+33612345678)',
+          value: req.body.phoneNumber
+        }])
+      );
+    }
   }
   
   next();
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const { readSecret } = require('../utils/signed-tokens');
+
+const DEFAULT_SENDGRID_TOLERANCE_SECONDS = 300;
+
+/**
+ * Middleware de vérification des signatures des webhooks providers
+ *
+ * Les corps bruts (req.rawBody) sont capturés par express.json et express.urlencoded dans server.js :
+ * la signature porte sur les octets reçus, pas sur le JSON re-sérialisé.
+ */
+
+/**
+ * Convertit la clé publique SendGrid (base64 DER ou PEM) en KeyObject
+ * @param {string} rawKey - Clé publique de vérification
+ * @returns {crypto.KeyObject} Clé publique
+ */
+function toSendGridPublicKey(rawKey) {
+  const trimmed = rawKey.trim();
+  if (trimmed.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(trimmed);
+  }
+
+  return crypto.createPublicKey({
+    key: Buffer.from(trimmed, 'base64'),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Indique si l'horodatage signé d'un webhook SendGrid est dans la fenêtre de tolérance
+ * SENDGRID_WEBHOOK_TOLERANCE_SECONDS (défaut 300) : un lot signé rejoué plus tard est refusé
+ * @param {string} timestamp - En-tête X-Twilio-Email-Event-Webhook-Timestamp (secondes Unix)
+ * @returns {boolean} true si l'horodatage est récent
+ */
+function isFreshSendGridTimestamp(timestamp) {
+  const seconds = Number(timestamp);
+  if (!/^\d+$/.test(String(timestamp)) || !Number.isSafeInteger(seconds)) {
+    return false;
+  }
+
+  const tolerance = parseInt(process.env.SENDGRID_WEBHOOK_TOLERANCE_SECONDS, 10) || DEFAULT_SENDGRID_TOLERANCE_SECONDS;
+  return Math.abs(Date.now() / 1000 - seconds) <= tolerance;
+}
+
+/**
+ * Vérifie une signature ECDSA du Signed Event Webhook SendGrid
+ * La signature couvre la concaténation timestamp + corps brut ; un horodatage hors tolérance est refusé
+ * @param {string} publicKey - Clé publique SendGrid
+ * @param {Buffer|string} rawBody - Corps brut de la requête
+ * @param {string} signature - En-tête X-Twilio-Email-Event-Webhook-Signature (base64)
+ * @param {string} timestamp - En-tête X-Twilio-Email-Event-Webhook-Timestamp
+ * @returns {boolean} true si la signature est valide
+ */
+function isValidSendGridSignature(publicKey, rawBody, signature, timestamp) {
+  if (!publicKey || !rawBody || !signature || !timestamp) {
+    return false;
+  }
+
+  if (!isFreshSendGridTimestamp(timestamp)) {
+    logger.security('SendGrid webhook timestamp outside tolerance', { timestamp: String(timestamp).slice(0, 20) });
+    return false;
+  }
+
+  try {
+    const verifier = crypto.createVerify('sha256');
+    verifier.update(String(timestamp));
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(toSendGridPublicKey(publicKey), signature, 'base64');
+  } catch (error) {
+    logger.security('SendGrid signature verification error', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * 🔐 MIDDLEWARE SIGNATURE SENDGRID
+ * Rejette les événements non signés ou dont la signature ne correspond pas
+ */
+function verifySendGridSignature(req, res, next) {
+  const publicKey = readSecret('SENDGRID_WEBHOOK_PUBLIC_KEY');
+  if (!publicKey) {
+    logger.security('SendGrid webhook received but SENDGRID_WEBHOOK_PUBLIC_KEY is not configured', {
+      ip: req.ip
+    });
+    return res.status(503).json(errorResponse('Webhook SendGrid non configuré', null, 'WEBHOOK_NOT_CONFIGURED'));
+  }
+
+  const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+  const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+
+  if (!isValidSendGridSignature(publicKey, req.rawBody, signature, timestamp)) {
+    logger.security('Invalid SendGrid webhook signature', {
+      ip: req.ip,
+      hasSignature: !!signature,
+      hasTimestamp: !!timestamp
+    });
+    return res.status(401).json(errorResponse('Signature webhook invalide', null, 'INVALID_WEBHOOK_SIGNATURE'));
+  }
+
+  next();
+}
+
+/**
+ * Reconstruit l'URL publique appelée par le provider
+ * Derrière un proxy, WEBHOOK_PUBLIC_BASE_URL doit correspondre à l'URL déclarée chez le provider
+ * @param {Object} req - Requête Express
+ * @returns {string} URL complète
+ */
+function buildPublicRequestUrl(req) {
+  const baseUrl = process.env.WEBHOOK_PUBLIC_BASE_URL;
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  }
+
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Compare deux signatures hexadécimales en temps constant (insensible à la casse)
+ * @param {string} expected - Signature calculée
+ * @param {string} received - Signature reçue
+ * @returns {boolean} true si identiques
+ */
+function safeCompareHex(expected, received) {
+  const expectedBuffer = Buffer.from(String(expected).toLowerCase());
+  const receivedBuffer = Buffer.from(String(received || '').toLowerCase());
+
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Calcule la signature Vonage d'une requête signée (paramètre sig)
+ * Paramètres triés, "&cle=valeur" avec & et = remplacés par _ dans les valeurs
+ * @param {Object} params - Paramètres reçus
+ * @param {string} secret - Signature secret du compte Vonage
+ * @param {string} method - md5hash | md5 | sha1 | sha256 | sha512
+ * @returns {string} Signature hexadécimale
+ */
+function computeVonageSignature(params, secret, method = 'md5hash') {
+  const signedString = Object.keys(params)
+    .filter(key => key !== 'sig')
+    .sort()
+    .map(key => `&${key}=${String(params[key]).replace(/[&=]/g, '_')}`)
+    .join('');
+
+  if (method === 'md5hash') {
+    return crypto.createHash('md5').update(signedString + secret).digest('hex');
+  }
+
+  return crypto.createHmac(method, secret).update(signedString).digest('hex');
+}
+
+/**
+ * 🔐 MIDDLEWARE SIGNATURE TWILIO
+ * Valide X-Twilio-Signature (HMAC-SHA1 de l'URL + paramètres POST) avec TWILIO_AUTH_TOKEN
+ */
+function verifyTwilioSignature(req, res, next) {
+  const authToken = readSecret('TWILIO_AUTH_TOKEN');
+  if (!authToken) {
+    logger.security('Twilio webhook received but TWILIO_AUTH_TOKEN is not configured', { ip: req.ip });
+    return res.status(503).json(errorResponse('Webhook Twilio non configuré', null, 'WEBHOOK_NOT_CONFIGURED'));
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const url = buildPublicRequestUrl(req);
+
+  if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    logger.security('Invalid Twilio webhook signature', { ip: req.ip, url, hasSignature: !!signature });
+    return res.status(401).json(errorResponse('Signature webhook invalide', null, 'INVALID_WEBHOOK_SIGNATURE'));
+  }
+
+  next();
+}
+
+/**
+ * 🔐 MIDDLEWARE SIGNATURE VONAGE
+ * Accepte un accusé ou un SMS entrant signé par Vonage (paramètre sig, VONAGE_SIGNATURE_SECRET)
+ * ou relayé avec X-Webhook-Signature (HMAC-SHA256 hex du corps brut, WEBHOOK_SECRET)
+ */
+function verifyVonageSignature(req, res, next) {
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const signatureSecret = readSecret('VONAGE_SIGNATURE_SECRET');
+  const webhookSecret = readSecret('WEBHOOK_SECRET');
+
+  if (!signatureSecret && !webhookSecret) {
+    logger.security('Vonage webhook received but no signature secret is configured', { ip: req.ip });
+    return res.status(503).json(errorResponse('Webhook Vonage non configuré', null, 'WEBHOOK_NOT_CONFIGURED'));
+  }
+
+  let isValid = false;
+
+  if (params.sig && signatureSecret) {
+    const method = process.env.VONAGE_SIGNATURE_METHOD || 'md5hash';
+    isValid = safeCompareHex(computeVonageSignature(params, signatureSecret, method), params.sig);
+  } else if (req.get('X-Webhook-Signature') && webhookSecret) {
+    const signedPayload = req.method === 'GET'
+      ? (req.originalUrl.split('?')[1] || '')
+      : (req.rawBody || '');
+    const expected = crypto.createHmac('sha256', webhookSecret).update(signedPayload).digest('hex');
+    isValid = safeCompareHex(expected, req.get('X-Webhook-Signature'));
+  }
+
+  if (!isValid) {
+    logger.security('Invalid Vonage webhook signature', {
+      ip: req.ip,
+      hasSig: !!params.sig,
+      hasHeaderSignature: !!req.get('X-Webhook-Signature')
+    });
+    return res.status(401).json(errorResponse('Signature webhook invalide', null, 'INVALID_WEBHOOK_SIGNATURE'));
+  }
+
+  next();
+}
+
+module.exports = {
+  buildPublicRequestUrl,
+  computeVonageSignature,
+  isFreshSendGridTimestamp,
+  isValidSendGridSignature,
+  verifySendGridSignature,
+  verifyTwilioSignature,
+  verifyVonageSignature
+};
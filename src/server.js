@@ -29,9 +29,17 @@ const morgan = require('morgan'); // Middleware pour les logs de requêtes HTTP
 const logger = require('./utils/logger'); // Utilitaire de logging technique
 const healthRoutes = require('./health/health.routes'); // Routes de santé
 const notificationsRoutes = require('./api/routes/notifications.routes'); // Routes de notifications
+const webhooksRoutes = require('./api/routes/webhooks.routes'); // Webhooks entrants des providers
+const trackingRoutes = require('./api/routes/tracking.routes'); // Suivi des ouvertures et des clics
+const devMailboxRoutes = require('./api/routes/dev-mailbox.routes'); // Boîte mail de développement
+const unsubscribeRoutes = require('./api/routes/unsubscribe.routes'); // Désabonnement en un clic
+const otpRoutes = require('./api/routes/otp.routes'); // Codes à usage unique
 const bootstrap = require('./bootstrap'); // Initialisation de la base de données
 const emailService = require('./core/email/email.service');
 const smsService = require('./core/sms/sms.service');
+const { validateSenderIdentities } = require('./core/email/sender-identities');
+const { validateSmsSenders } = require('./core/sms/sms-senders');
+const { validateSmsPriceTable } = require('./core/sms/sms-costs');
 
 /**
  * CLASSE SERVEUR NOTIFICATION
@@ -87,6 +95,11 @@ class NotificationServer {
       },
       standardHeaders: true, // En-têtes standards RateLimit
       legacyHeaders: false, // Pas d'en-têtes legacy
+      // Les webhooks providers, le suivi des emails (proxies d'images) et les désabonnements en un clic
+      // (POST des messageries) arrivent en rafales depuis quelques IP : ne pas les limiter
+      skip: (req) => req.path.startsWith('/notifications/webhooks/')
+        || req.path.startsWith('/notifications/track/')
+        || req.path.startsWith('/notifications/unsubscribe/'),
     });
     this.app.use('/api', limiter);
 
@@ -100,8 +113,19 @@ class NotificationServer {
     }
 
     // MIDDLEWARE PARSING : Analyse les corps des requêtes
-    this.app.use(express.json({ limit: '10mb' })); // JSON avec limite de 10MB
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL-encoded
+    this.app.use(express.json({
+      limit: '10mb', // JSON avec limite de 10MB
+      verify: (req, res, buf) => {
+        req.rawBody = buf; // Corps brut conservé pour vérifier les signatures des webhooks
+      }
+    }));
+    this.app.use(express.urlencoded({
+      extended: true,
+      limit: '10mb', // URL-encoded (callbacks Twilio / Vonage)
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
 
     // 📊 MIDDLEWARE REQUEST ID : Ajoute un ID unique à chaque requête
     this.app.use((req, res, next) => {
@@ -156,9 +180,26 @@ class NotificationServer {
     // 🏥 ROUTES DE SANTÉ : Vérification de l'état du service
     this.app.use('/health', healthRoutes);
 
+    // 🔔 ROUTES WEBHOOKS : Événements de livraison des providers (signés)
+    this.app.use('/api/notifications/webhooks', webhooksRoutes);
+
+    // 👁️ ROUTES SUIVI : Pixel d'ouverture et redirection des clics (jetons signés)
+    this.app.use('/api/notifications/track', trackingRoutes);
+
+    // 🔕 ROUTES DÉSABONNEMENT : Lien et POST en un clic RFC 8058 (jetons signés)
+    this.app.use('/api/notifications/unsubscribe', unsubscribeRoutes);
+
+    // 🔢 ROUTES OTP : Émission et vérification des codes à usage unique
+    this.app.use('/api/notifications/otp', otpRoutes);
+
     // 📧 ROUTES DE NOTIFICATIONS : Traitement des emails et SMS
     this.app.use('/api/notifications', notificationsRoutes);
 
+    // 📬 BOÎTE MAIL DE DÉVELOPPEMENT : Emails capturés (hors production uniquement)
+    if (process.env.NODE_ENV !== 'production') {
+      this.app.use('/dev/mailbox', devMailboxRoutes);
+    }
+
     // 📊 ROUTE INFO : Informations sur le service (pour monitoring)
     this.app.get('/api/info', (req, res) => {
       const emailStats = emailService.getStats();
@@ -259,6 +300,15 @@ class NotificationServer {
    */
   async start() {
     try {
+      // ✉️ IDENTITÉS D'EXPÉDITEUR : une clé DKIM malformée bloque le démarrage
+      validateSenderIdentities();
+
+      // 📇 SENDER IDS SMS : un registre invalide bloque le démarrage
+      validateSmsSenders();
+
+      // 💰 GRILLE TARIFAIRE SMS : un prix invalide bloque le démarrage
+      validateSmsPriceTable();
+
       // 🗄️ INITIALISATION DE LA BASE DE DONNÉES
       logger.info('Initializing database...');
       await bootstrap.initialize();
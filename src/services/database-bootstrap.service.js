@@ -38,7 +38,13 @@ class DatabaseBootstrap {
       'notification_templates',
       'notifications',
       'notification_preferences',
-      'notification_logs'
+      'notification_logs',
+      'email_suppressions',
+      'notification_category_preferences',
+      'sms_contacts',
+      'otp_codes',
+      'sms_routes',
+      'sms_costs'
     ];
   }
 
@@ -0,0 +1,129 @@
+/**
+ * 🔐 CHIFFREMENT DES CHAMPS SENSIBLES
+ *
+ * RÔLE : Chiffrer au repos les données personnelles stockées avec une notification
+ * (adresse du destinataire, données du template) pour permettre un rejeu exact.
+ *
+ * Format : enc:v1:<iv base64>:<authTag base64>:<données base64> (AES-256-GCM)
+ * Sans clé NOTIFICATION_ENCRYPTION_KEY, les valeurs sont stockées en clair.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let missingKeyWarned = false;
+
+/**
+ * Dérive une clé de 32 octets depuis la variable d'environnement
+ * @returns {Buffer|null} Clé de chiffrement ou null si non configurée
+ */
+function getEncryptionKey() {
+  const rawKey = process.env.NOTIFICATION_ENCRYPTION_KEY;
+  if (!rawKey || !rawKey.trim()) {
+    if (!missingKeyWarned) {
+      logger.security('NOTIFICATION_ENCRYPTION_KEY not configured, sensitive fields stored in clear text');
+      missingKeyWarned = true;
+    }
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(rawKey.trim()).digest();
+}
+
+/**
+ * Indique si une valeur stockée est chiffrée
+ * @param {*} value - Valeur stockée
+ * @returns {boolean} true si la valeur porte le préfixe de chiffrement
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Chiffre une chaîne
+ * @param {string|null} plainText - Valeur en clair
+ * @returns {string|null} Valeur chiffrée (ou en clair si aucune clé)
+ */
+function encryptField(plainText) {
+  if (plainText === null || plainText === undefined) {
+    return null;
+  }
+
+  const key = getEncryptionKey();
+  if (!key) {
+    return String(plainText);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${authTag.toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Déchiffre une chaîne produite par encryptField
+ * @param {string|null} storedValue - Valeur stockée
+ * @returns {string|null} Valeur en clair
+ */
+function decryptField(storedValue) {
+  if (storedValue === null || storedValue === undefined) {
+    return null;
+  }
+
+  if (!isEncryptedValue(storedValue)) {
+    return storedValue;
+  }
+
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('NOTIFICATION_ENCRYPTION_KEY is required to decrypt stored notification fields');
+  }
+
+  const [ivPart, tagPart, dataPart] = storedValue.slice(ENCRYPTED_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivPart, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagPart, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(dataPart, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Chiffre un objet JSON
+ * @param {Object|null} value - Objet à stocker
+ * @returns {string|null} JSON chiffré
+ */
+function encryptJson(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return encryptField(JSON.stringify(value));
+}
+
+/**
+ * Déchiffre un objet JSON
+ * @param {string|null} storedValue - Valeur stockée
+ * @returns {Object|null} Objet en clair
+ */
+function decryptJson(storedValue) {
+  const plainText = decryptField(storedValue);
+  if (plainText === null) {
+    return null;
+  }
+  return JSON.parse(plainText);
+}
+
+module.exports = {
+  encryptField,
+  decryptField,
+  encryptJson,
+  decryptJson,
+  isEncryptedValue
+};
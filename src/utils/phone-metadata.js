@@ -0,0 +1,53 @@
+/**
+ * Métadonnées de numérotation par pays (code ISO 3166-1 alpha-2)
+ * - callingCode : indicatif international
+ * - trunkPrefix : préfixe national à retirer (0 en France), null si le pays n'en a pas
+ * - lengths : longueurs possibles du numéro national (sans préfixe)
+ * - mobile / fixedLine : plages du numéro national ; un numéro de la bonne longueur
+ *   qui ne correspond à aucune plage est accepté avec le type unknown
+ * - mobileOrFixed : plan où mobiles et fixes partagent les plages (NANP)
+ */
+const PHONE_METADATA = {
+  // Afrique centrale et de l'Ouest
+  CM: { callingCode: '237', trunkPrefix: null, lengths: [9], mobile: /^6\d{8}$/, fixedLine: /^2[23]\d{7}$/ },
+  GA: { callingCode: '241', trunkPrefix: null, lengths: [8], mobile: /^0[67]\d{6}$/, fixedLine: /^01\d{6}$/ },
+  CG: { callingCode: '242', trunkPrefix: null, lengths: [9], mobile: /^0[4-6]\d{7}$/, fixedLine: /^222\d{6}$/ },
+  CD: { callingCode: '243', trunkPrefix: '0', lengths: [9], mobile: /^(8[0-59]|9\d)\d{7}$/, fixedLine: /^12\d{7}$/ },
+  TD: { callingCode: '235', trunkPrefix: null, lengths: [8], mobile: /^[6-9]\d{7}$/, fixedLine: /^22\d{6}$/ },
+  CF: { callingCode: '236', trunkPrefix: null, lengths: [8], mobile: /^7[0257]\d{6}$/, fixedLine: /^2[12]\d{6}$/ },
+  GQ: { callingCode: '240', trunkPrefix: null, lengths: [9], mobile: /^(222|55[15])\d{6}$/, fixedLine: /^33[0-24-9]\d{6}$/ },
+  CI: { callingCode: '225', trunkPrefix: null, lengths: [10], mobile: /^0[157]\d{8}$/, fixedLine: /^2[157]\d{8}$/ },
+  SN: { callingCode: '221', trunkPrefix: null, lengths: [9], mobile: /^7[05-8]\d{7}$/, fixedLine: /^3[03]\d{7}$/ },
+  ML: { callingCode: '223', trunkPrefix: null, lengths: [8], mobile: /^[5-9]\d{7}$/, fixedLine: /^2\d{7}$/ },
+  BF: { callingCode: '226', trunkPrefix: null, lengths: [8], mobile: /^[5-7]\d{7}$/, fixedLine: /^2\d{7}$/ },
+  TG: { callingCode: '228', trunkPrefix: null, lengths: [8], mobile: /^[79]\d{7}$/, fixedLine: /^2\d{7}$/ },
+  NG: { callingCode: '234', trunkPrefix: '0', lengths: [8, 10], mobile: /^[789][01]\d{8}$/, fixedLine: /^[1-6]\d{7}$/ },
+  GH: { callingCode: '233', trunkPrefix: '0', lengths: [9], mobile: /^[25]\d{8}$/, fixedLine: /^3\d{8}$/ },
+
+  // Afrique du Nord, de l'Est et australe
+  MA: { callingCode: '212', trunkPrefix: '0', lengths: [9], mobile: /^[67]\d{8}$/, fixedLine: /^5\d{8}$/ },
+  DZ: { callingCode: '213', trunkPrefix: '0', lengths: [8, 9], mobile: /^[567]\d{8}$/, fixedLine: /^[2-4]\d{7}$/ },
+  TN: { callingCode: '216', trunkPrefix: null, lengths: [8], mobile: /^[2459]\d{7}$/, fixedLine: /^[37]\d{7}$/ },
+  KE: { callingCode: '254', trunkPrefix: '0', lengths: [9], mobile: /^(7\d|1[01])\d{7}$/, fixedLine: /^[2-6]\d{8}$/ },
+  ZA: { callingCode: '27', trunkPrefix: '0', lengths: [9], mobile: /^[6-8]\d{8}$/, fixedLine: /^[1-5]\d{8}$/ },
+
+  // Europe
+  FR: { callingCode: '33', trunkPrefix: '0', lengths: [9], mobile: /^[67]\d{8}$/, fixedLine: /^[1-5]\d{8}$/ },
+  BE: { callingCode: '32', trunkPrefix: '0', lengths: [8, 9], mobile: /^4[5-9]\d{7}$/, fixedLine: /^[1-9]\d{7}$/ },
+  CH: { callingCode: '41', trunkPrefix: '0', lengths: [9], mobile: /^7[5-9]\d{7}$/, fixedLine: /^([2-6]\d|71|81|91)\d{7}$/ },
+  LU: { callingCode: '352', trunkPrefix: null, lengths: [6, 7, 8, 9], mobile: /^6[269]1\d{6}$/, fixedLine: /^[2-5]\d{5,7}$/ },
+  GB: { callingCode: '44', trunkPrefix: '0', lengths: [10], mobile: /^7[1-57-9]\d{8}$/, fixedLine: /^[12]\d{9}$/ },
+  DE: { callingCode: '49', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11], mobile: /^1[5-7]\d{8,9}$/, fixedLine: /^[2-9]\d{5,10}$/ },
+  NL: { callingCode: '31', trunkPrefix: '0', lengths: [9], mobile: /^6\d{8}$/, fixedLine: /^[1-57]\d{8}$/ },
+  ES: { callingCode: '34', trunkPrefix: null, lengths: [9], mobile: /^[67]\d{8}$/, fixedLine: /^[89]\d{8}$/ },
+  PT: { callingCode: '351', trunkPrefix: null, lengths: [9], mobile: /^9[1236]\d{7}$/, fixedLine: /^2\d{8}$/ },
+  IT: { callingCode: '39', trunkPrefix: null, lengths: [6, 7, 8, 9, 10, 11], mobile: /^3\d{8,9}$/, fixedLine: /^0\d{5,10}$/ },
+
+  // Amérique du Nord (plan NANP : mobiles et fixes indiscernables)
+  US: { callingCode: '1', trunkPrefix: '1', lengths: [10], mobileOrFixed: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  CA: { callingCode: '1', trunkPrefix: '1', lengths: [10], mobileOrFixed: /^[2-9]\d{2}[2-9]\d{6}$/ }
+};
+
+module.exports = {
+  PHONE_METADATA
+};
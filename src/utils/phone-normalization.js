@@ -1,27 +1,209 @@
-function normalizePhoneNumber(rawPhone) {
+const { PHONE_METADATA } = require('./phone-metadata');
+
+const FALLBACK_REGION = 'CM';
+
+/**
+ * Région utilisée pour les numéros saisis au format national
+ * @returns {string} Code pays (PHONE_DEFAULT_REGION, CM par défaut)
+ */
+function getDefaultRegion() {
+  const region = String(process.env.PHONE_DEFAULT_REGION || '').trim().toUpperCase();
+  return PHONE_METADATA[region] ? region : FALLBACK_REGION;
+}
+
+/**
+ * Régions partageant un indicatif (US et CA pour +1), la région par défaut en premier
+ * @param {string} callingCode - Indicatif
+ * @param {string} defaultRegion - Région par défaut
+ * @returns {string[]} Codes pays
+ */
+function regionsForCallingCode(callingCode, defaultRegion) {
+  return Object.keys(PHONE_METADATA)
+    .filter(region => PHONE_METADATA[region].callingCode === callingCode)
+    .sort((a, b) => (b === defaultRegion) - (a === defaultRegion));
+}
+
+/**
+ * Type de ligne d'un numéro national déjà validé en longueur
+ * @returns {string} mobile | fixed_line | fixed_line_or_mobile | unknown
+ */
+function classifyNationalNumber(metadata, nationalNumber) {
+  if (metadata.mobileOrFixed && metadata.mobileOrFixed.test(nationalNumber)) {
+    return 'fixed_line_or_mobile';
+  }
+  if (metadata.mobile && metadata.mobile.test(nationalNumber)) {
+    return 'mobile';
+  }
+  if (metadata.fixedLine && metadata.fixedLine.test(nationalNumber)) {
+    return 'fixed_line';
+  }
+  return 'unknown';
+}
+
+/**
+ * Essaie d'interpréter des chiffres comme numéro national d'une région
+ * Le préfixe national (0 en France) est retiré, y compris après l'indicatif (+33 06...)
+ * @returns {Object|null} Numéro analysé ou null si la longueur ne correspond pas
+ */
+function matchRegion(region, digits) {
+  const metadata = PHONE_METADATA[region];
+  const candidates = [digits];
+  if (metadata.trunkPrefix && digits.startsWith(metadata.trunkPrefix)) {
+    candidates.push(digits.slice(metadata.trunkPrefix.length));
+  }
+
+  const nationalNumber = candidates.find(candidate => metadata.lengths.includes(candidate.length));
+  if (!nationalNumber) {
+    return null;
+  }
+
+  return {
+    valid: true,
+    e164: `+${metadata.callingCode}${nationalNumber}`,
+    region,
+    callingCode: metadata.callingCode,
+    nationalNumber,
+    type: classifyNationalNumber(metadata, nationalNumber),
+    reason: null
+  };
+}
+
+/**
+ * Interprète des chiffres au format international (sans + ni 00)
+ * Un indicatif absent des métadonnées est accepté tel quel si la longueur respecte E.164
+ */
+function parseInternationalDigits(digits, defaultRegion, strict) {
+  for (let length = 1; length <= 3; length++) {
+    const callingCode = digits.slice(0, length);
+    const regions = regionsForCallingCode(callingCode, defaultRegion);
+    if (regions.length === 0) {
+      continue;
+    }
+
+    for (const region of regions) {
+      const match = matchRegion(region, digits.slice(length));
+      if (match) {
+        return match;
+      }
+    }
+    return invalid('invalid_length', regions[0], callingCode);
+  }
+
+  if (!strict && digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0')) {
+    return {
+      valid: true,
+      e164: `+${digits}`,
+      region: null,
+      callingCode: null,
+      nationalNumber: null,
+      type: 'unknown',
+      reason: null
+    };
+  }
+
+  return invalid('unknown_country');
+}
+
+function invalid(reason, region = null, callingCode = null) {
+  return { valid: false, e164: null, region, callingCode, nationalNumber: null, type: null, reason };
+}
+
+/**
+ * Analyse un numéro de téléphone à partir des métadonnées pays
+ * - +XX / 00XX : indicatif explicite
+ * - sinon numéro national de la région par défaut, puis chiffres internationaux sans + (msisdn Vonage)
+ * @param {string} rawPhone - Numéro brut (espaces, tirets, points et parenthèses tolérés)
+ * @param {Object} options - { region } pour remplacer PHONE_DEFAULT_REGION
+ * @returns {Object} { valid, e164, region, callingCode, nationalNumber, type, reason }
+ */
+function parsePhoneNumber(rawPhone, options = {}) {
   const trimmed = rawPhone == null ? '' : String(rawPhone).trim();
   if (!trimmed) {
-    return null;
+    return invalid('empty');
   }
 
   const compact = trimmed.replace(/[\s\-().]/g, '');
-  if (!/^\+?\d+$/.test(compact)) {
-    return trimmed;
+  if (!/^(\+|00)?\d+$/.test(compact)) {
+    return invalid('invalid_characters');
   }
 
-  const digitsOnly = compact.replace(/^\+/, '');
+  const requestedRegion = String(options.region || '').toUpperCase();
+  const defaultRegion = PHONE_METADATA[requestedRegion] ? requestedRegion : getDefaultRegion();
 
-  if (digitsOnly.length === 9 && digitsOnly.startsWith('6')) {
-    return `+237${digitsOnly}`;
+  if (compact.startsWith('+') || compact.startsWith('00')) {
+    return parseInternationalDigits(compact.replace(/^(\+|00)/, ''), defaultRegion, false);
   }
 
-  if (digitsOnly.startsWith('237') && digitsOnly.length === 12) {
-    return `+${digitsOnly}`;
+  const national = matchRegion(defaultRegion, compact);
+  if (national) {
+    return national;
   }
 
-  return compact.startsWith('+') ? compact : compact;
+  // Chiffres sans + : seul un indicatif connu permet de les lire comme numéro international
+  return parseInternationalDigits(compact, defaultRegion, true);
+}
+
+/**
+ * Normalise un numéro au format E.164
+ * Un numéro non reconnu est renvoyé sans séparateurs, pour rester lisible dans les logs
+ * @param {string} rawPhone - Numéro brut
+ * @param {Object} options - { region }
+ * @returns {string|null} Numéro normalisé ou null si vide
+ */
+function normalizePhoneNumber(rawPhone, options = {}) {
+  const trimmed = rawPhone == null ? '' : String(rawPhone).trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const parsed = parsePhoneNumber(trimmed, options);
+  if (parsed.valid) {
+    return parsed.e164;
+  }
+
+  const compact = trimmed.replace(/[\s\-().]/g, '');
+  return /^\+?\d+$/.test(compact) ? compact : trimmed;
+}
+
+/**
+ * Crée l'erreur de refus d'un destinataire SMS
+ * @param {Object} parsed - Résultat de parsePhoneNumber
+ * @returns {Error} Erreur PHONE_NUMBER_INVALID ou PHONE_NUMBER_NOT_MOBILE
+ */
+function createPhoneNumberError(parsed) {
+  const landline = parsed.valid && parsed.type === 'fixed_line';
+  const error = new Error(landline
+    ? 'Le numéro est une ligne fixe et ne peut pas recevoir de SMS'
+    : 'Le numéro de téléphone est invalide');
+  error.code = landline ? 'PHONE_NUMBER_NOT_MOBILE' : 'PHONE_NUMBER_INVALID';
+  error.statusCode = 422;
+  error.details = {
+    region: parsed.region,
+    type: parsed.type,
+    reason: landline ? 'fixed_line' : parsed.reason
+  };
+  return error;
+}
+
+/**
+ * Vérifie qu'un numéro peut recevoir un SMS (les lignes fixes sont refusées avant tout envoi payant)
+ * @param {string} rawPhone - Numéro brut
+ * @param {Object} options - { region }
+ * @returns {Object} Numéro analysé
+ * @throws {Error} PHONE_NUMBER_INVALID ou PHONE_NUMBER_NOT_MOBILE
+ */
+function assertSmsCapable(rawPhone, options = {}) {
+  const parsed = parsePhoneNumber(rawPhone, options);
+  if (!parsed.valid || parsed.type === 'fixed_line') {
+    throw createPhoneNumberError(parsed);
+  }
+  return parsed;
 }
 
 module.exports = {
+  getDefaultRegion,
+  parsePhoneNumber,
   normalizePhoneNumber,
+  assertSmsCapable,
+  createPhoneNumberError,
 };
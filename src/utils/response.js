@@ -279,11 +279,14 @@ function queueStatsResponse(stats, meta = {}) {
 function notificationResultResponse(results, meta = {}) {
   const simulated = results.simulated === true || String(results.provider || '').toLowerCase() === 'mock';
   const skipped = results.skipped === true;
+  const suppressed = results.suppressed === true;
   const accepted = results.success || simulated || skipped;
 
   return {
     success: accepted,
-    message: skipped
+    message: suppressed
+      ? 'Notification non envoyee car l adresse figure dans la liste de suppression'
+      : skipped
       ? 'Notification non envoyee car les preferences du destinataire bloquent ce canal'
       : simulated
       ? 'Notification simulee - aucun provider reel n est configure'
@@ -298,6 +301,7 @@ function notificationResultResponse(results, meta = {}) {
       accepted,
       simulated,
       skipped,
+      suppressed,
       reason: results.reason ?? null
     },
     meta: {
@@ -0,0 +1,83 @@
+/**
+ * 🔏 SECRETS ET JETONS SIGNÉS
+ *
+ * RÔLE : Lire les secrets HMAC depuis l'environnement et signer / vérifier les jetons
+ * portés par des URLs publiques (suivi des emails, désabonnement en un clic).
+ *
+ * Format : <payload JSON base64url>.<signature HMAC-SHA256 base64url>
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Lit un secret depuis l'environnement
+ * Les valeurs d'exemple de .env.example (your_...) sont considérées comme absentes
+ * @param {string} name - Nom de la variable d'environnement
+ * @returns {string|null} Secret ou null
+ */
+function readSecret(name) {
+  const value = String(process.env[name] || '').trim();
+  if (!value || /^your_/i.test(value)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Empreinte HMAC-SHA256
+ * @param {string} secret - Secret de signature
+ * @param {string} value - Valeur signée
+ * @param {string} encoding - Encodage du résultat (hex par défaut)
+ * @returns {string} Empreinte
+ */
+function hmac(secret, value, encoding = 'hex') {
+  return crypto.createHmac('sha256', secret).update(value).digest(encoding);
+}
+
+/**
+ * Signe un payload
+ * @param {Object} payload - Données du jeton
+ * @param {string} secret - Secret de signature
+ * @returns {string} Jeton "<payload base64url>.<signature base64url>"
+ */
+function signToken(payload, secret) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${hmac(secret, encoded, 'base64url')}`;
+}
+
+/**
+ * Vérifie la signature d'un jeton et décode son payload (comparaison en temps constant)
+ * @param {string} token - Jeton reçu
+ * @param {string} secret - Secret de signature
+ * @returns {Object|null} Payload ou null si le jeton est malformé ou mal signé
+ */
+function verifyToken(token, secret) {
+  if (!secret || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(encoded).digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  readSecret,
+  hmac,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,55 @@
+const express = require('express');
+
+// Champs des providers SMS remplacés par les suites (clients simulés)
+const SMS_PROVIDER_FIELDS = ['twilioConfigured', 'vonageConfigured', 'textbeltConfigured', 'twilioClient', 'vonageClient'];
+
+/**
+ * Simule le repository de notifications, la file d'attente et les préférences
+ * À appeler avant de charger les services ou les routes
+ * @param {Object} mockOverrides - repository, queue : fonctions ajoutées ou remplacées
+ */
+function mockNotificationDependencies(mockOverrides = {}) {
+  jest.mock('../../src/core/database/notification.repository', () => ({
+    createNotification: jest.fn(),
+    createNotificationLog: jest.fn(),
+    updateNotificationStatus: jest.fn(),
+    ...mockOverrides.repository
+  }));
+
+  jest.mock('../../src/core/queues/queue.service', () => ({
+    addSMSJob: jest.fn().mockResolvedValue({ success: true, jobId: 'job-1' }),
+    ...mockOverrides.queue
+  }));
+
+  jest.mock('../../src/core/preferences/preferences.service', () => ({
+    shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'enabled' })
+  }));
+}
+
+/**
+ * Application Express montant les routes /api/notifications
+ * @returns {Object} Application
+ */
+function buildApp() {
+  const notificationsRoutes = require('../../src/api/routes/notifications.routes');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationsRoutes);
+  return app;
+}
+
+/**
+ * Mémorise la configuration des providers SMS avant qu'une suite ne la remplace
+ * @param {Object} smsService - Service SMS
+ * @returns {Function} Restaure la configuration mémorisée
+ */
+function saveSmsProviderState(smsService) {
+  const state = Object.fromEntries(SMS_PROVIDER_FIELDS.map(field => [field, smsService[field]]));
+  return () => Object.assign(smsService, state);
+}
+
+module.exports = {
+  mockNotificationDependencies,
+  buildApp,
+  saveSmsProviderState
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/core/suppressions/suppression.service', () => ({
+  checkEmail: jest.fn().mockResolvedValue({ suppressed: false, reason: null }),
+  partitionRecipients: jest.fn(async recipients => ({ allowed: recipients, suppressed: [] }))
+}));
+
+jest.mock('../../src/core/queues/queue.service', () => ({
+  addEmailJob: jest.fn().mockResolvedValue({ success: true, jobId: 'job-1' })
+}));
+
+const queueService = require('../../src/core/queues/queue.service');
+const emailService = require('../../src/core/email/email.service');
+const notificationsRoutes = require('../../src/api/routes/notifications.routes');
+const {
+  parseAddress,
+  isDisposableDomain,
+  suggestDomain,
+  checkAddress
+} = require('../../src/core/email/address-quality');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationsRoutes);
+  return app;
+}
+
+describe('Email address quality', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.EMAIL_DISPOSABLE_POLICY;
+    delete process.env.EMAIL_TYPO_POLICY;
+    delete process.env.EMAIL_DISPOSABLE_DOMAINS_FILE;
+    delete process.env.EMAIL_DISPOSABLE_DOMAINS_EXTRA;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('parses addresses according to RFC 5321 and 5322', () => {
+    expect(parseAddress('jean.dupont+gala@example.com')).toEqual(expect.objectContaining({ valid: true, local: 'jean.dupont+gala' }));
+    expect(parseAddress('"jean dupont"@example.com').valid).toBe(true);
+    expect(parseAddress('élise@exämple.fr').domain).toBe('xn--exmple-cua.fr');
+    expect(parseAddress('a@[192.168.0.1]')).toEqual(expect.objectContaining({ valid: true, literal: true }));
+
+    for (const address of ['jean..dupont@example.com', '.jean@example.com', 'jean@example', 'jean@-example.com',
+      'jean dupont@example.com', 'jean@example.123', `${'a'.repeat(65)}@example.com`, 'a@[300.1.1.1]', '@example.com']) {
+      expect(parseAddress(address).valid).toBe(false);
+    }
+    expect(checkAddress('a@[192.168.0.1]').verdict).toBe('reject');
+  });
+
+  it('detects disposable domains from the bundled, replaceable and extended lists', () => {
+    expect(isDisposableDomain('yopmail.fr')).toBe(true);
+    expect(isDisposableDomain('inbox.mailinator.com')).toBe(true);
+    expect(isDisposableDomain('gmail.com')).toBe(false);
+
+    process.env.EMAIL_DISPOSABLE_DOMAINS_EXTRA = 'jetable.example';
+    expect(isDisposableDomain('jetable.example')).toBe(true);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disposable-'));
+    const file = path.join(dir, 'domains.txt');
+    fs.writeFileSync(file, '# liste à jour\nnouveau-jetable.io\n');
+    process.env.EMAIL_DISPOSABLE_DOMAINS_FILE = file;
+    expect(isDisposableDomain('nouveau-jetable.io')).toBe(true);
+    expect(isDisposableDomain('yopmail.fr')).toBe(false);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('suggests corrections for common providers without touching legitimate domains', () => {
+    expect(suggestDomain('gmial.com')).toBe('gmail.com');
+    expect(suggestDomain('gmail.con')).toBe('gmail.com');
+    expect(suggestDomain('yahooo.fr')).toBe('yahoo.fr');
+    expect(suggestDomain('outlok.com')).toBe('outlook.com');
+    expect(suggestDomain('orang.fr')).toBe('orange.fr');
+    expect(suggestDomain('orange.fe')).toBe('orange.fr');
+
+    for (const domain of ['gmail.com', 'mail.com', 'ymail.com', 'outlook.de', 'eventplanner.com']) {
+      expect(suggestDomain(domain)).toBeNull();
+    }
+    expect(checkAddress('jean@gmial.com')).toEqual(expect.objectContaining({
+      verdict: 'warn',
+      suggestion: 'jean@gmail.com'
+    }));
+  });
+
+  it('rejects or warns on sends according to the policy', async () => {
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Bienvenue', html: '<p>x</p>', text: 'x' });
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp', messageId: 'smtp-1' });
+
+    const warned = await emailService.sendTransactionalEmail('jean@gmial.com', 'welcome', {});
+    expect(warned.success).toBe(true);
+    expect(warned.addressWarnings).toEqual([expect.objectContaining({ code: 'typo', action: 'warn' })]);
+
+    process.env.EMAIL_DISPOSABLE_POLICY = 'reject';
+    const rejected = await emailService.sendTransactionalEmail('jean@yopmail.com', 'welcome', {});
+    expect(rejected.success).toBe(false);
+    expect(rejected.details.code).toBe('INVALID_EMAIL_ADDRESS');
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+
+    const bulk = await request(buildApp())
+      .post('/api/notifications/email/bulk')
+      .send({ recipients: ['aicha@example.com', 'jean@yopmail.com', 'moussa@gmial.com'], template: 'welcome', data: {} });
+    expect(bulk.status).toBe(202);
+    expect(bulk.body.meta).toEqual(expect.objectContaining({
+      queued: 2,
+      rejected: [expect.objectContaining({ email: 'jean@yopmail.com' })],
+      addressWarnings: [expect.objectContaining({ email: 'moussa@gmial.com', suggestion: 'moussa@gmail.com' })]
+    }));
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(expect.objectContaining({
+      recipients: ['aicha@example.com', 'moussa@gmial.com']
+    }));
+
+    const allRejected = await request(buildApp())
+      .post('/api/notifications/email/bulk')
+      .send({ recipients: ['jean@yopmail.com'], template: 'welcome', data: {} });
+    expect(allRejected.status).toBe(422);
+    expect(allRejected.body.error.code).toBe('INVALID_EMAIL_ADDRESS');
+  });
+
+  it('checks addresses through the standalone validation endpoint', async () => {
+    const app = buildApp();
+
+    const single = await request(app).post('/api/notifications/email/validate').send({ email: 'jean@gmial.com' });
+    expect(single.status).toBe(200);
+    expect(single.body.data.results[0]).toEqual(expect.objectContaining({ verdict: 'warn', suggestion: 'jean@gmail.com' }));
+
+    const batch = await request(app)
+      .post('/api/notifications/email/validate')
+      .send({ emails: ['aicha@example.com', 'jean@yopmail.com', 'pas-une-adresse'] });
+    expect(batch.body.data.summary).toEqual({ total: 3, accepted: 1, warned: 1, rejected: 1 });
+    expect(batch.body.data.results[2].issues[0].code).toBe('invalid-syntax');
+
+    const missing = await request(app).post('/api/notifications/email/validate').send({});
+    expect(missing.status).toBe(400);
+  });
+});
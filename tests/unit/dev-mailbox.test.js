@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const captureProvider = require('../../src/core/email/providers/capture.provider');
+const smtpProvider = require('../../src/core/email/providers/smtp.provider');
+const emailService = require('../../src/core/email/email.service');
+const devMailboxRoutes = require('../../src/api/routes/dev-mailbox.routes');
+
+const MAIL = {
+  from: 'Event Planner <noreply@eventplanner.com>',
+  to: 'aicha@example.com',
+  subject: 'Votre billet pour le Gala',
+  html: '<p>Bonjour Aïcha, voici votre billet.</p>',
+  text: 'Bonjour Aïcha, voici votre billet.',
+  attachments: [{ filename: 'billet.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.4 billet') }]
+};
+
+function buildApp() {
+  const app = express();
+  app.use('/dev/mailbox', devMailboxRoutes);
+  return app;
+}
+
+describe('Development mailbox', () => {
+  const env = { ...process.env };
+  const originalSmtp = { configured: smtpProvider.configured, transporter: smtpProvider.transporter };
+
+  beforeEach(async () => {
+    process.env.EMAIL_DEV_MAILBOX = 'true';
+    process.env.NODE_ENV = 'test';
+    delete process.env.EMAIL_DEV_MAILBOX_DIR;
+    delete process.env.EMAIL_DEV_MAILBOX_MAX_MESSAGES;
+    await captureProvider.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(smtpProvider, originalSmtp);
+    process.env = { ...env };
+  });
+
+  it('captures every send instead of calling the real providers', async () => {
+    smtpProvider.configured = true;
+    smtpProvider.transporter = { sendMail: jest.fn() };
+
+    const result = await emailService.sendEmailWithFallback(MAIL, { template: 'ticket-generated', notificationId: 12 });
+
+    expect(smtpProvider.transporter.sendMail).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ success: true, provider: 'capture', captureId: expect.any(String) }));
+
+    const message = captureProvider.get(result.captureId);
+    expect(message).toEqual(expect.objectContaining({
+      template: 'ticket-generated',
+      notificationId: 12,
+      to: ['aicha@example.com'],
+      html: MAIL.html
+    }));
+    expect(message.headers.subject).toBe('Votre billet pour le Gala');
+    expect(message.headers['message-id']).toBe(result.messageId);
+    expect(message.raw).toContain('Content-Type: application/pdf; name=billet.pdf');
+    expect(message.attachments[0]).toEqual(expect.objectContaining({ filename: 'billet.pdf', size: 15 }));
+  });
+
+  it('searches captured messages by text, recipient and template', async () => {
+    await captureProvider.send(MAIL, { template: 'ticket-generated' });
+    await captureProvider.send({ ...MAIL, to: 'moussa@example.com', subject: 'Rappel' }, { template: 'event-reminder' });
+
+    expect(captureProvider.list({ q: 'rappel' }).messages.map(message => message.to[0])).toEqual(['moussa@example.com']);
+    expect(captureProvider.list({ to: 'AICHA' }).pagination.total).toBe(1);
+    expect(captureProvider.list({ template: 'event-reminder' }).messages[0].subject).toBe('Rappel');
+    expect(captureProvider.list({ limit: 1 }).pagination).toEqual({ total: 2, hasMore: true });
+  });
+
+  it('serves messages, previews and attachments over HTTP', async () => {
+    const { captureId } = await captureProvider.send(MAIL, { template: 'ticket-generated' });
+    const app = buildApp();
+
+    const list = await request(app).get('/dev/mailbox').query({ q: 'gala' });
+    expect(list.status).toBe(200);
+    expect(list.body.data.messages).toHaveLength(1);
+
+    const detail = await request(app).get(`/dev/mailbox/${captureId}`);
+    expect(detail.body.data.attachments[0]).not.toHaveProperty('content');
+    expect(detail.body.data).not.toHaveProperty('raw');
+
+    const html = await request(app).get(`/dev/mailbox/${captureId}/html`);
+    expect(html.headers['content-type']).toMatch(/^text\/html/);
+    expect(html.text).toBe(MAIL.html);
+
+    const raw = await request(app).get(`/dev/mailbox/${captureId}/raw`);
+    expect(raw.headers['content-type']).toMatch(/^message\/rfc822/);
+
+    const attachment = await request(app).get(`/dev/mailbox/${captureId}/attachments/0`).buffer(true);
+    expect(attachment.headers['content-type']).toBe('application/pdf');
+    expect(attachment.body.toString()).toBe('%PDF-1.4 billet');
+
+    expect((await request(app).delete(`/dev/mailbox/${captureId}`)).status).toBe(200);
+    expect((await request(app).get(`/dev/mailbox/${captureId}`)).status).toBe(404);
+  });
+
+  it('is never exposed nor used in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(captureProvider.isReady()).toBe(false);
+    expect((await request(buildApp()).get('/dev/mailbox')).status).toBe(404);
+  });
+
+  it('persists captured messages to disk and reloads them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-mailbox-'));
+    process.env.EMAIL_DEV_MAILBOX_DIR = dir;
+
+    try {
+      const { captureId } = await captureProvider.send(MAIL, { template: 'ticket-generated' });
+      expect(fs.existsSync(path.join(dir, `${captureId}.json`))).toBe(true);
+
+      captureProvider.messages = [];
+      captureProvider.loadedFrom = null;
+      await captureProvider.initialize();
+
+      expect(captureProvider.get(captureId).attachments[0].content.toString()).toBe('%PDF-1.4 billet');
+    } finally {
+      await captureProvider.clear();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
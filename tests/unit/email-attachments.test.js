@@ -0,0 +1,200 @@
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationById: jest.fn(),
+  createNotification: jest.fn(),
+  createNotificationLog: jest.fn(),
+  updateNotificationStatus: jest.fn()
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'enabled' })
+}));
+
+jest.mock('../../src/core/queues/queue.service', () => ({
+  addEmailJob: jest.fn()
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const sendgridMail = require('@sendgrid/mail');
+const emailService = require('../../src/core/email/email.service');
+const notificationRepository = require('../../src/core/database/notification.repository');
+const notificationsRoutes = require('../../src/api/routes/notifications.routes');
+const smtpProvider = require('../../src/core/email/providers/smtp.provider');
+const sendgridProvider = require('../../src/core/email/providers/sendgrid.provider');
+const { schemas } = require('../../src/middleware/validation');
+const {
+  validateAttachments,
+  resolveAttachments,
+  toSendGridAttachments
+} = require('../../src/core/email/email-attachments');
+
+const PDF_BASE64 = Buffer.from('%PDF-1.4 ticket').toString('base64');
+
+describe('Email attachments', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TICKET_GENERATOR_SERVICE_URL = 'http://localhost:3004';
+    delete process.env.EMAIL_ATTACHMENT_MAX_BYTES;
+    delete process.env.EMAIL_ATTACHMENTS_MAX_TOTAL_BYTES;
+    delete process.env.EMAIL_ATTACHMENT_ALLOWED_HOSTS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('requires exactly one of base64 content or artifact reference in the request schema', () => {
+    const base = { to: 'aicha@example.com', template: 'ticket-generated', data: {} };
+
+    const both = schemas.sendEmail.validate({
+      ...base,
+      options: { attachments: [{ filename: 'ticket.pdf', contentType: 'application/pdf', content: PDF_BASE64, artifactUrl: 'http://localhost:3004/t.pdf' }] }
+    });
+    const executable = schemas.sendEmail.validate({
+      ...base,
+      options: { attachments: [{ filename: 'run.exe', contentType: 'application/x-msdownload', content: PDF_BASE64 }] }
+    });
+    const valid = schemas.sendEmail.validate({
+      ...base,
+      options: { attachments: [{ filename: 'ticket.pdf', contentType: 'application/pdf', content: PDF_BASE64 }] }
+    });
+
+    expect(both.error).toBeDefined();
+    expect(executable.error).toBeDefined();
+    expect(valid.error).toBeUndefined();
+    expect(valid.value.options.attachments[0].disposition).toBe('attachment');
+  });
+
+  it('rejects oversized content and artifacts from unknown hosts', () => {
+    process.env.EMAIL_ATTACHMENT_MAX_BYTES = '8';
+
+    expect(() => validateAttachments([{ filename: 'ticket.pdf', contentType: 'application/pdf', content: PDF_BASE64 }]))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ATTACHMENT' }));
+
+    expect(() => validateAttachments([{ filename: 'ticket.pdf', contentType: 'application/pdf', artifactUrl: 'http://169.254.169.254/latest' }]))
+      .toThrow('Hôte d\'artefact non autorisé : 169.254.169.254');
+  });
+
+  it('downloads ticket-generator artifacts and converts them for SendGrid', async () => {
+    axios.get.mockResolvedValue({ data: Buffer.from('%PDF-1.4 remote') });
+
+    const resolved = await resolveAttachments([
+      { filename: 'ticket_A1.pdf', contentType: 'application/pdf', artifactUrl: 'http://localhost:3004/api/tickets/A1/pdf' }
+    ]);
+
+    expect(axios.get).toHaveBeenCalledWith('http://localhost:3004/api/tickets/A1/pdf', expect.objectContaining({
+      responseType: 'arraybuffer',
+      maxContentLength: 5 * 1024 * 1024
+    }));
+    expect(toSendGridAttachments(resolved)).toEqual([{
+      content: Buffer.from('%PDF-1.4 remote').toString('base64'),
+      filename: 'ticket_A1.pdf',
+      type: 'application/pdf',
+      disposition: 'attachment'
+    }]);
+  });
+
+  it('passes attachments through the SMTP and SendGrid paths', async () => {
+    const [attachment] = await resolveAttachments([
+      { filename: 'ticket.pdf', contentType: 'application/pdf', content: PDF_BASE64 }
+    ]);
+    const mailOptions = { to: 'aicha@example.com', from: 'noreply@example.com', subject: 'Billet', html: '<p>Billet</p>', text: 'Billet', attachments: [attachment] };
+
+    const originalState = {
+      smtp: { configured: smtpProvider.configured, transporter: smtpProvider.transporter },
+      sendgrid: { configured: sendgridProvider.configured }
+    };
+
+    try {
+      smtpProvider.configured = true;
+      sendgridProvider.configured = false;
+      smtpProvider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'smtp-1' }) };
+      await emailService.sendEmailWithFallback(mailOptions);
+      expect(smtpProvider.transporter.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        attachments: [expect.objectContaining({ filename: 'ticket.pdf', contentType: 'application/pdf' })]
+      }));
+
+      smtpProvider.configured = false;
+      sendgridProvider.configured = true;
+      jest.spyOn(sendgridMail, 'send').mockResolvedValue([{ headers: { 'x-message-id': 'sg-1' } }]);
+      await emailService.sendEmailWithFallback(mailOptions);
+      expect(sendgridMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        attachments: [{ content: PDF_BASE64, filename: 'ticket.pdf', type: 'application/pdf', disposition: 'attachment' }]
+      }));
+    } finally {
+      Object.assign(smtpProvider, originalState.smtp);
+      Object.assign(sendgridProvider, originalState.sendgrid);
+    }
+  });
+
+  it('keeps only attachment references and restores them when a failed email is retried', async () => {
+    axios.get.mockResolvedValue({ data: Buffer.from('%PDF-1.4 remote') });
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'checkSuppression').mockResolvedValue({ suppressed: false });
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Billet', html: '<p>Billet</p>', text: 'Billet' });
+    jest.spyOn(emailService, 'sendEmailWithFallback')
+      .mockResolvedValueOnce({ success: false, provider: 'smtp', error: 'ECONNRESET' })
+      .mockResolvedValueOnce({ success: true, provider: 'smtp', messageId: 'smtp-2' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 9 });
+    notificationRepository.updateNotificationStatus.mockResolvedValue({ id: 9 });
+
+    const ticket = { filename: 'billet.pdf', contentType: 'application/pdf', content: PDF_BASE64 };
+    const artifact = { filename: 'ticket_A1.pdf', contentType: 'application/pdf', artifactUrl: 'http://localhost:3004/api/tickets/A1/pdf' };
+    await emailService.sendTransactionalEmail('aicha@example.com', 'ticket-generated', { eventName: 'Gala' }, {
+      userId: 42,
+      attachments: [ticket, artifact]
+    });
+
+    const [{ attachments }] = notificationRepository.createNotification.mock.calls[0];
+    expect(attachments).toEqual([
+      {
+        filename: 'billet.pdf',
+        contentType: 'application/pdf',
+        disposition: 'attachment',
+        size: Buffer.from(PDF_BASE64, 'base64').length,
+        sha256: crypto.createHash('sha256').update(Buffer.from(PDF_BASE64, 'base64')).digest('hex')
+      },
+      { ...artifact, disposition: 'attachment' }
+    ]);
+
+    notificationRepository.getNotificationById.mockResolvedValue({
+      id: 9,
+      user_id: 42,
+      channel: 'email',
+      status: 'failed',
+      recipient: 'aicha@example.com',
+      template_name: 'ticket-generated',
+      template_data: { eventName: 'Gala' },
+      attachments
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/notifications', notificationsRoutes);
+
+    const missing = await request(app).post('/api/notifications/9/retry').send();
+    expect(missing.status).toBe(409);
+    expect(missing.body.error.code).toBe('ATTACHMENT_CONTENT_REQUIRED');
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+
+    const retried = await request(app).post('/api/notifications/9/retry').send({ attachments: [ticket] });
+
+    expect(retried.status).toBe(200);
+    expect(retried.body.data.result.success).toBe(true);
+    const [mailOptions] = emailService.sendEmailWithFallback.mock.calls[1];
+    expect(mailOptions.attachments).toEqual([
+      expect.objectContaining({ filename: 'billet.pdf', content: Buffer.from(PDF_BASE64, 'base64') }),
+      expect.objectContaining({ filename: 'ticket_A1.pdf', content: Buffer.from('%PDF-1.4 remote') })
+    ]);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(9, 'sent', expect.any(Object));
+  });
+});
@@ -0,0 +1,266 @@
+const express = require('express');
+const request = require('supertest');
+const nodemailer = require('nodemailer');
+const sendgridMail = require('@sendgrid/mail');
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationById: jest.fn(),
+  updateNotificationStatus: jest.fn(),
+  createNotificationLog: jest.fn(),
+  createNotification: jest.fn()
+}));
+
+jest.mock('../../src/core/suppressions/suppression.service', () => ({
+  checkEmail: jest.fn().mockResolvedValue({ suppressed: false, reason: null })
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'enabled' })
+}));
+
+jest.mock('../../src/core/queues/queue.service', () => ({
+  addEmailJob: jest.fn().mockResolvedValue({ success: true, jobId: 'job-1' })
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const queueService = require('../../src/core/queues/queue.service');
+const emailService = require('../../src/core/email/email.service');
+const sendgridProvider = require('../../src/core/email/providers/sendgrid.provider');
+const notificationsRoutes = require('../../src/api/routes/notifications.routes');
+const { resolveEnvelope, buildEnvelopeFields } = require('../../src/core/email/email-envelope');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', notificationsRoutes);
+  return app;
+}
+
+describe('Email reply-to, copies and custom headers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_PUBLIC_BASE_URL = 'https://notify.example.com';
+    process.env.UNSUBSCRIBE_TOKEN_SECRET = 'unsubscribe-test-secret';
+    process.env.EMAIL_REPLY_TO = 'support@eventplanner.com';
+    delete process.env.EMAIL_CUSTOM_HEADERS_ALLOWED;
+    delete process.env.EMAIL_SENDER_IDENTITIES;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('normalizes addresses, drops duplicates and only accepts allowlisted headers', () => {
+    const envelope = resolveEnvelope('aicha@example.com', {
+      replyTo: ' organisateur@gala.fr ',
+      cc: ['Aicha@example.com', 'cofondateur@gala.fr'],
+      bcc: ['archive@eventplanner.com', 'COFONDATEUR@gala.fr'],
+      headers: { 'x-event-id': 42 }
+    });
+
+    expect(envelope).toEqual({
+      replyTo: 'organisateur@gala.fr',
+      cc: ['cofondateur@gala.fr'],
+      bcc: ['archive@eventplanner.com'],
+      headers: { 'X-Event-ID': '42' }
+    });
+    expect(buildEnvelopeFields(resolveEnvelope('aicha@example.com'))).toEqual({});
+
+    expect(() => resolveEnvelope('aicha@example.com', { headers: { 'X-Mailer': 'spoof' } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_EMAIL_ENVELOPE', statusCode: 422 }));
+    expect(() => resolveEnvelope('aicha@example.com', { headers: { 'X-Event-ID': '42\r\nBcc: intrus@example.com' } }))
+      .toThrow(/Valeur invalide pour l'en-tête X-Event-ID/);
+
+    process.env.EMAIL_CUSTOM_HEADERS_ALLOWED = 'X-Mailer-Tag';
+    expect(resolveEnvelope('aicha@example.com', { headers: { 'x-mailer-tag': 'gala' } }).headers).toEqual({ 'X-Mailer-Tag': 'gala' });
+    expect(() => resolveEnvelope('aicha@example.com', { headers: { 'X-Event-ID': '42' } })).toThrow(/non autorisé/);
+  });
+
+  it('builds mail options and persists the envelope for audit', async () => {
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Rappel', html: '<p>Gala</p>', text: 'Gala' });
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp', messageId: 'smtp-1' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 7 });
+
+    const options = {
+      userId: 42,
+      replyTo: 'organisateur@gala.fr',
+      cc: 'cofondateur@gala.fr',
+      bcc: ['archive@eventplanner.com'],
+      headers: { 'X-Event-ID': '42' }
+    };
+    await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventName: 'Gala' }, options);
+
+    const [mailOptions] = emailService.sendEmailWithFallback.mock.calls[0];
+    expect(mailOptions).toEqual(expect.objectContaining({
+      replyTo: 'organisateur@gala.fr',
+      cc: ['cofondateur@gala.fr'],
+      bcc: ['archive@eventplanner.com']
+    }));
+    expect(mailOptions.headers).toEqual(expect.objectContaining({
+      'X-Event-ID': '42',
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }));
+    expect(notificationRepository.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      emailEnvelope: {
+        replyTo: 'organisateur@gala.fr',
+        cc: ['cofondateur@gala.fr'],
+        bcc: ['archive@eventplanner.com'],
+        headers: { 'X-Event-ID': '42' }
+      }
+    }));
+
+    const rejected = await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', {}, {
+      headers: { 'X-Priority': '1' }
+    });
+    expect(rejected.details.code).toBe('INVALID_EMAIL_ENVELOPE');
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('writes Reply-To, Cc and custom headers and delivers Bcc through the SMTP envelope', async () => {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const envelope = resolveEnvelope('aicha@example.com', {
+      replyTo: 'organisateur@gala.fr',
+      cc: 'cofondateur@gala.fr',
+      bcc: 'archive@eventplanner.com',
+      headers: { 'X-Entity-Ref-ID': 'evt-42' }
+    });
+
+    const info = await transport.sendMail({
+      from: 'noreply@eventplanner.com',
+      to: 'aicha@example.com',
+      subject: 'Rappel',
+      text: 'Gala',
+      ...buildEnvelopeFields(envelope),
+      headers: envelope.headers
+    });
+    const raw = info.message.toString();
+
+    expect(raw).toContain('Reply-To: organisateur@gala.fr');
+    expect(raw).toContain('Cc: cofondateur@gala.fr');
+    expect(raw).toContain('X-Entity-Ref-ID: evt-42');
+    expect(info.envelope.to).toEqual(['aicha@example.com', 'cofondateur@gala.fr', 'archive@eventplanner.com']);
+  });
+
+  it('passes copies and headers to SendGrid', async () => {
+    jest.spyOn(sendgridMail, 'send').mockResolvedValue([{ headers: { 'x-message-id': 'sg-1' } }]);
+
+    await sendgridProvider.send({
+      from: 'noreply@eventplanner.com',
+      to: 'aicha@example.com',
+      subject: 'Rappel',
+      text: 'Gala',
+      html: '<p>Gala</p>',
+      replyTo: 'organisateur@gala.fr',
+      cc: ['cofondateur@gala.fr'],
+      bcc: ['archive@eventplanner.com'],
+      headers: { 'X-Event-ID': '42' }
+    });
+
+    const [msg] = sendgridMail.send.mock.calls[0];
+    expect(msg).toEqual(expect.objectContaining({
+      replyTo: 'organisateur@gala.fr',
+      cc: ['cofondateur@gala.fr'],
+      bcc: ['archive@eventplanner.com'],
+      headers: { 'X-Event-ID': '42' }
+    }));
+  });
+
+  it('rejects invalid envelopes before queueing and replays the stored envelope on retry', async () => {
+    const app = buildApp();
+
+    const queued = await request(app)
+      .post('/api/notifications/email/queue')
+      .send({ to: 'aicha@example.com', template: 'event-reminder', data: {}, options: { headers: { 'X-Spam-Score': '0' } } });
+    expect(queued.status).toBe(422);
+    expect(queued.body.error.code).toBe('INVALID_EMAIL_ENVELOPE');
+    expect(queueService.addEmailJob).not.toHaveBeenCalled();
+
+    const invalidBcc = await request(app)
+      .post('/api/notifications/email/bulk')
+      .send({ recipients: ['aicha@example.com'], template: 'event-reminder', data: {}, options: { bcc: 'archive' } });
+    expect(invalidBcc.status).toBe(400);
+
+    notificationRepository.getNotificationById.mockResolvedValue({
+      id: 7,
+      user_id: 42,
+      channel: 'email',
+      status: 'failed',
+      recipient: 'aicha@example.com',
+      template_name: 'event-reminder',
+      template_data: { eventName: 'Gala' },
+      email_envelope: { bcc: ['archive@eventplanner.com'] }
+    });
+    jest.spyOn(emailService, 'sendTransactionalEmail').mockResolvedValue({ success: true });
+
+    const retried = await request(app).post('/api/notifications/7/retry').send();
+    expect(retried.status).toBe(200);
+    expect(emailService.sendTransactionalEmail).toHaveBeenCalledWith('aicha@example.com', 'event-reminder', { eventName: 'Gala' },
+      expect.objectContaining({ bcc: ['archive@eventplanner.com'], notificationId: 7 }));
+  });
+
+  it('persists send options with the envelope and replays them when a failed email is retried', async () => {
+    process.env.EMAIL_SENDER_IDENTITIES = JSON.stringify({
+      billing: { fromEmail: 'billing@eventplanner.com', fromName: 'Event Planner Facturation' }
+    });
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Billet', html: '<p>Gala</p>', text: 'Gala' });
+    jest.spyOn(emailService, 'sendEmailWithFallback')
+      .mockResolvedValueOnce({ success: false, provider: 'smtp', error: 'ECONNRESET' })
+      .mockResolvedValueOnce({ success: true, provider: 'smtp', messageId: 'smtp-2' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 9 });
+    notificationRepository.updateNotificationStatus.mockResolvedValue({ id: 9 });
+
+    const ticket = Buffer.from('%PDF-1.4 billet').toString('base64');
+    await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventName: 'Gala' }, {
+      userId: 42,
+      senderIdentity: 'billing',
+      attachments: [{ filename: 'billet.pdf', contentType: 'application/pdf', content: ticket }],
+      calendarInvite: false,
+      preheader: 'Votre billet pour Gala',
+      trackOpens: false,
+      trackClicks: false
+    });
+
+    const [{ emailEnvelope, attachments }] = notificationRepository.createNotification.mock.calls[0];
+    expect(emailEnvelope).toEqual({
+      senderIdentity: 'billing',
+      calendarInvite: false,
+      preheader: 'Votre billet pour Gala',
+      trackOpens: false,
+      trackClicks: false
+    });
+    expect(attachments[0]).not.toHaveProperty('content');
+
+    notificationRepository.getNotificationById.mockResolvedValue({
+      id: 9,
+      user_id: 42,
+      channel: 'email',
+      status: 'failed',
+      recipient: 'aicha@example.com',
+      template_name: 'event-reminder',
+      template_data: { eventName: 'Gala' },
+      email_envelope: emailEnvelope,
+      attachments
+    });
+
+    const retried = await request(buildApp()).post('/api/notifications/9/retry').send({
+      attachments: [{ filename: 'billet.pdf', contentType: 'application/pdf', content: ticket }]
+    });
+
+    expect(retried.status).toBe(200);
+    expect(retried.body.data.result.success).toBe(true);
+    const [mailOptions, sendOptions] = emailService.sendEmailWithFallback.mock.calls[1];
+    expect(mailOptions.from).toBe('"Event Planner Facturation" <billing@eventplanner.com>');
+    expect(mailOptions.attachments).toEqual([expect.objectContaining({
+      filename: 'billet.pdf',
+      contentType: 'application/pdf',
+      content: Buffer.from('%PDF-1.4 billet')
+    })]);
+    expect(sendOptions).toEqual(expect.objectContaining({ preheader: 'Votre billet pour Gala', notificationId: 9 }));
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(9, 'sent', expect.any(Object));
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const emailService = require('../../src/core/email/email.service');
+const { renderTemplateContent } = require('../../src/core/templates/template-renderer');
+const {
+  resolveHtmlOptions,
+  inlineCss,
+  prepareEmailHtml
+} = require('../../src/core/email/email-html');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../templates');
+const TEMPLATE_FILES = fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.html'));
+
+const countTags = (html) => (html.replace(/<style\b[\s\S]*?<\/style>/gi, '').match(/<[a-zA-Z]/g) || []).length;
+
+describe('Email HTML compatibility pass', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('inlines rules by specificity, structure and existing inline styles', () => {
+    const html = [
+      '<html><head><style>',
+      'p { color: #333; margin: 0; } .list li { border-bottom: 1px solid #eee; } .list li:last-child { border-bottom: none; }',
+      '.card > .title { font-weight: bold; } #hero { color: red; } .note { color: blue !important; }',
+      '</style></head><body><div class="card"><p class="title">Titre</p><div><p class="title">Imbriqué</p></div></div>',
+      '<ul class="list"><li>Un</li><li>Deux</li></ul><p id="hero" style="color: green">Hero</p>',
+      '<p class="note" style="color: green">Note</p></body></html>'
+    ].join('');
+
+    const output = inlineCss(html);
+
+    expect(output).not.toContain('<style');
+    expect(output).toContain('<p class="title" style="color: #333; margin: 0; font-weight: bold">Titre</p>');
+    expect(output).toContain('<div><p class="title" style="color: #333; margin: 0">Imbriqué</p></div>');
+    expect(output).toContain('<li style="border-bottom: 1px solid #eee">Un</li><li style="border-bottom: none">Deux</li>');
+    expect(output).toContain('<p id="hero" style="margin: 0; color: green">Hero</p>');
+    expect(output).toContain('<p class="note" style="margin: 0; color: blue !important">Note</p>');
+  });
+
+  it('keeps media queries and non-inlinable rules in a style block', () => {
+    const html = '<html><head><style>.button { color: #fff; } .button:hover { color: #eee; }'
+      + '@media (max-width: 640px) { .button { display: block; } }</style>'
+      + '<style data-embed>.keep { color: red; }</style></head><body><a class="button" href="#">Go</a></body></html>';
+
+    const output = inlineCss(html);
+
+    expect(output).toContain('<a class="button" href="#" style="color: #fff">Go</a>');
+    expect(output).toMatch(/<style>\n\.button:hover \{ color: #eee; \}\n@media \(max-width: 640px\) \{ \.button \{ display: block; \} \}\n<\/style>/);
+    expect(output).toContain('<style data-embed>.keep { color: red; }</style>');
+  });
+
+  it('adds an escaped hidden preheader and flags HTML beyond the Gmail clipping limit', () => {
+    const { html, clipped } = prepareEmailHtml('<html><body class="x"><p>Bonjour</p></body></html>', {
+      preheader: 'Vos billets <Gala> sont prêts'
+    });
+
+    expect(html).toMatch(/^<html><body class="x"><div style="display: none;[^"]*mso-hide: all;">Vos billets &lt;Gala&gt; sont prêts(&nbsp;&zwnj;)+<\/div><p>/);
+    expect(clipped).toBe(false);
+
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const large = { html: `<html><body>${'<p>x</p>'.repeat(14000)}</body></html>`, text: 'x', subject: 'x' };
+    emailService.finalizeEmailContent('event-reminder', {}, {}, large);
+    expect(warn).toHaveBeenCalledWith('Email HTML exceeds Gmail clipping limit', expect.objectContaining({ template: 'event-reminder' }));
+  });
+
+  it('can be disabled globally, per template or per request', () => {
+    expect(resolveHtmlOptions('welcome', { preheader: 'Bienvenue' }, {})).toEqual(expect.objectContaining({
+      inlineCss: true,
+      preheader: 'Bienvenue'
+    }));
+
+    process.env.EMAIL_CSS_INLINE_DISABLED_TEMPLATES = 'daily-scan-report, test-simple';
+    expect(resolveHtmlOptions('daily-scan-report').inlineCss).toBe(false);
+    expect(resolveHtmlOptions('daily-scan-report', {}, { inlineCss: true }).inlineCss).toBe(true);
+
+    process.env.EMAIL_CSS_INLINE = 'false';
+    expect(resolveHtmlOptions('welcome').inlineCss).toBe(false);
+
+    const html = '<html><head><style>p { color: red; }</style></head><body><p>x</p></body></html>';
+    expect(prepareEmailHtml(html, { inlineCss: false }).html).toBe(html);
+  });
+
+  it.each(TEMPLATE_FILES)('prepares %s without losing elements', (file) => {
+    const rendered = renderTemplateContent(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8'), {
+      firstName: 'Aicha',
+      eventName: 'Gala',
+      unsubscribeUrl: 'https://notify.example.com/u/1'
+    });
+
+    const { html, clipped } = prepareEmailHtml(rendered, { preheader: 'Aperçu' });
+    const remainingStyle = (html.match(/<style>([\s\S]*?)<\/style>/) || [null, ''])[1];
+
+    expect(clipped).toBe(false);
+    expect(countTags(html)).toBe(countTags(rendered) + 1);
+    expect(html).toContain('Aperçu&nbsp;&zwnj;');
+    // Seules les media queries restent dans le <style>, tout le reste est inliné
+    expect(remainingStyle.replace(/@media[^{]*\{(?:[^{}]*\{[^{}]*\})*[^{}]*\}/g, '').trim()).toBe('');
+    if (/<style\b/.test(rendered)) {
+      expect(html).toMatch(/<body\b[^>]*style="/);
+    }
+    if (rendered.includes('@media')) {
+      expect(remainingStyle).toContain('@media');
+    }
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../src/core/queues/queue.service', () => ({
+  queues: new Map()
+}));
+
+const emailProviderRegistry = require('../../src/core/email/providers/email-provider.registry');
+const smtpProvider = require('../../src/core/email/providers/smtp.provider');
+const sendgridProvider = require('../../src/core/email/providers/sendgrid.provider');
+const emailService = require('../../src/core/email/email.service');
+const { buildDeliveryMatrix } = require('../../src/health/provider-readiness');
+
+function createAdapter(name, overrides = {}) {
+  return {
+    name,
+    readiness: { type: 'real', requiredConfig: ['POSTMARK_SERVER_TOKEN'], healthStrategy: 'configuration_only' },
+    isConfigured: () => true,
+    isReady: () => true,
+    initialize: jest.fn().mockResolvedValue(),
+    send: jest.fn().mockResolvedValue({ messageId: `${name}-1` }),
+    healthCheck: jest.fn().mockResolvedValue({ configured: true, status: 'healthy' }),
+    getStats: () => ({ configured: true }),
+    ...overrides
+  };
+}
+
+describe('Email provider registry and routing', () => {
+  const env = { ...process.env };
+  const originalState = {
+    smtp: { configured: smtpProvider.configured, transporter: smtpProvider.transporter },
+    sendgrid: { configured: sendgridProvider.configured }
+  };
+
+  beforeEach(() => {
+    delete process.env.EMAIL_PROVIDER_ORDER;
+    delete process.env.EMAIL_PROVIDER_WEIGHTS;
+    delete process.env.EMAIL_ROUTING_RULES;
+    delete process.env.MOCK_EMAIL_DELIVERY;
+    smtpProvider.configured = true;
+    smtpProvider.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: 'smtp-1' }) };
+    sendgridProvider.configured = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    emailProviderRegistry.adapters.delete('postmark');
+    Object.assign(smtpProvider, originalState.smtp);
+    Object.assign(sendgridProvider, originalState.sendgrid);
+    process.env = { ...env };
+  });
+
+  it('keeps SMTP then SendGrid by default and honours EMAIL_PROVIDER_ORDER', () => {
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com' })).toEqual({
+      providers: ['smtp', 'sendgrid'],
+      strategy: 'priority',
+      rule: null
+    });
+
+    process.env.EMAIL_PROVIDER_ORDER = 'sendgrid, unknown';
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com' }).providers).toEqual(['sendgrid']);
+  });
+
+  it('applies the first matching domain or template rule', () => {
+    process.env.EMAIL_PROVIDER_ORDER = 'sendgrid,smtp';
+    process.env.EMAIL_ROUTING_RULES = JSON.stringify([
+      { domain: 'orange.cm', providers: ['smtp'], fallback: false },
+      { template: 'password-reset', providers: ['sendgrid'] }
+    ]);
+
+    expect(emailProviderRegistry.resolveRoute({ to: 'Aïcha <aicha@mail.orange.cm>', template: 'password-reset' })).toEqual({
+      providers: ['smtp'],
+      strategy: 'rule',
+      rule: 0
+    });
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com', template: 'password-reset' }).providers)
+      .toEqual(['sendgrid', 'smtp']);
+
+    process.env.EMAIL_ROUTING_RULES = '{not json';
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@orange.cm' }).strategy).toBe('priority');
+  });
+
+  it('splits the first attempt by weight among ready providers', () => {
+    process.env.EMAIL_PROVIDER_WEIGHTS = 'smtp:80,sendgrid:20';
+
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com' }, () => 0.5).providers).toEqual(['smtp', 'sendgrid']);
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com' }, () => 0.9).providers).toEqual(['sendgrid', 'smtp']);
+
+    sendgridProvider.configured = false;
+    expect(emailProviderRegistry.resolveRoute({ to: 'aicha@example.com' }, () => 0.9).providers[0]).toBe('smtp');
+  });
+
+  it('falls through to the next routed adapter when a provider fails', async () => {
+    const postmark = createAdapter('postmark');
+    emailProviderRegistry.register(postmark);
+    process.env.EMAIL_PROVIDER_ORDER = 'smtp,postmark,sendgrid';
+    smtpProvider.transporter.sendMail.mockRejectedValue(Object.assign(new Error('550 rejected'), { responseCode: 550 }));
+
+    const result = await emailService.sendEmailWithFallback({ to: 'aicha@example.com', subject: 'Billet', html: '<p>Billet</p>' });
+
+    expect(smtpProvider.transporter.sendMail).toHaveBeenCalledTimes(1);
+    expect(postmark.send).toHaveBeenCalledTimes(1);
+    expect(result).toEqual(expect.objectContaining({ success: true, provider: 'postmark', messageId: 'postmark-1' }));
+    expect(() => emailProviderRegistry.register({ name: 'broken', send: jest.fn() })).toThrow(/missing/);
+  });
+
+  it('reports registered adapters to the readiness matrix', async () => {
+    emailProviderRegistry.register(createAdapter('postmark'));
+    process.env.POSTMARK_SERVER_TOKEN = 'pm-server-token-123';
+
+    const emailHealth = await emailService.healthCheck();
+    const matrix = buildDeliveryMatrix({ emailStats: emailService.getStats(), emailHealth });
+
+    expect(emailHealth.providers.postmark).toEqual({ configured: true, status: 'healthy' });
+    expect(matrix.email.providers.postmark).toEqual(expect.objectContaining({ configured: true, healthy: true }));
+    expect(matrix.email.providers).toHaveProperty('smtp');
+    expect(matrix.email.providers).toHaveProperty('mock');
+  });
+});
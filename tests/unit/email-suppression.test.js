@@ -0,0 +1,139 @@
+jest.mock('../../src/core/database/email-suppression.repository', () => ({
+  normalizeEmail: jest.requireActual('../../src/core/database/email-suppression.repository').normalizeEmail,
+  findSuppression: jest.fn(),
+  findSuppressions: jest.fn(),
+  upsertSuppression: jest.fn(),
+  deleteSuppression: jest.fn(),
+  listSuppressions: jest.fn()
+}));
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  createNotification: jest.fn(),
+  createNotificationLog: jest.fn(),
+  updateNotificationStatus: jest.fn()
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  shouldSendNotification: jest.fn()
+}));
+
+jest.mock('../../src/core/queues/queue.service', () => ({
+  addEmailJob: jest.fn()
+}));
+
+const suppressionRepository = require('../../src/core/database/email-suppression.repository');
+const notificationRepository = require('../../src/core/database/notification.repository');
+const preferencesService = require('../../src/core/preferences/preferences.service');
+const queueService = require('../../src/core/queues/queue.service');
+const suppressionService = require('../../src/core/suppressions/suppression.service');
+const emailService = require('../../src/core/email/email.service');
+const logger = require('../../src/utils/logger');
+
+describe('Email suppression list', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.SUPPRESSION_SYSTEM_OVERRIDE_REASONS;
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp' });
+    preferencesService.shouldSendNotification.mockResolvedValue({ shouldSend: true, reason: 'enabled' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 501 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('blocks a user email to a hard-bounced address without calling any provider', async () => {
+    suppressionRepository.findSuppression.mockResolvedValue({ id: 7, email: 'moussa@example.com', reason: 'hard_bounce' });
+
+    const result = await emailService.sendTransactionalEmail('Moussa@Example.com', 'event-reminder', { eventName: 'Gala' }, { userId: 42 });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, suppressed: true, reason: 'email_suppressed' }));
+    expect(result.details.suppressionReason).toBe('hard_bounce');
+    expect(emailService.sendEmailWithFallback).not.toHaveBeenCalled();
+    expect(notificationRepository.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'suppressed',
+      channel: 'email'
+    }));
+  });
+
+  it('lets system templates through a complaint but never through a hard bounce', async () => {
+    suppressionRepository.findSuppression.mockResolvedValueOnce({ email: 'aicha@example.com', reason: 'complaint' });
+    const overridden = await emailService.sendTransactionalEmail('aicha@example.com', 'password-reset', { resetUrl: 'https://x' });
+
+    expect(overridden.suppressed).toBeUndefined();
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+
+    suppressionRepository.findSuppression.mockResolvedValueOnce({ email: 'aicha@example.com', reason: 'hard_bounce' });
+    const blocked = await emailService.sendTransactionalEmail('aicha@example.com', 'password-reset', { resetUrl: 'https://x' });
+
+    expect(blocked.suppressed).toBe(true);
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('reads the system override policy from SUPPRESSION_SYSTEM_OVERRIDE_REASONS', () => {
+    process.env.SUPPRESSION_SYSTEM_OVERRIDE_REASONS = 'unsubscribe, hard_bounce';
+
+    expect(suppressionService.getSystemOverrideReasons()).toEqual(['unsubscribe']);
+    expect(suppressionService.isBlocking({ reason: 'complaint' }, true)).toBe(true);
+    expect(suppressionService.isBlocking({ reason: 'unsubscribe' }, true)).toBe(false);
+    expect(suppressionService.isBlocking({ reason: 'unsubscribe' }, false)).toBe(true);
+  });
+
+  it('drops suppressed recipients before queuing a bulk email', async () => {
+    suppressionRepository.findSuppressions.mockResolvedValue([{ email: 'moussa@example.com', reason: 'complaint' }]);
+    queueService.addEmailJob.mockResolvedValue({ success: true, jobId: 'job-1' });
+
+    const result = await emailService.queueBulkEmail(
+      ['aicha@example.com', 'MOUSSA@example.com'],
+      'event-reminder',
+      { eventName: 'Gala' }
+    );
+
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'bulk-email',
+      recipients: ['aicha@example.com']
+    }));
+    expect(result).toEqual(expect.objectContaining({ jobId: 'job-1', queued: 1, suppressed: 1 }));
+  });
+
+  it('queues the whole batch when the suppression list is unavailable, like single sends', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    suppressionRepository.findSuppression.mockRejectedValue(new Error('connection refused'));
+    suppressionRepository.findSuppressions.mockRejectedValue(new Error('connection refused'));
+    queueService.addEmailJob.mockResolvedValue({ success: true, jobId: 'job-2' });
+
+    const single = await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventName: 'Gala' });
+    const bulk = await emailService.queueBulkEmail(['aicha@example.com', 'moussa@example.com'], 'event-reminder', { eventName: 'Gala' });
+
+    expect(single.suppressed).toBeUndefined();
+    expect(emailService.sendEmailWithFallback).toHaveBeenCalledTimes(1);
+    expect(bulk).toEqual(expect.objectContaining({ jobId: 'job-2', queued: 2, suppressed: 0 }));
+    expect(queueService.addEmailJob).toHaveBeenCalledWith(expect.objectContaining({
+      recipients: ['aicha@example.com', 'moussa@example.com']
+    }));
+    expect(logger.warn).toHaveBeenCalledWith('Failed to check email suppression list for bulk email, sending by default', expect.objectContaining({
+      template: 'event-reminder',
+      error: 'connection refused'
+    }));
+  });
+
+  it('only records hard bounces and spam reports from SendGrid events', async () => {
+    suppressionRepository.upsertSuppression.mockImplementation(async payload => ({ id: 1, ...payload }));
+
+    await suppressionService.recordFromSendGridEvent({ event: 'bounce', type: 'blocked', email: 'a@example.com' });
+    await suppressionService.recordFromSendGridEvent({ event: 'spamreport', email: 'b@example.com' }, 12);
+
+    expect(suppressionRepository.upsertSuppression).toHaveBeenCalledTimes(1);
+    expect(suppressionRepository.upsertSuppression).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'b@example.com',
+      reason: 'complaint',
+      source: 'sendgrid.spamreport',
+      notificationId: 12
+    }));
+  });
+});
@@ -0,0 +1,142 @@
+const nodemailer = require('nodemailer');
+const sendgridMail = require('@sendgrid/mail');
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationByProviderMessageId: jest.fn(),
+  getNotificationByMessageId: jest.fn(),
+  updateNotificationStatus: jest.fn(),
+  createNotificationLog: jest.fn(),
+  createNotification: jest.fn()
+}));
+
+jest.mock('../../src/core/suppressions/suppression.service', () => ({
+  checkEmail: jest.fn().mockResolvedValue({ suppressed: false, reason: null }),
+  recordFromSendGridEvent: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'enabled' })
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const emailService = require('../../src/core/email/email.service');
+const sendgridProvider = require('../../src/core/email/providers/sendgrid.provider');
+const sendgridWebhookService = require('../../src/core/webhooks/sendgrid-webhook.service');
+const { buildThreadHeaders, buildThreadFields } = require('../../src/core/email/email-threading');
+
+describe('Email threading per event', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FROM_EMAIL = 'noreply@eventplanner.com';
+    process.env.WEBHOOK_PUBLIC_BASE_URL = 'https://notify.example.com';
+    process.env.UNSUBSCRIBE_TOKEN_SECRET = 'unsubscribe-test-secret';
+    delete process.env.EMAIL_MESSAGE_ID_DOMAIN;
+    delete process.env.EMAIL_THREADING_ENABLED;
+    delete process.env.EMAIL_SENDER_IDENTITIES;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('derives deterministic Message-IDs that reference a shared event root', () => {
+    const invitation = buildThreadHeaders('event-invitation', { eventId: 42 }, 'Aicha@example.com');
+    const reminder = buildThreadHeaders('event-reminder', { event: { id: 42 } }, 'aicha@example.com');
+
+    expect(invitation.messageId).toMatch(/^<event-invitation\.event-42\.[0-9a-f]{16}@eventplanner\.com>$/);
+    expect(buildThreadHeaders('event-invitation', { eventId: 42 }, 'aicha@example.com')).toEqual(invitation);
+    expect(reminder.messageId).not.toBe(invitation.messageId);
+    expect(reminder.inReplyTo).toBe('<event-42@eventplanner.com>');
+    expect(reminder.references).toEqual(['<event-42@eventplanner.com>']);
+    expect(buildThreadHeaders('event-reminder', { eventId: 42 }, 'moussa@example.com').messageId).not.toBe(reminder.messageId);
+  });
+
+  it('separates event versions and notifications, and can be disabled', () => {
+    const first = buildThreadHeaders('event-invitation', { eventId: 'gala 2026' }, 'aicha@example.com');
+    const update = buildThreadHeaders('event-invitation', { eventId: 'gala 2026', eventSequence: 1 }, 'aicha@example.com');
+    const replay = buildThreadHeaders('event-invitation', { eventId: 'gala 2026' }, 'aicha@example.com', { notificationId: 7 });
+
+    expect(first.inReplyTo).toBe('<event-gala-2026@eventplanner.com>');
+    expect(update.messageId).toContain('.s1.');
+    expect(replay.messageId).toContain('.n7.');
+    expect(new Set([first.messageId, update.messageId, replay.messageId]).size).toBe(3);
+
+    process.env.EMAIL_MESSAGE_ID_DOMAIN = 'mail.eventplanner.com';
+    expect(buildThreadHeaders('event-reminder', { eventId: 42 }, 'aicha@example.com').inReplyTo).toBe('<event-42@mail.eventplanner.com>');
+
+    expect(buildThreadHeaders('welcome', { firstName: 'Aicha' }, 'aicha@example.com')).toBeNull();
+    expect(buildThreadFields(null)).toEqual({});
+    process.env.EMAIL_THREADING_ENABLED = 'false';
+    expect(buildThreadHeaders('event-reminder', { eventId: 42 }, 'aicha@example.com')).toBeNull();
+  });
+
+  it('sends thread headers and stores the Message-ID with the notification', async () => {
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Rappel', html: '<p>Gala</p>', text: 'Gala' });
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'sendgrid', messageId: 'sg-1' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 9 });
+
+    await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventId: 42 }, { userId: 5 });
+
+    const [mailOptions] = emailService.sendEmailWithFallback.mock.calls[0];
+    const expected = buildThreadHeaders('event-reminder', { eventId: 42 }, 'aicha@example.com');
+    expect(mailOptions).toEqual(expect.objectContaining(buildThreadFields(expected)));
+    expect(notificationRepository.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      providerMessageId: 'sg-1',
+      messageId: expected.messageId
+    }));
+
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const raw = (await transport.sendMail({ ...mailOptions, html: undefined })).message.toString();
+    expect(raw).toContain(`Message-ID: ${expected.messageId}`);
+    expect(raw).toContain('In-Reply-To: <event-42@eventplanner.com>');
+    expect(raw).toContain('References: <event-42@eventplanner.com>');
+  });
+
+  it('passes thread headers to SendGrid alongside custom headers', async () => {
+    jest.spyOn(sendgridMail, 'send').mockResolvedValue([{ headers: { 'x-message-id': 'sg-1' } }]);
+    const thread = buildThreadHeaders('event-cancelled', { eventId: 42 }, 'aicha@example.com');
+
+    await sendgridProvider.send({
+      from: 'noreply@eventplanner.com',
+      to: 'aicha@example.com',
+      subject: 'Annulation',
+      text: 'Annulé',
+      html: '<p>Annulé</p>',
+      headers: { 'X-Event-ID': '42' },
+      ...buildThreadFields(thread)
+    });
+
+    const [msg] = sendgridMail.send.mock.calls[0];
+    expect(msg.headers).toEqual({
+      'X-Event-ID': '42',
+      'Message-ID': thread.messageId,
+      'In-Reply-To': '<event-42@eventplanner.com>',
+      References: '<event-42@eventplanner.com>'
+    });
+  });
+
+  it('correlates SendGrid events by smtp-id when the x-message-id is unknown', async () => {
+    const thread = buildThreadHeaders('event-reminder', { eventId: 42 }, 'aicha@example.com');
+    notificationRepository.getNotificationByProviderMessageId.mockResolvedValue(null);
+    notificationRepository.getNotificationByMessageId.mockResolvedValue({ id: 9, status: 'sent' });
+    notificationRepository.updateNotificationStatus.mockResolvedValue({ id: 9, status: 'delivered' });
+
+    const outcome = await sendgridWebhookService.processEvent({
+      event: 'delivered',
+      timestamp: 1767960004,
+      'smtp-id': thread.messageId,
+      sg_message_id: 'unknown.filter0001'
+    });
+
+    expect(notificationRepository.getNotificationByMessageId).toHaveBeenCalledWith(thread.messageId);
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(9, 'delivered', expect.any(Object));
+    expect(outcome).toBe('updated');
+
+    notificationRepository.getNotificationByMessageId.mockResolvedValue(null);
+    expect(await sendgridWebhookService.processEvent({ event: 'delivered', 'smtp-id': '<other@x>' })).toBe('ignored');
+  });
+});
@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationById: jest.fn(),
+  updateNotificationStatus: jest.fn(),
+  createNotificationLog: jest.fn(),
+  createNotification: jest.fn()
+}));
+
+jest.mock('../../src/core/suppressions/suppression.service', () => ({
+  checkEmail: jest.fn().mockResolvedValue({ suppressed: false, reason: null })
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'enabled' })
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const emailTrackingService = require('../../src/core/tracking/email-tracking.service');
+const emailService = require('../../src/core/email/email.service');
+const trackingRoutes = require('../../src/api/routes/tracking.routes');
+
+const HTML = '<html><body><p><a href="https://app.eventplanner.com/events/7?ref=mail&amp;lang=fr">Voir</a>'
+  + ' <a href="mailto:support@eventplanner.com">Support</a>'
+  + ' <a data-no-track href="https://app.eventplanner.com/unsubscribe">Se désabonner</a></p></body></html>';
+
+function buildApp() {
+  const app = express();
+  app.use('/api/notifications/track', trackingRoutes);
+  return app;
+}
+
+function extractPath(html, pattern) {
+  return html.match(pattern)[1].replace('https://notify.example.com', '');
+}
+
+describe('Email open and click tracking', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_PUBLIC_BASE_URL = 'https://notify.example.com';
+    process.env.EMAIL_TRACKING_SECRET = 'tracking-test-secret';
+    delete process.env.EMAIL_TRACK_OPENS;
+    delete process.env.EMAIL_TRACK_CLICKS;
+    delete process.env.EMAIL_TRACKING_DISABLED_TEMPLATES;
+
+    notificationRepository.getNotificationById.mockResolvedValue({ id: 88, status: 'delivered' });
+    notificationRepository.updateNotificationStatus.mockResolvedValue({ id: 88 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('resolves tracking per send, per template and from defaults', () => {
+    expect(emailTrackingService.resolveTracking('event-reminder')).toEqual({ opens: false, clicks: false });
+
+    process.env.EMAIL_TRACK_OPENS = 'true';
+    process.env.EMAIL_TRACK_CLICKS = 'true';
+    process.env.EMAIL_TRACKING_DISABLED_TEMPLATES = 'event-cancelled';
+    expect(emailTrackingService.resolveTracking('event-reminder')).toEqual({ opens: true, clicks: true });
+    expect(emailTrackingService.resolveTracking('event-cancelled')).toEqual({ opens: false, clicks: false });
+    expect(emailTrackingService.resolveTracking('password-reset')).toEqual({ opens: false, clicks: false });
+    expect(emailTrackingService.resolveTracking('event-reminder', { trackClicks: false })).toEqual({ opens: true, clicks: false });
+
+    delete process.env.EMAIL_TRACKING_SECRET;
+    expect(emailTrackingService.resolveTracking('event-reminder', { trackOpens: true })).toEqual({ opens: false, clicks: false });
+  });
+
+  it('rewrites http links and appends the pixel, leaving opted-out links alone', () => {
+    const tracked = emailTrackingService.applyTracking(HTML, 88, { opens: true, clicks: true });
+
+    expect(tracked).toContain('href="mailto:support@eventplanner.com"');
+    expect(tracked).toContain('href="https://app.eventplanner.com/unsubscribe"');
+    expect(tracked).not.toContain('href="https://app.eventplanner.com/events/7');
+    expect(tracked).toMatch(/<img src="https:\/\/notify\.example\.com\/api\/notifications\/track\/open\/[\w-]+\.[\w-]+\.gif"[^>]*\/><\/body>/);
+
+    const clickToken = tracked.match(/track\/click\/([\w.-]+)"/)[1];
+    expect(emailTrackingService.verifyToken(clickToken, 'click')).toEqual({
+      n: 88,
+      k: 'c',
+      u: 'https://app.eventplanner.com/events/7?ref=mail&lang=fr'
+    });
+    expect(emailTrackingService.verifyToken(clickToken, 'open')).toBeNull();
+    expect(emailTrackingService.verifyToken(`${clickToken.split('.')[0]}.forged`, 'click')).toBeNull();
+  });
+
+  it('serves the pixel and records the open with read_at', async () => {
+    const tracked = emailTrackingService.applyTracking(HTML, 88, { opens: true, clicks: false });
+
+    const response = await request(buildApp()).get(extractPath(tracked, /<img src="([^"]+)"/));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/gif');
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(88, 'opened', expect.objectContaining({
+      source: 'tracking',
+      eventType: 'tracking.open',
+      readAt: expect.any(String)
+    }));
+  });
+
+  it('redirects signed clicks and refuses tampered ones', async () => {
+    const tracked = emailTrackingService.applyTracking(HTML, 88, { opens: false, clicks: true });
+    const clickPath = extractPath(tracked, /href="(https:\/\/notify\.example\.com[^"]+)"/);
+
+    const response = await request(buildApp()).get(clickPath);
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://app.eventplanner.com/events/7?ref=mail&lang=fr');
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(88, 'clicked', expect.objectContaining({
+      eventType: 'tracking.click',
+      response: expect.objectContaining({ url: 'https://app.eventplanner.com/events/7?ref=mail&lang=fr' })
+    }));
+
+    const forgedPayload = Buffer.from(JSON.stringify({ n: 88, k: 'c', u: 'https://evil.example' })).toString('base64url');
+    const forged = await request(buildApp()).get(`/api/notifications/track/click/${forgedPayload}.${clickPath.split('.').pop()}`);
+    expect(forged.status).toBe(404);
+  });
+
+  it('creates the notification before sending so tracked links carry its id', async () => {
+    process.env.EMAIL_TRACK_CLICKS = 'true';
+    notificationRepository.createNotification.mockResolvedValue({ id: 501 });
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockResolvedValue({ subject: 'Rappel', html: HTML, text: 'Voir' });
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp', messageId: 'smtp-1' });
+
+    await emailService.sendTransactionalEmail('aicha@example.com', 'event-notification', { eventName: 'Gala' }, { userId: 42 });
+
+    expect(notificationRepository.createNotification).toHaveBeenCalledWith(expect.objectContaining({ status: 'sending' }));
+    const sentHtml = emailService.sendEmailWithFallback.mock.calls[0][0].html;
+    const clickToken = sentHtml.match(/track\/click\/([\w.-]+)"/)[1];
+    expect(emailTrackingService.verifyToken(clickToken, 'click').n).toBe(501);
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(501, 'sent', expect.objectContaining({
+      eventType: 'sent',
+      providerMessageId: 'smtp-1'
+    }));
+  });
+});
@@ -0,0 +1,50 @@
+const {
+  encryptField,
+  decryptField,
+  encryptJson,
+  decryptJson,
+  isEncryptedValue
+} = require('../../src/utils/field-encryption');
+
+describe('field encryption', () => {
+  const originalKey = process.env.NOTIFICATION_ENCRYPTION_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.NOTIFICATION_ENCRYPTION_KEY;
+    } else {
+      process.env.NOTIFICATION_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it('round-trips recipients and template data when a key is configured', () => {
+    process.env.NOTIFICATION_ENCRYPTION_KEY = 'unit-test-key';
+
+    const recipient = encryptField('aicha@example.com');
+    const templateData = encryptJson({ eventName: 'Gala', tickets: [{ code: 'A1' }] });
+
+    expect(isEncryptedValue(recipient)).toBe(true);
+    expect(recipient).not.toContain('aicha@example.com');
+    expect(decryptField(recipient)).toBe('aicha@example.com');
+    expect(decryptJson(templateData)).toEqual({ eventName: 'Gala', tickets: [{ code: 'A1' }] });
+  });
+
+  it('stores values in clear text without a key and still reads them back', () => {
+    delete process.env.NOTIFICATION_ENCRYPTION_KEY;
+
+    const recipient = encryptField('+237612345678');
+
+    expect(recipient).toBe('+237612345678');
+    expect(decryptField(recipient)).toBe('+237612345678');
+    expect(decryptJson(encryptJson({ code: '123456' }))).toEqual({ code: '123456' });
+  });
+
+  it('rejects tampered ciphertext', () => {
+    process.env.NOTIFICATION_ENCRYPTION_KEY = 'unit-test-key';
+
+    const recipient = encryptField('aicha@example.com');
+    const tampered = `${recipient.slice(0, -4)}AAAA`;
+
+    expect(() => decryptField(tampered)).toThrow();
+  });
+});
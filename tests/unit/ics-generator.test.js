@@ -0,0 +1,140 @@
+const logger = require('../../src/utils/logger');
+const {
+  generateEventIcs,
+  parseEventDateTime,
+  resolveCalendarKind,
+  buildCalendarAttachment
+} = require('../../src/core/email/ics-generator');
+
+const EVENT_DATA = {
+  eventId: 314,
+  eventName: 'Gala annuel, édition 2026',
+  eventDate: '2026-03-15',
+  eventTime: '18:30',
+  eventLocation: 'Sofitel Ivoire; Abidjan',
+  frontendUrl: 'https://app.eventplanner.com',
+  organizerName: 'Association des Anciens',
+  firstName: 'Aïcha',
+  lastName: 'Koné'
+};
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+describe('ICS generator', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.FROM_EMAIL = 'noreply@eventplanner.com';
+    delete process.env.ICS_DEFAULT_TIMEZONE;
+    delete process.env.ICS_UID_DOMAIN;
+    delete process.env.EMAIL_ICS_AUTO_ATTACH;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('builds a REQUEST VEVENT from the flat template variables', () => {
+    const ics = generateEventIcs({ ...EVENT_DATA, eventSequence: 2 }, { kind: 'request', attendeeEmail: 'aicha@example.com', attendeeName: 'Aïcha Koné' });
+    const content = unfold(ics);
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+    expect(content).toContain('METHOD:REQUEST');
+    expect(content).toContain('UID:event-314@eventplanner.com');
+    expect(content).toContain('SEQUENCE:2');
+    expect(content).toContain('DTSTART:20260315T183000');
+    expect(content).toContain('DTEND:20260315T203000');
+    expect(content).toContain('SUMMARY:Gala annuel\\, édition 2026');
+    expect(content).toContain('LOCATION:Sofitel Ivoire\\; Abidjan');
+    expect(content).toContain('URL:https://app.eventplanner.com/events/314');
+    expect(content).toContain('ATTENDEE;CN=Aïcha Koné;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:aicha@example.com');
+    expect(content).toContain('STATUS:CONFIRMED');
+  });
+
+  it('keeps the same UID and marks the event cancelled for a CANCEL', () => {
+    const request = unfold(generateEventIcs(EVENT_DATA, { kind: 'request' }));
+    const cancel = unfold(generateEventIcs({ ...EVENT_DATA, cancellationReason: 'Intempéries' }, { kind: 'cancel' }));
+
+    const uid = content => content.match(/^UID:(.+)$/m)[1];
+    expect(uid(cancel)).toBe(uid(request));
+    expect(cancel).toContain('METHOD:CANCEL');
+    expect(cancel).toContain('STATUS:CANCELLED');
+    expect(cancel).toContain('DESCRIPTION:Intempéries');
+  });
+
+  it('keeps the UID of a rescheduled event and requires its eventId to update or cancel', () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const uid = content => unfold(content).match(/^UID:(.+)$/m)[1];
+
+    const original = generateEventIcs(EVENT_DATA, { kind: 'request' });
+    const rescheduled = generateEventIcs({
+      ...EVENT_DATA,
+      eventDate: '2026-04-02',
+      eventTime: '20:00',
+      eventLocation: 'Palais de la Culture',
+      eventSequence: 1
+    }, { kind: 'update' });
+
+    expect(uid(rescheduled)).toBe(uid(original));
+    expect(unfold(rescheduled)).toContain('DTSTART:20260402T200000');
+    expect(logger.warn).not.toHaveBeenCalled();
+
+    const { eventId, ...withoutId } = EVENT_DATA;
+    expect(generateEventIcs({ ...withoutId, eventDate: '2026-04-02' }, { kind: 'update' })).toBeNull();
+    expect(buildCalendarAttachment('event-cancelled', withoutId, {}, 'aicha@example.com')).toBeNull();
+    expect(uid(generateEventIcs(withoutId, { kind: 'request' }))).toMatch(/^event-[0-9a-f]{32}@eventplanner\.com$/);
+    expect(logger.warn).toHaveBeenCalledWith('Calendar invite without eventId, a reschedule will not replace it', expect.any(Object));
+    expect(logger.warn).toHaveBeenCalledWith('Calendar invite skipped, eventId is required to update or cancel an event', expect.objectContaining({ kind: 'cancel' }));
+  });
+
+  it('only bumps the sequence of updates and cancellations so confirmations and reminders keep the RSVP', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 2, 1, 12, 0));
+    const sequence = content => unfold(content).match(/^SEQUENCE:(.+)$/m)[1];
+    const bumped = String(Math.floor(Date.UTC(2026, 2, 1, 12, 0) / 1000));
+
+    const confirmation = buildCalendarAttachment('event-confirmation', EVENT_DATA, {}, 'aicha@example.com');
+    const reminder = buildCalendarAttachment('event-reminder', EVENT_DATA, {}, 'aicha@example.com');
+
+    expect(sequence(confirmation.content.toString('utf8'))).toBe('0');
+    expect(sequence(reminder.content.toString('utf8'))).toBe('0');
+    expect(sequence(generateEventIcs({ ...EVENT_DATA, eventSequence: 3 }, { kind: 'request' }))).toBe('3');
+    expect(sequence(generateEventIcs(EVENT_DATA, { kind: 'update' }))).toBe(bumped);
+    expect(sequence(generateEventIcs(EVENT_DATA, { kind: 'cancel' }))).toBe(bumped);
+  });
+
+  it('converts local event times to UTC when a time zone is configured', () => {
+    expect(parseEventDateTime('2026-07-01', '18:00', 'Europe/Paris')).toEqual({
+      kind: 'utc',
+      time: Date.UTC(2026, 6, 1, 16, 0)
+    });
+    expect(parseEventDateTime('2026-07-01T18:00:00Z')).toEqual({ kind: 'utc', time: Date.UTC(2026, 6, 1, 18, 0) });
+    expect(parseEventDateTime('2026-07-01')).toEqual({ kind: 'date', time: Date.UTC(2026, 6, 1) });
+    expect(parseEventDateTime('15 mars 2026')).toBeNull();
+  });
+
+  it('attaches invites automatically for event templates unless disabled', () => {
+    expect(resolveCalendarKind('event-cancelled')).toBe('cancel');
+    expect(resolveCalendarKind('event-reminder', { calendarInvite: 'update' })).toBe('update');
+    expect(resolveCalendarKind('event-invitation', { calendarInvite: false })).toBeNull();
+    expect(resolveCalendarKind('welcome')).toBeNull();
+
+    process.env.EMAIL_ICS_AUTO_ATTACH = 'false';
+    expect(resolveCalendarKind('event-invitation')).toBeNull();
+    expect(resolveCalendarKind('event-invitation', { calendarInvite: true })).toBe('request');
+  });
+
+  it('produces a text/calendar attachment carrying the iTIP method', () => {
+    const attachment = buildCalendarAttachment('event-cancelled', EVENT_DATA, {}, 'aicha@example.com');
+
+    expect(attachment).toEqual(expect.objectContaining({
+      filename: 'cancel.ics',
+      contentType: 'text/calendar; charset=utf-8; method=CANCEL'
+    }));
+    expect(attachment.content.toString('utf8')).toContain('BEGIN:VCALENDAR');
+    expect(buildCalendarAttachment('event-invitation', { eventName: 'Sans date' }, {}, 'aicha@example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn()
+}));
+
+const { getDatabase } = require('../../src/config/database');
+const notificationRepository = require('../../src/core/database/notification.repository');
+const emailTrackingService = require('../../src/core/tracking/email-tracking.service');
+const sendgridWebhookService = require('../../src/core/webhooks/sendgrid-webhook.service');
+const suppressionService = require('../../src/core/suppressions/suppression.service');
+const {
+  canTransition,
+  isTerminalStatus,
+  NOTIFICATION_STATUSES
+} = require('../../src/core/notifications/notification-status');
+
+function mockClient(currentStatus) {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.startsWith('SELECT id, status')) {
+        return { rows: currentStatus ? [{ id: 42, status: currentStatus }] : [] };
+      }
+      if (sql.includes('UPDATE notifications')) {
+        return { rows: [{ id: 42, status: 'delivered', provider: 'sendgrid' }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  getDatabase.mockReturnValue({ connect: jest.fn().mockResolvedValue(client) });
+  return client;
+}
+
+// Base en mémoire d'une seule notification : applique les SET des UPDATE et garde les logs insérés
+function mockStatefulDatabase(row) {
+  const logs = [];
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.startsWith('SELECT id, status')) {
+      return { rows: [{ id: row.id, status: row.status }] };
+    }
+    if (sql.includes('UPDATE notifications')) {
+      for (const [, column, index] of sql.matchAll(/(\w+) = (?:COALESCE\(\w+, )?\$(\d+)/g)) {
+        row[column] = params[Number(index) - 1];
+      }
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('INSERT INTO notification_logs')) {
+      logs.push({ provider: params[1], status: params[6], eventType: params[7] });
+      return { rows: [{ id: logs.length }] };
+    }
+    if (sql.includes('WHERE n.id = $1')) {
+      return { rows: params[0] === row.id ? [{ ...row }] : [] };
+    }
+    if (sql.includes('WHERE provider = $1 AND provider_message_id = $2')) {
+      return { rows: params[0] === row.provider && params[1] === row.provider_message_id ? [{ ...row }] : [] };
+    }
+    return { rows: [] };
+  });
+  const client = { query, release: jest.fn() };
+  getDatabase.mockReturnValue({ query, connect: jest.fn().mockResolvedValue(client) });
+  return logs;
+}
+
+describe('notification status lifecycle', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('follows the delivery path and rejects moving backwards', () => {
+    expect(canTransition('pending', 'queued')).toBe(true);
+    expect(canTransition('queued', 'sending')).toBe(true);
+    expect(canTransition('sent', 'delivered')).toBe(true);
+    expect(canTransition('delivered', 'opened')).toBe(true);
+    expect(canTransition('opened', 'clicked')).toBe(true);
+    expect(canTransition('failed', 'queued')).toBe(true);
+
+    expect(canTransition('delivered', 'sent')).toBe(false);
+    expect(canTransition('bounced', 'delivered')).toBe(false);
+    expect(canTransition('sent', 'unknown')).toBe(false);
+  });
+
+  it('treats duplicate events as no-op transitions', () => {
+    NOTIFICATION_STATUSES.forEach((status) => {
+      expect(canTransition(status, status)).toBe(true);
+    });
+  });
+
+  it('marks bounced, cancelled, expired and suppressed as terminal', () => {
+    ['bounced', 'cancelled', 'expired', 'suppressed', 'read'].forEach((status) => {
+      expect(isTerminalStatus(status)).toBe(true);
+    });
+    expect(isTerminalStatus('sent')).toBe(false);
+  });
+
+  it('records the transition in notification_logs inside a transaction', async () => {
+    const client = mockClient('sent');
+
+    const updated = await notificationRepository.updateNotificationStatus(42, 'delivered', {
+      provider: 'sendgrid',
+      eventType: 'webhook',
+      occurredAt: '2026-01-10T10:00:00.000Z'
+    });
+
+    expect(updated.status).toBe('delivered');
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'INSERT', 'COMMIT']);
+
+    const logValues = client.query.mock.calls[3][1];
+    expect(logValues).toEqual([42, 'sendgrid', null, null, null, 'sent', 'delivered', 'webhook', '2026-01-10T10:00:00.000Z', null, null]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('rolls back and throws INVALID_STATUS_TRANSITION for forbidden transitions', async () => {
+    const client = mockClient('bounced');
+
+    await expect(
+      notificationRepository.updateNotificationStatus(42, 'delivered')
+    ).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE notifications'))).toBe(false);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('keeps the sending provider on engagement events so a later SendGrid bounce still finds the notification', async () => {
+    const row = { id: 42, status: 'delivered', provider: 'sendgrid', provider_message_id: 'sg-42' };
+    const logs = mockStatefulDatabase(row);
+    jest.spyOn(suppressionService, 'recordFromSendGridEvent').mockResolvedValue({ id: 1 });
+
+    await expect(emailTrackingService.recordEngagement({ n: 42 }, 'open', { userAgent: 'Mail' })).resolves.toBe('updated');
+    expect(row).toEqual(expect.objectContaining({ status: 'opened', provider: 'sendgrid' }));
+    expect(logs[0]).toEqual({ provider: 'tracking', status: 'opened', eventType: 'tracking.open' });
+
+    const bounce = { event: 'bounce', type: 'bounce', email: 'aicha@example.com', sg_message_id: 'sg-42.filter0001', timestamp: 1767225600 };
+    await expect(sendgridWebhookService.processEvents([bounce])).resolves.toEqual(expect.objectContaining({ ignored: 0 }));
+
+    expect(suppressionService.recordFromSendGridEvent).toHaveBeenCalledWith(bounce, 42);
+    expect(logs[1]).toEqual(expect.objectContaining({ provider: 'sendgrid', eventType: 'sendgrid.bounce' }));
+    expect(row.provider).toBe('sendgrid');
+  });
+});
@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockDb = { query: jest.fn() };
+
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn(() => mockDb)
+}));
+
+jest.mock('../../src/core/suppressions/suppression.service', () => ({
+  checkEmail: jest.fn().mockResolvedValue({ suppressed: false, reason: null }),
+  addSuppression: jest.fn().mockResolvedValue({ id: 1 })
+}));
+
+const suppressionService = require('../../src/core/suppressions/suppression.service');
+const preferencesService = require('../../src/core/preferences/preferences.service');
+const unsubscribeService = require('../../src/core/preferences/unsubscribe.service');
+const emailService = require('../../src/core/email/email.service');
+const unsubscribeRoutes = require('../../src/api/routes/unsubscribe.routes');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/notifications/unsubscribe', unsubscribeRoutes);
+  return app;
+}
+
+function tokenFrom(url) {
+  return url.split('/unsubscribe/')[1];
+}
+
+describe('One-click unsubscribe', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_PUBLIC_BASE_URL = 'https://notify.example.com';
+    process.env.UNSUBSCRIBE_TOKEN_SECRET = 'unsubscribe-test-secret';
+    delete process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS;
+    mockDb.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('signs expiring tokens bound to the recipient and template category', () => {
+    const { url, headers } = unsubscribeService.buildUnsubscribe('Aicha@Example.com', 'event-reminder', { userId: 42 });
+
+    expect(headers).toEqual({
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+    expect(unsubscribeService.verifyToken(tokenFrom(url))).toEqual(expect.objectContaining({
+      u: 42,
+      e: 'aicha@example.com',
+      ch: 'email',
+      ca: 'reminders'
+    }));
+    expect(unsubscribeService.verifyToken(`${tokenFrom(url).split('.')[0]}.forged`)).toBeNull();
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 24 * 3600 * 1000);
+    expect(unsubscribeService.verifyToken(tokenFrom(url))).toBeNull();
+  });
+
+  it('adds headers and a footer link to user emails only', async () => {
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'generateEmailContent').mockImplementation(async (template, data) => ({
+      subject: 'Rappel',
+      html: '<html><body><p>Bonjour</p></body></html>',
+      text: `Bonjour ${data.unsubscribeUrl ? 'avec lien' : 'sans lien'}`
+    }));
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp', messageId: 'smtp-1' });
+    jest.spyOn(emailService, 'recordEmailNotification').mockResolvedValue(null);
+
+    await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventName: 'Gala' }, { userId: 42 });
+    const [userMail] = emailService.sendEmailWithFallback.mock.calls[0];
+    const url = userMail.headers['List-Unsubscribe'].slice(1, -1);
+
+    expect(userMail.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    expect(userMail.html).toContain(`<a href="${url}" data-no-track`);
+    expect(userMail.text).toBe(`Bonjour avec lien\n\nSe désabonner : ${url}`);
+    expect(mockDb.query).toHaveBeenCalledWith(expect.stringContaining('notification_category_preferences'), [42, 'email', 'reminders']);
+
+    await emailService.sendTransactionalEmail('aicha@example.com', 'password-reset', { resetToken: 'x' });
+    const [systemMail] = emailService.sendEmailWithFallback.mock.calls[1];
+    expect(systemMail.headers).toBeUndefined();
+    expect(systemMail.html).not.toContain('/unsubscribe/');
+  });
+
+  it('never unsubscribes on GET and applies the template category on one-click POST', async () => {
+    const { url } = unsubscribeService.buildUnsubscribe('aicha@example.com', 'event-reminder', { userId: 42 });
+    const path = `/api/notifications/unsubscribe/${tokenFrom(url)}`;
+
+    const page = await request(buildApp()).get(path);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('<form method="post"');
+    expect(mockDb.query).not.toHaveBeenCalled();
+
+    const response = await request(buildApp())
+      .post(path)
+      .type('form')
+      .send('List-Unsubscribe=One-Click');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ channel: 'email', category: 'reminders', method: 'preferences' });
+    expect(mockDb.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO notification_category_preferences'),
+      [42, 'email', 'reminders', false]
+    );
+  });
+
+  it('unsubscribes the whole channel when asked from the confirmation page', async () => {
+    const unsubscribeUser = jest.spyOn(preferencesService, 'unsubscribeUser').mockResolvedValue({});
+    const { url } = unsubscribeService.buildUnsubscribe('aicha@example.com', 'ticket-generated', { userId: 42 });
+
+    const response = await request(buildApp())
+      .post(`/api/notifications/unsubscribe/${tokenFrom(url)}`)
+      .set('Accept', 'text/html')
+      .type('form')
+      .send({ scope: 'channel' });
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Désabonnement confirmé');
+    expect(unsubscribeUser).toHaveBeenCalledWith(42, { channel: 'email', category: null });
+  });
+
+  it('falls back to the suppression list without a user and rejects bad tokens', async () => {
+    const { url } = unsubscribeService.buildUnsubscribe('guest@example.com', 'event-invitation', {});
+
+    const response = await request(buildApp()).post(`/api/notifications/unsubscribe/${tokenFrom(url)}`);
+    expect(response.body.data.method).toBe('suppression');
+    expect(suppressionService.addSuppression).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'guest@example.com',
+      reason: 'unsubscribe',
+      source: 'one_click'
+    }));
+
+    const invalid = await request(buildApp()).post('/api/notifications/unsubscribe/abc.def');
+    expect(invalid.status).toBe(404);
+    expect(invalid.body.error.code).toBe('INVALID_UNSUBSCRIBE_TOKEN');
+  });
+});
@@ -0,0 +1,234 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/core/database/otp.repository', () => {
+  const rows = [];
+  const find = id => rows.find(row => row.id === id) || null;
+
+  return {
+    rows,
+    findLatestOtp: jest.fn(async (recipientHash, purpose) => rows
+      .filter(row => row.recipient_hash === recipientHash && row.purpose === purpose)
+      .sort((a, b) => b.id - a.id)[0] || null),
+    countOtpsSince: jest.fn(async (recipientHash, purpose, since) => rows
+      .filter(row => row.recipient_hash === recipientHash && row.purpose === purpose && row.created_at >= since).length),
+    createOtp: jest.fn(async payload => {
+      rows.filter(row => row.recipient_hash === payload.recipientHash && row.purpose === payload.purpose && row.status === 'active')
+        .forEach(row => { row.status = 'superseded'; });
+      const row = {
+        id: rows.length + 1,
+        recipient_hash: payload.recipientHash,
+        purpose: payload.purpose,
+        channel: payload.channel,
+        user_id: payload.userId,
+        code_hash: payload.codeHash,
+        status: 'active',
+        attempts: 0,
+        max_attempts: payload.maxAttempts,
+        expires_at: payload.expiresAt,
+        locked_until: null,
+        created_at: new Date()
+      };
+      rows.push(row);
+      return { ...row };
+    }),
+    updateOtp: jest.fn(async (id, fields) => Object.assign(find(id), fields.channel ? { channel: fields.channel } : {},
+      fields.status ? { status: fields.status } : {})),
+    registerAttempt: jest.fn(async id => {
+      const row = find(id);
+      if (!row || row.status !== 'active' || row.attempts >= row.max_attempts || new Date(row.expires_at) <= new Date()) {
+        return null;
+      }
+      row.attempts += 1;
+      return { ...row };
+    }),
+    markVerified: jest.fn(async id => {
+      const row = find(id);
+      if (!row || row.status !== 'active') {
+        return null;
+      }
+      row.status = 'verified';
+      return { ...row };
+    }),
+    lockOtp: jest.fn(async (id, lockedUntil) => Object.assign(find(id), { status: 'locked', locked_until: lockedUntil }))
+  };
+});
+
+const otpRepository = require('../../src/core/database/otp.repository');
+const smsService = require('../../src/core/sms/sms.service');
+const emailService = require('../../src/core/email/email.service');
+const otpRoutes = require('../../src/api/routes/otp.routes');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications/otp', otpRoutes);
+  return app;
+}
+
+function lastSmsCode() {
+  const calls = smsService.sendOTPSMS.mock.calls;
+  return calls[calls.length - 1][1];
+}
+
+describe('OTP lifecycle', () => {
+  const env = { ...process.env };
+  const phoneNumber = '+33612345678';
+
+  beforeEach(() => {
+    otpRepository.rows.length = 0;
+    process.env.OTP_HASH_SECRET = 'otp-test-secret';
+    delete process.env.OTP_MAX_ATTEMPTS;
+    delete process.env.OTP_TTL_SECONDS;
+    delete process.env.OTP_MAX_REQUESTS_PER_HOUR;
+    delete process.env.OTP_RESEND_COOLDOWN_SECONDS;
+    jest.spyOn(smsService, 'sendOTPSMS').mockResolvedValue({ success: true, provider: 'twilio', messageId: 'SM1' });
+    jest.spyOn(emailService, 'sendTransactionalEmail').mockResolvedValue({ success: true, provider: 'smtp', messageId: 'm1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('issues a hashed code by SMS and enforces the resend cooldown', async () => {
+    const app = buildApp();
+    const response = await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login', userId: 42 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toEqual(expect.objectContaining({ purpose: 'login', channel: 'sms', fallback: false }));
+    const code = lastSmsCode();
+    expect(code).toMatch(/^\d{6}$/);
+    expect(smsService.sendOTPSMS).toHaveBeenCalledWith(phoneNumber, code, 'login', { expiresIn: '5 minutes', userId: 42 });
+    expect(JSON.stringify(response.body)).not.toContain(code);
+    expect(JSON.stringify(otpRepository.rows)).not.toContain(code);
+    expect(JSON.stringify(otpRepository.rows)).not.toContain('612345678');
+
+    const again = await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login' });
+    expect(again.status).toBe(429);
+    expect(again.body.error.code).toBe('OTP_COOLDOWN');
+    expect(Number(again.headers['retry-after'])).toBeGreaterThan(0);
+
+    const otherPurpose = await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'phone_change' });
+    expect(otherPurpose.status).toBe(201);
+  });
+
+  it('verifies a code once and reports remaining attempts on mistakes', async () => {
+    const app = buildApp();
+    await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login', userId: 42 });
+    const code = lastSmsCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const mistake = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code: wrong });
+    expect(mistake.status).toBe(422);
+    expect(mistake.body.error.code).toBe('OTP_INVALID');
+    expect(mistake.body.error.data).toEqual({ attemptsRemaining: 4 });
+
+    const crossPurpose = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'signup', code });
+    expect(crossPurpose.body.error.code).toBe('OTP_EXPIRED');
+
+    const ok = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber: '+33 6 12 34 56 78', purpose: 'login', code });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data).toEqual({ verified: true, purpose: 'login', userId: 42 });
+
+    const replay = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code });
+    expect(replay.status).toBe(422);
+    expect(replay.body.error.code).toBe('OTP_EXPIRED');
+  });
+
+  it('locks the recipient after too many failed attempts', async () => {
+    process.env.OTP_MAX_ATTEMPTS = '2';
+    const app = buildApp();
+    await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login' });
+    const code = lastSmsCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code: wrong });
+    const locked = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code: wrong });
+    expect(locked.status).toBe(429);
+    expect(locked.body.error.code).toBe('OTP_LOCKED');
+    expect(locked.body.error.data.lockedUntil).toEqual(expect.any(String));
+
+    const correctTooLate = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code });
+    expect(correctTooLate.body.error.code).toBe('OTP_LOCKED');
+
+    otpRepository.rows[0].created_at = new Date(Date.now() - 3600 * 1000);
+    const reissue = await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login' });
+    expect(reissue.status).toBe(429);
+    expect(reissue.body.error.code).toBe('OTP_LOCKED');
+  });
+
+  it('never checks more guesses than allowed when verifications run concurrently', async () => {
+    process.env.OTP_MAX_ATTEMPTS = '3';
+    const app = buildApp();
+    await request(app).post('/api/notifications/otp').send({ phoneNumber, purpose: 'login' });
+    const code = lastSmsCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+    const guesses = [...Array(7).fill(wrong), code];
+
+    const responses = await Promise.all(guesses.map(guess => request(app)
+      .post('/api/notifications/otp/verify')
+      .send({ phoneNumber, purpose: 'login', code: guess })));
+
+    expect(responses.some(response => response.status === 200)).toBe(false);
+    expect(responses.filter(response => response.body.error.code === 'OTP_INVALID')).toHaveLength(2);
+    expect(responses.filter(response => response.body.error.code === 'OTP_LOCKED')).toHaveLength(6);
+    expect(otpRepository.rows[0]).toEqual(expect.objectContaining({ attempts: 3, status: 'locked' }));
+
+    const afterwards = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code });
+    expect(afterwards.body.error.code).toBe('OTP_LOCKED');
+  });
+
+  it('falls back to email when the SMS cannot be delivered', async () => {
+    smsService.sendOTPSMS.mockResolvedValue({ success: false, error: 'no provider' });
+    const app = buildApp();
+
+    const fallback = await request(app).post('/api/notifications/otp')
+      .send({ phoneNumber, email: 'aicha@example.com', purpose: 'login' });
+    expect(fallback.status).toBe(201);
+    expect(fallback.body.data).toEqual(expect.objectContaining({ channel: 'email', fallback: true }));
+    expect(emailService.sendTransactionalEmail).toHaveBeenCalledWith('aicha@example.com', 'otp', expect.objectContaining({
+      otpCode: expect.stringMatching(/^\d{6}$/),
+      expiresInMinutes: 5
+    }), expect.any(Object));
+    expect(otpRepository.rows[0].channel).toBe('email');
+
+    const code = emailService.sendTransactionalEmail.mock.calls[0][2].otpCode;
+    const verified = await request(app).post('/api/notifications/otp/verify').send({ phoneNumber, purpose: 'login', code });
+    expect(verified.status).toBe(200);
+
+    emailService.sendTransactionalEmail.mockResolvedValue({ success: false });
+    const failed = await request(app).post('/api/notifications/otp')
+      .send({ phoneNumber: '+33699999999', email: 'moussa@example.com', purpose: 'login' });
+    expect(failed.status).toBe(503);
+    expect(failed.body.error.code).toBe('OTP_DELIVERY_FAILED');
+    expect(otpRepository.rows[1].status).toBe('undelivered');
+  });
+
+  it('expires codes, caps hourly requests and requires a hashing secret', async () => {
+    process.env.OTP_RESEND_COOLDOWN_SECONDS = '1';
+    process.env.OTP_MAX_REQUESTS_PER_HOUR = '2';
+    const app = buildApp();
+
+    await request(app).post('/api/notifications/otp').send({ email: 'aicha@example.com', purpose: 'signup' });
+    const code = emailService.sendTransactionalEmail.mock.calls[0][2].otpCode;
+    otpRepository.rows[0].expires_at = new Date(Date.now() - 1000);
+    const expired = await request(app).post('/api/notifications/otp/verify').send({ email: 'Aicha@example.com', purpose: 'signup', code });
+    expect(expired.body.error.code).toBe('OTP_EXPIRED');
+
+    otpRepository.rows[0].created_at = new Date(Date.now() - 5000);
+    expect((await request(app).post('/api/notifications/otp').send({ email: 'aicha@example.com', purpose: 'signup' })).status).toBe(201);
+    otpRepository.rows[1].created_at = new Date(Date.now() - 5000);
+    const capped = await request(app).post('/api/notifications/otp').send({ email: 'aicha@example.com', purpose: 'signup' });
+    expect(capped.status).toBe(429);
+    expect(capped.body.error.code).toBe('OTP_RATE_LIMITED');
+
+    expect((await request(app).post('/api/notifications/otp').send({ purpose: 'signup' })).status).toBe(400);
+
+    process.env.OTP_HASH_SECRET = 'your_otp_hash_secret';
+    const disabled = await request(app).post('/api/notifications/otp').send({ email: 'aicha@example.com', purpose: 'other' });
+    expect(disabled.status).toBe(503);
+    expect(disabled.body.error.code).toBe('OTP_NOT_CONFIGURED');
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { mockNotificationDependencies, buildApp } = require('../helpers/notification-mocks');
+
+mockNotificationDependencies();
+
+const queueService = require('../../src/core/queues/queue.service');
+const smsService = require('../../src/core/sms/sms.service');
+const { parsePhoneNumber, normalizePhoneNumber } = require('../../src/utils/phone-normalization');
+
+describe('Phone number normalization', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.PHONE_DEFAULT_REGION;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('normalizes international, 00-prefixed and trunk-prefixed numbers to E.164', () => {
+    expect(parsePhoneNumber('+33 6 12 34 56 78')).toEqual({
+      valid: true,
+      e164: '+33612345678',
+      region: 'FR',
+      callingCode: '33',
+      nationalNumber: '612345678',
+      type: 'mobile',
+      reason: null
+    });
+    expect(normalizePhoneNumber('0033 (0)6.12.34.56.78')).toBe('+33612345678');
+    expect(normalizePhoneNumber('+44 07700 900123')).toBe('+447700900123');
+    expect(normalizePhoneNumber('33612345678')).toBe('+33612345678');
+    expect(normalizePhoneNumber('+1 (415) 555-2671')).toBe('+14155552671');
+    expect(normalizePhoneNumber('+81 90 1234 5678')).toBe('+819012345678');
+  });
+
+  it('reads national numbers in the default region, Cameroon unless configured', () => {
+    expect(normalizePhoneNumber('6 12 34 56 78')).toBe('+237612345678');
+    expect(normalizePhoneNumber('0612345678')).toBe('0612345678');
+    expect(parsePhoneNumber('0612345678', { region: 'fr' }).e164).toBe('+33612345678');
+
+    process.env.PHONE_DEFAULT_REGION = 'CI';
+    expect(normalizePhoneNumber('07 08 09 10 11')).toBe('+2250708091011');
+
+    process.env.PHONE_DEFAULT_REGION = 'XX';
+    expect(normalizePhoneNumber('612345678')).toBe('+237612345678');
+  });
+
+  it('classifies lines and rejects unknown lengths or characters', () => {
+    expect(parsePhoneNumber('+33142685300').type).toBe('fixed_line');
+    expect(parsePhoneNumber('+237222123456').type).toBe('fixed_line');
+    expect(parsePhoneNumber('+221771234567').type).toBe('mobile');
+    expect(parsePhoneNumber('+14155552671').type).toBe('fixed_line_or_mobile');
+    expect(parsePhoneNumber('+3361234')).toEqual(expect.objectContaining({ valid: false, region: 'FR', reason: 'invalid_length' }));
+    expect(parsePhoneNumber('06-AB-12').reason).toBe('invalid_characters');
+    expect(parsePhoneNumber('   ').reason).toBe('empty');
+    expect(normalizePhoneNumber('   ')).toBeNull();
+  });
+
+  it('exposes mobile-only validation and E.164 formatting on the SMS service', () => {
+    expect(smsService.validatePhoneNumber('+33612345678')).toBe(true);
+    expect(smsService.validatePhoneNumber('+33142685300')).toBe(false);
+    expect(smsService.validatePhoneNumber('+3361234')).toBe(false);
+    expect(smsService.validatePhoneNumber('0612345678', { region: 'FR' })).toBe(true);
+    expect(smsService.formatPhoneNumber('06 12 34 56 78', { region: 'FR' })).toBe('+33612345678');
+    expect(smsService.maskPhoneNumber('6 12 34 56 78')).toBe('+23***78');
+  });
+
+  it('refuses landlines and invalid numbers before any provider is called', async () => {
+    jest.spyOn(smsService, 'sendSMSWithFallback');
+    const template = { template: 'otp', data: { otpCode: '123456' } };
+
+    const landline = await request(buildApp()).post('/api/notifications/sms').send({ to: '+33 1 42 68 53 00', ...template });
+    expect(landline.status).toBe(422);
+    expect(landline.body.error.code).toBe('PHONE_NUMBER_NOT_MOBILE');
+    expect(landline.body.error.data).toEqual(expect.objectContaining({ region: 'FR', type: 'fixed_line' }));
+
+    const invalid = await request(buildApp()).post('/api/notifications/sms').send({ to: '+33 6 12', ...template });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.error.code).toBe('PHONE_NUMBER_INVALID');
+
+    expect(smsService.sendSMSWithFallback).not.toHaveBeenCalled();
+    expect(queueService.addSMSJob).not.toHaveBeenCalled();
+
+    const direct = await smsService.sendSMSWithFallback('0142685300', 'Bonjour', { region: 'FR' });
+    expect(direct).toEqual(expect.objectContaining({ success: false }));
+    expect(direct.details.code).toBe('PHONE_NUMBER_NOT_MOBILE');
+  });
+});
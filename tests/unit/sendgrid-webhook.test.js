@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationByProviderMessageId: jest.fn(),
+  updateNotificationStatus: jest.fn(),
+  createNotificationLog: jest.fn()
+}));
+
+jest.mock('../../src/core/database/email-suppression.repository', () => ({
+  upsertSuppression: jest.fn()
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const suppressionRepository = require('../../src/core/database/email-suppression.repository');
+const webhooksRoutes = require('../../src/api/routes/webhooks.routes');
+
+const fixturePath = path.join(__dirname, '../fixtures/webhooks/sendgrid-events.json');
+const rawFixture = fs.readFileSync(fixturePath);
+
+function buildApp() {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/notifications/webhooks', webhooksRoutes);
+  return app;
+}
+
+function sign(privateKey, timestamp, body) {
+  const signer = crypto.createSign('sha256');
+  signer.update(timestamp);
+  signer.update(body);
+  signer.end();
+  return signer.sign(privateKey, 'base64');
+}
+
+describe('SendGrid event webhook', () => {
+  const originalKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  let notifications;
+
+  beforeEach(() => {
+    process.env.SENDGRID_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+    notifications = {
+      '14c5d75ce93': { id: 101, status: 'sent' },
+      '77aa2ce63': { id: 102, status: 'sent' }
+    };
+
+    notificationRepository.getNotificationByProviderMessageId.mockImplementation(async (provider, messageId) => {
+      const notification = notifications[messageId];
+      return notification ? { ...notification } : null;
+    });
+    notificationRepository.updateNotificationStatus.mockImplementation(async (id, status) => {
+      const notification = Object.values(notifications).find(candidate => candidate.id === id);
+      notification.status = status;
+      return { ...notification };
+    });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+    suppressionRepository.upsertSuppression.mockImplementation(async payload => ({ id: 1, ...payload }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    if (originalKey === undefined) {
+      delete process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    } else {
+      process.env.SENDGRID_WEBHOOK_PUBLIC_KEY = originalKey;
+    }
+  });
+
+  it('applies signed events to notifications found by x-message-id', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/sendgrid')
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Email-Event-Webhook-Signature', sign(privateKey, timestamp, rawFixture))
+      .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+      .send(rawFixture.toString('utf8'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ received: 6, updated: 3, logged: 1, ignored: 2 });
+
+    expect(notifications['14c5d75ce93'].status).toBe('opened');
+    expect(notifications['77aa2ce63'].status).toBe('bounced');
+
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(102, 'bounced', expect.objectContaining({
+      source: 'sendgrid',
+      eventType: 'sendgrid.bounce',
+      errorMessage: '500 unknown recipient',
+      occurredAt: new Date(1767960020 * 1000).toISOString()
+    }));
+    expect(notificationRepository.createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({
+      notificationId: 101,
+      eventType: 'sendgrid.processed',
+      previousStatus: 'sent',
+      status: 'sent'
+    }));
+
+    expect(suppressionRepository.upsertSuppression).toHaveBeenCalledTimes(1);
+    expect(suppressionRepository.upsertSuppression).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'moussa@example.com',
+      reason: 'hard_bounce',
+      source: 'sendgrid.bounce',
+      notificationId: 102
+    }));
+  });
+
+  it('rejects batches whose signature does not match the raw body', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const tampered = rawFixture.toString('utf8').replace('500 unknown recipient', '250 OK');
+
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/sendgrid')
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Email-Event-Webhook-Signature', sign(privateKey, timestamp, rawFixture))
+      .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+      .send(tampered);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect(notificationRepository.getNotificationByProviderMessageId).not.toHaveBeenCalled();
+  });
+
+  it('rejects correctly signed batches replayed outside the timestamp tolerance', async () => {
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+    const send = timestamp => request(buildApp())
+      .post('/api/notifications/webhooks/sendgrid')
+      .set('Content-Type', 'application/json')
+      .set('X-Twilio-Email-Event-Webhook-Signature', sign(privateKey, timestamp, rawFixture))
+      .set('X-Twilio-Email-Event-Webhook-Timestamp', timestamp)
+      .send(rawFixture.toString('utf8'));
+
+    const response = await send(stale);
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect(await send(String(Math.floor(Date.now() / 1000) + 600)).then(res => res.status)).toBe(401);
+    expect(notificationRepository.getNotificationByProviderMessageId).not.toHaveBeenCalled();
+
+    process.env.SENDGRID_WEBHOOK_TOLERANCE_SECONDS = '900';
+    expect(await send(stale).then(res => res.status)).toBe(200);
+    delete process.env.SENDGRID_WEBHOOK_TOLERANCE_SECONDS;
+  });
+
+  it('refuses events when no verification key is configured', async () => {
+    delete process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/sendgrid')
+      .set('Content-Type', 'application/json')
+      .send(rawFixture.toString('utf8'));
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('WEBHOOK_NOT_CONFIGURED');
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const axios = require('axios');
+const { mockNotificationDependencies, buildApp, saveSmsProviderState } = require('../helpers/notification-mocks');
+
+mockNotificationDependencies({
+  repository: {
+    getNotificationByProviderMessageId: jest.fn(),
+    getNotificationStatistics: jest.fn()
+  },
+  queue: {
+    pauseQueue: jest.fn().mockResolvedValue({ success: true, queueName: 'sms', paused: true }),
+    resumeQueue: jest.fn().mockResolvedValue({ success: true, queueName: 'sms', paused: false })
+  }
+});
+
+jest.mock('../../src/core/database/sms-cost.repository', () => ({
+  recordSmsCost: jest.fn(),
+  recordActualCost: jest.fn(),
+  attachNotification: jest.fn(),
+  getSpendingSince: jest.fn(),
+  getCostBreakdown: jest.fn()
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const smsCostRepository = require('../../src/core/database/sms-cost.repository');
+const queueService = require('../../src/core/queues/queue.service');
+const smsService = require('../../src/core/sms/sms.service');
+const smsBudget = require('../../src/core/sms/sms-budget');
+const smsStatusWebhookService = require('../../src/core/webhooks/sms-status-webhook.service');
+const { estimateSmsCost, parseProviderCost, validateSmsPriceTable } = require('../../src/core/sms/sms-costs');
+
+const PRICES = JSON.stringify({
+  twilio: { CM: 0.21, US: 0.0079, '*': 0.08 },
+  vonage: { CM: 0.12 },
+  '*': { '*': 0.1 }
+});
+
+describe('SMS costs and budgets', () => {
+  const env = { ...process.env };
+  const restoreSmsProviders = saveSmsProviderState(smsService);
+  let twilioCreate;
+  let vonageSend;
+
+  beforeEach(() => {
+    for (const key of [
+      'SMS_ROUTING_RULES', 'SMS_PROVIDER_ORDER', 'SMS_SENDER_IDS', 'SMS_SENDER_COUNTRY_RULES',
+      'SMS_COST_CURRENCY', 'SMS_DAILY_BUDGET', 'SMS_MONTHLY_BUDGET', 'SMS_BUDGET_ALERT_WEBHOOK_URL'
+    ]) {
+      delete process.env[key];
+    }
+    process.env.SMS_PRICE_TABLE = PRICES;
+    process.env.TWILIO_PHONE_NUMBER = '+15005550006';
+    process.env.VONAGE_FROM_NUMBER = 'EventPlanr';
+
+    twilioCreate = jest.fn().mockResolvedValue({ sid: 'SM-cost-1', price: null, priceUnit: 'EUR' });
+    vonageSend = jest.fn().mockResolvedValue({
+      messages: [{ status: '0', messageId: 'vonage-cost-1', 'message-price': '0.03330000' }]
+    });
+    Object.assign(smsService, {
+      twilioConfigured: true,
+      vonageConfigured: true,
+      textbeltConfigured: false,
+      twilioClient: { messages: { create: twilioCreate } },
+      vonageClient: { sms: { send: vonageSend } }
+    });
+    smsCostRepository.recordSmsCost.mockResolvedValue({ id: 31 });
+    smsCostRepository.attachNotification.mockResolvedValue({ id: 31 });
+    smsCostRepository.getSpendingSince.mockResolvedValue({ total: 0, count: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+    restoreSmsProviders();
+    if (smsBudget.resumeTimer) {
+      clearTimeout(smsBudget.resumeTimer);
+    }
+    Object.assign(smsBudget, { queuePaused: false, alerted: new Set(), resumeTimer: null });
+  });
+
+  it('estimates per segment from the price table and reads provider prices', () => {
+    expect(estimateSmsCost({ provider: 'twilio', country: 'CM', segments: 2 })).toEqual({ unitPrice: 0.21, amount: 0.42, currency: 'EUR' });
+    expect(estimateSmsCost({ provider: 'twilio', country: 'FR', segments: 1 }).amount).toBe(0.08);
+    expect(estimateSmsCost({ provider: 'vonage', country: 'GA', segments: 3 }).amount).toBe(0.3);
+
+    process.env.SMS_PRICE_TABLE = JSON.stringify({ vonage: { CM: 0.12 } });
+    expect(estimateSmsCost({ provider: 'textbelt', country: 'CM' })).toEqual({ unitPrice: null, amount: null, currency: 'EUR' });
+
+    expect(parseProviderCost('-0.00750', 'EUR')).toBe(0.0075);
+    expect(parseProviderCost('-0.00750', 'USD')).toBeNull();
+    expect(parseProviderCost(null)).toBeNull();
+
+    process.env.SMS_PRICE_TABLE = '{"twilio":{"CM":"cheap"}}';
+    expect(() => validateSmsPriceTable()).toThrow(expect.objectContaining({ code: 'INVALID_SMS_PRICE_TABLE' }));
+  });
+
+  it('records the estimate and the provider cost of each SMS and links it to its notification', async () => {
+    process.env.SMS_PROVIDER_ORDER = 'vonage,twilio';
+    jest.spyOn(smsService, 'generateSMSMessage').mockResolvedValue('Event Planner: Rappel');
+    notificationRepository.createNotification.mockResolvedValue({ id: 12 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+
+    const result = await smsService.sendTransactionalSMS('+237612345678', 'event-reminder', {}, { userId: 5 });
+
+    expect(result.cost).toEqual({ segments: 1, unitPrice: 0.12, estimated: 0.12, actual: 0.0333, currency: 'EUR', recordId: 31 });
+    expect(smsCostRepository.recordSmsCost).toHaveBeenCalledWith({
+      notificationId: null,
+      provider: 'vonage',
+      providerMessageId: 'vonage-cost-1',
+      country: 'CM',
+      templateName: 'event-reminder',
+      segments: 1,
+      unitPrice: 0.12,
+      estimatedCost: 0.12,
+      actualCost: 0.0333,
+      currency: 'EUR'
+    });
+    expect(smsCostRepository.attachNotification).toHaveBeenCalledWith(31, 12);
+
+    smsCostRepository.recordSmsCost.mockRejectedValueOnce(new Error('connection refused'));
+    const untracked = await smsService.sendSMSWithFallback('+14155552671', 'Code 123456', { template: 'otp' });
+    expect(untracked).toEqual(expect.objectContaining({ success: true, provider: 'twilio' }));
+    expect(untracked.cost).toEqual(expect.objectContaining({ estimated: 0.0079, actual: null, recordId: null }));
+  });
+
+  it('refuses SMS past the daily cap, pauses the sms queue and alerts once', async () => {
+    process.env.SMS_DAILY_BUDGET = '5';
+    process.env.SMS_BUDGET_ALERT_WEBHOOK_URL = 'https://alerts.example.com/sms';
+    smsCostRepository.getSpendingSince.mockResolvedValue({ total: 5.02, count: 40 });
+    jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+    const response = await request(buildApp())
+      .post('/api/notifications/sms')
+      .send({ to: '+237612345678', template: 'event-invitation', data: { eventName: 'Gala', eventDate: '2026-11-02' } });
+
+    expect(response.status).toBe(429);
+    expect(response.body.error.code).toBe('SMS_BUDGET_EXCEEDED');
+    expect(response.body.error.data).toEqual(expect.objectContaining({ period: 'daily', cap: 5, spent: 5.02, currency: 'EUR' }));
+    expect(twilioCreate).not.toHaveBeenCalled();
+    expect(queueService.pauseQueue).toHaveBeenCalledWith('sms');
+    expect(axios.post).toHaveBeenCalledWith('https://alerts.example.com/sms', expect.objectContaining({
+      event: 'sms.budget_exceeded',
+      period: 'daily',
+      queuePaused: true
+    }), expect.any(Object));
+
+    const otp = await smsService.sendSMSWithFallback('+237612345678', 'Code 123456', { template: 'otp' });
+    expect(otp.success).toBe(true);
+    expect(queueService.pauseQueue).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an SMS whose estimate would cross the monthly cap and resumes the queue once back under caps', async () => {
+    process.env.SMS_MONTHLY_BUDGET = '100';
+    smsCostRepository.getSpendingSince.mockResolvedValue({ total: 99.9, count: 800 });
+
+    const refused = await smsService.sendSMSWithFallback('+237612345678', 'Bonjour', { segments: 1 });
+    expect(refused.details).toEqual(expect.objectContaining({ code: 'SMS_BUDGET_EXCEEDED', period: 'monthly', estimate: 0.21 }));
+    expect(queueService.pauseQueue).not.toHaveBeenCalled();
+
+    smsBudget.queuePaused = true;
+    smsCostRepository.getSpendingSince.mockResolvedValue({ total: 0, count: 0 });
+    const status = await smsBudget.evaluate();
+    expect(status.monthly).toEqual(expect.objectContaining({ cap: 100, spent: 0, remaining: 100, exceeded: false }));
+    expect(queueService.resumeQueue).toHaveBeenCalledWith('sms');
+    expect(smsBudget.queuePaused).toBe(false);
+  });
+
+  it('takes the Vonage receipt price as actual cost and breaks costs down in /statistics', async () => {
+    notificationRepository.getNotificationByProviderMessageId.mockResolvedValue(null);
+    smsCostRepository.recordActualCost.mockResolvedValue({ id: 31 });
+
+    await smsStatusWebhookService.processVonageReceipt({ messageId: 'vonage-cost-1', status: 'delivered', price: '0.03330000' });
+    expect(smsCostRepository.recordActualCost).toHaveBeenCalledWith('vonage', 'vonage-cost-1', 0.0333);
+
+    notificationRepository.getNotificationStatistics.mockResolvedValue({ overview: { total: 3 } });
+    smsCostRepository.getCostBreakdown.mockResolvedValue({
+      total: 0.3633,
+      estimated: 0.45,
+      actual: 0.0333,
+      count: 3,
+      withActualCost: 1,
+      segments: 3,
+      byProvider: [{ provider: 'twilio', total: 0.33, count: 2, segments: 2 }],
+      byCountry: [{ country: 'CM', total: 0.3633, count: 3, segments: 3 }],
+      byTemplate: [],
+      daily: []
+    });
+    process.env.SMS_DAILY_BUDGET = '10';
+
+    const response = await request(buildApp()).get('/api/notifications/statistics?period=30d');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.overview.total).toBe(3);
+    expect(response.body.data.smsCosts).toEqual(expect.objectContaining({
+      currency: 'EUR',
+      total: 0.3633,
+      byCountry: [{ country: 'CM', total: 0.3633, count: 3, segments: 3 }],
+      budget: expect.objectContaining({ daily: expect.objectContaining({ cap: 10, remaining: 10 }), exceeded: false })
+    }));
+    expect(smsCostRepository.getCostBreakdown).toHaveBeenCalledWith(expect.objectContaining({ startDate: expect.any(String) }));
+  });
+});
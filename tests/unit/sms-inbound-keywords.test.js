@@ -0,0 +1,217 @@
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+
+jest.mock('../../src/core/database/sms-contact.repository', () => ({
+  normalizeContactPhone: jest.requireActual('../../src/core/database/sms-contact.repository').normalizeContactPhone,
+  upsertContact: jest.fn(),
+  findUserIdsByPhone: jest.fn(),
+  recordInboundKeyword: jest.fn()
+}));
+
+jest.mock('../../src/core/preferences/preferences.service', () => ({
+  updateUserPreferences: jest.fn(),
+  shouldSendNotification: jest.fn().mockResolvedValue({ shouldSend: true, reason: 'allowed' })
+}));
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  createNotification: jest.fn(),
+  createNotificationLog: jest.fn()
+}));
+
+const smsContactRepository = require('../../src/core/database/sms-contact.repository');
+const preferencesService = require('../../src/core/preferences/preferences.service');
+const notificationRepository = require('../../src/core/database/notification.repository');
+const smsService = require('../../src/core/sms/sms.service');
+const logger = require('../../src/utils/logger');
+const webhooksRoutes = require('../../src/api/routes/webhooks.routes');
+const { computeVonageSignature } = require('../../src/middleware/webhook-signature');
+const { parseKeyword, buildAutoReply } = require('../../src/core/sms/sms-keywords');
+
+const BASE_URL = 'https://notify.example.com';
+
+function buildApp() {
+  const app = express();
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+  app.use('/api/notifications/webhooks', webhooksRoutes);
+  return app;
+}
+
+function postTwilio(params) {
+  const url = `${BASE_URL}/api/notifications/webhooks/twilio/inbound`;
+  return request(buildApp())
+    .post('/api/notifications/webhooks/twilio/inbound')
+    .set('X-Twilio-Signature', twilio.getExpectedTwilioSignature('twilio-test-token', url, params))
+    .type('form')
+    .send(params);
+}
+
+describe('Inbound SMS keywords', () => {
+  const env = { ...process.env };
+  const vonageState = { configured: smsService.vonageConfigured, client: smsService.vonageClient };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_PUBLIC_BASE_URL = BASE_URL;
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-test-token';
+    process.env.VONAGE_SIGNATURE_SECRET = 'vonage-test-secret';
+    process.env.VONAGE_SIGNATURE_METHOD = 'sha256';
+    process.env.SMS_DEFAULT_LOCALE = 'fr';
+    delete process.env.SMS_HELP_CONTACT;
+
+    smsContactRepository.findUserIdsByPhone.mockResolvedValue([5, 8]);
+    smsContactRepository.recordInboundKeyword.mockResolvedValue(2);
+    preferencesService.updateUserPreferences.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+    smsService.vonageConfigured = vonageState.configured;
+    smsService.vonageClient = vonageState.client;
+  });
+
+  it('recognizes French and English keywords regardless of case, accents and punctuation', () => {
+    expect(parseKeyword('stop')).toEqual({ action: 'stop', keyword: 'STOP', locale: 'fr' });
+    expect(parseKeyword('  Arrêt. merci')).toEqual({ action: 'stop', keyword: 'ARRET', locale: 'fr' });
+    expect(parseKeyword('Unsubscribe')).toEqual({ action: 'stop', keyword: 'UNSUBSCRIBE', locale: 'en' });
+    expect(parseKeyword('START!')).toEqual(expect.objectContaining({ action: 'start' }));
+    expect(parseKeyword('aide')).toEqual({ action: 'help', keyword: 'AIDE', locale: 'fr' });
+    expect(parseKeyword('HELP')).toEqual({ action: 'help', keyword: 'HELP', locale: 'en' });
+
+    for (const body of ['', 'Merci pour le rappel', 'STOPPER', 'je veux stop']) {
+      expect(parseKeyword(body)).toBeNull();
+    }
+
+    process.env.SMS_DEFAULT_LOCALE = 'en';
+    expect(parseKeyword('STOP').locale).toBe('en');
+  });
+
+  it('builds compliance replies with the optional help contact', () => {
+    expect(buildAutoReply('stop', 'fr')).toContain('START');
+    expect(buildAutoReply('start', 'en')).toContain('Reply STOP');
+    expect(buildAutoReply('help', 'fr')).toBe('Event Planner : alertes SMS de vos événements. Envoyez STOP pour vous désabonner.');
+
+    process.env.SMS_HELP_CONTACT = 'support@eventplanner.com';
+    expect(buildAutoReply('help', 'fr')).toContain('Contact : support@eventplanner.com.');
+    expect(buildAutoReply('help', 'en')).toContain('Support: support@eventplanner.com.');
+  });
+
+  it('disables the sms preference of every user of the number on a Twilio STOP', async () => {
+    const response = await postTwilio({ MessageSid: 'SM-in-1', From: '+33612345678', To: '+33700000000', Body: 'STOP' });
+
+    expect(response.status).toBe(200);
+    expect(response.type).toBe('text/xml');
+    expect(response.text).toContain('<Message>Event Planner : vous ne recevrez plus de SMS. Envoyez START pour vous réabonner.</Message>');
+    expect(smsContactRepository.findUserIdsByPhone).toHaveBeenCalledWith('+33612345678');
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledWith(5, { channels: { sms: false } });
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledWith(8, { channels: { sms: false } });
+    expect(smsContactRepository.recordInboundKeyword).toHaveBeenCalledWith('+33612345678', 'STOP');
+
+    const chat = await postTwilio({ MessageSid: 'SM-in-2', From: '+33612345678', To: '+33700000000', Body: 'Merci !' });
+    expect(chat.text).not.toContain('<Message>');
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledTimes(2);
+
+    const unsigned = await request(buildApp())
+      .post('/api/notifications/webhooks/twilio/inbound')
+      .type('form')
+      .send({ From: '+33612345678', Body: 'STOP' });
+    expect(unsigned.status).toBe(401);
+  });
+
+  it('re-enables sms on a Vonage START and replies from the registered sender', async () => {
+    process.env.SMS_SENDER_IDS = JSON.stringify([{ country: 'FR', provider: 'vonage', sender: '33700000001' }]);
+    const send = jest.fn().mockResolvedValue({ messages: [{ status: '0', messageId: 'vonage-reply-1' }] });
+    smsService.vonageConfigured = true;
+    smsService.vonageClient = { sms: { send } };
+
+    const params = { msisdn: '33612345678', to: '33700000000', text: 'Demarrer', messageId: 'in-1', type: 'text' };
+    const sig = computeVonageSignature(params, 'vonage-test-secret', 'sha256');
+    const response = await request(buildApp())
+      .get('/api/notifications/webhooks/vonage/inbound')
+      .query({ ...params, sig });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ action: 'start', keyword: 'DEMARRER', users: 2, replySent: true }));
+    expect(smsContactRepository.findUserIdsByPhone).toHaveBeenCalledWith('33612345678');
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledWith(5, { channels: { sms: true } });
+    expect(send).toHaveBeenCalledWith({ to: '33612345678', from: '33700000001', text: expect.stringContaining('réactivés') });
+
+    smsContactRepository.findUserIdsByPhone.mockResolvedValue([]);
+    const help = { msisdn: '33612345678', to: '33700000000', text: 'HELP', messageId: 'in-2' };
+    const helpResponse = await request(buildApp())
+      .post('/api/notifications/webhooks/vonage/inbound')
+      .send({ ...help, sig: computeVonageSignature(help, 'vonage-test-secret', 'sha256') });
+    expect(helpResponse.body.data).toEqual(expect.objectContaining({ action: 'help', users: 0 }));
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledTimes(2);
+    expect(smsContactRepository.recordInboundKeyword).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a STOP or START from an unknown number and replies neutrally', async () => {
+    smsContactRepository.findUserIdsByPhone.mockResolvedValue([]);
+    jest.spyOn(logger, 'sms').mockImplementation(() => {});
+
+    const stop = await postTwilio({ MessageSid: 'SM-in-3', From: '+33698765432', To: '+33700000000', Body: 'STOP' });
+    expect(stop.status).toBe(200);
+    expect(stop.text).toContain('<Message>Event Planner : aucune alerte SMS n\'est associée à ce numéro.</Message>');
+    expect(stop.text).not.toContain('vous ne recevrez plus');
+
+    const start = await postTwilio({ MessageSid: 'SM-in-4', From: '+33698765432', To: '+33700000000', Body: 'START' });
+    expect(start.text).not.toContain('réactivés');
+    expect(start.text).toContain('aucune alerte SMS');
+
+    expect(preferencesService.updateUserPreferences).not.toHaveBeenCalled();
+    expect(smsContactRepository.recordInboundKeyword).not.toHaveBeenCalled();
+    expect(logger.sms).toHaveBeenCalledWith('Inbound SMS keyword from unknown number', expect.objectContaining({
+      provider: 'twilio',
+      action: 'stop',
+      keyword: 'STOP'
+    }));
+  });
+
+  it('applies the keyword but does not reply when no compliant Vonage sender exists', async () => {
+    delete process.env.SMS_SENDER_IDS;
+    process.env.VONAGE_FROM_NUMBER = 'EventPlanr';
+    const send = jest.fn();
+    smsService.vonageConfigured = true;
+    smsService.vonageClient = { sms: { send } };
+
+    const params = { msisdn: '14155552671', to: '12025550100', text: 'STOP', messageId: 'in-3' };
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/vonage/inbound')
+      .send({ ...params, sig: computeVonageSignature(params, 'vonage-test-secret', 'sha256') });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      action: 'stop',
+      users: 2,
+      replySent: false,
+      replyError: expect.objectContaining({
+        code: 'SMS_SENDER_UNAVAILABLE',
+        country: 'US',
+        rejected: [{ provider: 'vonage', candidates: [{ sender: 'EventPlanr', reason: 'alphanumeric_not_allowed' }] }]
+      })
+    }));
+    expect(preferencesService.updateUserPreferences).toHaveBeenCalledWith(5, { channels: { sms: false } });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('stores the recipient as a contact when an SMS is sent to a known user', async () => {
+    jest.spyOn(smsService, 'generateSMSMessage').mockResolvedValue('Event Planner: Rappel');
+    jest.spyOn(smsService, 'sendSMSWithFallback').mockResolvedValue({ success: true, provider: 'twilio', messageId: 'SM1' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 3 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+    smsContactRepository.upsertContact.mockRejectedValueOnce(new Error('connection refused'));
+
+    const result = await smsService.sendTransactionalSMS('+33612345678', 'event-reminder', {}, { userId: 5 });
+
+    expect(result.success).toBe(true);
+    expect(smsContactRepository.upsertContact).toHaveBeenCalledWith({ phoneNumber: '+33612345678', userId: 5 });
+    expect(smsContactRepository.normalizeContactPhone('33612345678')).toBe('+33612345678');
+    expect(smsContactRepository.normalizeContactPhone('+33 6 12 34 56 78')).toBe('+33612345678');
+  });
+});
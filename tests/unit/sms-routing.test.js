@@ -0,0 +1,158 @@
+const express = require('express');
+const request = require('supertest');
+const { mockNotificationDependencies, saveSmsProviderState } = require('../helpers/notification-mocks');
+
+mockNotificationDependencies();
+
+jest.mock('../../src/core/database/sms-route.repository', () => ({
+  listActiveRoutes: jest.fn()
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const smsRouteRepository = require('../../src/core/database/sms-route.repository');
+const emailService = require('../../src/core/email/email.service');
+const smsService = require('../../src/core/sms/sms.service');
+const smsRouter = require('../../src/core/sms/sms-routing');
+const healthRoutes = require('../../src/health/health.routes');
+
+const CENTRAL_AFRICA = JSON.stringify([
+  { name: 'cm-otp', prefixes: ['+2376'], templates: ['otp'], priorities: ['high'], providers: ['twilio'], fallback: false },
+  { name: 'central-africa', countries: ['CM', 'GA'], providers: ['vonage', 'aggregator'] }
+]);
+
+describe('SMS provider routing', () => {
+  const env = { ...process.env };
+  const restoreSmsProviders = saveSmsProviderState(smsService);
+  let twilioCreate;
+  let vonageSend;
+
+  beforeEach(() => {
+    delete process.env.SMS_PROVIDER_ORDER;
+    delete process.env.SMS_ROUTING_RULES;
+    delete process.env.SMS_ROUTING_DB_ENABLED;
+    delete process.env.SMS_ROUTING_CACHE_SECONDS;
+    delete process.env.SMS_SENDER_IDS;
+    delete process.env.SMS_SENDER_COUNTRY_RULES;
+    process.env.TWILIO_PHONE_NUMBER = '+15005550006';
+    process.env.VONAGE_FROM_NUMBER = 'EventPlanr';
+    smsRouter.invalidate();
+
+    twilioCreate = jest.fn().mockResolvedValue({ sid: 'SM-route-1', status: 'queued' });
+    vonageSend = jest.fn().mockResolvedValue({ messages: [{ status: '0', messageId: 'vonage-route-1' }] });
+    Object.assign(smsService, {
+      twilioConfigured: true,
+      vonageConfigured: true,
+      textbeltConfigured: false,
+      twilioClient: { messages: { create: twilioCreate } },
+      vonageClient: { sms: { send: vonageSend } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+    restoreSmsProviders();
+  });
+
+  it('picks the provider chain by country, prefix, template and priority', async () => {
+    process.env.SMS_ROUTING_RULES = CENTRAL_AFRICA;
+
+    expect(await smsRouter.resolveRoute({ phoneNumber: '+237612345678', region: 'CM', template: 'otp', priority: 'high' })).toEqual({
+      providers: ['twilio'],
+      route: 'cm-otp',
+      source: 'config',
+      reason: 'config route cm-otp: prefix +2376, template otp, priority high (no fallback)'
+    });
+
+    const regional = await smsRouter.resolveRoute({ phoneNumber: '+24106123456', region: 'GA', template: 'otp' });
+    expect(regional).toEqual(expect.objectContaining({ route: 'central-africa', providers: ['vonage', 'twilio', 'textbelt'] }));
+    expect(regional.reason).toBe('config route central-africa: country GA');
+
+    process.env.SMS_PROVIDER_ORDER = 'vonage,twilio';
+    expect(await smsRouter.resolveRoute({ phoneNumber: '+33612345678', region: 'FR' })).toEqual(expect.objectContaining({
+      providers: ['vonage', 'twilio'],
+      route: 'default'
+    }));
+
+    process.env.SMS_ROUTING_RULES = '{"not":"an array"}';
+    expect((await smsRouter.resolveRoute({ phoneNumber: '+237612345678', region: 'CM' })).route).toBe('default');
+  });
+
+  it('evaluates database routes first and keeps them cached when the database fails', async () => {
+    process.env.SMS_ROUTING_RULES = CENTRAL_AFRICA;
+    process.env.SMS_ROUTING_DB_ENABLED = 'true';
+    smsRouteRepository.listActiveRoutes.mockResolvedValueOnce([
+      { id: 1, name: 'cm-db', countries: ['CM'], prefixes: [], templates: [], priorities: [], providers: ['textbelt'], fallback: true }
+    ]);
+
+    const fromDatabase = await smsRouter.resolveRoute({ phoneNumber: '+237612345678', region: 'CM' });
+    expect(fromDatabase).toEqual(expect.objectContaining({ route: 'cm-db', source: 'database', providers: ['textbelt', 'twilio', 'vonage'] }));
+
+    await smsRouter.resolveRoute({ phoneNumber: '+237612345678', region: 'CM' });
+    expect(smsRouteRepository.listActiveRoutes).toHaveBeenCalledTimes(1);
+
+    process.env.SMS_ROUTING_CACHE_SECONDS = '0';
+    smsRouteRepository.listActiveRoutes.mockRejectedValueOnce(new Error('connection refused'));
+    expect((await smsRouter.resolveRoute({ phoneNumber: '+237612345678', region: 'CM' })).route).toBe('cm-db');
+    expect(smsRouteRepository.listActiveRoutes).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends through the route providers and falls back only when the route allows it', async () => {
+    process.env.SMS_ROUTING_RULES = CENTRAL_AFRICA;
+
+    const regional = await smsService.sendSMSWithFallback('612345678', 'Bonjour');
+    expect(regional).toEqual(expect.objectContaining({ success: true, provider: 'vonage', messageId: 'vonage-route-1' }));
+    expect(regional.route).toEqual({ name: 'central-africa', source: 'config', reason: 'config route central-africa: country CM' });
+    expect(vonageSend).toHaveBeenCalledWith(expect.objectContaining({ to: '+237612345678' }));
+    expect(twilioCreate).not.toHaveBeenCalled();
+
+    vonageSend.mockRejectedValueOnce(new Error('timeout'));
+    const fallback = await smsService.sendSMSWithFallback('+237 6 12 34 56 78', 'Bonjour');
+    expect(fallback).toEqual(expect.objectContaining({ success: true, provider: 'twilio', messageId: 'SM-route-1' }));
+
+    smsService.twilioConfigured = false;
+    const pinned = await smsService.sendSMSWithFallback('+237612345678', 'Code', { template: 'otp', priority: 'high' });
+    expect(pinned.success).toBe(false);
+    expect(pinned.route.name).toBe('cm-otp');
+    expect(vonageSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('records the chosen route and its reason in notification_logs', async () => {
+    process.env.SMS_ROUTING_RULES = CENTRAL_AFRICA;
+    jest.spyOn(smsService, 'generateSMSMessage').mockResolvedValue('Event Planner: Rappel');
+    notificationRepository.createNotification.mockResolvedValue({ id: 12 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+
+    const result = await smsService.sendTransactionalSMS('+24106123456', 'event-reminder', {}, { userId: 5 });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, provider: 'vonage' }));
+    expect(notificationRepository.createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({
+      notificationId: 12,
+      provider: 'vonage',
+      route: 'central-africa',
+      routeReason: 'config route central-africa: country GA'
+    }));
+  });
+
+  it('lists the active routes on /health/providers', async () => {
+    process.env.SMS_ROUTING_RULES = CENTRAL_AFRICA;
+    process.env.SMS_PROVIDER_ORDER = 'twilio,vonage';
+    jest.spyOn(emailService, 'healthCheck').mockResolvedValue({ providers: {} });
+    jest.spyOn(smsService, 'healthCheck').mockResolvedValue({ providers: {} });
+
+    const app = express();
+    app.use('/health', healthRoutes);
+    const response = await request(app).get('/health/providers');
+
+    expect(response.status).toBe(200);
+    expect(response.body.routes.sms).toEqual({
+      defaultOrder: ['twilio', 'vonage'],
+      databaseEnabled: false,
+      routes: [
+        expect.objectContaining({ name: 'cm-otp', source: 'config', prefixes: ['+2376'], providers: ['twilio'], fallback: false }),
+        expect.objectContaining({ name: 'central-africa', countries: ['CM', 'GA'], providers: ['vonage'], fallback: true })
+      ]
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { mockNotificationDependencies, buildApp } = require('../helpers/notification-mocks');
+
+mockNotificationDependencies();
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const queueService = require('../../src/core/queues/queue.service');
+const templatesService = require('../../src/core/templates/templates.service');
+const smsService = require('../../src/core/sms/sms.service');
+const {
+  countSmsSegments,
+  foldToGsm7,
+  getSegmentBudget,
+  measureSms,
+  prepareSms
+} = require('../../src/core/sms/sms-segments');
+
+describe('SMS segment accounting', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.SMS_MAX_SEGMENTS;
+    delete process.env.SMS_TEMPLATE_MAX_SEGMENTS;
+    delete process.env.SMS_ACCENT_FOLDING;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('counts concatenated segments for GSM-7 and UCS-2', () => {
+    expect(countSmsSegments('a'.repeat(160))).toEqual({ encoding: 'GSM-7', length: 160, segments: 1, perSegment: 160 });
+    expect(countSmsSegments('a'.repeat(161))).toEqual(expect.objectContaining({ segments: 2, perSegment: 153 }));
+    expect(countSmsSegments('a'.repeat(306)).segments).toBe(2);
+    expect(countSmsSegments('a'.repeat(307)).segments).toBe(3);
+    expect(countSmsSegments('€'.repeat(80))).toEqual(expect.objectContaining({ encoding: 'GSM-7', length: 160, segments: 1 }));
+    expect(countSmsSegments('Rendez-vous à 18h, café offert')).toEqual(expect.objectContaining({ encoding: 'GSM-7' }));
+
+    expect(countSmsSegments('ê'.repeat(70))).toEqual({ encoding: 'UCS-2', length: 70, segments: 1, perSegment: 70 });
+    expect(countSmsSegments('ê'.repeat(71)).segments).toBe(2);
+    expect(countSmsSegments('🎉'.repeat(35))).toEqual(expect.objectContaining({ length: 70, segments: 1 }));
+  });
+
+  it('folds French accents and typography into GSM-7 when enabled', () => {
+    const text = 'Paiement reçu – à bientôt, l’équipe « Fête » Œuvre';
+    expect(countSmsSegments(text).encoding).toBe('UCS-2');
+    expect(foldToGsm7(text)).toBe('Paiement recu - à bientot, l\'équipe " Fete " OEuvre');
+    expect(countSmsSegments(foldToGsm7(text)).encoding).toBe('GSM-7');
+    expect(countSmsSegments(foldToGsm7('Bravo 🎉')).encoding).toBe('UCS-2');
+
+    expect(measureSms(text)).toEqual(expect.objectContaining({ encoding: 'UCS-2', folded: false }));
+    expect(measureSms(text, { foldAccents: true })).toEqual(expect.objectContaining({ encoding: 'GSM-7', folded: true }));
+    process.env.SMS_ACCENT_FOLDING = 'true';
+    expect(measureSms(text).folded).toBe(true);
+    expect(measureSms(text, { foldAccents: false }).folded).toBe(false);
+  });
+
+  it('applies per-template budgets and rejects messages over budget', () => {
+    expect(getSegmentBudget('otp')).toBe(3);
+
+    process.env.SMS_MAX_SEGMENTS = '2';
+    process.env.SMS_TEMPLATE_MAX_SEGMENTS = '{"otp":1}';
+    expect(getSegmentBudget('otp')).toBe(1);
+    expect(getSegmentBudget('event-invitation')).toBe(2);
+    expect(getSegmentBudget()).toBe(2);
+
+    expect(() => prepareSms('a'.repeat(161), { template: 'otp' })).toThrow(expect.objectContaining({
+      code: 'SMS_SEGMENT_BUDGET_EXCEEDED',
+      statusCode: 422,
+      details: expect.objectContaining({ template: 'otp', segments: 2, budget: 1 })
+    }));
+    expect(prepareSms('a'.repeat(161), { template: 'event-invitation' }).segments).toBe(2);
+
+    process.env.SMS_TEMPLATE_MAX_SEGMENTS = 'otp=1';
+    expect(getSegmentBudget('otp')).toBe(2);
+  });
+
+  it('sends the full message and records its segment count', async () => {
+    jest.spyOn(templatesService, 'getTemplateByName').mockResolvedValue(null);
+    jest.spyOn(smsService, 'sendSMSWithFallback').mockResolvedValue({ success: true, provider: 'twilio', messageId: 'SM1' });
+    notificationRepository.createNotification.mockResolvedValue({ id: 12 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+
+    const ticketAccessUrl = `https://tickets.example.com/access/${'x'.repeat(120)}`;
+    const result = await smsService.sendTransactionalSMS('+33612345678', 'event-invitation', {
+      eventName: 'Gala annuel',
+      eventDate: '12/12',
+      eventTime: '19h',
+      eventLocation: 'Paris',
+      ticketAccessUrl
+    }, { userId: 5 });
+
+    const [, message] = smsService.sendSMSWithFallback.mock.calls[0];
+    expect(message.endsWith(ticketAccessUrl)).toBe(true);
+    expect(result).toEqual(expect.objectContaining({ success: true, segments: 2, encoding: 'GSM-7' }));
+    expect(notificationRepository.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      smsSegments: 2,
+      smsEncoding: 'GSM-7'
+    }));
+  });
+
+  it('refuses over-budget SMS with 422 and no retry', async () => {
+    jest.spyOn(templatesService, 'getTemplateByName').mockResolvedValue(null);
+    jest.spyOn(smsService, 'sendSMSWithFallback').mockResolvedValue({ success: true, provider: 'twilio', messageId: 'SM1' });
+    process.env.SMS_TEMPLATE_MAX_SEGMENTS = '{"otp":1}';
+
+    const response = await request(buildApp())
+      .post('/api/notifications/sms')
+      .send({ to: '+33612345678', template: 'otp', data: { otpCode: '123456', expiresIn: 'x'.repeat(120) } });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.code).toBe('SMS_SEGMENT_BUDGET_EXCEEDED');
+    expect(smsService.sendSMSWithFallback).not.toHaveBeenCalled();
+    expect(queueService.addSMSJob).not.toHaveBeenCalled();
+
+    const folded = await request(buildApp())
+      .post('/api/notifications/sms')
+      .send({ to: '+33612345678', template: 'otp', data: { otpCode: '123456', expiresIn: '10 minutes – gardez-le secret' }, options: { foldAccents: true } });
+    expect(folded.status).toBe(201);
+    expect(folded.body.meta).toEqual(expect.objectContaining({ segments: 1, encoding: 'GSM-7' }));
+    expect(smsService.sendSMSWithFallback.mock.calls[0][1]).toBe(
+      'Event Planner: Votre code de vérification est 123456. Valable 10 minutes - gardez-le secret.'
+    );
+  });
+});
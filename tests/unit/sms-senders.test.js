@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { mockNotificationDependencies, buildApp, saveSmsProviderState } = require('../helpers/notification-mocks');
+
+mockNotificationDependencies();
+
+const smsService = require('../../src/core/sms/sms.service');
+const {
+  classifySender,
+  resolveSmsSender,
+  validateSmsSenders
+} = require('../../src/core/sms/sms-senders');
+
+const REGISTRY = JSON.stringify([
+  { country: 'CM', provider: 'vonage', sender: 'EVTPLANNER' },
+  { country: 'US', provider: 'twilio', sender: '+15005550006' },
+  { provider: 'vonage', sender: 'EventPlan' }
+]);
+
+describe('SMS sender IDs', () => {
+  const env = { ...process.env };
+  const restoreSmsProviders = saveSmsProviderState(smsService);
+  let twilioCreate;
+  let vonageSend;
+
+  beforeEach(() => {
+    delete process.env.SMS_ROUTING_RULES;
+    delete process.env.SMS_PROVIDER_ORDER;
+    delete process.env.SMS_SENDER_COUNTRY_RULES;
+    process.env.SMS_SENDER_IDS = REGISTRY;
+    process.env.TWILIO_PHONE_NUMBER = '+447700900123';
+    process.env.VONAGE_FROM_NUMBER = 'EventPlanr';
+
+    twilioCreate = jest.fn().mockResolvedValue({ sid: 'SM-sender-1' });
+    vonageSend = jest.fn().mockResolvedValue({ messages: [{ status: '0', messageId: 'vonage-sender-1' }] });
+    Object.assign(smsService, {
+      twilioConfigured: true,
+      vonageConfigured: true,
+      textbeltConfigured: false,
+      twilioClient: { messages: { create: twilioCreate } },
+      vonageClient: { sms: { send: vonageSend } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+    restoreSmsProviders();
+  });
+
+  it('classifies senders and validates the registry', () => {
+    expect(classifySender('+15005550006')).toBe('long_number');
+    expect(classifySender('36179')).toBe('short_code');
+    expect(classifySender('EVTPLANNER')).toBe('alphanumeric');
+    expect(classifySender('Event!')).toBeNull();
+
+    expect(validateSmsSenders()).toEqual([
+      { country: 'CM', provider: 'vonage', sender: 'EVTPLANNER', type: 'alphanumeric', twoWay: false, source: 'config' },
+      { country: 'US', provider: 'twilio', sender: '+15005550006', type: 'long_number', twoWay: true, source: 'config' },
+      { country: '*', provider: 'vonage', sender: 'EventPlan', type: 'alphanumeric', twoWay: false, source: 'config' },
+      { country: '*', provider: 'twilio', sender: '+447700900123', type: 'long_number', twoWay: true, source: 'default' },
+      { country: '*', provider: 'vonage', sender: 'EventPlanr', type: 'alphanumeric', twoWay: false, source: 'default' }
+    ]);
+
+    process.env.SMS_SENDER_IDS = '[{"provider":"textbelt","sender":"EventPlan"}]';
+    expect(() => validateSmsSenders()).toThrow(expect.objectContaining({ code: 'INVALID_SMS_SENDER_CONFIG' }));
+    process.env.SMS_SENDER_IDS = '{"CM":"EVTPLANNER"}';
+    expect(() => validateSmsSenders()).toThrow('SMS_SENDER_IDS must be a JSON array');
+  });
+
+  it('prefers the most specific compliant sender for the country and provider', () => {
+    expect(resolveSmsSender('CM', 'vonage')).toEqual(expect.objectContaining({ sender: 'EVTPLANNER', source: 'config' }));
+    expect(resolveSmsSender('GA', 'vonage').sender).toBe('EventPlan');
+    expect(resolveSmsSender('US', 'twilio').sender).toBe('+15005550006');
+    expect(resolveSmsSender('FR', 'twilio')).toEqual(expect.objectContaining({ sender: '+447700900123', source: 'default' }));
+    expect(resolveSmsSender('FR', 'textbelt').sender).toBeNull();
+
+    expect(resolveSmsSender('US', 'vonage')).toEqual({
+      sender: null,
+      type: null,
+      twoWay: false,
+      source: null,
+      rejected: [
+        { sender: 'EventPlan', reason: 'alphanumeric_not_allowed' },
+        { sender: 'EventPlanr', reason: 'alphanumeric_not_allowed' }
+      ]
+    });
+    expect(resolveSmsSender('CM', 'vonage', { twoWay: true }).sender).toBeNull();
+  });
+
+  it('applies configured country rules such as mandatory registration and length', () => {
+    process.env.SMS_SENDER_COUNTRY_RULES = JSON.stringify({ ga: { alphanumericRegistration: true }, cm: { maxLength: 9 } });
+
+    expect(resolveSmsSender('GA', 'vonage').rejected).toEqual([
+      { sender: 'EventPlan', reason: 'not_registered' },
+      { sender: 'EventPlanr', reason: 'not_registered' }
+    ]);
+    expect(resolveSmsSender('CM', 'vonage')).toEqual(expect.objectContaining({ sender: 'EventPlan' }));
+    expect(resolveSmsSender('CM', 'vonage').rejected).toEqual([{ sender: 'EVTPLANNER', reason: 'too_long' }]);
+    expect(resolveSmsSender('US', 'twilio').sender).toBe('+15005550006');
+  });
+
+  it('sends from the selected sender and skips providers without a compliant one', async () => {
+    const cameroon = await smsService.sendSMSWithFallback('+237612345678', 'Bonjour', { priority: 'normal' });
+    expect(cameroon).toEqual(expect.objectContaining({ success: true, provider: 'twilio', sender: '+447700900123' }));
+    expect(twilioCreate).toHaveBeenCalledWith(expect.objectContaining({ from: '+447700900123', to: '+237612345678' }));
+
+    process.env.SMS_PROVIDER_ORDER = 'vonage,twilio';
+    await smsService.sendSMSWithFallback('+237612345678', 'Bonjour');
+    expect(vonageSend).toHaveBeenCalledWith(expect.objectContaining({ from: 'EVTPLANNER', to: '+237612345678' }));
+
+    const american = await smsService.sendSMSWithFallback('+14155552671', 'Hello');
+    expect(american).toEqual(expect.objectContaining({ success: true, provider: 'twilio', sender: '+15005550006' }));
+    expect(vonageSend).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails fast with SMS_SENDER_UNAVAILABLE when no sender is allowed', async () => {
+    smsService.twilioConfigured = false;
+
+    const response = await request(buildApp())
+      .post('/api/notifications/sms')
+      .send({ to: '+14155552671', template: 'otp', data: { otpCode: '123456' } });
+
+    expect(response.status).toBe(422);
+    expect(response.body.error.code).toBe('SMS_SENDER_UNAVAILABLE');
+    expect(response.body.error.data).toEqual(expect.objectContaining({
+      country: 'US',
+      twoWay: false,
+      rejected: [{ provider: 'vonage', candidates: expect.arrayContaining([{ sender: 'EventPlan', reason: 'alphanumeric_not_allowed' }]) }]
+    }));
+    expect(vonageSend).not.toHaveBeenCalled();
+
+    const twoWay = await smsService.sendSMSWithFallback('+237612345678', 'Répondez OUI', { twoWay: true });
+    expect(twoWay.details.code).toBe('SMS_SENDER_UNAVAILABLE');
+    expect(twoWay.error).toBe('Aucun expediteur SMS autorise pour CM avec reponse possible');
+  });
+});
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+
+jest.mock('../../src/core/database/notification.repository', () => ({
+  getNotificationByProviderMessageId: jest.fn(),
+  updateNotificationStatus: jest.fn(),
+  createNotificationLog: jest.fn()
+}));
+
+const notificationRepository = require('../../src/core/database/notification.repository');
+const webhooksRoutes = require('../../src/api/routes/webhooks.routes');
+const { computeVonageSignature } = require('../../src/middleware/webhook-signature');
+const twilioCallbacks = require('../fixtures/webhooks/twilio-status-callbacks.json');
+const vonageReceipts = require('../fixtures/webhooks/vonage-dlr.json');
+
+const BASE_URL = 'https://notify.example.com';
+
+function buildApp() {
+  const app = express();
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+  app.use('/api/notifications/webhooks', webhooksRoutes);
+  return app;
+}
+
+describe('SMS delivery status callbacks', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.WEBHOOK_PUBLIC_BASE_URL = BASE_URL;
+    process.env.TWILIO_AUTH_TOKEN = 'twilio-test-token';
+    process.env.VONAGE_SIGNATURE_SECRET = 'vonage-test-secret';
+    process.env.VONAGE_SIGNATURE_METHOD = 'sha256';
+    process.env.WEBHOOK_SECRET = 'relay-test-secret';
+
+    notificationRepository.getNotificationByProviderMessageId.mockImplementation(async (provider, messageId) => ({
+      id: provider === 'twilio' ? 201 : 301,
+      status: 'sent',
+      provider,
+      provider_message_id: messageId
+    }));
+    notificationRepository.updateNotificationStatus.mockResolvedValue({ id: 201 });
+    notificationRepository.createNotificationLog.mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('maps a signed Twilio undelivered callback to failed with the carrier error code', async () => {
+    const params = twilioCallbacks.undelivered;
+    const url = `${BASE_URL}/api/notifications/webhooks/twilio/status`;
+    const signature = twilio.getExpectedTwilioSignature('twilio-test-token', url, params);
+
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/twilio/status')
+      .type('form')
+      .set('X-Twilio-Signature', signature)
+      .send(params);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.outcome).toBe('updated');
+    expect(notificationRepository.getNotificationByProviderMessageId)
+      .toHaveBeenCalledWith('twilio', 'SM9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d');
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(201, 'failed', expect.objectContaining({
+      source: 'twilio',
+      errorCode: '30003',
+      errorMessage: 'Unreachable destination handset',
+      eventType: 'twilio.undelivered'
+    }));
+  });
+
+  it('rejects Twilio callbacks with a forged signature', async () => {
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/twilio/status')
+      .type('form')
+      .set('X-Twilio-Signature', 'bm90LWEtdmFsaWQtc2lnbmF0dXJl')
+      .send(twilioCallbacks.delivered);
+
+    expect(response.status).toBe(401);
+    expect(notificationRepository.getNotificationByProviderMessageId).not.toHaveBeenCalled();
+  });
+
+  it('verifies the Vonage sig parameter and stores the err-code', async () => {
+    const params = { ...vonageReceipts.failed };
+    params.sig = computeVonageSignature(params, 'vonage-test-secret', 'sha256');
+
+    const response = await request(buildApp())
+      .get('/api/notifications/webhooks/vonage/dlr')
+      .query(params);
+
+    expect(response.status).toBe(200);
+    expect(notificationRepository.updateNotificationStatus).toHaveBeenCalledWith(301, 'failed', expect.objectContaining({
+      source: 'vonage',
+      errorCode: '6',
+      errorMessage: 'Anti-Spam Rejection',
+      eventType: 'vonage.failed',
+      occurredAt: '2026-01-10T12:00:05.000Z'
+    }));
+  });
+
+  it('accepts relayed Vonage receipts signed with X-Webhook-Signature and only logs intermediate states', async () => {
+    const body = JSON.stringify(vonageReceipts.accepted);
+    const signature = crypto.createHmac('sha256', 'relay-test-secret').update(body).digest('hex');
+
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/vonage/dlr')
+      .set('Content-Type', 'application/json')
+      .set('X-Webhook-Signature', signature)
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.outcome).toBe('logged');
+    expect(notificationRepository.updateNotificationStatus).not.toHaveBeenCalled();
+    expect(notificationRepository.createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({
+      notificationId: 301,
+      eventType: 'vonage.accepted',
+      errorCode: null
+    }));
+  });
+
+  it('rejects unsigned Vonage receipts', async () => {
+    const response = await request(buildApp())
+      .post('/api/notifications/webhooks/vonage/dlr')
+      .send(vonageReceipts.failed);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+  });
+});
@@ -0,0 +1,153 @@
+const mockDb = { query: jest.fn() };
+
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn(() => mockDb)
+}));
+
+const emailService = require('../../src/core/email/email.service');
+const smsService = require('../../src/core/sms/sms.service');
+const templatesService = require('../../src/core/templates/templates.service');
+const { lintTemplate } = require('../../src/core/templates/template-linter');
+const { renderTemplateContent } = require('../../src/core/templates/template-renderer');
+
+const rules = (issues) => issues.map(item => `${item.rule}@${item.line}`);
+
+describe('Template lint and strict rendering', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    process.env = { ...env };
+  });
+
+  it('reports unbalanced and unsupported blocks with their line', () => {
+    const result = lintTemplate({
+      channel: 'email',
+      source: 'file',
+      body: [
+        '{{#if eventName}}',
+        '  {{#each tickets}}{{code}}{{/if}}',
+        '{{else}}',
+        '{{#unless paid}}x{{/unless}}',
+        '{{> missing-partial}}'
+      ].join('\n')
+    });
+
+    expect(result.valid).toBe(false);
+    expect(rules(result.errors)).toEqual([
+      'unbalanced-block@2',
+      'unsupported-block@4',
+      'unsupported-block@4',
+      'unknown-partial@5',
+      'unbalanced-block@1'
+    ]);
+  });
+
+  it('flags variables missing from the declared variables of DB templates', () => {
+    const result = lintTemplate({
+      channel: 'email',
+      source: 'db',
+      subject: 'Billets pour {{eventName}}',
+      body: '{{#if (eq status "paid")}}{{#each tickets}}{{code}} {{../currency}}{{/each}}{{/if}} {{user.firstName}} {{unsubscribeUrl}}',
+      variables: ['eventName', 'tickets', 'user']
+    });
+
+    expect(result.variables.used).toEqual(['eventName', 'status', 'tickets', 'currency', 'user', 'unsubscribeUrl']);
+    expect(result.errors.map(item => item.message)).toEqual([
+      'Variable "status" non déclarée',
+      'Variable "currency" non déclarée'
+    ]);
+
+    const fileTemplate = lintTemplate({ channel: 'email', source: 'file', body: '{{anything}}' });
+    expect(fileTemplate.valid).toBe(true);
+  });
+
+  it('warns on images without alt, insecure links and unclosed tags, and budgets SMS segments', () => {
+    const email = lintTemplate({
+      channel: 'email',
+      source: 'file',
+      body: '<div>\n<img src="https://cdn.example.com/logo.png">\n<a href="http://example.com">x</a> <a href="http://localhost:3000">dev</a>\n<p>ouvert\n</div>'
+    });
+    expect(email.valid).toBe(true);
+    expect(rules(email.warnings)).toEqual(['image-alt@2', 'insecure-link@3', 'unbalanced-html@4']);
+
+    process.env.SMS_MAX_SEGMENTS = '1';
+    const sms = lintTemplate({
+      channel: 'sms',
+      source: 'db',
+      body: 'Rappel : {{eventName}} commence bientôt. Présentez votre billet {{code}} à l’entrée.',
+      variables: { eventName: 'Conférence annuelle des développeurs', code: 'A1B2C3' }
+    });
+    expect(sms.sms).toEqual(expect.objectContaining({ encoding: 'UCS-2', segments: 2, budget: 1 }));
+    expect(rules(sms.errors)).toEqual(['sms-segments@null']);
+    expect(rules(sms.warnings)).toEqual(['sms-encoding@null']);
+  });
+
+  it('fails strict renders and strict email sends on missing variables', async () => {
+    expect(renderTemplateContent('{{#if vip}}{{seat}}{{/if}}{{firstName}}', {}, { strict: false })).toBe('');
+    expect(() => renderTemplateContent('{{#if vip}}{{seat}}{{/if}}{{firstName}} {{> nope}}{{#each items}}x{{/each}}', {}, { strict: true }))
+      .toThrow(expect.objectContaining({
+        code: 'TEMPLATE_VARIABLE_MISSING',
+        details: { missing: ['> nope', 'items', 'firstName'] }
+      }));
+
+    jest.spyOn(emailService, 'ensureInitialized').mockResolvedValue();
+    jest.spyOn(emailService, 'sendEmailWithFallback').mockResolvedValue({ success: true, provider: 'smtp' });
+    jest.spyOn(emailService, 'recordEmailNotification').mockResolvedValue(null);
+    mockDb.query.mockResolvedValue({ rows: [] });
+
+    const result = await emailService.sendTransactionalEmail('aicha@example.com', 'event-reminder', { eventName: 'Gala' }, {
+      strictRender: true
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.details.code).toBe('TEMPLATE_VARIABLE_MISSING');
+    expect(result.details.missing).toEqual(expect.arrayContaining(['firstName', 'eventDate']));
+    expect(emailService.sendEmailWithFallback).not.toHaveBeenCalled();
+  });
+
+  it('renders nested variables of inline SMS templates, strictly when asked', async () => {
+    jest.spyOn(templatesService, 'getTemplateByName').mockResolvedValue(null);
+    const event = { title: 'Gala', date: '12/06', location: 'Douala' };
+
+    await expect(smsService.generateSMSMessage('event-confirmation', { event, ticket: { code: 'TK-42' } }, { strictRender: true }))
+      .resolves.toBe('Event Planner: Confirmation pour "Gala". Date: 12/06. Lieu: Douala. Code: TK-42');
+    await expect(smsService.generateSMSMessage('welcome', { user: { name: 'Aicha' } }, { strictRender: true }))
+      .resolves.toBe('Bienvenue sur Event Planner Aicha! Votre compte est maintenant actif.');
+    await expect(smsService.generateSMSMessage('event-confirmation', { event: { title: 'Gala' } }, { strictRender: true }))
+      .rejects.toEqual(expect.objectContaining({
+        code: 'TEMPLATE_VARIABLE_MISSING',
+        details: { missing: ['event.date', 'event.location', 'ticket.code'] }
+      }));
+    await expect(smsService.generateSMSMessage('event-confirmation', { event: { title: 'Gala' } }, { strictRender: false }))
+      .resolves.toBe('Event Planner: Confirmation pour "Gala". Date: . Lieu: . Code: ');
+  });
+
+  it('lints DB and file templates together and rejects broken blocks on creation', async () => {
+    mockDb.query.mockResolvedValue({
+      rows: [{
+        name: 'custom-reminder',
+        channel: 'email',
+        subject_template: 'Rappel {{eventName}}',
+        body_template: '{{#if eventName}}<p>{{eventName}}</p>',
+        variables: { eventName: 'Gala' }
+      }]
+    });
+
+    const report = await templatesService.lintTemplates({ source: 'all' });
+    const dbEntry = report.templates.find(item => item.source === 'db');
+
+    expect(rules(dbEntry.errors)).toEqual(['unbalanced-block@1']);
+    expect(report.templates.filter(item => item.source === 'file').every(item => item.valid)).toBe(true);
+    expect(report.summary).toEqual(expect.objectContaining({ invalid: 1, errors: 1 }));
+
+    const validation = templatesService.validateTemplate({
+      name: 'custom-reminder',
+      channel: 'email',
+      bodyTemplate: '{{#each tickets}}{{code}}'
+    });
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toEqual(['body (line 1): {{#each}} jamais fermé']);
+  });
+});
@@ -1,4 +1,18 @@
-const { renderTemplateContent } = require('../../src/core/templates/template-renderer');
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn(() => ({ query: jest.fn() }))
+}));
+
+const fs = require('fs');
+const path = require('path');
+const {
+  renderTemplateContent,
+  registerPartial,
+  loadPartials
+} = require('../../src/core/templates/template-renderer');
+const templatesService = require('../../src/core/templates/templates.service');
+
+const TEMPLATES_DIR = path.join(__dirname, '../../templates');
+const readTemplate = (name) => fs.readFileSync(path.join(TEMPLATES_DIR, `${name}.html`), 'utf8');
 
 describe('template renderer', () => {
   it('renders if / else / else if branches', () => {
@@ -29,4 +43,63 @@ describe('template renderer', () => {
       }),
     ).toBe('[#0 VIP Aicha XAF][#1 Standard Moussa XAF]');
   });
+
+  describe('layouts and partials', () => {
+    afterEach(() => {
+      loadPartials(TEMPLATES_DIR);
+    });
+
+    it('renders partials in the current scope, including inside each blocks', () => {
+      registerPartial('seat', '{{ticketType}} for {{participantName}}');
+
+      expect(
+        renderTemplateContent('{{#each tickets}}[{{> seat}}]{{/each}} {{> unknown-partial}}', {
+          tickets: [{ ticketType: 'VIP', participantName: 'Aicha' }]
+        }),
+      ).toBe('[VIP for Aicha] ');
+    });
+
+    it('fills layout blocks, keeps defaults and reaches blocks declared in nested partials', () => {
+      registerPartial('page', '<h1>{{#block "title"}}Event Planner{{/block}}</h1>{{> page-footer}}');
+      registerPartial('page-footer', '<footer>{{#block "footer"}}(c){{/block}}</footer>');
+
+      const template = '{{#extend "page"}}{{#content "footer"}}Bye {{firstName}}{{/content}}{{/extend}}';
+      expect(renderTemplateContent(template, { firstName: 'Moussa' }))
+        .toBe('<h1>Event Planner</h1><footer>Bye Moussa</footer>');
+    });
+
+    it('shares one legal block across file templates', () => {
+      const data = { firstName: 'Aicha', eventName: 'Gala', unsubscribeUrl: 'https://notify.example.com/u/1' };
+
+      const reminder = renderTemplateContent(readTemplate('event-reminder'), data);
+      expect(reminder).toMatch(/^<!DOCTYPE html>/);
+      expect(reminder).toContain('© 2024 Event Planner. Tous droits réservés.');
+      expect(reminder).toContain('Vous recevez cet email car vous êtes inscrit à l\'événement "Gala".');
+      expect(reminder).toContain('<a href="https://notify.example.com/u/1" data-no-track>');
+
+      registerPartial('legal', '<p class="legal">© 2026 Event Planner SAS</p>');
+      const names = fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.html')).map(file => path.basename(file, '.html'));
+      expect(names).toEqual(expect.arrayContaining(['event-invitation', 'test-simple', 'payment-failed-simple']));
+      for (const name of names) {
+        expect(readTemplate(name)).toMatch(/^\{\{#extend "base"\}\}/);
+        const html = renderTemplateContent(readTemplate(name), data);
+        expect(html).toContain('<p class="legal">© 2026 Event Planner SAS</p>');
+        expect(html).not.toContain('© 2024');
+      }
+    });
+
+    it('makes partials and layouts available to DB templates', async () => {
+      const rendered = await templatesService.renderTemplate({
+        name: 'custom-announcement',
+        channel: 'email',
+        subject_template: 'Annonce {{eventName}}',
+        body_template: '{{#extend "base"}}{{#content "content"}}<p>Nouveau : {{eventName}}</p>{{/content}}{{/extend}}'
+      }, { eventName: 'Gala' });
+
+      expect(rendered.subject).toBe('Annonce Gala');
+      expect(rendered.htmlContent).toContain('<p>Nouveau : Gala</p>');
+      expect(rendered.htmlContent).toContain('<div class="logo">🎉 Event Planner</div>');
+      expect(rendered.htmlContent).toContain('© 2024 Event Planner. Tous droits réservés.');
+    });
+  });
 });